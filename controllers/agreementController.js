@@ -1,3 +1,127 @@
+// backend/controllers/agreementController.js
+// Consignment agreements: commission rate or price tiers (commission_tiers), minimum store
+// fee, unsold-item policy, progressive discount schedule (progressive_discounts) and
+// charity choice (charity_donations).
+
+const supabase = require('../config/supabaseClient');
+const { getContractPdf, acknowledgeAgreement: acknowledgeContract } = require('../services/contractService');
+const { AGREEMENT_STATUSES, findOverlappingAgreement } = require('../services/agreementService');
+const { validatePayoutTerms } = require('../services/commissionService');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const AGREEMENT_SELECT = `
+    *,
+    progressive_discounts:progressive_discounts(id, days_after_listing, discount_percent),
+    commission_tiers:commission_tiers(id, min_price, commission_rate),
+    charity_donations:charity_donations(id, charity_choice)
+`;
+
+// Agreement columns a PUT may change, keyed by the camelCase body field.
+// product_id and consignor_id are fixed once the agreement exists.
+const UPDATABLE_FIELDS = {
+    commissionRate: 'commission_rate',
+    unsoldItemPolicy: 'unsold_item_policy',
+    returnFallbackDays: 'return_fallback_days',
+    agreementAcknowledged: 'agreement_acknowledged',
+    acknowledgmentDate: 'acknowledgment_date',
+    storePurchaseOption: 'store_purchase_option',
+    storePurchasePercentage: 'store_purchase_percentage',
+    consignmentPeriodDays: 'consignment_period_days',
+    minimumStoreFee: 'minimum_store_fee',
+    payoutSchedule: 'payout_schedule',
+    payoutHoldDays: 'payout_hold_days',
+    startDate: 'start_date',
+    endDate: 'end_date',
+    status: 'status',
+};
+
+// snake_case keys -> camelCase keys (one level; nested rows are mapped explicitly below)
+const toCamelCase = (row) => Object.fromEntries(
+    Object.entries(row || {}).map(([key, value]) => [key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase()), value])
+);
+
+// commission_tiers rows -> [{ minPrice, commissionRate }], lowest band first
+const formatCommissionTiers = (tiers) => (tiers || [])
+    .slice()
+    .sort((a, b) => a.min_price - b.min_price)
+    .map(t => ({ minPrice: parseFloat(t.min_price), commissionRate: parseFloat(t.commission_rate) }));
+
+// Shape returned by every agreement endpoint (same as the POST response).
+const formatAgreement = (agreement) => ({
+    ...toCamelCase(agreement),
+    commissionTiers: formatCommissionTiers(agreement.commission_tiers),
+    discountPolicy: agreement.progressive_discounts?.length > 0 ? 'discount' : 'none',
+    progressiveDiscounts: (agreement.progressive_discounts || [])
+        .slice()
+        .sort((a, b) => a.days_after_listing - b.days_after_listing)
+        .map(d => ({
+            daysAfterSale: d.days_after_listing,
+            discountPercentage: d.discount_percent
+        })),
+    charityChoice: agreement.charity_donations?.[0]?.charity_choice || null,
+    discountScheduleEnabled: agreement.progressive_discounts?.length > 0
+});
+
+// Body fields that change the agreement's terms; changing any of them is an amendment
+// and needs amendmentReason and amendedBy. Acknowledgment fields are not terms.
+const TERM_FIELDS = [
+    'startDate', 'endDate', 'commissionRate', 'commissionTiers', 'minimumStoreFee', 'unsoldItemPolicy', 'returnFallbackDays', 'storePurchaseOption',
+    'storePurchasePercentage', 'consignmentPeriodDays', 'progressiveDiscounts', 'charityChoice',
+];
+
+// Version terms (agreement_terms() snapshot) in the same camelCase shape as formatAgreement.
+const formatTerms = (terms) => ({
+    ...toCamelCase(terms),
+    commissionTiers: formatCommissionTiers(terms?.commission_tiers),
+    progressiveDiscounts: (terms?.progressive_discounts || []).map(d => ({
+        daysAfterSale: d.days_after_listing,
+        discountPercentage: d.discount_percent
+    }))
+});
+
+// [{ field, from, to }] for every term that differs between two formatted versions.
+const diffTerms = (previous, current) => [...new Set([...Object.keys(previous), ...Object.keys(current)])]
+    .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(current[field] ?? null))
+    .map(field => ({ field, from: previous[field] ?? null, to: current[field] ?? null }));
+
+// Body commissionTiers [{ minPrice, commissionRate }] -> commission_tiers rows, or null when
+// a band is invalid (minPrice >= 0, commissionRate 0..1, no two bands with the same minPrice).
+const parseCommissionTiers = (tiers) => {
+    if (!Array.isArray(tiers)) return null;
+    const rows = tiers.map(t => ({ min_price: parseFloat(t.minPrice ?? 0), commission_rate: parseFloat(t.commissionRate) }));
+    const valid = rows.every(t => !isNaN(t.min_price) && t.min_price >= 0 && !isNaN(t.commission_rate) && t.commission_rate >= 0 && t.commission_rate <= 1)
+        && new Set(rows.map(t => t.min_price)).size === rows.length;
+    return valid ? rows : null;
+};
+
+// Body progressiveDiscounts [{ daysAfterSale, discountPercentage }] -> progressive_discounts rows,
+// or null when a step is invalid (daysAfterSale >= 0, discountPercentage 0..100).
+const parseProgressiveDiscounts = (discounts) => {
+    if (!Array.isArray(discounts)) return null;
+    const rows = discounts.map(d => ({
+        days_after_listing: parseInt(d.daysAfterSale),
+        discount_percent: parseFloat(d.discountPercentage)
+    }));
+    const valid = rows.every(d =>
+        !isNaN(d.days_after_listing) && d.days_after_listing >= 0 &&
+        !isNaN(d.discount_percent) && d.discount_percent >= 0 && d.discount_percent <= 100);
+    return valid ? rows : null;
+};
+
+// Problem with an agreement's start / end dates (YYYY-MM-DD or null, end not before start), or null.
+const getDateRangeProblem = (startDate, endDate) => {
+    if ((startDate && !DATE_REGEX.test(startDate)) || (endDate && !DATE_REGEX.test(endDate))) {
+        return 'startDate and endDate must be YYYY-MM-DD.';
+    }
+    if (startDate && endDate && endDate < startDate) {
+        return 'endDate cannot be before startDate.';
+    }
+    return null;
+};
+
+const parseAgreementId = (id) => (/^\d+$/.test(String(id)) ? parseInt(id) : null);
+
 // Updated addAgreement function
 exports.addAgreement = async (req, res) => {
     console.log('[%s] POST /api/agreements/add-agreement called. Body: %j', new Date().toISOString(), req.body);
@@ -6,7 +130,9 @@ exports.addAgreement = async (req, res) => {
         const {
             productId,
             consignorId,
-            commissionRate,
+            commissionRate, // optional with commissionTiers or a category default (see commissionService)
+            commissionTiers = [], // [{ minPrice, commissionRate }]: rate by unit sale price
+            minimumStoreFee, // the store keeps at least this much per item sold
             unsoldItemPolicy,
             returnFallbackDays,
             progressiveDiscounts = [], // Changed from discountSchedule
@@ -15,12 +141,53 @@ exports.addAgreement = async (req, res) => {
             acknowledgmentDate,
             storePurchaseOption = false,
             storePurchasePercentage = 0,
+            consignmentPeriodDays, // days on the floor before the unsold-item policy applies (default 90)
+            payoutSchedule, // weekly, biweekly or monthly; the consignor's schedule when left out
+            payoutHoldDays, // days after a period ends before it is paid; the consignor's when left out
+            startDate = new Date().toISOString().split('T')[0],
+            endDate = null, // open-ended unless given
         } = req.body;
 
         // Basic validation
-        if (!productId || !consignorId || commissionRate === undefined || commissionRate === null) {
+        if (!productId || !consignorId) {
             return res.status(400).json({
-                message: 'Missing required fields: productId, consignorId, commissionRate'
+                message: 'Missing required fields: productId, consignorId'
+            });
+        }
+
+        const commissionRateValue = commissionRate === undefined || commissionRate === null ? null : parseFloat(commissionRate);
+        if (commissionRateValue !== null && (isNaN(commissionRateValue) || commissionRateValue < 0 || commissionRateValue > 1)) {
+            return res.status(400).json({ message: 'commissionRate must be a number between 0 and 1.' });
+        }
+        const tierRows = parseCommissionTiers(commissionTiers);
+        if (!tierRows) {
+            return res.status(400).json({ message: 'commissionTiers must be an array of { minPrice >= 0, commissionRate between 0 and 1 } with distinct minPrice values.' });
+        }
+        const discountRows = parseProgressiveDiscounts(progressiveDiscounts || []);
+        if (!discountRows) {
+            return res.status(400).json({ message: 'Each progressive discount needs daysAfterSale >= 0 and discountPercentage between 0 and 100.' });
+        }
+        if (minimumStoreFee !== undefined && minimumStoreFee !== null && (isNaN(parseFloat(minimumStoreFee)) || parseFloat(minimumStoreFee) < 0)) {
+            return res.status(400).json({ message: 'minimumStoreFee must be a number >= 0.' });
+        }
+        const hasConsignmentPeriod = consignmentPeriodDays !== undefined && consignmentPeriodDays !== null;
+        if (hasConsignmentPeriod && !(/^\d+$/.test(String(consignmentPeriodDays)) && parseInt(consignmentPeriodDays) > 0)) {
+            return res.status(400).json({ message: 'consignmentPeriodDays must be a whole number of days greater than 0.' });
+        }
+        const payoutProblems = validatePayoutTerms({ payout_schedule: payoutSchedule, payout_hold_days: payoutHoldDays });
+        if (payoutProblems.length) {
+            return res.status(400).json({ message: 'Invalid payout terms.', errors: payoutProblems });
+        }
+        const dateProblem = getDateRangeProblem(startDate, endDate);
+        if (dateProblem) {
+            return res.status(400).json({ message: dateProblem });
+        }
+
+        // Only one agreement may be in force for a product at a time.
+        const overlapping = await findOverlappingAgreement(productId, { startDate, endDate });
+        if (overlapping) {
+            return res.status(409).json({
+                message: `Product ${productId} already has agreement ${overlapping.id} in force for these dates. End or terminate it first.`
             });
         }
 
@@ -35,94 +202,65 @@ exports.addAgreement = async (req, res) => {
             }
         }
 
-        // Process progressiveDiscounts
-        const determinedDiscountScheduleEnabled = progressiveDiscounts && progressiveDiscounts.length > 0;
-        const processedDiscountSchedule = determinedDiscountScheduleEnabled
-            ? JSON.stringify(progressiveDiscounts.map(d => ({
-                days_after_listing: d.daysAfterSale,
-                discount_percent: d.discountPercentage
-            })))
-            : '[]';
-
-        // Process returnFallbackDays
-        const processedReturnFallbackDays = unsoldItemPolicy === 'return'
-            ? returnFallbackDays
-            : null;
-
-        // Prepare RPC payload
-        const rpcPayload = {
-            p_acknowledgment_date: processedAcknowledgmentDate,
-            p_agreement_acknowledged: agreementAcknowledged,
-            p_charity_choice: unsoldItemPolicy === 'donate' ? charityChoice : null,
-            p_commission_rate: commissionRate,
-            p_consignor_id: consignorId,
-            p_discount_schedule: processedDiscountSchedule,
-            p_discount_schedule_enabled: determinedDiscountScheduleEnabled,
-            p_product_id: productId,
-            p_return_fallback_days: processedReturnFallbackDays,
-            p_unsold_item_policy: unsoldItemPolicy,
-            p_store_purchase_option: storePurchaseOption,
-            p_store_purchase_percentage: storePurchasePercentage,
+        // Every column of the new agreement; optional ones left out take the table default.
+        const fields = {
+            product_id: productId,
+            consignor_id: consignorId,
+            commission_rate: commissionRateValue,
+            unsold_item_policy: unsoldItemPolicy,
+            return_fallback_days: unsoldItemPolicy === 'return' ? returnFallbackDays : null,
+            agreement_acknowledged: agreementAcknowledged,
+            acknowledgment_date: processedAcknowledgmentDate,
+            store_purchase_option: storePurchaseOption,
+            store_purchase_percentage: storePurchasePercentage,
+            discount_schedule: JSON.stringify(discountRows),
+            discount_schedule_enabled: discountRows.length > 0,
+            start_date: startDate || null,
+            end_date: endDate || null,
         };
+        if (hasConsignmentPeriod) fields.consignment_period_days = parseInt(consignmentPeriodDays);
+        if (minimumStoreFee !== undefined && minimumStoreFee !== null) fields.minimum_store_fee = parseFloat(minimumStoreFee);
+        if (payoutSchedule !== undefined && payoutSchedule !== null) fields.payout_schedule = payoutSchedule;
+        if (payoutHoldDays !== undefined && payoutHoldDays !== null) fields.payout_hold_days = parseInt(payoutHoldDays);
+        Object.keys(fields).forEach(column => fields[column] === undefined && delete fields[column]);
 
-        console.log('RPC Payload:', JSON.stringify(rpcPayload, null, 2));
-
-        // Create agreement
-        const { data: agreement, error: agreementError } = await supabase
-            .rpc('create_agreement_with_details', rpcPayload);
+        // Agreement, tiers, discounts, charity and version 1 are written in one transaction.
+        const { data: agreement, error: agreementError } = await supabase.rpc('create_agreement', {
+            p_fields: fields,
+            p_progressive_discounts: discountRows,
+            p_commission_tiers: tierRows,
+            p_charity_choice: unsoldItemPolicy === 'donate' ? charityChoice ?? null : null
+        });
 
         if (agreementError) {
-            console.error('Supabase RPC Error:', agreementError);
+            console.error('Supabase Error - addAgreement (create_agreement):', agreementError);
+            if (agreementError.code === '23P01') { // an overlapping agreement was created meanwhile
+                return res.status(409).json({ message: agreementError.message, error: agreementError.message });
+            }
+            if (agreementError.code === '23503') { // unknown product or consignor
+                return res.status(400).json({ message: 'productId or consignorId does not exist.', error: agreementError.message });
+            }
+            if (agreementError.code === '23502' || agreementError.code === '23514' || agreementError.code === '22P02') {
+                return res.status(400).json({ message: 'Invalid agreement fields.', error: agreementError.message });
+            }
             return res.status(500).json({
                 message: 'Internal server error during agreement creation',
                 error: agreementError.message
             });
         }
 
-        const newAgreementId = agreement?.[0]?.id;
-        if (!newAgreementId) {
-            throw new Error('Failed to retrieve agreement ID after creation');
-        }
-
-        // Insert progressive discounts if they exist
-        if (determinedDiscountScheduleEnabled) {
-            const { error: discountError } = await supabase
-                .from('progressive_discounts')
-                .insert(progressiveDiscounts.map(d => ({
-                    agreement_id: newAgreementId,
-                    days_after_listing: d.daysAfterSale,
-                    discount_percent: d.discountPercentage
-                })));
-
-            if (discountError) {
-                console.error('Error inserting progressive discounts:', discountError);
-                throw discountError;
-            }
-        }
+        const newAgreementId = agreement.id;
 
         // Fetch full agreement with relations
         const { data: fullAgreement, error: fetchError } = await supabase
             .from('agreements')
-            .select(`
-                *,
-                progressive_discounts:progressive_discounts(id, days_after_listing, discount_percent),
-                charity_donations:charity_donations(id, charity_choice)
-            `)
+            .select(AGREEMENT_SELECT)
             .eq('id', newAgreementId)
             .single();
 
         if (fetchError) throw fetchError;
 
-        const response = {
-            ...toCamelCase(fullAgreement),
-            discountPolicy: fullAgreement.progressive_discounts?.length > 0 ? 'discount' : 'none',
-            progressiveDiscounts: fullAgreement.progressive_discounts?.map(d => ({
-                daysAfterSale: d.days_after_listing,
-                discountPercentage: d.discount_percent
-            })) || [],
-            charityChoice: fullAgreement.charity_donations?.[0]?.charity_choice || null,
-            discountScheduleEnabled: fullAgreement.progressive_discounts?.length > 0
-        };
+        const response = formatAgreement(fullAgreement);
 
         res.status(201).json(response);
     } catch (error) {
@@ -132,4 +270,437 @@ exports.addAgreement = async (req, res) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+
+// GET /api/agreements - List agreements
+// Optional filters: ?consignor_id=, ?product_id=, ?policy= (unsold_item_policy, e.g. return / donate),
+// ?status= (active / terminated)
+exports.getAllAgreements = async (req, res) => {
+    console.log('[%s] GET /api/agreements called. Query: %j', new Date().toISOString(), req.query);
+    const { consignor_id, product_id, policy, status } = req.query;
+
+    try {
+        let query = supabase
+            .from('agreements')
+            .select(AGREEMENT_SELECT)
+            .order('id', { ascending: false });
+
+        if (consignor_id) query = query.eq('consignor_id', consignor_id);
+        if (product_id) query = query.eq('product_id', product_id);
+        if (policy) query = query.eq('unsold_item_policy', policy);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Supabase Error - getAllAgreements:', error);
+            return res.status(500).json({ message: 'Error fetching agreements from database', error: error.message });
+        }
+
+        res.status(200).json(data.map(formatAgreement));
+    } catch (error) {
+        console.error('Error in getAllAgreements:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+// GET /api/agreements/:id - One agreement with its discount schedule and charity choice
+exports.getAgreementById = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] GET /api/agreements/%s called.', new Date().toISOString(), req.params.id);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('agreements')
+            .select(AGREEMENT_SELECT)
+            .eq('id', agreementId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - getAgreementById for ID ${agreementId}:`, error);
+            return res.status(500).json({ message: 'Error fetching agreement from database', error: error.message });
+        }
+        if (!data) {
+            return res.status(404).json({ message: `Agreement with ID ${agreementId} not found.` });
+        }
+
+        res.status(200).json(formatAgreement(data));
+    } catch (error) {
+        console.error('Error in getAgreementById:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+// PUT /api/agreements/:id - Update (amend) an agreement
+// Body uses the same camelCase fields as POST. Only the fields sent are changed.
+// progressiveDiscounts / commissionTiers, when sent, replace the whole schedule ([] removes it).
+// commissionRate and minimumStoreFee may be null to fall back to the tiers / category default.
+// payoutSchedule and payoutHoldDays may be null to fall back to the consignor's.
+// startDate / endDate (YYYY-MM-DD, endDate null for open-ended) and status ('active' or
+// 'terminated') decide when the agreement is in force; they may not overlap another active one.
+// charityChoice is kept only while the unsold-item policy is 'donate'.
+// Changing the terms records a new version: send amendmentReason and amendedBy, and
+// optionally effectiveFrom (default now) for when sales start using the new terms.
+exports.updateAgreement = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] PUT /api/agreements/%s called. Body: %j', new Date().toISOString(), req.params.id, req.body);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    const body = req.body || {};
+    if (body.productId !== undefined || body.consignorId !== undefined) {
+        return res.status(400).json({ message: 'productId and consignorId cannot be changed on an existing agreement.' });
+    }
+
+    const fields = {};
+    for (const [bodyField, column] of Object.entries(UPDATABLE_FIELDS)) {
+        if (body[bodyField] !== undefined) fields[column] = body[bodyField];
+    }
+
+    if (fields.commission_rate !== undefined && fields.commission_rate !== null) {
+        const rate = parseFloat(fields.commission_rate);
+        if (isNaN(rate) || rate < 0 || rate > 1) {
+            return res.status(400).json({ message: 'commissionRate must be a number between 0 and 1.' });
+        }
+        fields.commission_rate = rate;
+    }
+
+    if (fields.minimum_store_fee !== undefined && fields.minimum_store_fee !== null) {
+        const fee = parseFloat(fields.minimum_store_fee);
+        if (isNaN(fee) || fee < 0) {
+            return res.status(400).json({ message: 'minimumStoreFee must be a number >= 0.' });
+        }
+        fields.minimum_store_fee = fee;
+    }
+
+    if (fields.consignment_period_days !== undefined) {
+        if (!(/^\d+$/.test(String(fields.consignment_period_days)) && parseInt(fields.consignment_period_days) > 0)) {
+            return res.status(400).json({ message: 'consignmentPeriodDays must be a whole number of days greater than 0.' });
+        }
+        fields.consignment_period_days = parseInt(fields.consignment_period_days);
+    }
+
+    const payoutProblems = validatePayoutTerms(fields);
+    if (payoutProblems.length) {
+        return res.status(400).json({ message: 'Invalid payout terms.', errors: payoutProblems });
+    }
+    if (fields.payout_hold_days !== undefined && fields.payout_hold_days !== null) {
+        fields.payout_hold_days = parseInt(fields.payout_hold_days);
+    }
+
+    if (fields.status !== undefined && !AGREEMENT_STATUSES.includes(fields.status)) {
+        return res.status(400).json({ message: `status must be one of: ${AGREEMENT_STATUSES.join(', ')}.` });
+    }
+    for (const column of ['start_date', 'end_date']) {
+        if (fields[column] === '') fields[column] = null;
+    }
+
+    let commissionTiers = null;
+    if (body.commissionTiers !== undefined) {
+        commissionTiers = parseCommissionTiers(body.commissionTiers);
+        if (!commissionTiers) {
+            return res.status(400).json({ message: 'commissionTiers must be an array of { minPrice >= 0, commissionRate between 0 and 1 } with distinct minPrice values.' });
+        }
+    }
+
+    if (fields.acknowledgment_date) {
+        const acknowledgmentDate = new Date(fields.acknowledgment_date);
+        if (isNaN(acknowledgmentDate.getTime())) {
+            return res.status(400).json({ message: 'acknowledgmentDate is not a valid date.' });
+        }
+        fields.acknowledgment_date = acknowledgmentDate.toISOString();
+    }
+
+    let progressiveDiscounts = null;
+    if (body.progressiveDiscounts !== undefined) {
+        if (!Array.isArray(body.progressiveDiscounts)) {
+            return res.status(400).json({ message: 'progressiveDiscounts must be an array.' });
+        }
+        progressiveDiscounts = parseProgressiveDiscounts(body.progressiveDiscounts);
+        if (!progressiveDiscounts) {
+            return res.status(400).json({ message: 'Each progressive discount needs daysAfterSale >= 0 and discountPercentage between 0 and 100.' });
+        }
+        // Keep the agreement's own copy of the schedule in step with the child rows (as create does).
+        fields.discount_schedule = JSON.stringify(progressiveDiscounts);
+        fields.discount_schedule_enabled = progressiveDiscounts.length > 0;
+    }
+
+    if (Object.keys(fields).length === 0 && progressiveDiscounts === null && commissionTiers === null && body.charityChoice === undefined) {
+        return res.status(400).json({ message: `No valid fields provided. Allowed fields: ${[...Object.keys(UPDATABLE_FIELDS), 'progressiveDiscounts', 'commissionTiers', 'charityChoice'].join(', ')}.` });
+    }
+
+    const isAmendment = TERM_FIELDS.some(field => body[field] !== undefined);
+    const amendmentReason = body.amendmentReason ? String(body.amendmentReason).trim() : '';
+    const amendedBy = body.amendedBy ? String(body.amendedBy).trim() : '';
+    if (isAmendment && (!amendmentReason || !amendedBy)) {
+        return res.status(400).json({ message: 'Changing the agreement terms requires amendmentReason and amendedBy.' });
+    }
+
+    let effectiveFrom = null;
+    if (body.effectiveFrom) {
+        const effectiveDate = new Date(body.effectiveFrom);
+        if (isNaN(effectiveDate.getTime())) {
+            return res.status(400).json({ message: 'effectiveFrom is not a valid date.' });
+        }
+        effectiveFrom = effectiveDate.toISOString();
+    }
+
+    try {
+        // The policy decides which policy-specific values survive the update.
+        const { data: current, error: currentError } = await supabase
+            .from('agreements')
+            .select('product_id, unsold_item_policy, status, start_date, end_date')
+            .eq('id', agreementId)
+            .maybeSingle();
+
+        if (currentError) {
+            console.error(`Supabase Error - updateAgreement (fetching) for ID ${agreementId}:`, currentError);
+            return res.status(500).json({ message: 'Error fetching agreement from database', error: currentError.message });
+        }
+        if (!current) {
+            return res.status(404).json({ message: `Agreement with ID ${agreementId} not found.` });
+        }
+
+        const status = fields.status !== undefined ? fields.status : current.status;
+        const startDate = fields.start_date !== undefined ? fields.start_date : current.start_date;
+        const endDate = fields.end_date !== undefined ? fields.end_date : current.end_date;
+        const dateProblem = getDateRangeProblem(startDate, endDate);
+        if (dateProblem) {
+            return res.status(400).json({ message: dateProblem });
+        }
+        if (status === 'active' && (fields.status !== undefined || fields.start_date !== undefined || fields.end_date !== undefined)) {
+            const overlapping = await findOverlappingAgreement(current.product_id, { startDate, endDate, excludeId: agreementId });
+            if (overlapping) {
+                return res.status(409).json({
+                    message: `Product ${current.product_id} already has agreement ${overlapping.id} in force for these dates.`
+                });
+            }
+        }
+        if (fields.status !== undefined && fields.status !== current.status) {
+            fields.terminated_at = fields.status === 'terminated' ? new Date().toISOString() : null;
+        }
+
+        const policy = fields.unsold_item_policy !== undefined ? fields.unsold_item_policy : current.unsold_item_policy;
+        if (policy !== 'return') fields.return_fallback_days = null;
+
+        const syncCharity = body.charityChoice !== undefined || fields.unsold_item_policy !== undefined;
+        const charityChoice = policy === 'donate' ? body.charityChoice : null;
+
+        const { error: updateError } = await supabase.rpc('update_agreement', {
+            p_agreement_id: agreementId,
+            p_fields: fields,
+            p_progressive_discounts: progressiveDiscounts,
+            // Switching to 'donate' without a charityChoice keeps the charity already on file.
+            p_sync_charity: syncCharity && charityChoice !== undefined,
+            p_charity_choice: charityChoice ?? null,
+            p_reason: amendmentReason || null,
+            p_amended_by: amendedBy || null,
+            p_effective_from: effectiveFrom,
+            p_commission_tiers: commissionTiers
+        });
+
+        if (updateError) {
+            console.error(`Supabase Error - updateAgreement for ID ${agreementId}:`, updateError);
+            if (updateError.code === 'P0002') {
+                return res.status(404).json({ message: `Agreement with ID ${agreementId} not found.` });
+            }
+            if (updateError.code === '23P01') { // overlaps another active agreement of the product
+                return res.status(409).json({ message: updateError.message, error: updateError.message });
+            }
+            if (updateError.code === '22023') { // missing reason or effective date before the latest version
+                return res.status(400).json({ message: updateError.message, error: updateError.message });
+            }
+            return res.status(500).json({ message: 'Error updating agreement', error: updateError.message });
+        }
+
+        const { data: updated, error: fetchError } = await supabase
+            .from('agreements')
+            .select(AGREEMENT_SELECT)
+            .eq('id', agreementId)
+            .single();
+
+        if (fetchError) throw fetchError;
+
+        console.log(`[${new Date().toISOString()}] Agreement ${agreementId} updated (version ${updated.current_version}).`);
+        res.status(200).json(formatAgreement(updated));
+    } catch (error) {
+        console.error('Error in updateAgreement:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+// DELETE /api/agreements/:id - Delete an agreement with its discount schedule and charity choice
+// Refused with 409 once the product has sales recorded against the agreement.
+exports.deleteAgreement = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] DELETE /api/agreements/%s called.', new Date().toISOString(), req.params.id);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    try {
+        const { data: deleted, error } = await supabase.rpc('delete_agreement', { p_agreement_id: agreementId });
+
+        if (error) {
+            console.error(`Supabase Error - deleteAgreement for ID ${agreementId}:`, error);
+            if (error.code === 'P0002') {
+                return res.status(404).json({ message: `Agreement with ID ${agreementId} not found.` });
+            }
+            if (error.code === '55000') {
+                return res.status(409).json({
+                    message: 'Agreement cannot be deleted because the product has sales recorded against it.',
+                    error: error.message
+                });
+            }
+            return res.status(500).json({ message: 'Error deleting agreement', error: error.message });
+        }
+
+        console.log(`[${new Date().toISOString()}] Agreement ${agreementId} deleted.`);
+        res.status(200).json({ message: `Agreement with ID ${agreementId} deleted successfully.`, agreement: toCamelCase(deleted) });
+    } catch (error) {
+        console.error('Error in deleteAgreement:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+// GET /api/agreements/:id/contract.pdf - The consignment contract
+// Returns the stored signed copy once the consignor has acknowledged the current version of the
+// terms, otherwise an unsigned contract of the current terms.
+exports.generateContractPdf = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] GET /api/agreements/%s/contract.pdf called.', new Date().toISOString(), req.params.id);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    try {
+        const { buffer, signed } = await getContractPdf(agreementId);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="agreement_${agreementId}_contract${signed ? '_signed' : ''}.pdf"`);
+        res.status(200).send(buffer);
+    } catch (error) {
+        console.error('Error in generateContractPdf:', error);
+        res.status(error.statusCode || 500).json({ message: error.message, error: error.details?.error });
+    }
+};
+
+// POST /api/agreements/:id/acknowledgment - Consignor acknowledges (signs) the contract
+// Body: { acknowledgedBy, signatureImage } where signatureImage is a PNG/JPEG data URL.
+// The request's IP address and user agent are recorded with it.
+exports.acknowledgeAgreement = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    const { acknowledgedBy, signatureImage } = req.body || {};
+    console.log('[%s] POST /api/agreements/%s/acknowledgment called by %s.', new Date().toISOString(), req.params.id, acknowledgedBy);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+    if (!acknowledgedBy || !String(acknowledgedBy).trim() || !signatureImage) {
+        return res.status(400).json({ message: 'Missing required fields: acknowledgedBy, signatureImage' });
+    }
+
+    // Only proxies configured with 'trust proxy' (index.js) can set the client address.
+    const ipAddress = req.ip || req.socket?.remoteAddress;
+
+    try {
+        const acknowledgment = await acknowledgeContract(agreementId, {
+            acknowledgedBy: String(acknowledgedBy).trim(),
+            signatureImage,
+            ipAddress,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(toCamelCase(acknowledgment));
+    } catch (error) {
+        console.error('Error in acknowledgeAgreement:', error);
+        res.status(error.statusCode || 500).json({ message: error.message, error: error.details?.error });
+    }
+};
+
+// GET /api/agreements/:id/acknowledgments - Acknowledgment history, newest first
+exports.getAgreementAcknowledgments = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] GET /api/agreements/%s/acknowledgments called.', new Date().toISOString(), req.params.id);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('agreement_acknowledgments')
+            .select('*')
+            .eq('agreement_id', agreementId)
+            .order('acknowledged_at', { ascending: false });
+
+        if (error) {
+            console.error(`Supabase Error - getAgreementAcknowledgments for ID ${agreementId}:`, error);
+            return res.status(500).json({ message: 'Error fetching acknowledgments from database', error: error.message });
+        }
+
+        res.status(200).json(data.map(toCamelCase));
+    } catch (error) {
+        console.error('Error in getAgreementAcknowledgments:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+// GET /api/agreements/:id/versions - Version history, oldest first
+// Each version carries its full terms and the changes from the version before it.
+exports.getAgreementVersions = async (req, res) => {
+    const agreementId = parseAgreementId(req.params.id);
+    console.log('[%s] GET /api/agreements/%s/versions called.', new Date().toISOString(), req.params.id);
+
+    if (agreementId === null) {
+        return res.status(400).json({ message: 'Invalid Agreement ID format.' });
+    }
+
+    try {
+        const { data: agreement, error: agreementError } = await supabase
+            .from('agreements')
+            .select('id, current_version')
+            .eq('id', agreementId)
+            .maybeSingle();
+
+        if (agreementError) {
+            console.error(`Supabase Error - getAgreementVersions (agreement) for ID ${agreementId}:`, agreementError);
+            return res.status(500).json({ message: 'Error fetching agreement from database', error: agreementError.message });
+        }
+        if (!agreement) {
+            return res.status(404).json({ message: `Agreement with ID ${agreementId} not found.` });
+        }
+
+        const { data, error } = await supabase
+            .from('agreement_versions')
+            .select('*')
+            .eq('agreement_id', agreementId)
+            .order('version_number', { ascending: true });
+
+        if (error) {
+            console.error(`Supabase Error - getAgreementVersions for ID ${agreementId}:`, error);
+            return res.status(500).json({ message: 'Error fetching agreement versions from database', error: error.message });
+        }
+
+        let previousTerms = null;
+        const versions = data.map(version => {
+            const terms = formatTerms(version.terms);
+            const changes = previousTerms ? diffTerms(previousTerms, terms) : [];
+            previousTerms = terms;
+            return { ...toCamelCase(version), terms, changes };
+        });
+
+        res.status(200).json({ agreementId, currentVersion: agreement.current_version, versions });
+    } catch (error) {
+        console.error('Error in getAgreementVersions:', error);
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
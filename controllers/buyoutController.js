@@ -0,0 +1,110 @@
+// backend/controllers/buyoutController.js
+// Store buyout API: candidates nearing the end of their consignment, buying a product
+// out and the history of buyouts.
+
+const supabase = require('../config/supabaseClient');
+const { findBuyoutCandidates, buyOutProduct } = require('../services/buyoutService');
+
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+const BUYOUT_SELECT = `
+    *,
+    products (name, barcode),
+    consignors (full_name, email)
+`;
+
+// GET /api/buyouts/candidates?within_days=14&consignor_id=
+// Products with the store purchase option whose consignment ends within `within_days` (or already has).
+exports.getBuyoutCandidates = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] GET /api/buyouts/candidates called. Query:`, req.query);
+    const withinDays = req.query.within_days !== undefined ? parseInt(req.query.within_days) : 14;
+    if (isNaN(withinDays) || withinDays < 0) {
+        return res.status(400).json({ message: 'within_days must be a non-negative number.' });
+    }
+
+    try {
+        const candidates = await findBuyoutCandidates({ withinDays, consignorId: req.query.consignor_id });
+        res.status(200).json(candidates);
+    } catch (err) {
+        console.error("Server Error - getBuyoutCandidates:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// POST /api/buyouts
+// Body: { product_id, bought_out_by?, notes? }
+exports.createBuyout = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] POST /api/buyouts called. Body:`, req.body);
+    const { product_id, bought_out_by, notes } = req.body || {};
+
+    const productId = parseInt(product_id);
+    if (isNaN(productId)) {
+        return res.status(400).json({ message: 'A valid product_id is required.' });
+    }
+
+    try {
+        const buyout = await buyOutProduct(productId, { boughtOutBy: bought_out_by, notes });
+        res.status(201).json({ message: 'Product bought out by the store.', buyout });
+    } catch (err) {
+        console.error("Server Error - createBuyout:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/buyouts?consignor_id=
+exports.getBuyouts = async (req, res) => {
+    const { consignor_id } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/buyouts called. Query:`, req.query);
+
+    try {
+        let query = supabase
+            .from('store_buyouts')
+            .select(BUYOUT_SELECT)
+            .order('created_at', { ascending: false });
+
+        if (consignor_id) query = query.eq('consignor_id', consignor_id);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error("Supabase Error - getBuyouts:", error);
+            return res.status(500).json({ message: 'Error fetching buyouts from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getBuyouts:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/buyouts/:id
+exports.getBuyoutById = async (req, res) => {
+    const buyoutId = req.params.id;
+    console.log(`[${new Date().toISOString()}] GET /api/buyouts/${buyoutId} called.`);
+
+    if (!UUID_REGEX.test(buyoutId)) {
+        return res.status(400).json({ message: 'Invalid Buyout ID format (must be a UUID).' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('store_buyouts')
+            .select(BUYOUT_SELECT)
+            .eq('id', buyoutId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - getBuyoutById for ID ${buyoutId}:`, error);
+            return res.status(500).json({ message: 'Error fetching buyout from database', error: error.message });
+        }
+        if (!data) {
+            return res.status(404).json({ message: `Buyout with ID ${buyoutId} not found.` });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getBuyoutById:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
@@ -1,13 +1,34 @@
 // backend/controllers/commissionController.js
-const supabase = require('../config/supabaseClient');
+// Commission API: periods due and paid, a period's details, payments, the per-consignor
+// report, closing periods and their adjustments, and statements. The bookkeeping itself lives in services/commissionService.js.
+const {
+    listUnpaidCommissions,
+    listPaidCommissions,
+    getCommissionDetails,
+    getPayableCommission,
+    recordCommissionPayment,
+    generateCommissionReport,
+    closeCommissionPeriod,
+    closeCommissionPeriods,
+    recordPriceCorrection,
+    listCommissionAdjustments,
+} = require('../services/commissionService');
+const { getStatementPdf, streamStatementsZip } = require('../services/statementService');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+// The commission screens read failures as { error: <message> }.
+const sendError = (res, err) => res.status(err.statusCode || 500).json({ error: err.message });
 
 // --- COMMISSION API CONTROLLERS ---
 
 /**
- * Generates or fetches a commission tracking record for a given consignor and date range.
+ * GET/POST /api/commissions/report?consignor_id=&period_start=&period_end=
+ * Generates (or brings up to date) the commission report of a consignor for a period.
  */
 exports.getOrCreateCommissionReport = async (req, res) => {
-    console.log(`[${new Date().toISOString()}] GET/POST /api/commissions/report called. Query:`, req.query);
+    console.log(`[${new Date().toISOString()}] ${req.method} /api/commissions/report called. Query:`, req.query);
     const { consignor_id, period_start, period_end } = req.query;
 
     if (!consignor_id || !period_start || !period_end) {
@@ -18,146 +39,284 @@ exports.getOrCreateCommissionReport = async (req, res) => {
     if (isNaN(parsedConsignorId)) {
         return res.status(400).json({ message: 'Invalid Consignor ID.' });
     }
+    if (!DATE_REGEX.test(period_start) || !DATE_REGEX.test(period_end) || period_end < period_start) {
+        return res.status(400).json({ message: 'period_start and period_end must be YYYY-MM-DD dates, period_end not before period_start.' });
+    }
 
     try {
-        let { data: existingTracking, error: fetchError } = await supabase
-            .from('commission_tracking')
-            .select('*')
-            .eq('consignor_id', parsedConsignorId)
-            .eq('period_start', period_start)
-            .eq('period_end', period_end)
-            .maybeSingle();
-
-        if (fetchError) throw fetchError;
-
-        let commissionTrackingId;
-        let totalCommission = 0;
-        let totalSales = 0;
-        let commissionItemsData = [];
-
-        if (!existingTracking) {
-            const { data: saleItems, error: saleItemsError } = await supabase
-                .from('sale_items')
-                .select(`
-                    id, product_id, quantity, unit_price, commission, line_total, sale_id,
-                    agreement_id, products(name), sale_header(sale_date), agreements(commission_rate)
-                `)
-                .eq('consignor_id', parsedConsignorId)
-                .gte('sale_header.sale_date', period_start)
-                .lte('sale_header.sale_date', period_end);
-
-            if (saleItemsError) throw saleItemsError;
-
-            if (!saleItems.length) {
-                return res.status(200).json({ message: 'No sales found for this period.', report: null });
-            }
-
-            commissionItemsData = saleItems.map(item => {
-                totalCommission += item.commission || 0;
-                totalSales += item.line_total || 0;
-
-                return {
-                    commission_tracking_id: null,
-                    sale_item_id: item.id,
-                    product_id: item.product_id,
-                    sale_amount: item.line_total,
-                    commission_rate: item.agreements?.commission_rate || 0,
-                    commission_amount: item.commission,
-                };
-            });
-
-            const { data: newTracking, error: insertError } = await supabase
-                .from('commission_tracking')
-                .insert([{
-                    consignor_id: parsedConsignorId,
-                    period_start,
-                    period_end,
-                    total_commission: totalCommission,
-                    total_sales: totalSales,
-                    status: 'pending',
-                    generated_at: new Date().toISOString(),
-                    paid_amount: 0
-                }])
-                .select('*')
-                .single();
-
-            if (insertError) throw insertError;
-
-            commissionTrackingId = newTracking.id;
-            existingTracking = newTracking;
-
-            const itemsToInsert = commissionItemsData.map(item => ({
-                ...item,
-                commission_tracking_id: commissionTrackingId
-            }));
-
-            const { error: itemsError } = await supabase
-                .from('commission_items')
-                .insert(itemsToInsert);
-
-            if (itemsError) {
-                await supabase.from('commission_tracking').delete().eq('id', commissionTrackingId);
-                throw itemsError;
-            }
-        } else {
-            commissionTrackingId = existingTracking.id;
-            const { data: existingItems, error: itemsError } = await supabase
-                .from('commission_items')
-                .select(`*, sale_items(sale_id, product_id, quantity, unit_price, products(name), sale_header(invoice_number, sale_date))`)
-                .eq('commission_tracking_id', commissionTrackingId);
-
-            if (itemsError) throw itemsError;
-
-            commissionItemsData = existingItems;
-            totalCommission = existingTracking.total_commission;
-            totalSales = existingTracking.total_sales;
+        const report = await generateCommissionReport(parsedConsignorId, period_start, period_end);
+        if (!report) {
+            return res.status(200).json({ message: 'No sales found for this period.', report: null });
         }
+        res.status(200).json({ message: 'Commission report processed successfully.', report });
+    } catch (err) {
+        console.error("Commission Report Error:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
 
-        const { data: payments, error: paymentsError } = await supabase
-            .from('commission_payments')
-            .select('*')
-            .eq('commission_tracking_id', commissionTrackingId);
-
-        if (paymentsError) console.warn("Payment fetch warning:", paymentsError);
+// GET /api/commissions/unpaid - pending and partially paid periods, with the remaining balance of each
+exports.getUnpaidCommissions = async (req, res) => {
+    try {
+        res.json(await listUnpaidCommissions());
+    } catch (err) {
+        console.error('Error fetching unpaid commissions:', err);
+        sendError(res, err);
+    }
+};
 
-        const report = {
-            ...existingTracking,
-            commission_items: commissionItemsData,
-            payments: payments || []
-        };
+// GET /api/commissions/paid
+exports.getPaidCommissions = async (req, res) => {
+    try {
+        res.json(await listPaidCommissions());
+    } catch (err) {
+        console.error('Error fetching paid commissions:', err);
+        sendError(res, err);
+    }
+};
 
-        res.status(200).json({ message: 'Commission report processed successfully.', report });
+// GET /api/commissions/:id/details
+exports.getCommissionDetails = async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id || '')) {
+        return res.status(400).json({ error: 'Invalid Commission Tracking ID.' });
+    }
 
+    try {
+        const { header, items, payments } = await getCommissionDetails(req.params.id);
+        res.json({
+            header,
+            items,
+            payments,
+            payment: payments.length > 0 ? payments[payments.length - 1] : null // latest, for older clients
+        });
     } catch (err) {
-        console.error("Commission Report Error:", err);
-        res.status(500).json({ message: 'Internal server error', error: err.message });
+        console.error('Error fetching commission details:', err);
+        sendError(res, err);
     }
 };
 
 /**
- * Verifies a commission tracking record before marking as paid
+ * GET /api/commissions/:id/verify
+ * Verifies a commission tracking record before paying it (pending, calculated or partially paid).
  */
 exports.verifyCommissionTracking = async (req, res) => {
     const trackingId = req.params.id;
 
-    if (!trackingId || !/^[0-9a-fA-F\-]{36}$/.test(trackingId)) {
-        return res.status(400).json({ message: 'Invalid Commission Tracking ID.' });
+    if (!UUID_REGEX.test(trackingId || '')) {
+        return res.status(400).json({ success: false, error: 'Invalid Commission Tracking ID.' });
     }
 
     try {
-        const { data: tracking, error } = await supabase
-            .from('commission_tracking')
-            .select('id, status')
-            .eq('id', trackingId)
-            .maybeSingle();
+        const commission = await getPayableCommission(trackingId);
+        res.status(200).json({
+            success: true,
+            message: 'Commission is valid for payment',
+            commission_id: commission.id,
+            status: commission.status,
+            total_commission: commission.total_commission,
+            paid_amount: commission.paid_amount || 0,
+            remaining_balance: commission.remaining_balance
+        });
+    } catch (err) {
+        console.error("Verify Error:", err);
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+/**
+ * POST /api/commissions/payment
+ * Records a full or partial (installment) payment; the period is partially_paid until
+ * its balance is paid out. Amounts above the remaining balance are refused (409).
+ */
+exports.recordPayment = async (req, res) => {
+    const {
+        commission_tracking_id,
+        amount,
+        payment_date,
+        payment_method,
+        transaction_reference,
+        bank_name,
+        account_last_four,
+        card_last_four,
+        card_type
+    } = req.body;
+
+    if (!commission_tracking_id || !amount || !payment_date || !payment_method) {
+        return res.status(400).json({
+            error: 'Missing required fields (commission_tracking_id, amount, payment_date, payment_method)'
+        });
+    }
 
-        if (error) throw error;
-        if (!tracking) return res.status(404).json({ message: 'Commission tracking record not found.' });
-        if (tracking.status === 'paid') return res.status(400).json({ message: 'Commission already paid.' });
+    const paymentAmount = parseFloat(amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+        return res.status(400).json({ error: 'amount must be a number greater than zero' });
+    }
+
+    try {
+        const { payment, tracking } = await recordCommissionPayment(commission_tracking_id, {
+            payment_date,
+            payment_method,
+            amount: paymentAmount,
+            transaction_reference,
+            bank_name,
+            account_last_four,
+            card_last_four,
+            card_type
+        });
 
-        res.status(200).json({ valid: true });
+        console.log(`[${new Date().toISOString()}] Payment of ${payment.amount} recorded for commission ${commission_tracking_id}; status ${tracking.status}.`);
+        res.status(201).json({
+            success: true,
+            payment,
+            status: tracking.status,
+            paid_amount: tracking.paid_amount,
+            remaining_balance: tracking.remaining_balance
+        });
     } catch (err) {
-        console.error("Verify Error:", err);
-        res.status(500).json({ message: 'Internal server error', error: err.message });
+        console.error('Error recording payment:', err);
+        sendError(res, err);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * POST /api/commissions/:id/close
+ * Body: { closed_by? }. Locks one consignor's period; later changes become adjustments.
+ */
+exports.closePeriod = async (req, res) => {
+    const { id } = req.params;
+    console.log(`[${new Date().toISOString()}] POST /api/commissions/${id}/close called. Body:`, req.body);
+
+    if (!UUID_REGEX.test(id || '')) {
+        return res.status(400).json({ error: 'Invalid Commission Tracking ID.' });
+    }
+
+    try {
+        const commission = await closeCommissionPeriod(id, req.body?.closed_by);
+        res.status(200).json({ success: true, commission });
+    } catch (err) {
+        console.error('Error closing commission period:', err);
+        sendError(res, err);
+    }
+};
+
+/**
+ * POST /api/commissions/close
+ * Body: { period_start, period_end, closed_by? }. Closes every consignor's periods lying within
+ * those dates (e.g. month end, whatever their payout schedule), including periods not created yet.
+ */
+exports.closePeriods = async (req, res) => {
+    const { period_start, period_end, closed_by } = req.body || {};
+    console.log(`[${new Date().toISOString()}] POST /api/commissions/close called. Body:`, req.body);
+
+    if (!DATE_REGEX.test(period_start || '') || !DATE_REGEX.test(period_end || '') || period_end < period_start) {
+        return res.status(400).json({ error: 'period_start and period_end (YYYY-MM-DD) are required, period_end not before period_start' });
+    }
+
+    try {
+        const closed = await closeCommissionPeriods(period_start, period_end, closed_by);
+        console.log(`[${new Date().toISOString()}] Commission period ${period_start} to ${period_end} closed (${closed} consignor period(s)).`);
+        res.status(200).json({ success: true, period_start, period_end, closed });
+    } catch (err) {
+        console.error('Error closing commission periods:', err);
+        sendError(res, err);
+    }
+};
+
+/**
+ * GET /api/commissions/adjustments?consignor_id=&type=&from=&to=
+ * Adjustment lines booked against another period (late sales, voids, returns, sale date
+ * changes, price corrections), with the period they were booked into and the one they adjust.
+ */
+exports.getAdjustments = async (req, res) => {
+    const { consignor_id, type, from, to } = req.query;
+
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    try {
+        res.json(await listCommissionAdjustments({ consignorId: consignor_id, type, from, to }));
+    } catch (err) {
+        console.error('Error fetching commission adjustments:', err);
+        sendError(res, err);
+    }
+};
+
+/**
+ * POST /api/commissions/adjustments
+ * Body: { sale_item_id, sale_amount, commission_amount, reason, adjusted_by? }
+ * Price correction of a sale line: the differences (negative to take back) are booked
+ * against the sale's period, or the next open one when it is closed or paid.
+ */
+exports.createPriceCorrection = async (req, res) => {
+    const { sale_item_id, sale_amount, commission_amount, reason, adjusted_by } = req.body || {};
+    console.log(`[${new Date().toISOString()}] POST /api/commissions/adjustments called. Body:`, req.body);
+
+    const saleAmount = parseFloat(sale_amount ?? 0);
+    const commissionAmount = parseFloat(commission_amount);
+    if (!UUID_REGEX.test(sale_item_id || '')) {
+        return res.status(400).json({ error: 'A valid sale_item_id is required' });
+    }
+    if (isNaN(saleAmount) || isNaN(commissionAmount) || (saleAmount === 0 && commissionAmount === 0)) {
+        return res.status(400).json({ error: 'sale_amount and commission_amount must be numbers, not both zero' });
+    }
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ error: 'A reason is required for a price correction' });
+    }
+
+    try {
+        const adjustment = await recordPriceCorrection(sale_item_id, {
+            saleAmount,
+            commissionAmount,
+            reason: String(reason).trim(),
+            adjustedBy: adjusted_by
+        });
+        res.status(201).json({ success: true, adjustment });
+    } catch (err) {
+        console.error('Error booking price correction:', err);
+        sendError(res, err);
+    }
+};
+
+// GET /api/commissions/statements?period_start=&period_end= - zip of every consignor's statement PDF for the period
+exports.getStatementsZip = async (req, res) => {
+    const { period_start, period_end } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/commissions/statements called. Query:`, req.query);
+
+    if (!DATE_REGEX.test(period_start || '') || !DATE_REGEX.test(period_end || '')) {
+        return res.status(400).json({ error: 'period_start and period_end (YYYY-MM-DD) are required' });
+    }
+
+    try {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="statements_${period_start}_${period_end}.zip"`);
+        const count = await streamStatementsZip(period_start, period_end, res);
+        console.log(`[${new Date().toISOString()}] ${count} statement(s) zipped for ${period_start} to ${period_end}.`);
+    } catch (err) {
+        console.error('Error generating statements zip:', err);
+        if (res.headersSent) return res.end();
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        sendError(res, err);
+    }
+};
+
+// GET /api/commissions/:id/statement.pdf - consignor statement for one period
+exports.getStatement = async (req, res) => {
+    const { id } = req.params;
+    console.log(`[${new Date().toISOString()}] GET /api/commissions/${id}/statement.pdf called.`);
+
+    if (!UUID_REGEX.test(id || '')) {
+        return res.status(400).json({ error: 'Invalid Commission Tracking ID.' });
+    }
+
+    try {
+        const { buffer, filename } = await getStatementPdf(id);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(buffer);
+    } catch (err) {
+        console.error('Error generating commission statement:', err);
+        sendError(res, err);
+    }
+};
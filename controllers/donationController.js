@@ -0,0 +1,146 @@
+// backend/controllers/donationController.js
+// Donated unsold items and the donation acknowledgment consignors keep for their tax records.
+
+const supabase = require('../config/supabaseClient');
+const { getDonatedItems } = require('../services/donationService');
+const {
+    RECEIPT_TEMPLATES, getReceiptSettings, createReceiptDocument, drawStoreHeader, drawRule, drawAmountRow, drawReceiptFooter, loadLogo
+} = require('../services/receiptService');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// start_date / end_date from the query, or the calendar year given as ?year= (default: this year).
+const parseDateRange = (query) => {
+    if (query.start_date || query.end_date) {
+        if ((query.start_date && !DATE_REGEX.test(query.start_date)) || (query.end_date && !DATE_REGEX.test(query.end_date))) {
+            return null;
+        }
+        return { startDate: query.start_date, endDate: query.end_date };
+    }
+    const year = query.year ? parseInt(query.year) : new Date().getUTCFullYear();
+    if (isNaN(year) || year < 2000 || year > 9999) return null;
+    return { startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+};
+
+// GET /api/donations?consignor_id=&charity=&start_date=&end_date=
+exports.getDonations = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] GET /api/donations called. Query:`, req.query);
+    const { consignor_id, charity, start_date, end_date } = req.query;
+
+    if ((start_date && !DATE_REGEX.test(start_date)) || (end_date && !DATE_REGEX.test(end_date))) {
+        return res.status(400).json({ message: 'start_date and end_date must be YYYY-MM-DD.' });
+    }
+
+    try {
+        const items = await getDonatedItems({ consignorId: consignor_id, charity, startDate: start_date, endDate: end_date });
+        const totalValue = Math.round(items.reduce((sum, item) => sum + item.fair_market_value, 0) * 100) / 100;
+        res.status(200).json({ items, total_fair_market_value: totalValue });
+    } catch (err) {
+        console.error("Server Error - getDonations:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/donations/consignors/:consignorId/acknowledgment?year=YYYY (or ?start_date=&end_date=)
+// PDF listing the consignor's items donated in the period, with date, charity and fair-market value.
+exports.generateDonationAcknowledgmentPdf = async (req, res) => {
+    const consignorId = parseInt(req.params.consignorId);
+    console.log(`[${new Date().toISOString()}] GET /api/donations/consignors/${req.params.consignorId}/acknowledgment called. Query:`, req.query);
+
+    if (isNaN(consignorId)) {
+        return res.status(400).json({ message: 'Invalid consignor ID provided.' });
+    }
+    const range = parseDateRange(req.query);
+    if (!range) {
+        return res.status(400).json({ message: 'Provide ?year=YYYY or ?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD.' });
+    }
+
+    try {
+        const { data: consignor, error } = await supabase
+            .from('consignors')
+            .select('id, full_name, email, address')
+            .eq('id', consignorId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - generateDonationAcknowledgmentPdf (consignor ${consignorId}):`, error);
+            return res.status(500).json({ message: 'Error fetching consignor from database', error: error.message });
+        }
+        if (!consignor) {
+            return res.status(404).json({ message: `Consignor with ID ${consignorId} not found.` });
+        }
+
+        const items = await getDonatedItems({ consignorId, ...range });
+        if (items.length === 0) {
+            return res.status(404).json({ message: `No donated items for consignor ${consignorId} in this period.` });
+        }
+
+        const settings = await getReceiptSettings();
+        const logo = await loadLogo(settings?.logo_url);
+        const template = RECEIPT_TEMPLATES.letter;
+        const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+        const periodLabel = `${range.startDate || 'start'} to ${range.endDate || 'today'}`;
+
+        const doc = createReceiptDocument(template);
+        const filename = `donation_acknowledgment_${consignorId}_${range.startDate || 'all'}_${range.endDate || 'today'}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        doc.pipe(res);
+
+        drawStoreHeader(doc, template, settings, 'DONATION ACKNOWLEDGMENT', logo);
+
+        doc.fontSize(12).font('Helvetica-Bold').text('Consignor:', { continued: true }).font('Helvetica').text(` ${consignor.full_name}`);
+        if (consignor.address) doc.text(consignor.address);
+        doc.font('Helvetica-Bold').text('Period:', { continued: true }).font('Helvetica').text(` ${periodLabel}`);
+        doc.moveDown(0.5);
+        doc.fontSize(11).text(
+            'Under your consignment agreement, the unsold items below were donated on your behalf. ' +
+            'Values are the store\'s estimate of fair-market value on the date of donation. ' +
+            'Please keep this acknowledgment with your tax records.'
+        );
+
+        drawRule(doc, template);
+
+        const tableTop = doc.y;
+        doc.font('Helvetica-Bold').fontSize(11)
+           .text('Date', 50, tableTop, { width: 75 })
+           .text('Item', 125, tableTop, { width: 185 })
+           .text('Charity', 310, tableTop, { width: 140 })
+           .text('Value', 450, tableTop, { width: 100, align: 'right' });
+        drawRule(doc, template);
+
+        doc.font('Helvetica').fontSize(10);
+        items.slice().reverse().forEach(item => {
+            if (doc.y > doc.page.height - 120) doc.addPage();
+            const rowY = doc.y;
+            doc.text(new Date(item.donated_at).toLocaleDateString(), 50, rowY, { width: 75 });
+            doc.text(`${item.name}${item.quantity > 1 ? ` (x${item.quantity})` : ''}`, 125, rowY, { width: 185 });
+            const nameBottom = doc.y;
+            doc.text(item.charity_choice || 'Unspecified', 310, rowY, { width: 140 });
+            const charityBottom = doc.y;
+            doc.text(money(item.fair_market_value), 450, rowY, { width: 100, align: 'right' });
+            doc.y = Math.max(nameBottom, charityBottom, doc.y);
+            doc.moveDown(0.4);
+        });
+
+        drawRule(doc, template);
+
+        const totalValue = items.reduce((sum, item) => sum + item.fair_market_value, 0);
+        drawAmountRow(doc, template, `Items donated: ${items.reduce((sum, item) => sum + item.quantity, 0)}`, '');
+        drawAmountRow(doc, template, 'TOTAL FAIR-MARKET VALUE:', money(totalValue), { bold: true, size: 14 });
+        doc.moveDown(1);
+
+        drawReceiptFooter(doc, template, { ...settings, return_policy: null, receipt_footer: null }, null,
+            `Issued ${new Date().toLocaleDateString()}. No goods or services were provided in exchange for these donations.`);
+
+        doc.end();
+    } catch (err) {
+        console.error("Server Error - generateDonationAcknowledgmentPdf:", err);
+        if (res.headersSent) return res.end();
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ message: err.message, error: err.details?.error });
+        }
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
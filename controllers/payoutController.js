@@ -0,0 +1,156 @@
+// backend/controllers/payoutController.js
+// Consignor payout runs: draft a run of every payable commission period up to a cut-off
+// date, download its bank file, then finalize it (payments recorded) or cancel it.
+
+const supabase = require('../config/supabaseClient');
+const {
+    PAYOUT_RUN_STATUSES, createPayoutRun, finalizePayoutRun, cancelPayoutRun, getPayoutRunSummary, getPayoutFile
+} = require('../services/payoutService');
+
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// POST /api/payouts
+// Body: { cutoff_date, minimum_amount?, payment_date?, payment_method?, created_by? }
+// Drafts a run and answers with its summary. Consignors owed money but without bank
+// details are listed in run.skipped_consignor_ids.
+exports.createRun = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] POST /api/payouts called. Body:`, req.body);
+    const { cutoff_date, minimum_amount, payment_date, payment_method, created_by } = req.body || {};
+
+    if (!DATE_REGEX.test(cutoff_date || '')) {
+        return res.status(400).json({ message: 'cutoff_date (YYYY-MM-DD) is required.' });
+    }
+    if (cutoff_date > new Date().toISOString().split('T')[0]) {
+        return res.status(400).json({ message: 'cutoff_date cannot be later than today.' });
+    }
+    if (payment_date !== undefined && !DATE_REGEX.test(payment_date || '')) {
+        return res.status(400).json({ message: 'payment_date must be a YYYY-MM-DD date.' });
+    }
+    const minimumAmount = minimum_amount !== undefined ? parseFloat(minimum_amount) : 0;
+    if (isNaN(minimumAmount) || minimumAmount < 0) {
+        return res.status(400).json({ message: 'minimum_amount must be a non-negative number.' });
+    }
+
+    try {
+        const run = await createPayoutRun({
+            cutoffDate: cutoff_date,
+            minimumAmount,
+            paymentDate: payment_date,
+            paymentMethod: payment_method || 'ach',
+            createdBy: created_by
+        });
+        console.log(`[${new Date().toISOString()}] Payout run ${run.id} drafted: ${run.consignor_count} consignor(s), ${run.total_amount}.`);
+        res.status(201).json({ message: 'Payout run created.', ...(await getPayoutRunSummary(run.id)) });
+    } catch (err) {
+        console.error("Server Error - createRun:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/payouts?status=draft|finalized|cancelled
+exports.getRuns = async (req, res) => {
+    const { status } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/payouts called. Query:`, req.query);
+
+    if (status && !PAYOUT_RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${PAYOUT_RUN_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        let query = supabase.from('payout_runs').select('*').order('created_at', { ascending: false });
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error("Supabase Error - getRuns:", error);
+            return res.status(500).json({ message: 'Error fetching payout runs', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getRuns:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/payouts/:id - run summary: one transfer per consignor with the periods it pays
+exports.getRunSummary = async (req, res) => {
+    const { id } = req.params;
+    if (!UUID_REGEX.test(id)) {
+        return res.status(400).json({ message: 'Invalid payout run ID format (must be a UUID).' });
+    }
+
+    try {
+        res.status(200).json(await getPayoutRunSummary(id));
+    } catch (err) {
+        console.error("Server Error - getRunSummary:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/payouts/:id/export?format=nacha|csv&store_id=
+// Bank transfer file of the run (NACHA by default).
+exports.exportRun = async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'nacha';
+    console.log(`[${new Date().toISOString()}] GET /api/payouts/${id}/export called. Query:`, req.query);
+
+    if (!UUID_REGEX.test(id)) {
+        return res.status(400).json({ message: 'Invalid payout run ID format (must be a UUID).' });
+    }
+    if (!['nacha', 'csv'].includes(format)) {
+        return res.status(400).json({ message: 'format must be nacha or csv.' });
+    }
+
+    try {
+        const { content, filename, contentType } = await getPayoutFile(id, format, req.query.store_id);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(content);
+    } catch (err) {
+        console.error("Server Error - exportRun:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// POST /api/payouts/:id/finalize
+// Body: { finalized_by? }. Records a commission payment for every period in the run.
+exports.finalizeRun = async (req, res) => {
+    const { id } = req.params;
+    console.log(`[${new Date().toISOString()}] POST /api/payouts/${id}/finalize called. Body:`, req.body);
+
+    if (!UUID_REGEX.test(id)) {
+        return res.status(400).json({ message: 'Invalid payout run ID format (must be a UUID).' });
+    }
+
+    try {
+        const run = await finalizePayoutRun(id, req.body?.finalized_by);
+        console.log(`[${new Date().toISOString()}] Payout run ${id} finalized: ${run.period_count} payment(s) recorded.`);
+        res.status(200).json({ message: 'Payout run finalized.', ...(await getPayoutRunSummary(id)) });
+    } catch (err) {
+        console.error("Server Error - finalizeRun:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// POST /api/payouts/:id/cancel
+// Body: { cancelled_by?, reason? }. Only draft runs can be cancelled; their periods are released.
+exports.cancelRun = async (req, res) => {
+    const { id } = req.params;
+    const { cancelled_by, reason } = req.body || {};
+    console.log(`[${new Date().toISOString()}] POST /api/payouts/${id}/cancel called. Body:`, req.body);
+
+    if (!UUID_REGEX.test(id)) {
+        return res.status(400).json({ message: 'Invalid payout run ID format (must be a UUID).' });
+    }
+
+    try {
+        const run = await cancelPayoutRun(id, { cancelledBy: cancelled_by, reason });
+        res.status(200).json({ message: 'Payout run cancelled.', run });
+    } catch (err) {
+        console.error("Server Error - cancelRun:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
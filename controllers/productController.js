@@ -1,5 +1,67 @@
 // backend/controllers/productController.js
 const supabase = require('../config/supabaseClient');
+const { getCurrentPrice } = require('../services/pricingService');
+const { getAgreementTermsInForce } = require('../services/agreementService');
+const { getCommissionRule, loadCategoryCommissionRates, validatePayoutTerms } = require('../services/commissionService');
+const { validateBankDetails, maskBankDetails } = require('../services/payoutService');
+
+// Where payout runs send a consignor's money (see services/payoutService.js). The consignor
+// endpoints only ever return these masked (maskBankDetails).
+const BANK_FIELDS = ['bank_account_name', 'bank_routing_number', 'bank_account_number', 'bank_account_type'];
+
+// How often the consignor is paid and how long a period is held for returns (see services/commissionService.js).
+const PAYOUT_FIELDS = ['payout_schedule', 'payout_hold_days'];
+
+// Product columns returned by the product endpoints, with the consignor and the
+// agreements the one in force is resolved from.
+const PRODUCT_SELECT = `
+    id, name, category, condition, consignor_id, description,
+    expected_price, minimum_price, quantity, image_url, status, barcode, store_owned,
+    created_at, updated_at, listed_at,
+    consignors (id, full_name, email),
+    agreements (
+        id, status, start_date, end_date, commission_rate, minimum_store_fee,
+        commission_tiers (min_price, commission_rate),
+        progressive_discounts (days_after_listing, discount_percent),
+        agreement_versions (id, version_number, effective_from, terms)
+    )
+`;
+
+/**
+ * Adds the current price (after the progressive markdowns), consignor name and the
+ * agreement in force on `onDate` to each product. Markdowns and commission come from that
+ * agreement's version in force, the terms priceSaleLines charges a sale under.
+ * commission_rate is the consignor's rate at the current price; it is null when no agreement
+ * is in force (has_active_agreement false), and such products cannot be sold without an override.
+ */
+const formatProducts = async (products, onDate = new Date()) => {
+    const categoryRates = await loadCategoryCommissionRates(products.map(product => product.category));
+
+    return products.map(product => {
+        const { agreement } = getAgreementTermsInForce(product.agreements, onDate);
+        const pricing = getCurrentPrice(product, agreement, onDate);
+        const rule = agreement ? getCommissionRule(agreement, product, pricing.current_price, categoryRates) : null;
+
+        return {
+            ...product,
+            price: pricing.current_price,
+            original_price: pricing.original_price,
+            current_price: pricing.current_price,
+            markdown_percent: pricing.discount_percent,
+            next_markdown_date: pricing.next_markdown_date,
+            next_markdown_percent: pricing.next_discount_percent,
+            consignor_name: product.consignors ? product.consignors.full_name : 'N/A',
+            consignor: product.consignors ? {
+                id: product.consignors.id,
+                name: product.consignors.full_name
+            } : null,
+            agreement_id: agreement ? agreement.id : null,
+            has_active_agreement: Boolean(agreement),
+            // Bought-out stock pays no commission (see buyoutService)
+            commission_rate: product.store_owned ? 0 : (rule ? rule.commission_rate : null)
+        };
+    });
+};
 
 exports.testConnection = (req, res) => {
     console.log(`[${new Date().toISOString()}] GET /api/products/test-connection called.`);
@@ -7,13 +69,31 @@ exports.testConnection = (req, res) => {
 };
 
 exports.addConsignor = async (req, res) => {
-    console.log(`[${new Date().toISOString()}] POST /api/products/add-consignor called. Body:`, req.body);
+    console.log(`[${new Date().toISOString()}] POST /api/products/add-consignor called. Body:`, maskBankDetails(req.body));
     const { full_name, email, phone_number, address, is_active } = req.body;
 
     if (!full_name || !email || !phone_number || !address) {
         return res.status(400).json({ message: 'Missing required consignor fields: full_name, email, phone_number, address.' });
     }
 
+    const bankDetails = {};
+    BANK_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) bankDetails[field] = req.body[field];
+    });
+    const bankProblems = validateBankDetails(bankDetails);
+    if (bankProblems.length) {
+        return res.status(400).json({ message: 'Invalid bank details.', errors: bankProblems });
+    }
+
+    const payoutTerms = {};
+    PAYOUT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) payoutTerms[field] = req.body[field];
+    });
+    const payoutProblems = validatePayoutTerms(payoutTerms, { allowNull: false });
+    if (payoutProblems.length) {
+        return res.status(400).json({ message: 'Invalid payout terms.', errors: payoutProblems });
+    }
+
     try {
         const { data, error } = await supabase
             .from('consignors')
@@ -22,7 +102,9 @@ exports.addConsignor = async (req, res) => {
                 email,
                 phone_number,
                 address,
-                is_active: is_active !== undefined ? is_active : true
+                is_active: is_active !== undefined ? is_active : true,
+                ...bankDetails,
+                ...payoutTerms
             }])
             .select();
 
@@ -34,8 +116,9 @@ exports.addConsignor = async (req, res) => {
             return res.status(500).json({ message: 'Error adding consignor to database', error: error.message });
         }
 
-        console.log(`[${new Date().toISOString()}] Consignor added to DB:`, data);
-        res.status(201).json({ message: 'Consignor added successfully', data: data[0] });
+        const consignor = maskBankDetails(data[0]);
+        console.log(`[${new Date().toISOString()}] Consignor added to DB:`, consignor);
+        res.status(201).json({ message: 'Consignor added successfully', data: consignor });
     } catch (err) {
         console.error("Server Error - addConsignor:", err);
         res.status(500).json({ message: 'Internal server error', error: err.message });
@@ -55,7 +138,7 @@ exports.getAllConsignors = async (req, res) => {
         }
 
         console.log(`[${new Date().toISOString()}] Returning ${data.length} consignors from DB.`);
-        res.status(200).json(data);
+        res.status(200).json(data.map(maskBankDetails));
     } catch (err) {
         console.error("Server Error - getAllConsignors:", err);
         res.status(500).json({ message: 'Internal server error', error: err.message });
@@ -89,8 +172,9 @@ exports.getConsignorById = async (req, res) => {
             return res.status(404).json({ message: `Consignor with ID ${consignorId} not found.` });
         }
 
-        console.log(`[${new Date().toISOString()}] Returning consignor with ID ${consignorId}:`, data);
-        res.status(200).json(data);
+        const consignor = maskBankDetails(data);
+        console.log(`[${new Date().toISOString()}] Returning consignor with ID ${consignorId}:`, consignor);
+        res.status(200).json(consignor);
     } catch (err) {
         console.error("Server Error - getConsignorById:", err);
         res.status(500).json({ message: 'Internal server error', error: err.message });
@@ -100,13 +184,13 @@ exports.getConsignorById = async (req, res) => {
 exports.updateConsignor = async (req, res) => {
     const consignorId = parseInt(req.params.id);
     const updateData = req.body;
-    console.log(`[${new Date().toISOString()}] PUT /api/products/consignors/${consignorId} called. Update data:`, updateData);
+    console.log(`[${new Date().toISOString()}] PUT /api/products/consignors/${consignorId} called. Update data:`, maskBankDetails(updateData));
 
     if (isNaN(consignorId)) {
         return res.status(400).json({ message: 'Invalid consignor ID provided.' });
     }
 
-    const allowedFields = ['full_name', 'email', 'phone_number', 'address', 'is_active'];
+    const allowedFields = ['full_name', 'email', 'phone_number', 'address', 'is_active', ...BANK_FIELDS, ...PAYOUT_FIELDS];
     const fieldsToUpdate = {};
     let hasValidField = false;
 
@@ -118,7 +202,16 @@ exports.updateConsignor = async (req, res) => {
     }
 
     if (!hasValidField) {
-        return res.status(400).json({ message: 'No valid fields provided for consignor update. Allowed fields: full_name, email, phone_number, address, is_active.' });
+        return res.status(400).json({ message: `No valid fields provided for consignor update. Allowed fields: ${allowedFields.join(', ')}.` });
+    }
+
+    const bankProblems = validateBankDetails(fieldsToUpdate);
+    if (bankProblems.length) {
+        return res.status(400).json({ message: 'Invalid bank details.', errors: bankProblems });
+    }
+    const payoutProblems = validatePayoutTerms(fieldsToUpdate, { allowNull: false });
+    if (payoutProblems.length) {
+        return res.status(400).json({ message: 'Invalid payout terms.', errors: payoutProblems });
     }
 
     fieldsToUpdate.updated_at = new Date().toISOString();
@@ -142,8 +235,9 @@ exports.updateConsignor = async (req, res) => {
             return res.status(404).json({ message: `Consignor with ID ${consignorId} not found.` });
         }
 
-        console.log(`[${new Date().toISOString()}] Consignor ID ${consignorId} updated in DB:`, data[0]);
-        res.status(200).json(data[0]);
+        const consignor = maskBankDetails(data[0]);
+        console.log(`[${new Date().toISOString()}] Consignor ID ${consignorId} updated in DB:`, consignor);
+        res.status(200).json(consignor);
     } catch (err) {
         console.error("Server Error - updateConsignor:", err);
         res.status(500).json({ message: 'Internal server error', error: err.message });
@@ -194,31 +288,14 @@ exports.getAllProducts = async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('products')
-            .select(`
-                id, name, category, condition, consignor_id, description,
-                expected_price, minimum_price, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select ⭐
-            `);
+            .select(PRODUCT_SELECT);
 
         if (error) {
             console.error("Supabase Error - getAllProducts:", error);
             return res.status(500).json({ message: 'Error fetching products from database', error: error.message });
         }
 
-        const formattedProducts = data.map(product => ({
-            ...product,
-            consignor_name: product.consignors ? product.consignors.full_name : 'N/A',
-            consignor: product.consignors ? {
-                id: product.consignors.id,
-                name: product.consignors.full_name
-            } : null,
-            // ⭐ MODIFIED: Extracting commission_rate from agreements ⭐
-            commission_rate: product.agreements && product.agreements.length > 0
-                                 ? product.agreements[0].commission_rate
-                                 : 0 // Default to 0 if no agreement or commission_rate is null
-        }));
+        const formattedProducts = await formatProducts(data);
 
         console.log(`[${new Date().toISOString()}] Returning ${formattedProducts.length} products from DB.`);
         res.status(200).json(formattedProducts);
@@ -239,13 +316,7 @@ exports.getProductByBarcode = async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('products')
-            .select(`
-                id, name, category, condition, expected_price, minimum_price,
-                consignor_id, description, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select here too ⭐
-            `)
+            .select(PRODUCT_SELECT)
             .eq('barcode', barcode)
             .single();
 
@@ -257,19 +328,8 @@ exports.getProductByBarcode = async (req, res) => {
             return res.status(500).json({ message: 'Error fetching product by barcode from database', error: error.message });
         }
 
-        const formattedProduct = data ? {
-            ...data,
-            price: data.expected_price,
-            consignor_name: data.consignors ? data.consignors.full_name : 'N/A',
-            consignor: data.consignors ? {
-                id: data.consignors.id,
-                name: data.consignors.full_name
-            } : null,
-            // ⭐ MODIFIED: Extracting commission_rate ⭐
-            commission_rate: data.agreements && data.agreements.length > 0
-                                 ? data.agreements[0].commission_rate
-                                 : 0 // Default to 0 if no agreement or commission_rate is null
-        } : null;
+        // Current price after the progressive markdowns of the agreement in force
+        const formattedProduct = data ? (await formatProducts([data]))[0] : null;
 
         if (!formattedProduct) {
              return res.status(404).json({ message: `Product with barcode ${barcode} not found.` });
@@ -310,13 +370,7 @@ exports.addProduct = async (req, res) => {
         const { data, error } = await supabase
             .from('products')
             .insert([productToInsert])
-            .select(`
-                id, name, category, condition, consignor_id, description,
-                expected_price, minimum_price, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select here too ⭐
-            `);
+            .select(PRODUCT_SELECT);
 
         if (error) {
             console.error("Supabase Error - addProduct:", error);
@@ -326,18 +380,7 @@ exports.addProduct = async (req, res) => {
             return res.status(500).json({ message: 'Internal server error', error: error.message });
         }
 
-        const formattedProduct = {
-            ...data[0],
-            consignor_name: data[0].consignors ? data[0].consignors.full_name : 'N/A',
-            consignor: data[0].consignors ? {
-                id: data[0].consignors.id,
-                name: data[0].consignors.full_name
-            } : null,
-            // ⭐ MODIFIED: Extracting commission_rate ⭐
-            commission_rate: data[0].agreements && data[0].agreements.length > 0
-                                 ? data[0].agreements[0].commission_rate
-                                 : 0 // Default to 0 if no agreement or commission_rate is null
-        };
+        const [formattedProduct] = await formatProducts([data[0]]);
 
         console.log(`[${new Date().toISOString()}] Product added to DB:`, formattedProduct);
         res.status(201).json(formattedProduct);
@@ -386,13 +429,7 @@ exports.updateProduct = async (req, res) => {
             .from('products')
             .update(fieldsToUpdate)
             .eq('id', productId)
-            .select(`
-                id, name, category, condition, consignor_id, description,
-                expected_price, minimum_price, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select here too ⭐
-            `);
+            .select(PRODUCT_SELECT);
 
         if (error) {
             console.error("Supabase Error - updateProduct:", error);
@@ -406,18 +443,7 @@ exports.updateProduct = async (req, res) => {
             return res.status(404).json({ message: 'Product not found for update.' });
         }
 
-        const formattedProduct = {
-            ...data[0],
-            consignor_name: data[0].consignors ? data[0].consignors.full_name : 'N/A',
-            consignor: data[0].consignors ? {
-                id: data[0].consignors.id,
-                name: data[0].consignors.full_name
-            } : null,
-            // ⭐ MODIFIED: Extracting commission_rate ⭐
-            commission_rate: data[0].agreements && data[0].agreements.length > 0
-                                 ? data[0].agreements[0].commission_rate
-                                 : 0 // Default to 0 if no agreement or commission_rate is null
-        };
+        const [formattedProduct] = await formatProducts([data[0]]);
 
         console.log(`[${new Date().toISOString()}] Product updated in DB:`, formattedProduct);
         res.status(200).json(formattedProduct);
@@ -464,13 +490,7 @@ exports.getAllProductsEligibleForSale = async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('products')
-            .select(`
-                id, name, category, condition, expected_price, minimum_price,
-                consignor_id, description, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select here too ⭐
-            `)
+            .select(PRODUCT_SELECT)
             .gt('quantity', 0)
             .in('status', ['in_stock', 'paid']);
 
@@ -479,19 +499,9 @@ exports.getAllProductsEligibleForSale = async (req, res) => {
             return res.status(500).json({ message: 'Error fetching eligible products from database', error: error.message });
         }
 
-        const formattedProducts = data.map(product => ({
-            ...product,
-            price: product.expected_price,
-            consignor_name: product.consignors ? product.consignors.full_name : 'N/A',
-            // ⭐ MODIFIED: Now dynamically pulling commission_rate from agreements ⭐
-            commission_rate: product.agreements && product.agreements.length > 0
-                                 ? product.agreements[0].commission_rate
-                                 : 0, // Default to 0 if no agreement or commission_rate is null
-            consignor: product.consignors ? {
-                id: product.consignors.id,
-                name: product.consignors.full_name
-            } : null
-        }));
+        // Current price after the progressive markdowns of the agreement in force today.
+        // Products without one are listed (has_active_agreement false) but need an override to sell.
+        const formattedProducts = await formatProducts(data);
 
         console.log(`[${new Date().toISOString()}] Returning ${formattedProducts.length} eligible products from DB.`);
         res.status(200).json(formattedProducts);
@@ -528,7 +538,7 @@ exports.updateProductLocationAndStatus = async (req, res) => {
     try {
         const { data: productCheck, error: checkError } = await supabase
             .from('products')
-            .select('id, status, quantity')
+            .select('id, status, quantity, listed_at')
             .eq('id', productId)
             .single();
 
@@ -572,16 +582,12 @@ exports.updateProductLocationAndStatus = async (req, res) => {
             .update({
                 status: 'in_stock',
                 quantity: locationQuantity,
+                // First time on the shelf starts the progressive markdown clock
+                listed_at: productCheck.listed_at || new Date().toISOString(),
                 updated_at: new Date().toISOString()
             })
             .eq('id', productId)
-            .select(`
-                id, name, category, condition, consignor_id, description,
-                expected_price, minimum_price, quantity, image_url, status, barcode,
-                created_at, updated_at,
-                consignors (id, full_name, email),
-                agreements (commission_rate) // ⭐ MODIFIED: Added agreements select here too ⭐
-            `);
+            .select(PRODUCT_SELECT);
 
         if (productUpdateError) {
             console.error(`Supabase Error - updateProductLocationAndStatus (products status/quantity update) for ID ${productId}:`, productUpdateError);
@@ -591,18 +597,7 @@ exports.updateProductLocationAndStatus = async (req, res) => {
             });
         }
 
-        const formattedProduct = {
-            ...productUpdateData[0],
-            consignor_name: productUpdateData[0].consignors ? productUpdateData[0].consignors.full_name : 'N/A',
-            consignor: productUpdateData[0].consignors ? {
-                id: productUpdateData[0].consignors.id,
-                name: productUpdateData[0].consignors.full_name
-            } : null,
-            // ⭐ MODIFIED: Extracting commission_rate ⭐
-            commission_rate: productUpdateData[0].agreements && productUpdateData[0].agreements.length > 0
-                                 ? productUpdateData[0].agreements[0].commission_rate
-                                 : 0 // Default to 0 if no agreement or commission_rate is null
-        };
+        const [formattedProduct] = await formatProducts([productUpdateData[0]]);
 
         console.log(`[${new Date().toISOString()}] Product ID ${productId} location updated and status set to in_stock.`);
         res.status(200).json({
@@ -5,6 +5,7 @@ const { createClient } = require('@supabase/supabase-js');
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 const supabase = createClient(supabaseUrl, supabaseKey);
+const { totalsByMethod } = require('../services/paymentService');
 
 exports.getConsignorCommissions = async (req, res, next) => {
     const dateRange = req.query.dateRange;
@@ -28,24 +29,34 @@ exports.getConsignorCommissions = async (req, res, next) => {
         const isoEndDate = endDate.toISOString();
 
         // --- SUPABASE QUERY ---
+        // Lines are credited to the consignor recorded on the line at sale time. Stock the
+        // store bought out keeps products.consignor_id but sells with no consignor on the
+        // line, so those lines are left out.
         const { data: commissionLines, error: fetchError } = await supabase
             .from('sale_items')
             .select(`
                 line_total,
+                net_amount,
                 commission_rate,
-                products!inner (
-                    consignor_id,
-                    consignors!inner (
-                        id,
-                        full_name
-                    )
+                commission,
+                consignor_share,
+                store_share,
+                quantity,
+                returned_quantity,
+                consignor_id,
+                consignors (
+                    id,
+                    full_name
                 ),
                 sale_header!inner (
-                    sale_date
+                    sale_date,
+                    status
                 )
             `)
+            .not('consignor_id', 'is', null)
             .gte('sale_header.sale_date', isoStartDate)
-            .lte('sale_header.sale_date', isoEndDate);
+            .lte('sale_header.sale_date', isoEndDate)
+            .neq('sale_header.status', 'voided'); // Voided sales earn no commission
 
         if (fetchError) {
             console.error("Supabase fetch error:", fetchError);
@@ -56,13 +67,13 @@ exports.getConsignorCommissions = async (req, res, next) => {
         const consignorCommissionsMap = new Map();
 
         commissionLines.forEach(lineItem => {
-            if (!lineItem.products || !lineItem.products.consignors) {
-                console.warn("Missing joined product or consignor data for sale line:", lineItem);
+            if (!lineItem.consignor_id || !lineItem.consignors) {
+                console.warn("Missing consignor data for sale line:", lineItem);
                 return;
             }
 
-            const consignorId = lineItem.products.consignors.id;
-            const consignorName = lineItem.products.consignors.full_name;
+            const consignorId = lineItem.consignor_id;
+            const consignorName = lineItem.consignors.full_name;
             const commissionRate = lineItem.commission_rate;
             const lineTotal = lineItem.line_total;
 
@@ -77,16 +88,37 @@ exports.getConsignorCommissions = async (req, res, next) => {
                     consignorName: consignorName,
                     totalSales: 0,
                     commissionRate: commissionRate,
-                    commissionAmount: 0
+                    commissionAmount: 0,
+                    storeShare: 0
                 });
             }
 
+            // Each line stores its split worked out at sale time (tiers, category default,
+            // minimum store fee and discount/fee proration applied), so it is summed rather
+            // than recomputed. totalSales is net of the header discount; commissionAmount is
+            // the consignor share (what the consignor is paid), storeShare what the store keeps.
+            // Returned units come off in proportion, as their commission reversal does.
             const consignorData = consignorCommissionsMap.get(consignorId);
-            consignorData.totalSales += lineTotal;
-            consignorData.commissionAmount += (lineTotal * commissionRate);
+            const returnedRatio = lineItem.quantity > 0 ? (lineItem.returned_quantity || 0) / lineItem.quantity : 0;
+            const keep = (amount) => amount - Math.round(amount * returnedRatio * 100) / 100;
+            const netAmount = keep(parseFloat(lineItem.net_amount ?? lineTotal) || 0);
+            const consignorShare = keep(parseFloat(lineItem.consignor_share ?? lineItem.commission) || 0);
+            consignorData.totalSales += netAmount;
+            consignorData.commissionAmount += consignorShare;
+            consignorData.storeShare += netAmount - consignorShare;
         });
 
-        const commissionData = Array.from(consignorCommissionsMap.values());
+        // With tiers and store fees the rate can differ per line; report the effective rate.
+        const commissionData = Array.from(consignorCommissionsMap.values()).map(consignorData => ({
+            ...consignorData,
+            commissionRate: consignorData.totalSales > 0
+                ? Math.round((consignorData.commissionAmount / consignorData.totalSales) * 10000) / 10000
+                : consignorData.commissionRate,
+            totalSales: Math.round(consignorData.totalSales * 100) / 100,
+            commissionAmount: Math.round(consignorData.commissionAmount * 100) / 100,
+            consignorShare: Math.round(consignorData.commissionAmount * 100) / 100,
+            storeShare: Math.round(consignorData.storeShare * 100) / 100
+        }));
 
         res.json(commissionData);
 
@@ -94,4 +126,158 @@ exports.getConsignorCommissions = async (req, res, next) => {
         console.error("Error in getConsignorCommissions:", error);
         next(error);
     }
-};
\ No newline at end of file
+};
+// GET /api/reports/below-minimum?start_date=&end_date=&consignor_id=
+// Lists sale lines sold below their price floor, with the manager override that allowed it.
+exports.getBelowMinimumSales = async (req, res, next) => {
+    const { start_date, end_date, consignor_id } = req.query;
+    console.log(`Backend: Received request for below-minimum sales. Query:`, req.query);
+
+    try {
+        let query = supabase
+            .from('sale_items')
+            .select(`
+                id,
+                quantity,
+                unit_price,
+                effective_unit_price,
+                price_floor,
+                override_approved_by,
+                override_reason,
+                consignor_id,
+                products!inner (
+                    id,
+                    name,
+                    minimum_price,
+                    expected_price
+                ),
+                consignors (
+                    id,
+                    full_name
+                ),
+                sale_header!inner (
+                    id,
+                    invoice_number,
+                    sale_date,
+                    status
+                )
+            `)
+            .eq('below_minimum', true)
+            .order('sale_date', { referencedTable: 'sale_header', ascending: false });
+
+        if (start_date) query = query.gte('sale_header.sale_date', new Date(start_date).toISOString());
+        if (end_date) query = query.lte('sale_header.sale_date', new Date(end_date).toISOString());
+        if (consignor_id) query = query.eq('consignor_id', parseInt(consignor_id));
+
+        const { data: lines, error: fetchError } = await query;
+
+        if (fetchError) {
+            console.error("Supabase fetch error:", fetchError);
+            throw new Error(`Error fetching below-minimum sales: ${fetchError.message}`);
+        }
+
+        const report = lines.map(line => ({
+            saleItemId: line.id,
+            saleId: line.sale_header.id,
+            invoiceNumber: line.sale_header.invoice_number,
+            saleDate: line.sale_header.sale_date,
+            saleStatus: line.sale_header.status,
+            productId: line.products.id,
+            productName: line.products.name,
+            consignorId: line.consignors?.id || line.consignor_id,
+            consignorName: line.consignors?.full_name || 'N/A',
+            quantity: line.quantity,
+            unitPrice: line.unit_price,
+            effectiveUnitPrice: line.effective_unit_price,
+            priceFloor: line.price_floor,
+            minimumPrice: line.products.minimum_price,
+            shortfall: Math.round((line.price_floor - line.effective_unit_price) * line.quantity * 100) / 100,
+            approvedBy: line.override_approved_by,
+            reason: line.override_reason
+        }));
+
+        res.json(report);
+
+    } catch (error) {
+        console.error("Error in getBelowMinimumSales:", error);
+        next(error);
+    }
+};
+
+// GET /api/reports/payment-totals?date=YYYY-MM-DD  (or start_date/end_date)
+// End-of-day reconciliation: tenders taken per payment method, refunds given per
+// refund method, and the net per method. Voided sales are left out.
+exports.getPaymentTotals = async (req, res, next) => {
+    const { date, start_date, end_date } = req.query;
+    console.log(`Backend: Received request for payment totals. Query:`, req.query);
+
+    try {
+        const day = date ? new Date(date) : new Date();
+        const startDate = start_date ? new Date(start_date) : new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+        const endDate = end_date ? new Date(end_date) : new Date(startDate.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+        if (isNaN(startDate) || isNaN(endDate)) {
+            return res.status(400).json({ message: 'Invalid date, start_date or end_date.' });
+        }
+
+        const { data: payments, error: paymentsError } = await supabase
+            .from('sale_payments')
+            .select(`
+                payment_method,
+                amount,
+                sale_header!inner (
+                    sale_date,
+                    status
+                )
+            `)
+            .gte('sale_header.sale_date', startDate.toISOString())
+            .lte('sale_header.sale_date', endDate.toISOString())
+            .neq('sale_header.status', 'voided');
+
+        if (paymentsError) {
+            console.error("Supabase fetch error:", paymentsError);
+            throw new Error(`Error fetching sale payments: ${paymentsError.message}`);
+        }
+
+        const { data: refunds, error: refundsError } = await supabase
+            .from('sale_returns')
+            .select('refund_method, refund_amount')
+            .gte('return_date', startDate.toISOString())
+            .lte('return_date', endDate.toISOString());
+
+        if (refundsError) {
+            console.error("Supabase fetch error:", refundsError);
+            throw new Error(`Error fetching refunds: ${refundsError.message}`);
+        }
+
+        const taken = totalsByMethod(payments);
+        const refunded = totalsByMethod(refunds, 'refund_method', 'refund_amount');
+
+        const methods = [...new Set([...taken, ...refunded].map(entry => entry.payment_method))];
+        const byMethod = methods.map(method => {
+            const takenEntry = taken.find(entry => entry.payment_method === method) || { count: 0, total: 0 };
+            const refundEntry = refunded.find(entry => entry.payment_method === method) || { count: 0, total: 0 };
+            return {
+                paymentMethod: method,
+                paymentCount: takenEntry.count,
+                taken: takenEntry.total,
+                refundCount: refundEntry.count,
+                refunded: refundEntry.total,
+                net: Math.round((takenEntry.total - refundEntry.total) * 100) / 100
+            };
+        });
+
+        res.json({
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString(),
+            byMethod,
+            totalTaken: Math.round(byMethod.reduce((sum, entry) => sum + entry.taken, 0) * 100) / 100,
+            totalRefunded: Math.round(byMethod.reduce((sum, entry) => sum + entry.refunded, 0) * 100) / 100,
+            net: Math.round(byMethod.reduce((sum, entry) => sum + entry.net, 0) * 100) / 100
+        });
+
+    } catch (error) {
+        console.error("Error in getPaymentTotals:", error);
+        next(error);
+    }
+};
@@ -0,0 +1,371 @@
+// backend/controllers/returnController.js
+// Partial returns and exchanges against individual sale lines.
+// The return itself (quantities, refund, restock, commission reversal) and the
+// replacement sale of an exchange are written atomically by the process_sale_return()
+// database function.
+
+const supabase = require('../config/supabaseClient');
+const { RECEIPT_TEMPLATES, getReceiptSettings, createReceiptDocument, drawStoreHeader, drawReceiptFooter, loadLogo } = require('../services/receiptService');
+const { prepareSale } = require('../services/saleService');
+
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+const RETURN_SELECT = `
+    *,
+    sale_header:sale_id (id, invoice_number, store_id, sale_date, customer_name, contact_type, contact_info, discount_percent),
+    exchange_sale:exchange_sale_id (id, invoice_number, total_amount),
+    sale_return_items (
+        *,
+        products:product_id (name),
+        sale_items:sale_item_id (unit_price, quantity, returned_quantity, consignor_id)
+    )
+`;
+
+// POST /api/returns
+// Body: {
+//   sale_id, refund_method, reason, processed_by,
+//   items: [{ sale_item_id, quantity, refund_amount?, restock? }],
+//   exchange_items?: [{ product_id, quantity, unit_price? }],
+//   exchange_payment_method?, exchange_payments?: [{ payment_method, amount, reference?, card_last_four? }]
+// }
+// refund_amount defaults to the unit price (after the sale's header discount) times the quantity returned.
+// A line can never be refunded more than was paid for it (net_amount) minus its earlier refunds.
+// When exchange_items are given, a new sale for them is recorded in the same transaction and
+// linked to the return. The refund pays for it (exchange_credit); when it costs more, the
+// difference must be paid with exchange_payment_method or exchange_payments.
+exports.createReturn = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] POST /api/returns called. Body:`, JSON.stringify(req.body, null, 2));
+    const {
+        sale_id,
+        items,
+        refund_method,
+        reason,
+        processed_by,
+        exchange_items,
+        exchange_payment_method,
+        exchange_payments
+    } = req.body;
+
+    if (!sale_id || !UUID_REGEX.test(sale_id)) {
+        return res.status(400).json({ message: 'A valid sale_id (UUID) is required.' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ message: 'A return must include at least one item.' });
+    }
+    const invalidItem = items.find(item => !UUID_REGEX.test(item.sale_item_id || '') || !(parseInt(item.quantity) > 0));
+    if (invalidItem) {
+        return res.status(400).json({ message: 'Each return item needs a valid sale_item_id and a quantity of at least 1.', item: invalidItem });
+    }
+    const isExchange = Array.isArray(exchange_items) && exchange_items.length > 0;
+    if (!refund_method && !isExchange) {
+        return res.status(400).json({ message: 'refund_method is required.' });
+    }
+    if (isExchange) {
+        const invalidExchangeLine = exchange_items.find(item =>
+            isNaN(parseInt(item.product_id)) || !(parseInt(item.quantity) > 0));
+        if (invalidExchangeLine) {
+            return res.status(400).json({ message: 'Each exchange item needs a valid product_id and a quantity of at least 1.', item: invalidExchangeLine });
+        }
+    }
+
+    try {
+        const { data: sale, error: saleError } = await supabase
+            .from('sale_header')
+            .select(`
+                id, invoice_number, store_id, customer_name, contact_type, contact_info, discount_percent, status,
+                sale_items (id, unit_price, line_total, net_amount, consignor_id, sale_return_items (refund_amount))
+            `)
+            .eq('id', sale_id)
+            .single();
+
+        if (saleError) {
+            console.error(`Supabase Error - createReturn (fetching sale) for ID ${sale_id}:`, saleError);
+            if (saleError.code === 'PGRST116') {
+                return res.status(404).json({ message: `Sale with ID ${sale_id} not found.` });
+            }
+            return res.status(500).json({ message: 'Error fetching sale for return', error: saleError.message });
+        }
+
+        // Default each line's refund to what the customer actually paid for it.
+        const discountFactor = 1 - (parseFloat(sale.discount_percent) || 0) / 100;
+        // What is left to refund per line: amount paid less earlier refunds (and the
+        // lines already taken in this request). process_sale_return() checks it again
+        // with the line locked.
+        const refundable = new Map(sale.sale_items.map(line => {
+            const paid = parseFloat(line.net_amount ?? Math.round(line.line_total * discountFactor * 100) / 100) || 0;
+            const refunded = (line.sale_return_items || []).reduce((sum, r) => sum + (parseFloat(r.refund_amount) || 0), 0);
+            return [line.id, Math.round((paid - refunded) * 100) / 100];
+        }));
+        const returnItems = [];
+        for (const item of items) {
+            const saleItem = sale.sale_items.find(line => line.id === item.sale_item_id);
+            if (!saleItem) {
+                return res.status(400).json({ message: `Line ${item.sale_item_id} does not belong to sale ${sale_id}.` });
+            }
+            const quantity = parseInt(item.quantity);
+            const remaining = refundable.get(saleItem.id);
+            const refundAmount = item.refund_amount !== undefined && item.refund_amount !== null
+                ? parseFloat(item.refund_amount)
+                : Math.max(0, Math.min(remaining, Math.round(saleItem.unit_price * quantity * discountFactor * 100) / 100));
+            if (isNaN(refundAmount) || refundAmount < 0) {
+                return res.status(400).json({ message: `Invalid refund_amount for line ${item.sale_item_id}.` });
+            }
+            if (refundAmount > remaining + 0.005) {
+                return res.status(400).json({
+                    message: `refund_amount ${refundAmount} for line ${item.sale_item_id} exceeds what is left to refund (${Math.max(0, remaining)}).`
+                });
+            }
+            refundable.set(saleItem.id, Math.round((remaining - refundAmount) * 100) / 100);
+            returnItems.push({
+                sale_item_id: item.sale_item_id,
+                quantity,
+                refund_amount: refundAmount,
+                restock: item.restock !== false
+            });
+        }
+        const refundTotal = returnItems.reduce((sum, item) => sum + item.refund_amount, 0);
+
+        // 1. For an exchange, price the replacement sale. It is tendered with the refund as
+        //    exchange_credit, plus the payments for whatever the refund does not cover.
+        let exchange = null;
+        if (isExchange) {
+            try {
+                exchange = await prepareSale({
+                    sale_date: new Date().toISOString(),
+                    customer_name: sale.customer_name,
+                    contact_type: sale.contact_type,
+                    contact_info: sale.contact_info,
+                    store_id: sale.store_id,
+                    payment_method: exchange_payment_method,
+                    payments: exchange_payments,
+                    notes: `Exchange against sale ${sale.invoice_number || sale.id}`
+                }, exchange_items, { exchangeCredit: refundTotal });
+            } catch (exchangeError) {
+                if (!exchangeError.statusCode) throw exchangeError;
+                return res.status(exchangeError.statusCode).json({
+                    message: `Exchange sale could not be recorded, nothing was returned. ${exchangeError.message}`,
+                    error: exchangeError.details?.error || exchangeError.message,
+                    details: exchangeError.details
+                });
+            }
+        }
+
+        // 2. Process the return and record the replacement sale in one transaction. Commission
+        //    reversals for a closed or paid period are booked as adjustments into the
+        //    consignor's next open period.
+        const { data: saleReturn, error: returnError } = await supabase
+            .rpc('process_sale_return', {
+                p_sale_id: sale_id,
+                p_items: returnItems,
+                p_refund_method: refund_method || 'exchange',
+                p_reason: reason || null,
+                p_processed_by: processed_by || null,
+                p_exchange: exchange ? { header: exchange.header, lines: exchange.lines, payments: exchange.payments } : null
+            });
+
+        if (returnError) {
+            console.error(`Supabase Error - createReturn (process_sale_return) for sale ${sale_id}:`, returnError);
+            if (returnError.code === 'P0002') {
+                return res.status(404).json({ message: returnError.message });
+            }
+            if (returnError.code === '23514' || returnError.code === '55000') {
+                return res.status(409).json({ message: 'Return cannot be processed.', error: returnError.message });
+            }
+            return res.status(500).json({ message: 'Error processing return', error: returnError.message });
+        }
+
+        let exchangeSale = null;
+        let balanceDue = null;
+        if (saleReturn.exchange_sale_id) {
+            const { data: exchangeHeader } = await supabase
+                .from('sale_header')
+                .select('invoice_number')
+                .eq('id', saleReturn.exchange_sale_id)
+                .single();
+            exchangeSale = {
+                saleId: saleReturn.exchange_sale_id,
+                invoiceNumber: exchangeHeader?.invoice_number || null,
+                totals: exchange.totals
+            };
+            // Positive: paid by the exchange payments. Negative: store refunds the difference.
+            balanceDue = Math.round((exchange.totals.total_amount - refundTotal) * 100) / 100;
+        }
+
+        console.log(`[${new Date().toISOString()}] Return ${saleReturn.id} processed for sale ${sale_id}. Refund: ${saleReturn.refund_amount}`);
+        res.status(201).json({
+            message: exchangeSale ? 'Exchange processed successfully!' : 'Return processed successfully!',
+            return: saleReturn,
+            exchangeSale,
+            balanceDue
+        });
+    } catch (err) {
+        console.error("Server Error - createReturn:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/returns?sale_id=<uuid> - List returns, optionally for a single sale
+exports.getReturns = async (req, res) => {
+    const { sale_id } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/returns called. Query:`, req.query);
+
+    if (sale_id && !UUID_REGEX.test(sale_id)) {
+        return res.status(400).json({ message: 'Invalid sale_id format (must be a UUID).' });
+    }
+
+    try {
+        let query = supabase
+            .from('sale_returns')
+            .select(RETURN_SELECT)
+            .order('return_date', { ascending: false });
+
+        if (sale_id) query = query.eq('sale_id', sale_id);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error("Supabase Error - getReturns:", error);
+            return res.status(500).json({ message: 'Error fetching returns from database', error: error.message });
+        }
+
+        console.log(`[${new Date().toISOString()}] Returning ${data.length} returns from DB.`);
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getReturns:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/returns/:id - Get a single return with its lines
+exports.getReturnById = async (req, res) => {
+    const returnId = req.params.id;
+    console.log(`[${new Date().toISOString()}] GET /api/returns/${returnId} called.`);
+
+    if (!UUID_REGEX.test(returnId)) {
+        return res.status(400).json({ message: 'Invalid Return ID format (must be a UUID).' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('sale_returns')
+            .select(RETURN_SELECT)
+            .eq('id', returnId)
+            .single();
+
+        if (error) {
+            console.error(`Supabase Error - getReturnById for ID ${returnId}:`, error);
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({ message: `Return with ID ${returnId} not found.` });
+            }
+            return res.status(500).json({ message: 'Error fetching return from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getReturnById:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/returns/:id/receipt - Generate and download a return receipt PDF
+exports.generateReturnReceiptPdf = async (req, res) => {
+    const returnId = req.params.id;
+    console.log(`[${new Date().toISOString()}] GET /api/returns/${returnId}/receipt called.`);
+
+    if (!UUID_REGEX.test(returnId)) {
+        return res.status(400).json({ message: 'Invalid Return ID format (must be a UUID).' });
+    }
+
+    try {
+        const { data: saleReturn, error } = await supabase
+            .from('sale_returns')
+            .select(RETURN_SELECT)
+            .eq('id', returnId)
+            .single();
+
+        if (error) {
+            console.error(`Supabase Error - generateReturnReceiptPdf for ID ${returnId}:`, error);
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({ message: `Return with ID ${returnId} not found for receipt generation.` });
+            }
+            return res.status(500).json({ message: 'Error fetching return data for receipt', error: error.message });
+        }
+
+        const sale = saleReturn.sale_header || {};
+        const settings = await getReceiptSettings(sale.store_id);
+        const template = RECEIPT_TEMPLATES.letter;
+        const logo = await loadLogo(settings?.logo_url);
+
+        const doc = createReceiptDocument(template);
+        const filename = `return_receipt_${sale.invoice_number || sale.id}_${saleReturn.id.slice(0, 8)}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        doc.pipe(res);
+
+        drawStoreHeader(doc, template, settings, 'RETURN RECEIPT', logo);
+
+        const detail = (label, value) => {
+            doc.fontSize(12)
+               .font('Helvetica-Bold')
+               .text(label, { continued: true })
+               .font('Helvetica')
+               .text(` ${value}`);
+        };
+        detail('Original Invoice:', sale.invoice_number || 'N/A');
+        detail('Original Sale Date:', sale.sale_date ? new Date(sale.sale_date).toLocaleDateString() : 'N/A');
+        detail('Return Date:', `${new Date(saleReturn.return_date).toLocaleDateString()} ${new Date(saleReturn.return_date).toLocaleTimeString()}`);
+        detail('Return ID:', saleReturn.id);
+        detail('Customer Name:', sale.customer_name || 'N/A');
+        if (saleReturn.reason) detail('Reason:', saleReturn.reason);
+        doc.moveDown(1);
+
+        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
+        doc.moveDown(0.8);
+
+        const itemTableTop = doc.y;
+        doc.font('Helvetica-Bold')
+           .fontSize(12)
+           .text('Qty', 50, itemTableTop, { width: 50 })
+           .text('Item', 100, itemTableTop, { width: 250 })
+           .text('Restocked', 350, itemTableTop, { width: 100, align: 'right' })
+           .text('Refund', 450, itemTableTop, { width: 100, align: 'right' });
+
+        doc.moveDown(0.5);
+        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
+        doc.moveDown(0.3);
+
+        doc.font('Helvetica').fontSize(11);
+        saleReturn.sale_return_items.forEach(item => {
+            const rowY = doc.y;
+            doc.text(item.quantity.toString(), 50, rowY, { width: 50 });
+            doc.text(item.products?.name || `Product ID: ${item.product_id}`, 100, rowY, { width: 250 });
+            doc.text(item.restocked ? 'Yes' : 'No', 350, rowY, { width: 100, align: 'right' });
+            doc.text(`$${Number(item.refund_amount).toFixed(2)}`, 450, rowY, { width: 100, align: 'right' });
+            doc.moveDown(0.5);
+        });
+
+        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
+        doc.moveDown(0.8);
+
+        doc.font('Helvetica-Bold').fontSize(16);
+        doc.text('TOTAL REFUND:', 300, doc.y, { width: 150, align: 'right', continued: true })
+           .text(`$${Number(saleReturn.refund_amount).toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
+           .moveDown(1);
+
+        doc.font('Helvetica').fontSize(12);
+        doc.text(`Refund Method: ${saleReturn.refund_method}`, 50).moveDown(0.5);
+        if (saleReturn.exchange_sale) {
+            doc.text(`Exchanged for invoice ${saleReturn.exchange_sale.invoice_number || saleReturn.exchange_sale.id} ` +
+                `($${Number(saleReturn.exchange_sale.total_amount).toFixed(2)})`).moveDown(0.5);
+        }
+
+        doc.moveDown(0.5);
+        drawReceiptFooter(doc, template, settings, null, 'Please keep this receipt for your records.');
+
+        doc.end();
+    } catch (err) {
+        console.error("Server Error - generateReturnReceiptPdf:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
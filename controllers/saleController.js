@@ -3,8 +3,11 @@
 // It interacts with the Supabase database.
 
 const supabase = require('../config/supabaseClient'); // Import the Supabase client
-const PDFDocument = require('pdfkit'); // For PDF generation
 const fs = require('fs'); // Node.js file system module
+const { recordSale, editSaleHeader } = require('../services/saleService');
+const {
+    getReceiptSettings, resolveReceiptTemplate, createReceiptDocument, renderSaleReceipt, loadLogo, renderInvoiceCode
+} = require('../services/receiptService'); // Receipt layouts and store branding
 
 // --- SALES API CONTROLLERS ---
 
@@ -13,216 +16,53 @@ exports.createSale = async (req, res) => {
     console.log(`[${new Date().toISOString()}] POST /api/sales called. Body:`, JSON.stringify(req.body, null, 2)); // Log full body with pretty print
     const { line_items, ...saleHeaderData } = req.body;
 
-    // --- VERIFIED FIX FOR SUBTOTAL AND OTHER NUMERIC FIELDS ---
-    // Log for debugging the incoming subtotal
-    console.log(`[DEBUG - createSale] Received saleHeaderData:`, saleHeaderData);
-    console.log(`[DEBUG - createSale] Received line_items:`, line_items);
-    console.log(`[DEBUG - createSale] Received subtotal from frontend: ${saleHeaderData.subtotal}, Type: ${typeof saleHeaderData.subtotal}`);
+    // Subtotal, discount, total and commission rates are recomputed server-side (see services/saleTotalsService.js).
+    // If the client sends subtotal / discount_amount / total_amount or line commission_rate, they must match.
+    const numericFields = ['discount_percent', 'tax_amount', 'transaction_fee'];
+    const invalidNumericField = numericFields.find(field => isNaN(parseFloat(saleHeaderData[field] || 0)));
 
-    // Parse and validate subtotal from incoming request body
-    // Using `|| 0` ensures that if subtotal is undefined, null, or empty string, it defaults to 0
-    // before parseFloat, preventing NaN issues for missing/empty fields.
-    const parsedSubtotal = parseFloat(saleHeaderData.subtotal || 0);
+    // Either a single payment_method or a list of tenders in `payments` (split payment)
+    const hasPayment = saleHeaderData.payment_method || (Array.isArray(saleHeaderData.payments) && saleHeaderData.payments.length > 0);
 
     // Basic validation for sale header required fields
-    // This check now correctly handles if subtotal is missing or evaluates to NaN
-    if (!saleHeaderData.sale_date || !saleHeaderData.customer_name || !saleHeaderData.payment_method ||
-        isNaN(parsedSubtotal)) { // Check if parsedSubtotal is NaN
+    if (!saleHeaderData.sale_date || !saleHeaderData.customer_name || !hasPayment || invalidNumericField) {
         console.error(`[ERROR - createSale] Missing or invalid required sale header fields:
             sale_date: ${saleHeaderData.sale_date},
             customer_name: ${saleHeaderData.customer_name},
             payment_method: ${saleHeaderData.payment_method},
-            subtotal (parsed): ${parsedSubtotal},
-            isNaN(parsedSubtotal): ${isNaN(parsedSubtotal)}
+            invalid numeric field: ${invalidNumericField || 'none'}
         `);
-        return res.status(400).json({ message: 'Missing or invalid required sale header fields: sale_date, customer_name, payment_method, subtotal must be a valid number.' });
+        return res.status(400).json({ message: 'Missing or invalid required sale header fields: sale_date, customer_name and payment_method (or payments) are required; discount_percent, tax_amount, transaction_fee must be valid numbers.' });
+    }
+
+    if (isNaN(new Date(saleHeaderData.sale_date).getTime())) {
+        return res.status(400).json({ message: `Invalid sale_date: "${saleHeaderData.sale_date}"` });
     }
 
     if (!Array.isArray(line_items) || line_items.length === 0) {
         return res.status(400).json({ message: 'Sale must include at least one line item.' });
     }
 
-    try {
-        // 1. Insert into sale_header
-        const headerInsertData = {
-            sale_date: saleHeaderData.sale_date,
-            customer_name: saleHeaderData.customer_name,
-            contact_type: saleHeaderData.contact_type || null,
-            contact_info: saleHeaderData.contact_info || null,
-            payment_method: saleHeaderData.payment_method,
-            // Use parseFloat and default to 0 if the original value is not a valid number (e.g., null, undefined, "")
-            discount_percent: parseFloat(saleHeaderData.discount_percent || 0),
-            tax_amount: parseFloat(saleHeaderData.tax_amount || 0),
-            transaction_fee: parseFloat(saleHeaderData.transaction_fee || 0),
-            subtotal: parsedSubtotal, // Use the already parsed and validated subtotal
-            invoice_number: saleHeaderData.invoice_number || null,
-            notes: saleHeaderData.notes || null,
-        };
-
-        const { data: headerData, error: headerError } = await supabase
-            .from('sale_header')
-            .insert([headerInsertData])
-            // Select all relevant columns from headerData including the ones that are generated by DB functions
-            .select('id, invoice_number, subtotal, discount_amount, total_amount, tax_amount, transaction_fee');
-
-        if (headerError) {
-            console.error("Supabase Error - createSale (header):", headerError);
-            // Log full Supabase error for better debugging
-            if (headerError.details) console.error("Supabase Error Details:", headerError.details);
-            if (headerError.hint) console.error("Supabase Error Hint:", headerError.hint);
-            return res.status(500).json({ message: 'Error creating sale header', error: headerError.message });
-        }
-
-        const sale_header_id = headerData[0].id;
-        const invoice_number = headerData[0].invoice_number;
-        // These are now guaranteed to be numbers as they come from the DB after insert
-        // const calculatedSubtotal = headerData[0].subtotal; // Already used parsedSubtotal
-        // const calculatedDiscountAmount = headerData[0].discount_amount;
-        // const calculatedTotalAmount = headerData[0].total_amount;
-        // const calculatedTaxAmount = headerData[0].tax_amount;
-        // const calculatedTransactionFee = headerData[0].transaction_fee;
-
-
-        // 2. Prepare line items for batch insert into sale_items
-        const lineItemsToInsert = line_items.map(item => {
-            const unitPrice = parseFloat(item.unit_price);
-            const quantity = parseInt(item.quantity);
-            const commissionRate = parseFloat(item.commission_rate || 0); // Get commission_rate from the item
-
-            // Calculate the commission here based on unit_price, quantity, and commission_rate
-            const calculatedCommission = unitPrice * quantity * commissionRate; // This is the amount for the consignor
-
-            return {
-                sale_id: sale_header_id,
-                product_id: parseInt(item.product_id), // Ensure product_id is an integer
-                consignor_id: parseInt(item.consignor_id), // Ensure consignor_id is an integer
-                agreement_id: item.agreement_id ? parseInt(item.agreement_id) : null, // Handle optional agreement_id
-                quantity: quantity, // Ensure quantity is an integer
-                unit_price: unitPrice, // Ensure unit_price is a float
-                commission: calculatedCommission, // Use the calculated commission. This is the source for commission tracking!
-            };
-        });
-
-        // Insert sale_items and select the inserted data including UUIDs and calculated fields
-        const { data: lineData, error: lineError } = await supabase
-            .from('sale_items')
-            .insert(lineItemsToInsert)
-            .select('id, product_id, quantity, unit_price, commission, line_total, consignor_id, agreement_id'); // Select inserted data to use for commission_items
-
-        if (lineError) {
-            console.error("Supabase Error - createSale (line items):", lineError);
-            // Log full Supabase error for better debugging
-            if (lineError.details) console.error("Supabase Error Details:", lineError.details);
-            if (lineError.hint) console.error("Supabase Error Hint:", lineError.hint);
-            // IMPORTANT: Rollback the header if line item insertion fails to maintain data integrity
-            await supabase.from('sale_header').delete().eq('id', sale_header_id);
-            return res.status(500).json({ message: 'Error creating sale line items. Sale header rolled back.', error: lineError.message });
-        }
-
-        console.log(`[${new Date().toISOString()}] Sale created successfully with ID: ${sale_header_id}, Invoice: ${invoice_number}`);
-
-        // --- NEW LOGIC FOR COMMISSION TRACKING AND COMMISSION ITEMS ---
-        // This logic runs after sale_items are successfully inserted.
-
-        const saleDate = new Date(saleHeaderData.sale_date); // Use the sale_date from the header
-        // Define the commission period (e.g., first day of the month to last day of the month)
-        const periodStart = new Date(saleDate.getFullYear(), saleDate.getMonth(), 1).toISOString().split('T')[0];
-        const periodEnd = new Date(saleDate.getFullYear(), saleDate.getMonth() + 1, 0).toISOString().split('T')[0];
-
-        // Process each sale item to update commission_tracking and insert commission_items
-        for (const saleItem of lineData) { // Iterate over the successfully inserted sale_items
-            const consignorId = saleItem.consignor_id;
-            const productSaleAmount = saleItem.line_total; // The total price of this specific product in the sale
-            const commissionAmount = saleItem.commission; // The calculated commission for this specific product
-
-            // Retrieve the original commission_rate from the request line_items (or fetch from agreements if not present)
-            // It's important to use the rate that was actually used for calculation
-            const originalLineItem = line_items.find(item => parseInt(item.product_id) === saleItem.product_id && parseInt(item.consignor_id) === saleItem.consignor_id);
-            const commissionRate = parseFloat(originalLineItem?.commission_rate || 0); // Use optional chaining in case item isn't found (shouldn't happen)
-
-            let commissionTrackingId;
-
-            // Try to find an existing commission_tracking entry for this consignor and period
-            let { data: commissionTracking, error: ctFetchError } = await supabase
-                .from('commission_tracking')
-                .select('id, total_sales, total_commission')
-                .eq('consignor_id', consignorId)
-                .eq('period_start', periodStart)
-                .eq('period_end', periodEnd)
-                .single();
-
-            if (ctFetchError && ctFetchError.code !== 'PGRST116') { // PGRST116 means no rows found, which is expected for new periods
-                console.error(`[ERROR - Commission Tracking] Supabase Error fetching commission_tracking for consignor ${consignorId}:`, ctFetchError);
-                // Decide if you want to abort the sale or just log this error.
-                // For now, it will log and proceed, but this could lead to inconsistent commission data.
-            }
-
-            if (commissionTracking) {
-                // If a tracking record exists, update it
-                const { data: updatedCt, error: updateCtError } = await supabase
-                    .from('commission_tracking')
-                    .update({
-                        total_sales: parseFloat(commissionTracking.total_sales) + productSaleAmount,
-                        total_commission: parseFloat(commissionTracking.total_commission) + commissionAmount,
-                        // 'updated_at' is handled by the moddatetime trigger
-                    })
-                    .eq('id', commissionTracking.id)
-                    .select('id') // Select ID to confirm update
-                    .single();
-
-                if (updateCtError) {
-                    console.error(`[ERROR - Commission Tracking] Supabase Error updating commission_tracking for ID ${commissionTracking.id}:`, updateCtError);
-                } else {
-                    commissionTrackingId = updatedCt.id;
-                    console.log(`[${new Date().toISOString()}] Updated commission_tracking for consignor ${consignorId} (ID: ${commissionTrackingId}).`);
-                }
-            } else {
-                // If no tracking record exists for this period, create a new one
-                const { data: newCt, error: newCtError } = await supabase
-                    .from('commission_tracking')
-                    .insert({
-                        consignor_id: consignorId,
-                        period_start: periodStart,
-                        period_end: periodEnd,
-                        total_sales: productSaleAmount,
-                        total_commission: commissionAmount,
-                        status: 'pending' // Initial status for a new tracking period
-                    })
-                    .select('id') // Select the ID of the newly created record
-                    .single();
-
-                if (newCtError) {
-                    console.error(`[ERROR - Commission Tracking] Supabase Error creating new commission_tracking for consignor ${consignorId}:`, newCtError);
-                } else {
-                    commissionTrackingId = newCt.id;
-                    console.log(`[${new Date().toISOString()}] Created new commission_tracking for consignor ${consignorId} (ID: ${commissionTrackingId}).`);
-                }
-            }
+    const invalidLine = line_items.find(item =>
+        isNaN(parseInt(item.product_id)) || !(parseInt(item.quantity) > 0));
+    if (invalidLine) {
+        return res.status(400).json({ message: 'Each line item needs a valid product_id and a quantity of at least 1.', lineItem: invalidLine });
+    }
 
-            // After ensuring a commission_tracking_id exists, insert into commission_items
-            if (commissionTrackingId) {
-                const { error: ciInsertError } = await supabase
-                    .from('commission_items')
-                    .insert({
-                        commission_tracking_id: commissionTrackingId,
-                        sale_item_id: saleItem.id, // The UUID of the sale_item that was just created
-                        product_id: saleItem.product_id,
-                        sale_amount: productSaleAmount,
-                        commission_rate: commissionRate,
-                        commission_amount: commissionAmount,
-                    });
-
-                if (ciInsertError) {
-                    console.error(`[ERROR - Commission Items] Supabase Error inserting commission_item for sale_item ${saleItem.id}:`, ciInsertError);
-                } else {
-                    console.log(`[${new Date().toISOString()}] Inserted commission_item for sale_item ${saleItem.id}.`);
-                }
-            } else {
-                console.warn(`[WARNING - Commission Items] Could not insert commission_item for sale_item ${saleItem.id} as commission_tracking_id was not obtained.`);
-            }
+    try {
+        // Write header, line items, stock and commission bookings in one transaction.
+        let recorded;
+        try {
+            recorded = await recordSale(saleHeaderData, line_items);
+        } catch (saleError) {
+            if (!saleError.statusCode) throw saleError;
+            return res.status(saleError.statusCode).json({
+                message: saleError.message,
+                error: saleError.details?.error || saleError.message,
+                details: saleError.details
+            });
         }
-        // --- END NEW LOGIC FOR COMMISSION TRACKING AND COMMISSION ITEMS ---
-
+        const { saleId: sale_header_id, invoiceNumber: invoice_number, totals } = recorded;
 
         // Fetch the newly created sale with joined data for immediate frontend response
         const { data: newSaleData, error: fetchNewSaleError } = await supabase
@@ -247,7 +87,8 @@ exports.createSale = async (req, res) => {
                     line_total,
                     products(name),
                     consignors(full_name, id)
-                )
+                ),
+                sale_payments (payment_method, amount, reference, card_last_four)
             `)
             .eq('id', sale_header_id)
             .single();
@@ -294,12 +135,14 @@ exports.createSale = async (req, res) => {
             invoiceNumber: newSaleData.invoice_number,
             notes: newSaleData.notes,
             lineItems: newSaleData.sale_items,
+            payments: newSaleData.sale_payments,
         };
 
         res.status(201).json({
             message: 'Sale recorded successfully!',
             saleId: sale_header_id,
             invoiceNumber: invoice_number,
+            totals, // Authoritative figures computed by the server
             newSale: frontendSale
         });
 
@@ -318,6 +161,8 @@ exports.getAllSales = async (req, res) => {
             .from('sale_header')
             .select(`
                 id,
+                invoice_number,
+                store_id,
                 sale_date,
                 customer_name,
                 payment_method,
@@ -327,6 +172,15 @@ exports.getAllSales = async (req, res) => {
                 tax_amount,
                 transaction_fee,
                 total_amount,
+                status,
+                voided_at,
+                void_reason,
+                sale_payments (
+                    payment_method,
+                    amount,
+                    reference,
+                    card_last_four
+                ),
                 sale_items!inner (
                     product_id,
                     quantity,
@@ -380,6 +234,8 @@ exports.getAllSales = async (req, res) => {
 
             return {
                 id: header.id,
+                invoiceNumber: header.invoice_number,
+                storeId: header.store_id,
                 saleDate: header.sale_date,
                 productName: productName,
                 consignorName: consignorName,
@@ -392,6 +248,15 @@ exports.getAllSales = async (req, res) => {
                 discountAmount: header.discount_amount,
                 taxAmount: header.tax_amount,
                 transactionFee: header.transaction_fee,
+                status: header.status,
+                voidedAt: header.voided_at,
+                voidReason: header.void_reason,
+                payments: (header.sale_payments || []).map(payment => ({
+                    paymentMethod: payment.payment_method,
+                    amount: payment.amount,
+                    reference: payment.reference,
+                    cardLastFour: payment.card_last_four,
+                })),
                 lineItems: header.sale_items.map(item => ({
                     productId: item.product_id,
                     quantity: item.quantity,
@@ -424,15 +289,18 @@ exports.getSaleById = async (req, res) => {
     }
 
     try {
+        // Lines with their product and consignor names, and the tenders used to pay for the sale.
+        // (No comments inside the select string: PostgREST cannot parse them.)
         const { data, error } = await supabase
             .from('sale_header')
             .select(`
                 *,
                 sale_items (
                     *,
-                    products (name),       // Join products to get product name
-                    consignors (full_name) // Join consignors to get consignor name
-                )
+                    products (name),
+                    consignors (full_name)
+                ),
+                sale_payments (*)
             `)
             .eq('id', saleId)
             .single();
@@ -457,6 +325,46 @@ exports.getSaleById = async (req, res) => {
     }
 };
 
+// Get a single sale by its invoice number (e.g. scanned from a receipt)
+exports.getSaleByInvoiceNumber = async (req, res) => {
+    const { invoiceNumber } = req.params;
+    console.log(`[${new Date().toISOString()}] GET /api/sales/invoice/${invoiceNumber} called.`);
+
+    if (!invoiceNumber) {
+        return res.status(400).json({ message: 'Invoice number is required.' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('sale_header')
+            .select(`
+                *,
+                sale_items (
+                    *,
+                    products (name),
+                    consignors (full_name)
+                ),
+                sale_payments (*)
+            `)
+            .eq('invoice_number', invoiceNumber)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - getSaleByInvoiceNumber for ${invoiceNumber}:`, error);
+            return res.status(500).json({ message: 'Error fetching sale from database', error: error.message });
+        }
+
+        if (!data) {
+            return res.status(404).json({ message: `Sale with invoice number ${invoiceNumber} not found.` });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getSaleByInvoiceNumber:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
 // Update an existing sale header by ID
 exports.updateSaleHeader = async (req, res) => {
     const saleId = req.params.id;
@@ -468,62 +376,48 @@ exports.updateSaleHeader = async (req, res) => {
         return res.status(400).json({ message: 'Invalid Sale ID format (must be a UUID).' });
     }
 
-    const allowedFields = [
-        'sale_date', 'customer_name', 'contact_type', 'contact_info',
-        'payment_method', 'discount_percent', 'tax_amount', 'transaction_fee',
-        'subtotal', 'invoice_number', 'notes'
-    ];
-    const fieldsToUpdate = {};
-    let hasValidField = false;
+    // invoice_number is issued by the backend and cannot be edited. The money fields were
+    // computed from the lines and tenders when the sale was recorded (calculateSaleTotals,
+    // line shares, booked commission); changing them means voiding and recording it again.
+    const allowedFields = ['sale_date', 'customer_name', 'contact_type', 'contact_info', 'notes'];
+    const computedFields = ['subtotal', 'discount_percent', 'discount_amount', 'tax_amount', 'transaction_fee', 'total_amount', 'payment_method'];
 
+    const sentComputed = computedFields.filter(field => updateData[field] !== undefined);
+    if (sentComputed.length > 0) {
+        return res.status(400).json({
+            message: `${sentComputed.join(', ')} cannot be edited after the sale. Void the sale (POST /api/sales/${saleId}/void) and record it again.`
+        });
+    }
+
+    const fieldsToUpdate = {};
     for (const field of allowedFields) {
-        if (updateData[field] !== undefined) { // Check if field exists in updateData
-            if (['discount_percent', 'tax_amount', 'transaction_fee', 'subtotal'].includes(field)) {
-                // Parse numeric fields and validate, similar to createSale
-                const parsedValue = parseFloat(updateData[field]);
-                if (isNaN(parsedValue)) {
-                    return res.status(400).json({ message: `Invalid numeric value for field: ${field}. Value received: "${updateData[field]}"` });
-                }
-                fieldsToUpdate[field] = parsedValue;
-            } else {
-                fieldsToUpdate[field] = updateData[field];
-            }
-            hasValidField = true;
-        }
+        if (updateData[field] !== undefined) fieldsToUpdate[field] = updateData[field];
     }
 
-    if (!hasValidField) {
-        return res.status(400).json({ message: 'No valid fields provided for sale header update.' });
+    if (Object.keys(fieldsToUpdate).length === 0) {
+        return res.status(400).json({ message: `No valid fields provided for sale header update. Allowed fields: ${allowedFields.join(', ')}.` });
+    }
+    if (fieldsToUpdate.sale_date !== undefined && isNaN(new Date(fieldsToUpdate.sale_date).getTime())) {
+        return res.status(400).json({ message: `Invalid sale_date: "${fieldsToUpdate.sale_date}"` });
     }
 
     try {
-        const { data, error } = await supabase
-            .from('sale_header')
-            .update(fieldsToUpdate)
-            .eq('id', saleId)
-            .select('*'); // Select the updated row
+        // One transaction: a new date also moves the sale's commission (as adjustments when a
+        // period involved is closed or paid), together with the other fields.
+        const sale = await editSaleHeader(saleId, fieldsToUpdate, updateData.changed_by);
 
-        if (error) {
-            console.error(`Supabase Error - updateSaleHeader for ID ${saleId}:`, error);
-            if (error.code === '23505' && error.constraint === 'sale_header_invoice_number_key') {
-                return res.status(409).json({ message: 'Invoice number already exists.', error: error.message });
-            }
-            return res.status(500).json({ message: 'Error updating sale header in database', error: error.message });
-        }
-
-        if (data.length === 0) { // If no row was found and updated
-            return res.status(404).json({ message: `Sale with ID ${saleId} not found.` });
-        }
-
-        console.log(`[${new Date().toISOString()}] Sale header ID ${saleId} updated in DB:`, data[0]);
-        res.status(200).json(data[0]);
+        console.log(`[${new Date().toISOString()}] Sale header ID ${saleId} updated in DB:`, sale);
+        res.status(200).json(sale);
     } catch (err) {
         console.error("Server Error - updateSaleHeader:", err);
-        res.status(500).json({ message: 'Internal server error', error: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
     }
 };
 
-// Delete a sale by ID (cascades to line items)
+// DELETE /api/sales/:id - Sales are never hard-deleted
+// Deleting would leave commission_tracking / commission_items booked, products out of stock
+// and a gap in the invoice number sequence. Sales are cancelled with POST /api/sales/:id/void,
+// which reverses all of that and keeps the sale for audit.
 exports.deleteSale = async (req, res) => {
     const saleId = req.params.id;
     console.log(`[${new Date().toISOString()}] DELETE /api/sales/${saleId} called.`);
@@ -533,35 +427,53 @@ exports.deleteSale = async (req, res) => {
         return res.status(400).json({ message: 'Invalid Sale ID format (must be a UUID).' });
     }
 
+    res.status(409).json({
+        message: `Sales cannot be deleted. Void the sale instead with POST /api/sales/${saleId}/void (body: { reason, voided_by }).`
+    });
+};
+
+// POST /api/sales/:id/void - Void a sale, keeping it for audit
+// Body: { reason (required), voided_by }
+// Reverses the sale's commissions and restocks its products via the void_sale() database function.
+// Reversals for a commission period that is closed or already paid are booked as adjustments
+// into the consignor's next open period.
+exports.voidSale = async (req, res) => {
+    const saleId = req.params.id;
+    const { reason, voided_by } = req.body;
+    console.log(`[${new Date().toISOString()}] POST /api/sales/${saleId}/void called. Body:`, req.body);
+
+    // UUID validation
+    if (!/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(saleId)) {
+        return res.status(400).json({ message: 'Invalid Sale ID format (must be a UUID).' });
+    }
+
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ message: 'A reason is required to void a sale.' });
+    }
+
     try {
         const { data, error } = await supabase
-            .from('sale_header')
-            .delete()
-            .eq('id', saleId)
-            .select('id'); // Select ID to confirm deletion
+            .rpc('void_sale', {
+                p_sale_id: saleId,
+                p_reason: String(reason).trim(),
+                p_voided_by: voided_by || null
+            });
 
         if (error) {
-            console.error(`Supabase Error - deleteSale for ID ${saleId}:`, error);
-            return res.status(500).json({ message: 'Error deleting sale from database', error: error.message });
-        }
-
-        if (data.length === 0) { // If no row was found and deleted
-            return res.status(404).json({ message: `Sale with ID ${saleId} not found.` });
+            console.error(`Supabase Error - voidSale for ID ${saleId}:`, error);
+            if (error.code === 'P0002') {
+                return res.status(404).json({ message: `Sale with ID ${saleId} not found.` });
+            }
+            if (error.code === '55000') { // already voided
+                return res.status(409).json({ message: 'Sale cannot be voided.', error: error.message });
+            }
+            return res.status(500).json({ message: 'Error voiding sale', error: error.message });
         }
 
-        // IMPORTANT: If you delete a sale, you might also want to reverse or adjust
-        // the related commission_tracking and commission_items entries.
-        // This current code *does not* handle that. You'd need additional logic here.
-        // For example:
-        // 1. Find all commission_items linked to the sale_items of this deleted sale.
-        // 2. For each commission_item, subtract its sale_amount and commission_amount from the corresponding commission_tracking record.
-        // 3. Delete the commission_items.
-        // This is complex and might require careful transaction management or a PostgreSQL function/trigger.
-
-        console.log(`[${new Date().toISOString()}] Sale ID ${saleId} deleted successfully (including line items due to CASCADE).`);
-        res.status(204).send(); // 204 No Content for successful deletion
+        console.log(`[${new Date().toISOString()}] Sale ID ${saleId} voided. Reason: ${reason}`);
+        res.status(200).json({ message: 'Sale voided successfully.', sale: data });
     } catch (err) {
-        console.error("Server Error - deleteSale:", err);
+        console.error("Server Error - voidSale:", err);
         res.status(500).json({ message: 'Internal server error', error: err.message });
     }
 };
@@ -585,7 +497,8 @@ exports.generateReceiptPdf = async (req, res) => {
                     *,
                     products(name),
                     consignors(full_name)
-                )
+                ),
+                sale_payments (*)
             `)
             .eq('id', saleId)
             .single();
@@ -602,8 +515,17 @@ exports.generateReceiptPdf = async (req, res) => {
             return res.status(404).json({ message: `Sale with ID ${saleId} not found for receipt generation.` });
         }
 
+        // Branding and default layout come from the sale's store; ?template= picks another layout.
+        const settings = await getReceiptSettings(sale.store_id);
+        const template = resolveReceiptTemplate(req.query.template, settings);
+
+        const [logo, codeImage] = await Promise.all([
+            loadLogo(settings?.logo_url),
+            renderInvoiceCode(sale.invoice_number, settings?.receipt_code_type)
+        ]);
+
         // --- PDF Generation Logic ---
-        const doc = new PDFDocument({ margin: 50 });
+        const doc = createReceiptDocument(template, receipt => renderSaleReceipt(receipt, sale, settings, template, { logo, codeImage }));
         const filename = `receipt_sale_${sale.invoice_number || sale.id}.pdf`;
 
         // Set response headers for PDF download
@@ -612,136 +534,14 @@ exports.generateReceiptPdf = async (req, res) => {
 
         // Pipe the PDF directly to the response
         doc.pipe(res);
-
-        // Header Section
-        doc.fontSize(28)
-           .font('Helvetica-Bold')
-           .text('SALES RECEIPT', { align: 'center' })
-           .moveDown(0.8);
-
-        doc.fontSize(12)
-           .font('Helvetica')
-           .text('Consignment Owner Store', { align: 'center' })
-           .text('123 Main Street, Cityville, State, 12345', { align: 'center' })
-           .text('Phone: (123) 456-7890 | Email: info@consignstore.com', { align: 'center' })
-           .moveDown(1);
-
-        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.8);
-
-        // Sale Header Details
-        doc.fontSize(12)
-           .font('Helvetica-Bold')
-           .text('Invoice Number:', { continued: true })
-           .font('Helvetica')
-           .text(` ${sale.invoice_number || 'N/A'}`);
-        doc.fontSize(12)
-           .font('Helvetica-Bold')
-           .text('Sale Date:', { continued: true })
-           .font('Helvetica')
-           .text(` ${new Date(sale.sale_date).toLocaleDateString()} ${new Date(sale.sale_date).toLocaleTimeString()}`);
-        doc.fontSize(12)
-           .font('Helvetica-Bold')
-           .text('Sale ID:', { continued: true })
-           .font('Helvetica')
-           .text(` ${sale.id}`);
-        doc.moveDown(0.5);
-
-        // Customer Details
-        doc.fontSize(12)
-           .font('Helvetica-Bold')
-           .text('Customer Name:', { continued: true })
-           .font('Helvetica')
-           .text(` ${sale.customer_name || 'N/A'}`);
-        if (sale.contact_type && sale.contact_info) {
-            doc.fontSize(12)
-               .font('Helvetica-Bold')
-               .text(`Customer ${sale.contact_type}:`, { continued: true })
-               .font('Helvetica')
-               .text(` ${sale.contact_info}`);
-        }
-        doc.moveDown(1);
-
-        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.8);
-
-        // Line Items Table Header
-        const itemTableTop = doc.y;
-        const col1X = 50; // Qty
-        const col2X = 100; // Item Name
-        const col3X = 350; // Unit Price
-        const col4X = 450; // Total
-
-        doc.font('Helvetica-Bold')
-           .fontSize(12)
-           .text('Qty', col1X, itemTableTop, { width: 50 })
-           .text('Item', col2X, itemTableTop, { width: 250 })
-           .text('Unit Price', col3X, itemTableTop, { width: 100, align: 'right' })
-           .text('Total', col4X, itemTableTop, { width: 100, align: 'right' });
-
-        doc.moveDown(0.5);
-        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.3);
-
-        // Line Items Content
-        doc.font('Helvetica').fontSize(11);
-        sale.sale_items.forEach(item => {
-            // Use product name if available from join, otherwise fallback
-            const itemProductName = item.products?.name || `Product ID: ${item.product_id}`;
-            const itemTotal = item.line_total.toFixed(2);
-            doc.text(item.quantity.toString(), col1X, doc.y, { width: 50 });
-            doc.text(itemProductName, col2X, doc.y, { width: 250 });
-            doc.text(`$${item.unit_price.toFixed(2)}`, col3X, doc.y, { width: 100, align: 'right' });
-            doc.text(`$${itemTotal}`, col4X, doc.y, { width: 100, align: 'right' });
-            doc.moveDown(0.5);
-        });
-
-        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.8);
-
-        // Financial Summary
-        doc.font('Helvetica').fontSize(12);
-        doc.text('Subtotal:', 350, doc.y, { width: 100, align: 'right', continued: true })
-           .text(`$${sale.subtotal.toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
-           .moveDown(0.2);
-
-        if (sale.discount_amount && sale.discount_amount > 0) {
-            doc.text(`Discount (${sale.discount_percent}%):`, 350, doc.y, { width: 100, align: 'right', continued: true })
-               .text(`-$${sale.discount_amount.toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
-               .moveDown(0.2);
-        }
-
-        doc.text('Tax Amount:', 350, doc.y, { width: 100, align: 'right', continued: true })
-           .text(`$${sale.tax_amount.toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
-           .moveDown(0.2);
-
-        doc.text('Transaction Fee:', 350, doc.y, { width: 100, align: 'right', continued: true })
-           .text(`$${sale.transaction_fee.toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
-           .moveDown(0.5);
-
-        doc.font('Helvetica-Bold').fontSize(16);
-        doc.text('GRAND TOTAL:', 350, doc.y, { width: 100, align: 'right', continued: true })
-           .text(`$${sale.total_amount.toFixed(2)}`, 450, doc.y, { width: 100, align: 'right' })
-           .moveDown(1);
-
-        doc.strokeColor('#aaaaaa').lineWidth(1).moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).stroke();
-        doc.moveDown(0.8);
-
-        // Footer Information
-        doc.font('Helvetica').fontSize(12);
-        doc.text(`Payment Method: ${sale.payment_method}`).moveDown(0.5);
-        if (sale.notes) {
-            doc.font('Helvetica-Bold').text('Notes:').moveDown(0.2);
-            doc.font('Helvetica').text(sale.notes).moveDown(0.5);
-        }
-
-        doc.font('Helvetica-Oblique').fontSize(10).text('Thank you for your purchase!', { align: 'center', absoluteBottom: 50 });
-
         doc.end(); // Finalize the PDF
         // --- End PDF Generation Logic ---
 
     } catch (err) {
         console.error("Server Error - generateReceiptPdf:", err);
+        if (err.statusCode && !res.headersSent) {
+            return res.status(err.statusCode).json({ message: err.message, ...err.details });
+        }
         res.status(500).json({ message: 'Internal server error', error: err.message });
     }
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+// backend/controllers/settingsController.js
+// Store settings API (invoice numbering and receipt branding per store, and the
+// store's default commission per product category).
+
+const supabase = require('../config/supabaseClient');
+const { getStoreSettings, validateInvoiceSettings } = require('../services/settingsService');
+const { RECEIPT_TEMPLATES, RECEIPT_CODE_TYPES } = require('../services/receiptService');
+const { isValidRoutingNumber } = require('../services/payoutService');
+const { PRORATION_POLICIES } = require('../services/commissionService');
+
+const ALLOWED_FIELDS = [
+    'store_name', 'invoice_prefix', 'invoice_pattern', 'invoice_counter_padding', 'invoice_reset_yearly',
+    'store_address', 'store_phone', 'store_email', 'logo_url', 'receipt_footer', 'return_policy',
+    'receipt_template', 'receipt_code_type',
+    // NACHA originator details for payout runs
+    'ach_immediate_destination', 'ach_immediate_destination_name', 'ach_immediate_origin',
+    'ach_company_name', 'ach_company_id', 'ach_originating_dfi',
+    // Who bears the header discount and the transaction fee of a sale (store, shared, consignor)
+    'discount_proration_policy', 'fee_proration_policy'
+];
+
+// GET /api/settings/stores - List all stores and their settings
+exports.getAllStoreSettings = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] GET /api/settings/stores called.`);
+    try {
+        const { data, error } = await supabase
+            .from('store_settings')
+            .select('*')
+            .order('store_id');
+
+        if (error) {
+            console.error("Supabase Error - getAllStoreSettings:", error);
+            return res.status(500).json({ message: 'Error fetching store settings from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getAllStoreSettings:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/settings/stores/:storeId - Settings for one store
+exports.getStoreSettingsById = async (req, res) => {
+    const { storeId } = req.params;
+    console.log(`[${new Date().toISOString()}] GET /api/settings/stores/${storeId} called.`);
+    try {
+        const settings = await getStoreSettings(storeId);
+        res.status(200).json(settings);
+    } catch (err) {
+        console.error("Server Error - getStoreSettingsById:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// PUT /api/settings/stores/:storeId - Create or update a store's settings
+exports.upsertStoreSettings = async (req, res) => {
+    const { storeId } = req.params;
+    const updateData = req.body;
+    console.log(`[${new Date().toISOString()}] PUT /api/settings/stores/${storeId} called. Update data:`, updateData);
+
+    const fieldsToUpdate = {};
+    for (const field of ALLOWED_FIELDS) {
+        if (updateData[field] !== undefined) {
+            fieldsToUpdate[field] = field === 'invoice_counter_padding'
+                ? parseInt(updateData[field])
+                : updateData[field];
+        }
+    }
+
+    if (Object.keys(fieldsToUpdate).length === 0) {
+        return res.status(400).json({ message: `No valid fields provided. Allowed fields: ${ALLOWED_FIELDS.join(', ')}.` });
+    }
+
+    try {
+        // Validate against the settings as they will be after the update.
+        const { data: current } = await supabase
+            .from('store_settings')
+            .select('invoice_pattern, invoice_counter_padding, invoice_reset_yearly')
+            .eq('store_id', storeId)
+            .maybeSingle();
+
+        const problems = validateInvoiceSettings({
+            invoice_pattern: '{prefix}-{year}-{counter}',
+            invoice_reset_yearly: true,
+            ...(current || {}),
+            ...fieldsToUpdate
+        });
+        if (fieldsToUpdate.receipt_template !== undefined && !RECEIPT_TEMPLATES[fieldsToUpdate.receipt_template]) {
+            problems.push(`receipt_template must be one of: ${Object.keys(RECEIPT_TEMPLATES).join(', ')}.`);
+        }
+        if (fieldsToUpdate.receipt_code_type !== undefined && !RECEIPT_CODE_TYPES.includes(fieldsToUpdate.receipt_code_type)) {
+            problems.push(`receipt_code_type must be one of: ${RECEIPT_CODE_TYPES.join(', ')}.`);
+        }
+        if (fieldsToUpdate.ach_immediate_destination && !isValidRoutingNumber(fieldsToUpdate.ach_immediate_destination)) {
+            problems.push('ach_immediate_destination must be a valid 9-digit ABA routing number.');
+        }
+        if (fieldsToUpdate.ach_originating_dfi && !/^\d{8}$/.test(fieldsToUpdate.ach_originating_dfi)) {
+            problems.push('ach_originating_dfi must be the first 8 digits of the routing number.');
+        }
+        ['discount_proration_policy', 'fee_proration_policy'].forEach(field => {
+            if (fieldsToUpdate[field] !== undefined && !PRORATION_POLICIES.includes(fieldsToUpdate[field])) {
+                problems.push(`${field} must be one of: ${PRORATION_POLICIES.join(', ')}.`);
+            }
+        });
+        if (problems.length) {
+            return res.status(400).json({ message: 'Invalid store settings.', errors: problems });
+        }
+
+        const { data, error } = await supabase
+            .from('store_settings')
+            .upsert({ store_id: storeId, ...fieldsToUpdate, updated_at: new Date().toISOString() }, { onConflict: 'store_id' })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error(`Supabase Error - upsertStoreSettings for store ${storeId}:`, error);
+            return res.status(500).json({ message: 'Error saving store settings', error: error.message });
+        }
+
+        console.log(`[${new Date().toISOString()}] Store settings for ${storeId} saved:`, data);
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - upsertStoreSettings:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/settings/commission-categories - Default commission rate / minimum store fee per category
+exports.getCategoryCommissionRates = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] GET /api/settings/commission-categories called.`);
+    try {
+        const { data, error } = await supabase
+            .from('category_commission_rates')
+            .select('*')
+            .order('category');
+
+        if (error) {
+            console.error("Supabase Error - getCategoryCommissionRates:", error);
+            return res.status(500).json({ message: 'Error fetching category commission rates from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getCategoryCommissionRates:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// PUT /api/settings/commission-categories/:category
+// Body: { commission_rate (0..1, or null for none), minimum_store_fee (>= 0) }.
+// Used for products whose agreement sets neither a commission_rate nor a matching tier
+// (rate) or no minimum_store_fee (fee).
+exports.upsertCategoryCommissionRate = async (req, res) => {
+    const { category } = req.params;
+    const { commission_rate, minimum_store_fee } = req.body || {};
+    console.log(`[${new Date().toISOString()}] PUT /api/settings/commission-categories/${category} called. Body:`, req.body);
+
+    const problems = [];
+    if (commission_rate === undefined && minimum_store_fee === undefined) {
+        problems.push('Provide commission_rate and/or minimum_store_fee.');
+    }
+    if (commission_rate !== undefined && commission_rate !== null) {
+        const rate = parseFloat(commission_rate);
+        if (isNaN(rate) || rate < 0 || rate > 1) problems.push('commission_rate must be a number between 0 and 1.');
+    }
+    if (minimum_store_fee !== undefined && minimum_store_fee !== null) {
+        const fee = parseFloat(minimum_store_fee);
+        if (isNaN(fee) || fee < 0) problems.push('minimum_store_fee must be a number >= 0.');
+    }
+    if (problems.length) {
+        return res.status(400).json({ message: 'Invalid category commission rate.', errors: problems });
+    }
+
+    const row = { category, updated_at: new Date().toISOString() };
+    if (commission_rate !== undefined) row.commission_rate = commission_rate === null ? null : parseFloat(commission_rate);
+    if (minimum_store_fee !== undefined) row.minimum_store_fee = parseFloat(minimum_store_fee) || 0;
+
+    try {
+        const { data, error } = await supabase
+            .from('category_commission_rates')
+            .upsert(row, { onConflict: 'category' })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error(`Supabase Error - upsertCategoryCommissionRate for ${category}:`, error);
+            return res.status(500).json({ message: 'Error saving category commission rate', error: error.message });
+        }
+
+        console.log(`[${new Date().toISOString()}] Commission defaults for category ${category} saved:`, data);
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - upsertCategoryCommissionRate:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// DELETE /api/settings/commission-categories/:category - Remove a category's defaults
+exports.deleteCategoryCommissionRate = async (req, res) => {
+    const { category } = req.params;
+    console.log(`[${new Date().toISOString()}] DELETE /api/settings/commission-categories/${category} called.`);
+    try {
+        const { data, error } = await supabase
+            .from('category_commission_rates')
+            .delete()
+            .eq('category', category)
+            .select('*');
+
+        if (error) {
+            console.error(`Supabase Error - deleteCategoryCommissionRate for ${category}:`, error);
+            return res.status(500).json({ message: 'Error deleting category commission rate', error: error.message });
+        }
+        if (!data.length) {
+            return res.status(404).json({ message: `No commission defaults for category ${category}.` });
+        }
+
+        res.status(200).json({ message: `Commission defaults for category ${category} deleted.`, deleted: data[0] });
+    } catch (err) {
+        console.error("Server Error - deleteCategoryCommissionRate:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
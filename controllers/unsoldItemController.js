@@ -0,0 +1,224 @@
+// backend/controllers/unsoldItemController.js
+// Unsold-item policy API: lapsed products, return pick lists / donation batches and
+// the notifications sent to consignors about them.
+
+const supabase = require('../config/supabaseClient');
+const { runUnsoldItemPolicies } = require('../services/unsoldItemService');
+const { recordDonation } = require('../services/donationService');
+
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+const BATCH_SELECT = `
+    *,
+    consignors (full_name, email, phone_number),
+    unsold_item_batch_items (
+        *,
+        consignors (full_name),
+        products (name, barcode, product_locations (floor, aisle, rack_shelf, bin_number))
+    )
+`;
+
+// as_of from the query/body, defaulting to now. Returns null when it is not a date.
+const parseAsOf = (value) => {
+    if (!value) return new Date();
+    const asOf = new Date(value);
+    return isNaN(asOf.getTime()) ? null : asOf;
+};
+
+// GET /api/unsold-items/lapsed?as_of=YYYY-MM-DD
+// Preview: the batches the next run would create, without changing anything.
+exports.getLapsedProducts = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] GET /api/unsold-items/lapsed called. Query:`, req.query);
+    const asOf = parseAsOf(req.query.as_of);
+    if (!asOf) {
+        return res.status(400).json({ message: 'as_of must be a valid date (YYYY-MM-DD).' });
+    }
+
+    try {
+        const plan = await runUnsoldItemPolicies({ asOf, dryRun: true });
+        res.status(200).json(plan);
+    } catch (err) {
+        console.error("Server Error - getLapsedProducts:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// POST /api/unsold-items/run
+// Body (optional): { as_of }. Runs the policy now; the scheduled job does the same daily.
+exports.runUnsoldItemPolicies = async (req, res) => {
+    console.log(`[${new Date().toISOString()}] POST /api/unsold-items/run called. Body:`, req.body);
+    const asOf = parseAsOf(req.body?.as_of);
+    if (!asOf) {
+        return res.status(400).json({ message: 'as_of must be a valid date (YYYY-MM-DD).' });
+    }
+
+    try {
+        const result = await runUnsoldItemPolicies({ asOf });
+        res.status(200).json(result);
+    } catch (err) {
+        console.error("Server Error - runUnsoldItemPolicies:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/unsold-items/batches?batch_type=return|donation&status=open|completed|expired&consignor_id=
+// Donation batches are shared per charity, so consignor_id only matches return batches.
+exports.getBatches = async (req, res) => {
+    const { batch_type, status, consignor_id } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/unsold-items/batches called. Query:`, req.query);
+
+    try {
+        let query = supabase
+            .from('unsold_item_batches')
+            .select(BATCH_SELECT)
+            .order('created_at', { ascending: false });
+
+        if (batch_type) query = query.eq('batch_type', batch_type);
+        if (status) query = query.eq('status', status);
+        if (consignor_id) query = query.eq('consignor_id', consignor_id);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error("Supabase Error - getBatches:", error);
+            return res.status(500).json({ message: 'Error fetching unsold-item batches from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getBatches:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// GET /api/unsold-items/batches/:id - One batch; for returns this is the pick list (with shelf locations)
+exports.getBatchById = async (req, res) => {
+    const batchId = req.params.id;
+    console.log(`[${new Date().toISOString()}] GET /api/unsold-items/batches/${batchId} called.`);
+
+    if (!UUID_REGEX.test(batchId)) {
+        return res.status(400).json({ message: 'Invalid Batch ID format (must be a UUID).' });
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('unsold_item_batches')
+            .select(BATCH_SELECT)
+            .eq('id', batchId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - getBatchById for ID ${batchId}:`, error);
+            return res.status(500).json({ message: 'Error fetching unsold-item batch from database', error: error.message });
+        }
+        if (!data) {
+            return res.status(404).json({ message: `Batch with ID ${batchId} not found.` });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getBatchById:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
+
+// POST /api/unsold-items/batches/:id/complete
+// Body: { product_ids?: [..], completed_by? } - marks the items (all pending ones when
+// product_ids is left out) as collected by the consignor / handed to the charity.
+// Donation batches also take { donation_date?, fair_market_values?: { "<product_id>": value } };
+// items without a value are valued at their current marked-down price.
+exports.completeBatch = async (req, res) => {
+    const batchId = req.params.id;
+    const { product_ids, completed_by, donation_date, fair_market_values } = req.body || {};
+    console.log(`[${new Date().toISOString()}] POST /api/unsold-items/batches/${batchId}/complete called. Body:`, req.body);
+
+    if (!UUID_REGEX.test(batchId)) {
+        return res.status(400).json({ message: 'Invalid Batch ID format (must be a UUID).' });
+    }
+    if (product_ids !== undefined && (!Array.isArray(product_ids) || product_ids.some(id => isNaN(parseInt(id))))) {
+        return res.status(400).json({ message: 'product_ids must be an array of product IDs.' });
+    }
+    if (donation_date !== undefined && isNaN(new Date(donation_date).getTime())) {
+        return res.status(400).json({ message: 'donation_date must be a valid date (YYYY-MM-DD).' });
+    }
+    if (fair_market_values !== undefined && (typeof fair_market_values !== 'object' || Array.isArray(fair_market_values))) {
+        return res.status(400).json({ message: 'fair_market_values must be an object of product ID to value.' });
+    }
+
+    try {
+        const { data: batch, error: batchError } = await supabase
+            .from('unsold_item_batches')
+            .select('id, batch_type')
+            .eq('id', batchId)
+            .maybeSingle();
+
+        if (batchError) {
+            console.error(`Supabase Error - completeBatch (fetching) for ID ${batchId}:`, batchError);
+            return res.status(500).json({ message: 'Error fetching unsold-item batch from database', error: batchError.message });
+        }
+        if (!batch) {
+            return res.status(404).json({ message: `Batch with ID ${batchId} not found.` });
+        }
+
+        if (batch.batch_type === 'donation') {
+            const donated = await recordDonation(batchId, {
+                productIds: product_ids,
+                fairMarketValues: fair_market_values,
+                donationDate: donation_date,
+                donatedBy: completed_by
+            });
+            return res.status(200).json(donated);
+        }
+
+        const { data, error } = await supabase.rpc('complete_unsold_item_batch', {
+            p_batch_id: batchId,
+            p_product_ids: product_ids ? product_ids.map(id => parseInt(id)) : null,
+            p_completed_by: completed_by || null
+        });
+
+        if (error) {
+            console.error(`Supabase Error - completeBatch for ID ${batchId}:`, error);
+            if (error.code === 'P0002') {
+                return res.status(404).json({ message: `Batch with ID ${batchId} not found.` });
+            }
+            if (error.code === '55000') {
+                return res.status(409).json({ message: error.message, error: error.message });
+            }
+            return res.status(500).json({ message: 'Error completing unsold-item batch', error: error.message });
+        }
+
+        console.log(`[${new Date().toISOString()}] Unsold-item batch ${batchId} updated, status ${data.status}.`);
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - completeBatch:", err);
+        res.status(err.statusCode || 500).json({ message: err.message, error: err.details?.error });
+    }
+};
+
+// GET /api/unsold-items/notifications?consignor_id=&status=pending|sent|failed
+exports.getNotifications = async (req, res) => {
+    const { consignor_id, status } = req.query;
+    console.log(`[${new Date().toISOString()}] GET /api/unsold-items/notifications called. Query:`, req.query);
+
+    try {
+        let query = supabase
+            .from('consignor_notifications')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (consignor_id) query = query.eq('consignor_id', consignor_id);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error("Supabase Error - getNotifications:", error);
+            return res.status(500).json({ message: 'Error fetching consignor notifications from database', error: error.message });
+        }
+
+        res.status(200).json(data);
+    } catch (err) {
+        console.error("Server Error - getNotifications:", err);
+        res.status(500).json({ message: 'Internal server error', error: err.message });
+    }
+};
@@ -8,11 +8,28 @@ const saleRoutes = require('./routes/saleRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const agreementRoutes = require('./routes/agreementRoutes');
 const commissionRoutes = require('./routes/commissionRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const unsoldItemRoutes = require('./routes/unsoldItemRoutes');
+const buyoutRoutes = require('./routes/buyoutRoutes');
+const donationRoutes = require('./routes/donationRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const { startUnsoldItemJob } = require('./jobs/unsoldItemJob');
 const errorHandler = require('./middlewares/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// req.ip is recorded as signing evidence (agreement acknowledgments), so X-Forwarded-For is only
+// trusted from our own proxies: TRUST_PROXY takes an Express "trust proxy" value (hop count,
+// addresses or subnets); on Vercel it defaults to its single proxy hop, elsewhere to none.
+const parseTrustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : 'false')));
+
 // --- Create HTTP server for Socket.io ---
 const server = http.createServer(app);
 
@@ -44,7 +61,7 @@ io.on('connection', (socket) => {
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // signature images are sent as data URLs
 
 // --- Routes ---
 app.get('/', (req, res) => {
@@ -56,6 +73,12 @@ app.use('/api/sales', saleRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/agreements', agreementRoutes);
 app.use('/api/commissions', commissionRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/unsold-items', unsoldItemRoutes);
+app.use('/api/buyouts', buyoutRoutes);
+app.use('/api/donations', donationRoutes);
+app.use('/api/payouts', payoutRoutes);
 
 // --- Modify Product Routes to Emit Events ---
 // Example: In your productRoutes.js (or controller), add Socket.io emits:
@@ -78,4 +101,5 @@ app.use(errorHandler);
 server.listen(PORT, () => {
   console.log(`🚀 Backend running: http://localhost:${PORT}`);
   console.log(`🛰️ Socket.io ready for real-time updates`);
+  startUnsoldItemJob();
 });
\ No newline at end of file
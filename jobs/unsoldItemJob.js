@@ -0,0 +1,41 @@
+// backend/jobs/unsoldItemJob.js
+// Runs the unsold-item policy (services/unsoldItemService.js) on a timer inside the API process.
+// UNSOLD_ITEM_JOB_INTERVAL_HOURS sets the interval (default 24); 0 turns the job off,
+// e.g. where an external scheduler calls POST /api/unsold-items/run instead.
+
+const { runUnsoldItemPolicies } = require('../services/unsoldItemService');
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const FIRST_RUN_DELAY_MS = 60 * 1000; // let the server finish starting up
+
+let running = false;
+
+const runOnce = async () => {
+    if (running) {
+        console.log(`[${new Date().toISOString()}] Unsold-item job still running, skipping this tick.`);
+        return;
+    }
+    running = true;
+    try {
+        await runUnsoldItemPolicies();
+    } catch (err) {
+        console.error(`[${new Date().toISOString()}] Unsold-item job failed:`, err.message);
+    } finally {
+        running = false;
+    }
+};
+
+exports.startUnsoldItemJob = () => {
+    const configured = parseFloat(process.env.UNSOLD_ITEM_JOB_INTERVAL_HOURS);
+    const intervalHours = isNaN(configured) ? DEFAULT_INTERVAL_HOURS : configured;
+    if (intervalHours <= 0) {
+        console.log(`[${new Date().toISOString()}] Unsold-item job disabled (UNSOLD_ITEM_JOB_INTERVAL_HOURS=${process.env.UNSOLD_ITEM_JOB_INTERVAL_HOURS}).`);
+        return null;
+    }
+
+    setTimeout(runOnce, FIRST_RUN_DELAY_MS).unref();
+    const timer = setInterval(runOnce, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    console.log(`[${new Date().toISOString()}] Unsold-item job scheduled every ${intervalHours}h.`);
+    return timer;
+};
@@ -11,6 +11,18 @@ router.post('/', agreementController.addAgreement);
 // GET /api/agreements - Get all agreements
 router.get('/', agreementController.getAllAgreements);
 
+// GET /api/agreements/:id/contract.pdf - Printable contract (signed copy once acknowledged)
+router.get('/:id/contract.pdf', agreementController.generateContractPdf);
+
+// POST /api/agreements/:id/acknowledgment - Record the consignor's signed acknowledgment
+router.post('/:id/acknowledgment', agreementController.acknowledgeAgreement);
+
+// GET /api/agreements/:id/acknowledgments - Acknowledgment history
+router.get('/:id/acknowledgments', agreementController.getAgreementAcknowledgments);
+
+// GET /api/agreements/:id/versions - Version history with the changes between versions
+router.get('/:id/versions', agreementController.getAgreementVersions);
+
 // GET /api/agreements/:id - Get a single agreement by ID
 router.get('/:id', agreementController.getAgreementById);
 
@@ -0,0 +1,25 @@
+// backend/routes/buyoutRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    getBuyoutCandidates,
+    createBuyout,
+    getBuyouts,
+    getBuyoutById
+} = require('../controllers/buyoutController');
+
+// --- Store Buyout Routes ---
+// Route to list products the store may buy out as their consignment ends (GET to /api/buyouts/candidates)
+router.get('/candidates', getBuyoutCandidates);
+
+// Route to buy a product out under its agreement's store purchase option (POST to /api/buyouts)
+router.post('/', createBuyout);
+
+// Route to list buyouts, optionally filtered by ?consignor_id= (GET to /api/buyouts)
+router.get('/', getBuyouts);
+
+// Route to get a single buyout by ID (GET to /api/buyouts/:id)
+router.get('/:id', getBuyoutById);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// backend/routes/donationRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    getDonations,
+    generateDonationAcknowledgmentPdf
+} = require('../controllers/donationController');
+
+// --- Donation Routes ---
+// Donation batches themselves are handled under /api/unsold-items/batches.
+// Route to list donated items with their fair-market values (GET to /api/donations)
+router.get('/', getDonations);
+
+// Route to download a consignor's donation acknowledgment PDF (GET to /api/donations/consignors/:consignorId/acknowledgment)
+router.get('/consignors/:consignorId/acknowledgment', generateDonationAcknowledgmentPdf);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// backend/routes/payoutRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    createRun,
+    getRuns,
+    getRunSummary,
+    exportRun,
+    finalizeRun,
+    cancelRun
+} = require('../controllers/payoutController');
+
+// --- Payout Run Routes ---
+// Route to draft a payout run of every payable period up to a cut-off date (POST to /api/payouts)
+router.post('/', createRun);
+
+// Route to list payout runs, optionally filtered by ?status= (GET to /api/payouts)
+router.get('/', getRuns);
+
+// Route to get a run with one transfer per consignor (GET to /api/payouts/:id)
+router.get('/:id', getRunSummary);
+
+// Route to download the run's bank file, ?format=nacha|csv (GET to /api/payouts/:id/export)
+router.get('/:id/export', exportRun);
+
+// Route to record the run's payments (POST to /api/payouts/:id/finalize)
+router.post('/:id/finalize', finalizeRun);
+
+// Route to cancel a draft run (POST to /api/payouts/:id/cancel)
+router.post('/:id/cancel', cancelRun);
+
+module.exports = router;
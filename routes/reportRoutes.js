@@ -7,4 +7,12 @@ const reportController = require('../controllers/reportController'); // Import t
 // This will be accessible at /api/reports/consignor-commissions
 router.get('/consignor-commissions', reportController.getConsignorCommissions);
 
+// Sale lines sold below their minimum price under a manager override
+// Accessible at /api/reports/below-minimum
+router.get('/below-minimum', reportController.getBelowMinimumSales);
+
+// Per-payment-method totals for end-of-day reconciliation
+// Accessible at /api/reports/payment-totals?date=YYYY-MM-DD
+router.get('/payment-totals', reportController.getPaymentTotals);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+// backend/routes/returnRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    createReturn,
+    getReturns,
+    getReturnById,
+    generateReturnReceiptPdf
+} = require('../controllers/returnController');
+
+// --- Return / Exchange Routes ---
+// Route to return (or exchange) units from individual sale lines (POST to /api/returns)
+router.post('/', createReturn);
+
+// Route to list returns, optionally filtered by ?sale_id= (GET to /api/returns)
+router.get('/', getReturns);
+
+// Route to get a single return by ID (GET to /api/returns/:id)
+router.get('/:id', getReturnById);
+
+// Route to generate and download a return receipt PDF (GET to /api/returns/:id/receipt)
+router.get('/:id/receipt', generateReturnReceiptPdf);
+
+module.exports = router;
@@ -8,8 +8,10 @@ const {
     createSale,         // Changed from recordSale for consistency with controller
     getAllSales,        // New: to get all sales
     getSaleById,        // New: to get a single sale by ID
+    getSaleByInvoiceNumber, // Look up a sale by its invoice number
     updateSaleHeader,   // New: to update a sale header
-    deleteSale,         // New: to delete a sale
+    deleteSale,         // Refuses: sales are voided, never deleted
+    voidSale,           // Void a sale and reverse its commissions
     generateReceiptPdf  // Existing: for PDF generation
 } = require('../controllers/saleController'); // Adjust path as needed, assuming it's in backend/controllers
 
@@ -20,17 +22,24 @@ router.post('/', createSale);
 // Route to get all sales (GET to /api/sales)
 router.get('/', getAllSales);
 
+// Route to get a sale by invoice number (GET to /api/sales/invoice/:invoiceNumber)
+router.get('/invoice/:invoiceNumber', getSaleByInvoiceNumber);
+
 // Route to get a single sale by ID (GET to /api/sales/:id)
 router.get('/:id', getSaleById);
 
 // Route to update a sale header by ID (PUT to /api/sales/:id)
 router.put('/:id', updateSaleHeader);
 
-// Route to delete a sale by ID (DELETE to /api/sales/:id)
+// Route that refuses to delete a sale; sales are voided instead (DELETE to /api/sales/:id)
 router.delete('/:id', deleteSale);
 
+// Route to void a sale, keeping it for audit (POST to /api/sales/:id/void)
+router.post('/:id/void', voidSale);
+
 // --- Other Sale-Related Routes ---
 // Route to generate and download a receipt PDF for a specific sale (GET to /api/sales/:saleId/receipt)
+// Optional ?template=letter|80mm|58mm overrides the store's default receipt layout.
 router.get('/:saleId/receipt', generateReceiptPdf);
 
 module.exports = router; // Export the router to be used in index.js
@@ -0,0 +1,24 @@
+// backend/routes/settingsRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    getAllStoreSettings,
+    getStoreSettingsById,
+    upsertStoreSettings,
+    getCategoryCommissionRates,
+    upsertCategoryCommissionRate,
+    deleteCategoryCommissionRate
+} = require('../controllers/settingsController');
+
+// --- Store Settings Routes ---
+router.get('/stores', getAllStoreSettings);
+router.get('/stores/:storeId', getStoreSettingsById);
+router.put('/stores/:storeId', upsertStoreSettings);
+
+// --- Category Commission Defaults ---
+router.get('/commission-categories', getCategoryCommissionRates);
+router.put('/commission-categories/:category', upsertCategoryCommissionRate);
+router.delete('/commission-categories/:category', deleteCategoryCommissionRate);
+
+module.exports = router;
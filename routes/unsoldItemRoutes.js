@@ -0,0 +1,33 @@
+// backend/routes/unsoldItemRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const {
+    getLapsedProducts,
+    runUnsoldItemPolicies,
+    getBatches,
+    getBatchById,
+    completeBatch,
+    getNotifications
+} = require('../controllers/unsoldItemController');
+
+// --- Unsold-Item Policy Routes ---
+// Route to preview products whose consignment period has lapsed (GET to /api/unsold-items/lapsed)
+router.get('/lapsed', getLapsedProducts);
+
+// Route to run the unsold-item policy now (POST to /api/unsold-items/run)
+router.post('/run', runUnsoldItemPolicies);
+
+// Route to list return pick lists and donation batches (GET to /api/unsold-items/batches)
+router.get('/batches', getBatches);
+
+// Route to get one batch with its items (GET to /api/unsold-items/batches/:id)
+router.get('/batches/:id', getBatchById);
+
+// Route to mark batch items as collected / donated (POST to /api/unsold-items/batches/:id/complete)
+router.post('/batches/:id/complete', completeBatch);
+
+// Route to list notifications queued for consignors (GET to /api/unsold-items/notifications)
+router.get('/notifications', getNotifications);
+
+module.exports = router;
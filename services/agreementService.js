@@ -0,0 +1,88 @@
+// backend/services/agreementService.js
+// Which of a product's agreements applies on a given date. An agreement is in force
+// while its status is 'active' and the date lies within start_date..end_date (inclusive;
+// a missing start or end date leaves that side open). Used by product responses, sales,
+// buyouts and the unsold-item policy instead of taking the first agreement returned.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+
+exports.AGREEMENT_STATUSES = ['active', 'terminated'];
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Latest start first; agreements without a start date count as the oldest. Ties go to the newer id.
+const byStartDateDesc = (a, b) =>
+    String(b.start_date || '').localeCompare(String(a.start_date || '')) || (b.id || 0) - (a.id || 0);
+
+exports.isAgreementInForce = (agreement, onDate = new Date()) => {
+    if (!agreement || (agreement.status && agreement.status !== 'active')) return false;
+    const day = toDateString(onDate);
+    return (!agreement.start_date || agreement.start_date <= day) && (!agreement.end_date || agreement.end_date >= day);
+};
+
+/**
+ * The agreement in force on `onDate` among `agreements`, or null. Should several overlap
+ * (data entered before overlaps were refused) the one that started last wins.
+ */
+exports.getAgreementInForce = (agreements, onDate = new Date()) =>
+    (agreements || [])
+        .filter(agreement => exports.isAgreementInForce(agreement, onDate))
+        .sort(byStartDateDesc)[0] || null;
+
+/**
+ * The agreement version in force on `onDate`: the latest version effective on or before
+ * that date. Sales dated before the first version fall under the first version.
+ */
+exports.getAgreementVersionInForce = (versions, onDate = new Date()) => {
+    const sorted = (versions || []).slice().sort((a, b) => a.version_number - b.version_number);
+    const date = new Date(onDate || Date.now());
+    return sorted.filter(version => new Date(version.effective_from) <= date).pop() || sorted[0] || null;
+};
+
+/**
+ * The agreement in force on `onDate` with the terms of its version in force, as sales price
+ * and commission it: { agreementRow, version, agreement } where `agreement` is the row
+ * overlaid with version.terms (the row itself when it has no versions). All null when no
+ * agreement is in force. `agreements` need their agreement_versions loaded.
+ */
+exports.getAgreementTermsInForce = (agreements, onDate = new Date()) => {
+    const agreementRow = exports.getAgreementInForce(agreements, onDate);
+    const version = exports.getAgreementVersionInForce(agreementRow?.agreement_versions, onDate);
+    return { agreementRow, version, agreement: version ? { ...agreementRow, ...version.terms } : agreementRow };
+};
+
+/**
+ * The agreement that governs a product that is no longer (or not yet) covered: the one
+ * in force on `onDate`, else the most recently started one whatever its status.
+ * Used where terms still apply after an agreement ends (unsold-item policy, donations).
+ */
+exports.getGoverningAgreement = (agreements, onDate = new Date()) =>
+    exports.getAgreementInForce(agreements, onDate) || (agreements || []).slice().sort(byStartDateDesc)[0] || null;
+
+/**
+ * Another active agreement of `productId` whose dates overlap startDate..endDate, or null.
+ * `excludeId` leaves out the agreement being changed. This only answers early with a clear
+ * message; the agreements_check_overlap trigger enforces the rule for concurrent writes.
+ */
+exports.findOverlappingAgreement = async (productId, { startDate, endDate, excludeId } = {}) => {
+    let query = supabase
+        .from('agreements')
+        .select('id, start_date, end_date, status')
+        .eq('product_id', productId)
+        .eq('status', 'active');
+
+    if (excludeId) query = query.neq('id', excludeId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error(`Supabase Error - findOverlappingAgreement for product ${productId}:`, error);
+        throw createHttpError(500, 'Error checking for overlapping agreements', { error: error.message });
+    }
+
+    // A product has a handful of agreements at most, so the overlap is checked here.
+    return data.find(agreement =>
+        (!startDate || !agreement.end_date || agreement.end_date >= startDate) &&
+        (!endDate || !agreement.start_date || agreement.start_date <= endDate)) || null;
+};
@@ -0,0 +1,150 @@
+// backend/services/buyoutService.js
+// Store buyouts: the store buys an unsold consigned product outright under the
+// agreement's store purchase option (store_purchase_percentage of expected_price).
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { getCommissionPeriod, loadPayoutSchedules } = require('./commissionService');
+const { getConsignmentEndDate } = require('./unsoldItemService');
+const { getAgreementInForce } = require('./agreementService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const PRODUCT_SELECT = `
+    id, name, consignor_id, expected_price, quantity, status, store_owned, listed_at, created_at,
+    consignors (full_name, email),
+    agreements (id, status, start_date, end_date, store_purchase_option, store_purchase_percentage, consignment_period_days)
+`;
+
+/**
+ * Whether the store may buy out a product: it is an in-stock consigned (not store-owned)
+ * product and its agreement in force has the store purchase option with a percentage set.
+ * Returns null when eligible, otherwise the reason it is not.
+ */
+exports.getBuyoutIneligibility = (product, agreement) => {
+    if (product.store_owned) return 'Product is already owned by the store.';
+    if (!product.consignor_id) return 'Product has no consignor.';
+    if (product.status !== 'in_stock' || !(product.quantity > 0)) return `Product is not in stock (status ${product.status}).`;
+    if (!agreement) return 'Product has no agreement in force.';
+    if (!agreement.store_purchase_option) return 'Agreement does not include the store purchase option.';
+    if (!(parseFloat(agreement.store_purchase_percentage) > 0)) return 'Agreement has no store purchase percentage.';
+    return null;
+};
+
+/**
+ * Payout for buying out a product: store_purchase_percentage % of expected_price, per unit.
+ */
+exports.calculateBuyoutPayout = (product, agreement) => {
+    const expectedPrice = parseFloat(product.expected_price) || 0;
+    const percentage = parseFloat(agreement.store_purchase_percentage) || 0;
+    const quantity = parseInt(product.quantity) || 0;
+    return {
+        expected_price: expectedPrice,
+        store_purchase_percentage: percentage,
+        quantity,
+        payout_amount: roundCurrency(expectedPrice * percentage / 100 * quantity),
+    };
+};
+
+/**
+ * Products that can be bought out and whose consignment ends within `withinDays` of
+ * `asOf` (or has already ended), soonest first, with the payout each would cost.
+ */
+exports.findBuyoutCandidates = async ({ withinDays = 14, consignorId, asOf = new Date() } = {}) => {
+    let query = supabase
+        .from('products')
+        .select(PRODUCT_SELECT)
+        .eq('status', 'in_stock')
+        .eq('store_owned', false)
+        .gt('quantity', 0);
+
+    if (consignorId) query = query.eq('consignor_id', consignorId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error("Supabase Error - findBuyoutCandidates:", error);
+        throw createHttpError(500, 'Error fetching buyout candidates', { error: error.message });
+    }
+
+    const horizon = new Date(new Date(asOf).getTime() + withinDays * MS_PER_DAY);
+
+    return data
+        .map(product => ({ product, agreement: getAgreementInForce(product.agreements, asOf) }))
+        .filter(({ product, agreement }) => !exports.getBuyoutIneligibility(product, agreement))
+        .map(({ product, agreement }) => {
+            const consignmentEnd = getConsignmentEndDate(product, agreement);
+            return {
+                product_id: product.id,
+                name: product.name,
+                consignor_id: product.consignor_id,
+                consignor_name: product.consignors?.full_name || null,
+                agreement_id: agreement.id,
+                consignment_end_date: consignmentEnd.toISOString().split('T')[0],
+                days_remaining: Math.ceil((consignmentEnd - new Date(asOf)) / MS_PER_DAY),
+                ...exports.calculateBuyoutPayout(product, agreement),
+            };
+        })
+        .filter(candidate => new Date(candidate.consignment_end_date) <= horizon)
+        .sort((a, b) => a.days_remaining - b.days_remaining);
+};
+
+/**
+ * Buys out a product: the product becomes store-owned and the payout is booked into the
+ * consignor's commission period for `buyoutDate`. Resolves to the store_buyouts row.
+ * Throws 404 for an unknown product, 409 when it is not eligible (or changed meanwhile)
+ * or the commission period is already paid.
+ */
+exports.buyOutProduct = async (productId, { boughtOutBy, notes, buyoutDate = new Date() } = {}) => {
+    const { data: product, error } = await supabase
+        .from('products')
+        .select(PRODUCT_SELECT)
+        .eq('id', productId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - buyOutProduct (fetching product ${productId}):`, error);
+        throw createHttpError(500, 'Error fetching product for buyout', { error: error.message });
+    }
+    if (!product) {
+        throw createHttpError(404, `Product ${productId} not found.`);
+    }
+
+    const agreement = getAgreementInForce(product.agreements, buyoutDate);
+    const ineligibility = exports.getBuyoutIneligibility(product, agreement);
+    if (ineligibility) {
+        throw createHttpError(409, `Product ${productId} cannot be bought out: ${ineligibility}`);
+    }
+
+    const payout = exports.calculateBuyoutPayout(product, agreement);
+    const [schedule] = await loadPayoutSchedules([{ consignor_id: product.consignor_id, agreement_id: agreement.id }]);
+    const period = getCommissionPeriod(buyoutDate, schedule);
+
+    const { data: buyout, error: buyoutError } = await supabase.rpc('store_buyout', {
+        p_buyout: {
+            product_id: product.id,
+            agreement_id: agreement.id,
+            ...payout,
+            bought_out_by: boughtOutBy || null,
+            notes: notes || null,
+        },
+        p_period_start: period.period_start,
+        p_period_end: period.period_end,
+    });
+
+    if (buyoutError) {
+        console.error(`Supabase Error - buyOutProduct (store_buyout) for product ${productId}:`, buyoutError);
+        if (buyoutError.code === 'P0002') {
+            throw createHttpError(404, buyoutError.message, { error: buyoutError.message });
+        }
+        if (buyoutError.code === '55000') {
+            throw createHttpError(409, `Buyout could not be booked: ${buyoutError.message}`, { error: buyoutError.message });
+        }
+        throw createHttpError(500, 'Error recording buyout. Nothing was saved.', { error: buyoutError.message });
+    }
+
+    console.log(`[${new Date().toISOString()}] Product ${productId} bought out by the store for ${buyout.payout_amount} (buyout ${buyout.id}).`);
+    return buyout;
+};
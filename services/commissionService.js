@@ -0,0 +1,536 @@
+// backend/services/commissionService.js
+// Commission bookkeeping shared by sales, returns and the /api/commissions endpoints:
+// the commission rules (agreement tiers, category defaults, minimum store fee), what a
+// sale books, and the commission periods (commission_tracking), their payments and reports.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const toNumberOrNull = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// How often a consignor is paid: consignors.payout_schedule, overridable per agreement.
+exports.PAYOUT_SCHEDULES = ['weekly', 'biweekly', 'monthly'];
+
+// Biweekly periods are two-week blocks counted from this Monday.
+const BIWEEKLY_ANCHOR = Date.UTC(2024, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the commission period of `schedule` a given date falls into, as YYYY-MM-DD
+ * strings ready for commission_tracking.period_start/period_end: the Monday-to-Sunday
+ * week, the two-week block (from Monday 2024-01-01) or the calendar month.
+ * Mirrors commission_period_bounds() in the database.
+ */
+exports.getCommissionPeriod = (date, schedule = 'monthly') => {
+    const d = new Date(date);
+    const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    if (schedule === 'weekly' || schedule === 'biweekly') {
+        const start = schedule === 'weekly'
+            ? day - ((d.getUTCDay() + 6) % 7) * DAY_MS
+            : BIWEEKLY_ANCHOR + Math.floor((day - BIWEEKLY_ANCHOR) / (14 * DAY_MS)) * 14 * DAY_MS;
+        const length = schedule === 'weekly' ? 7 : 14;
+        return {
+            period_start: toDateString(new Date(start)),
+            period_end: toDateString(new Date(start + (length - 1) * DAY_MS)),
+        };
+    }
+    return {
+        period_start: toDateString(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1))),
+        period_end: toDateString(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0))),
+    };
+};
+
+/**
+ * Problems with payout terms (the fields that are given). null clears an agreement's
+ * override; consignors always have terms, so pass { allowNull: false } for them.
+ * Empty when valid.
+ */
+exports.validatePayoutTerms = ({ payout_schedule, payout_hold_days }, { allowNull = true } = {}) => {
+    const problems = [];
+    if (payout_schedule !== undefined && (payout_schedule !== null || !allowNull)
+        && !exports.PAYOUT_SCHEDULES.includes(payout_schedule)) {
+        problems.push(`payout_schedule must be one of: ${exports.PAYOUT_SCHEDULES.join(', ')}.`);
+    }
+    if (payout_hold_days !== undefined && (payout_hold_days !== null || !allowNull)
+        && !/^\d+$/.test(String(payout_hold_days))) {
+        problems.push('payout_hold_days must be a whole number of days >= 0.');
+    }
+    return problems;
+};
+
+/**
+ * Payout schedule of each of `lines` ([{ consignor_id, agreement_id }]): the agreement's
+ * payout_schedule, else the consignor's, else monthly. Lines without a consignor get
+ * 'monthly'. Resolves to the schedules in line order.
+ */
+exports.loadPayoutSchedules = async (lines) => {
+    const consignorIds = [...new Set(lines.map(line => line.consignor_id).filter(Boolean))];
+    const agreementIds = [...new Set(lines.map(line => line.agreement_id).filter(Boolean))];
+    if (consignorIds.length === 0) return lines.map(() => 'monthly');
+
+    const [consignors, agreements] = await Promise.all([
+        supabase.from('consignors').select('id, payout_schedule').in('id', consignorIds),
+        agreementIds.length
+            ? supabase.from('agreements').select('id, payout_schedule').in('id', agreementIds)
+            : { data: [], error: null },
+    ]);
+
+    const error = consignors.error || agreements.error;
+    if (error) {
+        console.error("Supabase Error - loadPayoutSchedules:", error);
+        throw createHttpError(500, 'Error loading payout schedules', { error: error.message });
+    }
+
+    const consignorSchedules = new Map(consignors.data.map(row => [row.id, row.payout_schedule]));
+    const agreementSchedules = new Map(agreements.data.map(row => [row.id, row.payout_schedule]));
+    return lines.map(line =>
+        agreementSchedules.get(line.agreement_id) || consignorSchedules.get(line.consignor_id) || 'monthly');
+};
+
+/**
+ * Store defaults per product category, keyed by category:
+ * Map<category, { commission_rate, minimum_store_fee }>. All categories when `categories` is left out.
+ */
+exports.loadCategoryCommissionRates = async (categories) => {
+    let query = supabase.from('category_commission_rates').select('category, commission_rate, minimum_store_fee');
+    if (categories) {
+        const names = [...new Set(categories.filter(Boolean))];
+        if (names.length === 0) return new Map();
+        query = query.in('category', names);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error("Supabase Error - loadCategoryCommissionRates:", error);
+        throw createHttpError(500, 'Error loading category commission rates', { error: error.message });
+    }
+
+    return new Map(data.map(row => [row.category, row]));
+};
+
+/**
+ * The commission rule for selling `product` at `unitPrice` under `agreement` (its terms,
+ * with commission_tiers). The rate is taken from the first of: the agreement's tier for
+ * the price (highest min_price reached), the agreement's commission_rate, the category
+ * default in `categoryRates`. The minimum store fee per unit is the agreement's, else the
+ * category's. Returns { commission_rate, minimum_store_fee, commission_basis }.
+ */
+exports.getCommissionRule = (agreement, product, unitPrice, categoryRates = new Map()) => {
+    const category = categoryRates.get(product?.category) || null;
+    const tier = (agreement?.commission_tiers || [])
+        .filter(t => unitPrice >= parseFloat(t.min_price))
+        .sort((a, b) => parseFloat(b.min_price) - parseFloat(a.min_price))[0];
+
+    let commissionRate = 0;
+    let basis = 'none';
+    if (tier) {
+        commissionRate = parseFloat(tier.commission_rate);
+        basis = 'tier';
+    } else if (toNumberOrNull(agreement?.commission_rate) !== null) {
+        commissionRate = parseFloat(agreement.commission_rate);
+        basis = 'agreement';
+    } else if (toNumberOrNull(category?.commission_rate) !== null) {
+        commissionRate = parseFloat(category.commission_rate);
+        basis = 'category';
+    }
+
+    const minimumStoreFee = toNumberOrNull(agreement?.minimum_store_fee) ?? toNumberOrNull(category?.minimum_store_fee) ?? 0;
+
+    return { commission_rate: commissionRate, minimum_store_fee: minimumStoreFee, commission_basis: basis };
+};
+
+/**
+ * Consignor commission for a line: unit_price * commission_rate per unit, but never more
+ * than unit_price - minimum_store_fee (nor below 0), times the quantity.
+ */
+exports.calculateLineCommission = ({ unit_price, quantity, commission_rate, minimum_store_fee = 0 }) => {
+    const unitPrice = parseFloat(unit_price) || 0;
+    const perUnit = Math.max(0, Math.min(unitPrice * (parseFloat(commission_rate) || 0), unitPrice - (parseFloat(minimum_store_fee) || 0)));
+    return roundCurrency(perUnit * (parseInt(quantity) || 0));
+};
+
+// Who bears the header discount and the transaction fee (store_settings
+// discount_proration_policy / fee_proration_policy):
+//   store     - the store's share only; the consignor is paid as if there were none
+//   shared    - both, in proportion to their shares of the line
+//   consignor - the consignor's share only
+exports.PRORATION_POLICIES = ['store', 'shared', 'consignor'];
+
+/**
+ * Splits a priced line between consignor and store once its allocated part of the header
+ * discount and transaction fee is known (saleTotalsService.allocateHeaderAmounts).
+ * net_amount is what the line brought in after the discount; consignor_share is what the
+ * consignor is paid for it (never below 0 nor above net_amount) and store_share the rest.
+ * Lines without a consignor are all store share.
+ */
+exports.splitLineShares = (pricing, { discount_allocation = 0, fee_allocation = 0 } = {}, policy = {}) => {
+    const gross = roundCurrency((parseFloat(pricing.unit_price) || 0) * (parseInt(pricing.quantity) || 0));
+    const netAmount = roundCurrency(gross - discount_allocation);
+    if (!pricing.consignor_id) {
+        return { discount_allocation, fee_allocation, net_amount: netAmount, consignor_share: 0, store_share: netAmount };
+    }
+
+    let consignorShare = exports.calculateLineCommission(pricing);
+    if (policy.discount === 'shared') {
+        consignorShare = gross > 0 ? consignorShare * netAmount / gross : 0;
+    } else if (policy.discount === 'consignor') {
+        consignorShare -= discount_allocation;
+    }
+    if (policy.fee === 'shared') {
+        consignorShare -= netAmount > 0 ? fee_allocation * Math.max(0, consignorShare) / netAmount : 0;
+    } else if (policy.fee === 'consignor') {
+        consignorShare -= fee_allocation;
+    }
+    consignorShare = roundCurrency(Math.min(Math.max(consignorShare, 0), Math.max(netAmount, 0)));
+
+    return {
+        discount_allocation,
+        fee_allocation,
+        net_amount: netAmount,
+        consignor_share: consignorShare,
+        store_share: roundCurrency(netAmount - consignorShare),
+    };
+};
+
+/**
+ * The commission side of a sale's lines, as create_sale() books it: for each priced line
+ * (see pricingService.priceSaleLines) its consignor/store split (splitLineShares, with the
+ * line's entry of `allocations` and the store's proration `policy`; `commission` is the
+ * consignor share) and the period of the line's payout schedule (`schedules`, see
+ * loadPayoutSchedules) containing `saleDate`, or no booking when the line has no consignor.
+ * Returns [{ commission, shares, booking: { period_start, period_end, commission_rate } | null }].
+ */
+exports.buildSaleCommissions = (linePricing, saleDate, { allocations = [], policy = {}, schedules = [] } = {}) =>
+    linePricing.map((pricing, index) => {
+        const shares = exports.splitLineShares(pricing, allocations[index], policy);
+        return {
+            commission: shares.consignor_share,
+            shares,
+            booking: pricing.consignor_id
+                ? { ...exports.getCommissionPeriod(saleDate, schedules[index]), commission_rate: pricing.commission_rate }
+                : null,
+        };
+    });
+
+// --- Commission periods (commission_tracking) and their payments ---
+
+// Periods that can still take a payment
+exports.PAYABLE_STATUSES = ['pending', 'calculated', 'partially_paid'];
+
+// Amount of a period not yet paid out
+exports.getRemainingBalance = (tracking) =>
+    roundCurrency((parseFloat(tracking.total_commission) || 0) - (parseFloat(tracking.paid_amount) || 0));
+
+const withRemainingBalance = (tracking) => ({ ...tracking, remaining_balance: exports.getRemainingBalance(tracking) });
+
+// A period is on hold until its payable_on date (period end + the consignor's hold period).
+exports.isOnHold = (tracking, onDate = new Date()) =>
+    Boolean(tracking.payable_on) && tracking.payable_on > toDateString(new Date(onDate));
+
+/**
+ * Pending and partially paid periods, oldest period first, each with its remaining_balance
+ * and whether it is still on_hold.
+ */
+exports.listUnpaidCommissions = async () => {
+    const { data, error } = await supabase
+        .from('commission_tracking')
+        .select(`
+            id, consignor_id, period_start, period_end, payable_on, total_sales, total_commission, paid_amount, status,
+            closed_at, created_at, updated_at,
+            consignors:consignor_id(full_name, email, phone_number)
+        `)
+        .in('status', exports.PAYABLE_STATUSES)
+        .order('period_end', { ascending: true });
+
+    if (error) {
+        console.error("Supabase Error - listUnpaidCommissions:", error);
+        throw createHttpError(500, 'Error fetching unpaid commissions', { error: error.message });
+    }
+
+    return data.map(tracking => ({ ...withRemainingBalance(tracking), on_hold: exports.isOnHold(tracking) }));
+};
+
+/**
+ * Fully paid periods, most recently updated first.
+ */
+exports.listPaidCommissions = async () => {
+    const { data, error } = await supabase
+        .from('commission_tracking')
+        .select('id, total_commission, period_start, period_end, consignors:consignor_id(full_name), status, updated_at')
+        .eq('status', 'paid')
+        .order('updated_at', { ascending: false });
+
+    if (error) {
+        console.error("Supabase Error - listPaidCommissions:", error);
+        throw createHttpError(500, 'Error fetching paid commissions', { error: error.message });
+    }
+
+    return data;
+};
+
+/**
+ * One period: { header (with consignor and remaining_balance), items, payments }.
+ * Throws 404 when it does not exist.
+ */
+exports.getCommissionDetails = async (trackingId) => {
+    const { data: header, error } = await supabase
+        .from('commission_tracking')
+        .select('*, consignors:consignor_id(full_name, email, phone_number)')
+        .eq('id', trackingId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - getCommissionDetails (${trackingId}):`, error);
+        throw createHttpError(500, 'Error fetching commission', { error: error.message });
+    }
+    if (!header) {
+        throw createHttpError(404, 'Commission not found');
+    }
+
+    const [itemsResult, paymentsResult] = await Promise.all([
+        supabase
+            .from('commission_items')
+            .select(`
+                *,
+                sale_items:sale_item_id(sale_id, unit_price, quantity, line_total, products:product_id(name), sale_header(invoice_number, sale_date))
+            `)
+            .eq('commission_tracking_id', trackingId),
+        // A period may be paid in several installments
+        supabase
+            .from('commission_payments')
+            .select('*')
+            .eq('commission_tracking_id', trackingId)
+            .order('payment_date', { ascending: true }),
+    ]);
+
+    if (itemsResult.error) {
+        console.error(`Supabase Error - getCommissionDetails items (${trackingId}):`, itemsResult.error);
+        throw createHttpError(500, 'Error fetching commission items', { error: itemsResult.error.message });
+    }
+    if (paymentsResult.error) {
+        console.error(`Supabase Error - getCommissionDetails payments (${trackingId}):`, paymentsResult.error);
+        throw createHttpError(500, 'Error fetching commission payments', { error: paymentsResult.error.message });
+    }
+
+    return { header: withRemainingBalance(header), items: itemsResult.data, payments: paymentsResult.data };
+};
+
+/**
+ * Checks that a period can take a payment and resolves to it (with remaining_balance).
+ * Throws 404 when it does not exist, 400 when it is already paid and 409 while it is on hold.
+ */
+exports.getPayableCommission = async (trackingId) => {
+    const { data: tracking, error } = await supabase
+        .from('commission_tracking')
+        .select('id, status, total_commission, paid_amount, payable_on')
+        .eq('id', trackingId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - getPayableCommission (${trackingId}):`, error);
+        throw createHttpError(500, 'Error fetching commission for verification', { error: error.message });
+    }
+    if (!tracking) {
+        throw createHttpError(404, 'Commission not found');
+    }
+    if (tracking.status === 'paid') {
+        throw createHttpError(400, 'Commission has already been paid');
+    }
+    if (!exports.PAYABLE_STATUSES.includes(tracking.status)) {
+        throw createHttpError(400, `Commission is in an unpayable status: ${tracking.status}`);
+    }
+    if (exports.isOnHold(tracking)) {
+        throw createHttpError(409, `Commission is on hold until ${tracking.payable_on}`);
+    }
+
+    return withRemainingBalance(tracking);
+};
+
+/**
+ * Records a full or partial (installment) payment of a period through
+ * record_commission_payment(), which checks the amount against the balance under the
+ * period's row lock, so concurrent installments cannot pay out more than the commission.
+ * `payment`: commission_payments columns (amount, payment_date, payment_method, ...).
+ * Resolves to { payment, tracking } with the period's new status and remaining_balance.
+ */
+exports.recordCommissionPayment = async (trackingId, payment) => {
+    const { data, error } = await supabase.rpc('record_commission_payment', {
+        p_tracking_id: trackingId,
+        p_payment: payment,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - recordCommissionPayment (${trackingId}):`, error);
+        if (error.code === 'P0002') throw createHttpError(404, 'Commission not found', { error: error.message });
+        if (error.code === '55000') throw createHttpError(409, error.message, { error: error.message }); // paid, on hold or reserved by a payout run
+        if (error.code === '23514') throw createHttpError(409, error.message, { error: error.message }); // more than the balance
+        if (error.code === '22023') throw createHttpError(400, error.message, { error: error.message });
+        throw createHttpError(500, 'Error recording payment', { error: error.message });
+    }
+
+    return { payment: data.payment, tracking: withRemainingBalance(data.tracking) };
+};
+
+/**
+ * The commission report of a consignor for periodStart..periodEnd. The period is first
+ * reconciled against the sales on record (reconcile_commission_period()): sale lines in
+ * the period that were never booked are added, so the report never shows stale items.
+ * Resolves to null when the consignor has neither a period nor sales for those dates,
+ * else to the period with its commission_items, payments, remaining_balance and
+ * reconciliation: { booked, adjusted } (adjusted: lines of a closed or paid period that
+ * went to the next open period as late sales).
+ */
+exports.generateCommissionReport = async (consignorId, periodStart, periodEnd) => {
+    const { data: reconciliation, error } = await supabase.rpc('reconcile_commission_period', {
+        p_consignor_id: consignorId,
+        p_period_start: periodStart,
+        p_period_end: periodEnd,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - generateCommissionReport (consignor ${consignorId}, ${periodStart} to ${periodEnd}):`, error);
+        throw createHttpError(500, 'Error reconciling commission period', { error: error.message });
+    }
+    if (reconciliation.booked > 0 || reconciliation.adjusted > 0) {
+        console.log(`[${new Date().toISOString()}] Reconciled consignor ${consignorId} ${periodStart} to ${periodEnd}: ${reconciliation.booked} sale line(s) booked, ${reconciliation.adjusted} as late-sale adjustments.`);
+    }
+    if (!reconciliation.tracking_id) {
+        return null;
+    }
+
+    const { header, items, payments } = await exports.getCommissionDetails(reconciliation.tracking_id);
+    return {
+        ...header,
+        commission_items: items,
+        payments,
+        reconciliation: { booked: reconciliation.booked, adjusted: reconciliation.adjusted },
+    };
+};
+
+// --- Closing periods and adjustments ---
+
+/**
+ * Closes one consignor's period: from then on nothing is booked into it and later changes
+ * become adjustments in the next open period. Throws 404 when it does not exist and 409
+ * when it is already closed.
+ */
+exports.closeCommissionPeriod = async (trackingId, closedBy) => {
+    const { data, error } = await supabase
+        .from('commission_tracking')
+        .update({ closed_at: new Date().toISOString(), closed_by: closedBy || null, updated_at: new Date().toISOString() })
+        .eq('id', trackingId)
+        .is('closed_at', null)
+        .select('*');
+
+    if (error) {
+        console.error(`Supabase Error - closeCommissionPeriod (${trackingId}):`, error);
+        throw createHttpError(500, 'Error closing commission period', { error: error.message });
+    }
+    if (data.length === 0) {
+        const { data: existing } = await supabase.from('commission_tracking').select('id').eq('id', trackingId).maybeSingle();
+        throw existing
+            ? createHttpError(409, 'Commission period is already closed')
+            : createHttpError(404, 'Commission not found');
+    }
+
+    return withRemainingBalance(data[0]);
+};
+
+/**
+ * Closes periodStart..periodEnd for every consignor: each period lying entirely inside
+ * those dates, whatever its payout schedule, including periods created later on. Resolves to the number of existing periods closed.
+ */
+exports.closeCommissionPeriods = async (periodStart, periodEnd, closedBy) => {
+    const { data, error } = await supabase.rpc('close_commission_periods', {
+        p_period_start: periodStart,
+        p_period_end: periodEnd,
+        p_closed_by: closedBy || null,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - closeCommissionPeriods (${periodStart} to ${periodEnd}):`, error);
+        throw createHttpError(500, 'Error closing commission periods', { error: error.message });
+    }
+
+    return data;
+};
+
+/**
+ * Books a price correction of a sale line: the differences in sale amount and commission
+ * go against the period of the sale, or the consignor's next open period when that one is
+ * closed or paid. Resolves to the adjustment line.
+ */
+exports.recordPriceCorrection = async (saleItemId, { saleAmount, commissionAmount, reason, adjustedBy }) => {
+    const { data: line, error: lineError } = await supabase
+        .from('sale_items')
+        .select('id, consignor_id, agreement_id, sale_header(sale_date)')
+        .eq('id', saleItemId)
+        .maybeSingle();
+
+    if (lineError) {
+        console.error(`Supabase Error - recordPriceCorrection (sale line ${saleItemId}):`, lineError);
+        throw createHttpError(500, 'Error fetching sale line', { error: lineError.message });
+    }
+    if (!line) {
+        throw createHttpError(404, `Sale line ${saleItemId} not found.`);
+    }
+
+    const [schedule] = await exports.loadPayoutSchedules([line]);
+    const period = exports.getCommissionPeriod(line.sale_header.sale_date, schedule);
+    const { data, error } = await supabase.rpc('book_commission_correction', {
+        p_sale_item_id: saleItemId,
+        p_period_start: period.period_start,
+        p_period_end: period.period_end,
+        p_sale_amount: saleAmount,
+        p_commission_amount: commissionAmount,
+        p_reason: reason,
+        p_adjusted_by: adjustedBy || null,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - recordPriceCorrection (sale line ${saleItemId}):`, error);
+        if (error.code === 'P0002') throw createHttpError(404, error.message, { error: error.message });
+        if (error.code === '22023') throw createHttpError(400, error.message, { error: error.message });
+        throw createHttpError(500, 'Error booking price correction', { error: error.message });
+    }
+
+    return data;
+};
+
+/**
+ * Adjustment lines (late sales, voids, returns, sale date changes and price corrections
+ * booked against another period), newest first. Filters: consignorId, type, and from / to
+ * on the date the adjustment was booked.
+ */
+exports.listCommissionAdjustments = async ({ consignorId, type, from, to } = {}) => {
+    let query = supabase
+        .from('commission_items')
+        .select(`
+            id, adjustment_type, adjustment_reason, adjusted_by, created_at,
+            sale_item_id, product_id, sale_amount, commission_rate, commission_amount, reversal_of, sale_return_item_id,
+            adjusts_period_id, adjusts_period_start, adjusts_period_end,
+            period:commission_tracking!commission_tracking_id!inner(id, consignor_id, period_start, period_end, status, consignors:consignor_id(full_name)),
+            products(name),
+            sale_items(sale_header(invoice_number, sale_date))
+        `)
+        .not('adjustment_type', 'is', null)
+        .order('created_at', { ascending: false });
+
+    if (consignorId) query = query.eq('period.consignor_id', consignorId);
+    if (type) query = query.eq('adjustment_type', type);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', `${to}T23:59:59.999Z`);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error("Supabase Error - listCommissionAdjustments:", error);
+        throw createHttpError(500, 'Error fetching commission adjustments', { error: error.message });
+    }
+
+    return data;
+};
@@ -0,0 +1,348 @@
+// backend/services/contractService.js
+// Consignment agreement contracts: the PDF a consignor reads and acknowledges, and the
+// signed copy kept in the agreement-contracts storage bucket.
+
+const crypto = require('crypto');
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const {
+    RECEIPT_TEMPLATES, getReceiptSettings, createReceiptDocument, drawStoreHeader, drawRule, loadLogo
+} = require('./receiptService');
+const { loadCategoryCommissionRates } = require('./commissionService');
+
+const CONTRACT_BUCKET = 'agreement-contracts';
+
+// Largest signature image accepted (decoded bytes).
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+
+const CONTRACT_SELECT = `
+    *,
+    progressive_discounts (days_after_listing, discount_percent),
+    commission_tiers (min_price, commission_rate),
+    charity_donations (charity_choice),
+    products (name, category, condition, description, barcode, expected_price, minimum_price),
+    consignors (full_name, email, phone_number, address),
+    agreement_versions (id, version_number)
+`;
+
+// id of the agreement's current version (agreements.current_version), or null.
+const getCurrentVersionId = (agreement) =>
+    (agreement.agreement_versions || []).find(version => version.version_number === agreement.current_version)?.id || null;
+
+/**
+ * Loads an agreement with everything its contract shows, including the store's default for
+ * the product's category (category_commission) when the agreement relies on it.
+ * Throws 404 when it does not exist.
+ */
+exports.loadAgreementForContract = async (agreementId) => {
+    const { data, error } = await supabase
+        .from('agreements')
+        .select(CONTRACT_SELECT)
+        .eq('id', agreementId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - loadAgreementForContract for ID ${agreementId}:`, error);
+        throw createHttpError(500, 'Error fetching agreement for contract', { error: error.message });
+    }
+    if (!data) {
+        throw createHttpError(404, `Agreement with ID ${agreementId} not found.`);
+    }
+
+    const categoryRates = await loadCategoryCommissionRates([data.products?.category]);
+    return { ...data, category_commission: categoryRates.get(data.products?.category) || null };
+};
+
+/**
+ * Decodes a captured signature sent as a data URL (data:image/png;base64,... or jpeg).
+ * Returns { buffer, contentType, extension }; throws 400 when it is missing, not a
+ * PNG/JPEG image or too large.
+ */
+exports.parseSignatureImage = (dataUrl) => {
+    const match = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/i.exec(dataUrl || '');
+    if (!match) {
+        throw createHttpError(400, 'signatureImage must be a PNG or JPEG data URL (data:image/png;base64,...).');
+    }
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_SIGNATURE_BYTES) {
+        throw createHttpError(400, `signatureImage must be between 1 byte and ${MAX_SIGNATURE_BYTES / 1024} KB.`);
+    }
+    const extension = match[1].toLowerCase() === 'png' ? 'png' : 'jpg';
+    return { buffer, contentType: extension === 'png' ? 'image/png' : 'image/jpeg', extension };
+};
+
+const percent = (rate) => `${(parseFloat(rate) * 100).toFixed(2).replace(/\.00$/, '')}%`;
+const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Writes the contract for `agreement` (as loaded by loadAgreementForContract) onto `doc`.
+ * With an `acknowledgment` ({ acknowledged_by, acknowledged_at, ip_address }) and its
+ * signature image the signature block is filled in; otherwise blank lines are left to sign.
+ */
+exports.renderContract = (doc, agreement, settings, { logo, acknowledgment, signature } = {}) => {
+    const template = RECEIPT_TEMPLATES.letter;
+    const width = doc.page.width - template.margin * 2;
+    const product = agreement.products || {};
+    const consignor = agreement.consignors || {};
+    const storeName = settings?.store_name || 'Consignment Owner Store';
+
+    drawStoreHeader(doc, template, settings, 'CONSIGNMENT AGREEMENT', logo);
+
+    const detail = (label, value) => {
+        doc.fontSize(11)
+           .font('Helvetica-Bold')
+           .text(label, { continued: true, width })
+           .font('Helvetica')
+           .text(` ${value}`, { width });
+    };
+    const heading = (text) => {
+        doc.moveDown(0.6);
+        doc.fontSize(13).font('Helvetica-Bold').text(text, template.margin, doc.y, { width }).moveDown(0.3);
+    };
+    const paragraph = (text) => {
+        doc.fontSize(11).font('Helvetica').text(text, template.margin, doc.y, { width, align: 'justify' }).moveDown(0.3);
+    };
+
+    detail('Agreement Number:', agreement.id);
+    detail('Date:', new Date(agreement.created_at || Date.now()).toLocaleDateString());
+    if (agreement.start_date || agreement.end_date) {
+        detail('Term:', `From ${agreement.start_date || 'signing'}${agreement.end_date ? ` until ${agreement.end_date}` : ', open-ended'}`);
+    }
+
+    heading('1. Parties');
+    paragraph(`This agreement is made between ${storeName}${settings?.store_address ? `, ${settings.store_address}` : ''} ` +
+        '(the "Store") and the consignor named below (the "Consignor").');
+    detail('Consignor:', consignor.full_name || `Consignor ID ${agreement.consignor_id}`);
+    if (consignor.address) detail('Address:', consignor.address);
+    if (consignor.email) detail('Email:', consignor.email);
+    if (consignor.phone_number) detail('Phone:', consignor.phone_number);
+
+    heading('2. Consigned Item');
+    detail('Item:', product.name || `Product ID ${agreement.product_id}`);
+    if (product.category) detail('Category:', product.category);
+    if (product.condition) detail('Condition:', product.condition);
+    if (product.barcode) detail('Barcode:', product.barcode);
+    if (product.description) detail('Description:', product.description);
+    detail('Listing Price:', money(product.expected_price));
+    if (parseFloat(product.minimum_price) > 0) {
+        detail('Minimum Price:', `${money(product.minimum_price)} (the item is not sold below this without the Consignor's consent or a manager override)`);
+    }
+
+    heading('3. Commission');
+    const category = agreement.category_commission || {};
+    const hasRate = (rate) => rate !== null && rate !== undefined && rate !== '';
+    const baseRate = hasRate(agreement.commission_rate) ? agreement.commission_rate : category.commission_rate;
+    const tiers = (agreement.commission_tiers || []).slice().sort((a, b) => a.min_price - b.min_price);
+    if (tiers.length > 0) {
+        paragraph('For each sale of the item the Consignor is paid a share of the sale price that depends on the price per item:');
+        tiers.forEach(tier => {
+            doc.fontSize(11).font('Helvetica')
+               .text(`•  ${money(tier.min_price)} and above: ${percent(tier.commission_rate)}`, template.margin + 15, doc.y, { width: width - 15 });
+        });
+        if (hasRate(baseRate) && parseFloat(tiers[0].min_price) > 0) {
+            doc.text(`•  Below ${money(tiers[0].min_price)}: ${percent(baseRate)}`, template.margin + 15, doc.y, { width: width - 15 });
+        }
+        doc.moveDown(0.3);
+        paragraph('The Store retains the remainder. Amounts due are settled per monthly commission period.');
+    } else {
+        paragraph(`For each sale of the item the Consignor is paid ${percent(baseRate || 0)} of the sale price; ` +
+            'the Store retains the remainder. Amounts due are settled per monthly commission period.');
+    }
+    const minimumStoreFee = hasRate(agreement.minimum_store_fee) ? agreement.minimum_store_fee : category.minimum_store_fee;
+    if (parseFloat(minimumStoreFee) > 0) {
+        paragraph(`The Store retains at least ${money(minimumStoreFee)} of the sale price of each item sold.`);
+    }
+
+    heading('4. Consignment Period and Price Reductions');
+    paragraph(`The item is offered for sale for ${agreement.consignment_period_days || 90} days from the date it is placed on the sales floor.`);
+    const schedule = (agreement.progressive_discounts || []).slice().sort((a, b) => a.days_after_listing - b.days_after_listing);
+    if (schedule.length > 0) {
+        paragraph('The listing price is reduced automatically on the following schedule:');
+        schedule.forEach(step => {
+            doc.fontSize(11).font('Helvetica')
+               .text(`•  After ${step.days_after_listing} days: ${parseFloat(step.discount_percent)}% off the listing price`, template.margin + 15, doc.y, { width: width - 15 });
+        });
+        doc.moveDown(0.3);
+    } else {
+        paragraph('The listing price is not reduced automatically during the consignment period.');
+    }
+
+    heading('5. Unsold Items');
+    if (agreement.unsold_item_policy === 'return') {
+        paragraph('If the item has not sold by the end of the consignment period it will be returned to the Consignor. ' +
+            `The Consignor will be notified and must collect it within ${agreement.return_fallback_days || 14} days; ` +
+            'items not collected in that time will be donated to charity.');
+    } else if (agreement.unsold_item_policy === 'donate') {
+        const charity = agreement.charity_donations?.[0]?.charity_choice;
+        paragraph(`If the item has not sold by the end of the consignment period it will be donated${charity ? ` to ${charity}` : ' to charity'} ` +
+            'on the Consignor\'s behalf. The Consignor will receive an acknowledgment of the donation and its fair-market value.');
+    } else {
+        paragraph('If the item has not sold by the end of the consignment period the Store will contact the Consignor to arrange its return.');
+    }
+
+    heading('6. Store Purchase Option');
+    if (agreement.store_purchase_option && parseFloat(agreement.store_purchase_percentage) > 0) {
+        paragraph(`The Store may purchase the item outright for ${parseFloat(agreement.store_purchase_percentage)}% of the listing price ` +
+            `(${money(parseFloat(product.expected_price || 0) * parseFloat(agreement.store_purchase_percentage) / 100)}) ` +
+            'while it is unsold. The purchase price is paid with the Consignor\'s commission for that period, ' +
+            'and later sales of the item are the Store\'s own.');
+    } else {
+        paragraph('The Store will not purchase the item outright under this agreement.');
+    }
+
+    heading('7. Acknowledgment');
+    paragraph('By signing, the Consignor confirms they own the item, have read and accept the terms above, ' +
+        'and that the Store is not liable for ordinary wear while the item is displayed.');
+
+    if (doc.y > doc.page.height - 200) doc.addPage();
+    drawRule(doc, template);
+
+    if (acknowledgment) {
+        if (signature) {
+            doc.image(signature, template.margin, doc.y, { fit: [220, 80] });
+            doc.y += 85;
+        }
+        doc.strokeColor('black').lineWidth(0.5).moveTo(template.margin, doc.y).lineTo(template.margin + 250, doc.y).stroke();
+        doc.moveDown(0.3);
+        detail('Signed by:', acknowledgment.acknowledged_by);
+        detail('Signed at:', new Date(acknowledgment.acknowledged_at).toISOString());
+        if (acknowledgment.ip_address) detail('From IP address:', acknowledgment.ip_address);
+    } else {
+        doc.moveDown(3);
+        doc.strokeColor('black').lineWidth(0.5)
+           .moveTo(template.margin, doc.y).lineTo(template.margin + 250, doc.y).stroke()
+           .moveTo(template.margin + 300, doc.y).lineTo(template.margin + width, doc.y).stroke();
+        doc.moveDown(0.3);
+        const labelY = doc.y;
+        doc.fontSize(10).font('Helvetica').text('Consignor signature', template.margin, labelY, { width: 250 });
+        doc.text('Date', template.margin + 300, labelY, { width: width - 300 });
+    }
+};
+
+// Renders a contract to a Buffer (for storing the signed copy).
+const renderContractToBuffer = (agreement, settings, options) => new Promise((resolve, reject) => {
+    const doc = createReceiptDocument(RECEIPT_TEMPLATES.letter);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    exports.renderContract(doc, agreement, settings, options);
+    doc.end();
+});
+
+/**
+ * Contract PDF for an agreement as a Buffer: the stored signed copy of the latest
+ * acknowledgment of its current version when there is one, otherwise a freshly rendered
+ * unsigned contract of the current terms (an amendment since the last signature needs
+ * signing again). Resolves to { buffer, signed }.
+ */
+exports.getContractPdf = async (agreementId) => {
+    const agreement = await exports.loadAgreementForContract(agreementId);
+    const currentVersionId = getCurrentVersionId(agreement);
+
+    let latest = null;
+    if (currentVersionId) {
+        const { data, error } = await supabase
+            .from('agreement_acknowledgments')
+            .select('contract_path')
+            .eq('agreement_id', agreementId)
+            .eq('agreement_version_id', currentVersionId)
+            .order('acknowledged_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase Error - getContractPdf (acknowledgments) for agreement ${agreementId}:`, error);
+            throw createHttpError(500, 'Error fetching agreement acknowledgments', { error: error.message });
+        }
+        latest = data;
+    }
+
+    if (latest?.contract_path) {
+        const { data: file, error: downloadError } = await supabase.storage.from(CONTRACT_BUCKET).download(latest.contract_path);
+        if (!downloadError && file) {
+            return { buffer: Buffer.from(await file.arrayBuffer()), signed: true };
+        }
+        console.error(`Storage Error - signed contract ${latest.contract_path} could not be downloaded, rendering unsigned copy:`, downloadError?.message);
+    }
+
+    const settings = await getReceiptSettings();
+    const logo = await loadLogo(settings?.logo_url);
+    return { buffer: await renderContractToBuffer(agreement, settings, { logo }), signed: false };
+};
+
+/**
+ * Records a consignor's acknowledgment of an agreement: renders the contract with the
+ * signature, who/when/IP embedded, stores the signed PDF (and signature image) in the
+ * agreement-contracts bucket, saves the acknowledgment row and marks the agreement
+ * acknowledged. Resolves to the agreement_acknowledgments row.
+ */
+exports.acknowledgeAgreement = async (agreementId, { acknowledgedBy, signatureImage, ipAddress, userAgent }) => {
+    const signature = exports.parseSignatureImage(signatureImage);
+    const agreement = await exports.loadAgreementForContract(agreementId);
+    const settings = await getReceiptSettings();
+    const logo = await loadLogo(settings?.logo_url);
+
+    const acknowledgment = {
+        agreement_id: agreement.id,
+        agreement_version_id: getCurrentVersionId(agreement),
+        acknowledged_by: acknowledgedBy,
+        acknowledged_at: new Date().toISOString(),
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null,
+    };
+
+    let pdf;
+    try {
+        pdf = await renderContractToBuffer(agreement, settings, { logo, acknowledgment, signature: signature.buffer });
+    } catch (err) {
+        // PDFKit rejects images it cannot decode
+        throw createHttpError(400, 'signatureImage could not be read as an image.', { error: err.message });
+    }
+
+    const stamp = acknowledgment.acknowledged_at.replace(/[:.]/g, '-');
+    const contractPath = `${agreement.id}/contract-${stamp}.pdf`;
+    const signaturePath = `${agreement.id}/signature-${stamp}.${signature.extension}`;
+
+    const bucket = supabase.storage.from(CONTRACT_BUCKET);
+    const [{ error: contractError }, { error: signatureError }] = await Promise.all([
+        bucket.upload(contractPath, pdf, { contentType: 'application/pdf' }),
+        bucket.upload(signaturePath, signature.buffer, { contentType: signature.contentType }),
+    ]);
+
+    if (contractError || signatureError) {
+        console.error(`Storage Error - acknowledgeAgreement uploads for agreement ${agreementId}:`, contractError || signatureError);
+        await bucket.remove([contractPath, signaturePath]);
+        throw createHttpError(500, 'Error storing the signed contract', { error: (contractError || signatureError).message });
+    }
+
+    const { data: saved, error: insertError } = await supabase
+        .from('agreement_acknowledgments')
+        .insert({
+            ...acknowledgment,
+            signature_path: signaturePath,
+            contract_path: contractPath,
+            contract_sha256: crypto.createHash('sha256').update(pdf).digest('hex'),
+        })
+        .select('*')
+        .single();
+
+    if (insertError) {
+        console.error(`Supabase Error - acknowledgeAgreement (insert) for agreement ${agreementId}:`, insertError);
+        await bucket.remove([contractPath, signaturePath]);
+        throw createHttpError(500, 'Error recording the acknowledgment', { error: insertError.message });
+    }
+
+    const { error: flagError } = await supabase
+        .from('agreements')
+        .update({ agreement_acknowledged: true, acknowledgment_date: saved.acknowledged_at })
+        .eq('id', agreement.id);
+
+    if (flagError) {
+        // The acknowledgment itself is stored; the flags can be repaired from it.
+        console.error(`Supabase Error - acknowledgeAgreement (agreement flags) for agreement ${agreementId}:`, flagError);
+    }
+
+    console.log(`[${new Date().toISOString()}] Agreement ${agreementId} acknowledged by ${acknowledgedBy}; signed contract stored at ${contractPath}.`);
+    return saved;
+};
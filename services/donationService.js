@@ -0,0 +1,140 @@
+// backend/services/donationService.js
+// Charity donations of unsold items: recording a donation batch's hand-over with the
+// fair-market value of each item, and the donated-items listing behind the
+// consignor's donation acknowledgment.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { getCurrentPrice } = require('./pricingService');
+const { getGoverningAgreement } = require('./agreementService');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fair-market value of a donated batch item: the value given for its product in
+ * `overrides` ({ "<product_id>": value }), otherwise the product's current marked-down
+ * price on `onDate` times the quantity donated.
+ */
+exports.getFairMarketValue = (item, overrides = {}, onDate = new Date()) => {
+    const override = overrides[item.product_id];
+    if (override !== undefined && override !== null && override !== '') {
+        return roundCurrency(parseFloat(override));
+    }
+    const product = item.products || {};
+    const { current_price } = getCurrentPrice(product, getGoverningAgreement(product.agreements, onDate), onDate);
+    return roundCurrency(current_price * item.quantity);
+};
+
+/**
+ * Records the hand-over of a donation batch to its charity. Every pending item (or only
+ * `productIds`) is marked donated on `donationDate` with its fair-market value, and the
+ * products are marked donated. Resolves to the updated batch.
+ * Throws 404 for an unknown batch, 409 when it is not an open donation batch and 400 for
+ * an invalid value.
+ */
+exports.recordDonation = async (batchId, { productIds, fairMarketValues = {}, donationDate, donatedBy } = {}) => {
+    const { data: batch, error } = await supabase
+        .from('unsold_item_batches')
+        .select(`
+            id, batch_type, status, charity_choice,
+            unsold_item_batch_items (
+                product_id, quantity, status,
+                products (expected_price, listed_at, created_at, agreements (id, status, start_date, end_date, progressive_discounts (days_after_listing, discount_percent)))
+            )
+        `)
+        .eq('id', batchId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - recordDonation (fetching batch ${batchId}):`, error);
+        throw createHttpError(500, 'Error fetching donation batch', { error: error.message });
+    }
+    if (!batch) {
+        throw createHttpError(404, `Batch with ID ${batchId} not found.`);
+    }
+    if (batch.batch_type !== 'donation' || batch.status !== 'open') {
+        throw createHttpError(409, `Batch ${batchId} is not an open donation batch.`);
+    }
+
+    const invalidValue = Object.entries(fairMarketValues)
+        .find(([, value]) => isNaN(parseFloat(value)) || parseFloat(value) < 0);
+    if (invalidValue) {
+        throw createHttpError(400, `Invalid fair-market value for product ${invalidValue[0]}.`, { fair_market_values: fairMarketValues });
+    }
+
+    const onDate = donationDate ? new Date(donationDate) : new Date();
+    const selected = productIds ? new Set(productIds.map(id => parseInt(id))) : null;
+    const values = {};
+    batch.unsold_item_batch_items
+        .filter(item => item.status === 'pending' && (!selected || selected.has(item.product_id)))
+        .forEach(item => {
+            values[item.product_id] = exports.getFairMarketValue(item, fairMarketValues, onDate);
+        });
+
+    if (Object.keys(values).length === 0) {
+        throw createHttpError(409, `Batch ${batchId} has no pending items to donate.`);
+    }
+
+    const { data: updated, error: completeError } = await supabase.rpc('complete_unsold_item_batch', {
+        p_batch_id: batchId,
+        p_product_ids: Object.keys(values).map(id => parseInt(id)),
+        p_completed_by: donatedBy || null,
+        p_fair_market_values: values,
+        p_completed_on: donationDate || null,
+    });
+
+    if (completeError) {
+        console.error(`Supabase Error - recordDonation (complete_unsold_item_batch) for batch ${batchId}:`, completeError);
+        if (completeError.code === '55000') {
+            throw createHttpError(409, completeError.message, { error: completeError.message });
+        }
+        throw createHttpError(500, 'Error recording donation. Nothing was saved.', { error: completeError.message });
+    }
+
+    console.log(`[${new Date().toISOString()}] Donation batch ${batchId} (${batch.charity_choice || 'no charity named'}): ` +
+        `${Object.keys(values).length} item(s) donated.`);
+    return updated;
+};
+
+/**
+ * Donated items, newest first: [{ product_id, name, quantity, fair_market_value, donated_at,
+ * charity_choice, consignor_id, batch_id }]. Filters: consignorId, charity, startDate / endDate
+ * (on the donation date, inclusive).
+ */
+exports.getDonatedItems = async ({ consignorId, charity, startDate, endDate } = {}) => {
+    let query = supabase
+        .from('unsold_item_batch_items')
+        .select(`
+            batch_id, product_id, consignor_id, quantity, fair_market_value, completed_at,
+            products (name, category, condition),
+            unsold_item_batches!inner (charity_choice, batch_type)
+        `)
+        .eq('status', 'donated')
+        .eq('unsold_item_batches.batch_type', 'donation')
+        .order('completed_at', { ascending: false });
+
+    if (consignorId) query = query.eq('consignor_id', consignorId);
+    if (charity) query = query.eq('unsold_item_batches.charity_choice', charity);
+    if (startDate) query = query.gte('completed_at', startDate);
+    if (endDate) query = query.lte('completed_at', `${endDate}T23:59:59.999Z`);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error("Supabase Error - getDonatedItems:", error);
+        throw createHttpError(500, 'Error fetching donated items', { error: error.message });
+    }
+
+    return data.map(item => ({
+        batch_id: item.batch_id,
+        product_id: item.product_id,
+        name: item.products?.name || `Product ${item.product_id}`,
+        category: item.products?.category || null,
+        condition: item.products?.condition || null,
+        consignor_id: item.consignor_id,
+        quantity: item.quantity,
+        fair_market_value: parseFloat(item.fair_market_value) || 0,
+        donated_at: item.completed_at,
+        charity_choice: item.unsold_item_batches?.charity_choice || null,
+    }));
+};
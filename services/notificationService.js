@@ -0,0 +1,46 @@
+// backend/services/notificationService.js
+// Messages to consignors. They are queued in the consignor_notifications outbox
+// (status 'pending') for the store's mail/SMS sender to deliver.
+
+const supabase = require('../config/supabaseClient');
+
+/**
+ * Queues a message for a consignor, addressed to their email on file.
+ * `related` links the message to what it is about, e.g. { type: 'unsold_item_batch', id }.
+ * A notification that cannot be queued is logged and never fails the caller's work,
+ * so this resolves to the queued row or null.
+ */
+exports.notifyConsignor = async (consignorId, { subject, message, related = {} }) => {
+    try {
+        const { data: consignor, error: consignorError } = await supabase
+            .from('consignors')
+            .select('id, full_name, email')
+            .eq('id', consignorId)
+            .maybeSingle();
+
+        if (consignorError) throw consignorError;
+        if (!consignor) throw new Error(`Consignor ${consignorId} not found`);
+
+        const { data, error } = await supabase
+            .from('consignor_notifications')
+            .insert({
+                consignor_id: consignor.id,
+                channel: 'email',
+                recipient: consignor.email || null,
+                subject,
+                message: `Dear ${consignor.full_name || 'consignor'},\n\n${message}`,
+                related_type: related.type || null,
+                related_id: related.id ? String(related.id) : null
+            })
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        console.log(`[${new Date().toISOString()}] Notification queued for consignor ${consignorId}: ${subject}`);
+        return data;
+    } catch (err) {
+        console.error(`[${new Date().toISOString()}] Could not queue notification for consignor ${consignorId}:`, err.message);
+        return null;
+    }
+};
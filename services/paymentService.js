@@ -0,0 +1,106 @@
+// backend/services/paymentService.js
+// Tenders (split payments) for a sale: cash, card, store credit, ...
+
+const createHttpError = require('../utils/httpError');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalises the tenders of a sale and checks they add up to its total.
+ * Accepts `payments: [{ payment_method, amount, reference, card_last_four }]` on the
+ * sale body; without it the whole total is one tender of the header payment_method.
+ * Resolves to { payments, payment_method }, where payment_method is the single
+ * method used or 'split'. Throws a 400 when a tender is invalid or the sum is off.
+ */
+exports.buildSalePayments = (saleHeaderData, totalAmount) => {
+    const hasTenders = Array.isArray(saleHeaderData.payments) && saleHeaderData.payments.length > 0;
+
+    if (!hasTenders && totalAmount === 0) {
+        return { payments: [], payment_method: saleHeaderData.payment_method };
+    }
+
+    const tenders = hasTenders
+        ? saleHeaderData.payments
+        : [{
+            payment_method: saleHeaderData.payment_method,
+            amount: totalAmount,
+            reference: saleHeaderData.payment_reference,
+            card_last_four: saleHeaderData.card_last_four,
+        }];
+
+    const payments = tenders.map((tender, index) => {
+        const amount = roundCurrency(parseFloat(tender.amount));
+        if (!tender.payment_method || isNaN(amount) || amount <= 0) {
+            throw createHttpError(400, `Payment ${index + 1} needs a payment_method and a positive amount.`, { payment: tender });
+        }
+        const cardLastFour = tender.card_last_four ? String(tender.card_last_four) : null;
+        if (cardLastFour && !/^\d{4}$/.test(cardLastFour)) {
+            throw createHttpError(400, `Payment ${index + 1} has an invalid card_last_four (must be 4 digits).`, { payment: tender });
+        }
+        return {
+            payment_method: String(tender.payment_method),
+            amount,
+            reference: tender.reference || null,
+            card_last_four: cardLastFour,
+        };
+    });
+
+    const tendered = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (Math.abs(tendered - totalAmount) > 0.005) {
+        throw createHttpError(400,
+            `Payments total ${tendered.toFixed(2)} but the sale total is ${totalAmount.toFixed(2)}.`,
+            { tendered, total_amount: totalAmount });
+    }
+
+    const methods = [...new Set(payments.map(payment => payment.payment_method))];
+    return { payments, payment_method: methods.length === 1 ? methods[0] : 'split' };
+};
+
+/**
+ * Tenders of the replacement sale of an exchange: the refund of the returned items
+ * (exchangeCredit) pays for it as an exchange_credit tender, up to the sale total.
+ * Whatever the credit does not cover must be paid by real tenders, given the same way
+ * as for a sale (payments, or payment_method for the whole difference); without them
+ * this throws a 400. Resolves to { payments, payment_method } like buildSalePayments.
+ */
+exports.buildExchangePayments = (saleHeaderData, totalAmount, exchangeCredit) => {
+    const credit = roundCurrency(Math.min(Math.max(exchangeCredit || 0, 0), totalAmount));
+    const balanceDue = roundCurrency(totalAmount - credit);
+    const creditTenders = credit > 0
+        ? [{ payment_method: 'exchange_credit', amount: credit, reference: null, card_last_four: null }]
+        : [];
+
+    if (balanceDue <= 0) {
+        return { payments: creditTenders, payment_method: 'exchange_credit' };
+    }
+
+    const hasTenders = Array.isArray(saleHeaderData.payments) && saleHeaderData.payments.length > 0;
+    const methods = hasTenders
+        ? saleHeaderData.payments.map(tender => tender.payment_method)
+        : [saleHeaderData.payment_method].filter(Boolean);
+    if (methods.length === 0 || methods.includes('exchange_credit')) {
+        throw createHttpError(400,
+            `The exchange costs ${balanceDue.toFixed(2)} more than the returned items are worth. A payment for the difference is required.`,
+            { balance_due: balanceDue, exchange_credit: credit });
+    }
+
+    const balance = exports.buildSalePayments(saleHeaderData, balanceDue);
+    const payments = [...creditTenders, ...balance.payments];
+    const paymentMethods = [...new Set(payments.map(payment => payment.payment_method))];
+    return { payments, payment_method: paymentMethods.length === 1 ? paymentMethods[0] : 'split' };
+};
+
+/**
+ * Sums tenders by payment method: [{ payment_method, count, total }], largest first.
+ */
+exports.totalsByMethod = (rows, methodField = 'payment_method', amountField = 'amount') => {
+    const totals = new Map();
+    rows.forEach(row => {
+        const method = row[methodField] || 'unknown';
+        const entry = totals.get(method) || { payment_method: method, count: 0, total: 0 };
+        entry.count += 1;
+        entry.total = roundCurrency(entry.total + (parseFloat(row[amountField]) || 0));
+        totals.set(method, entry);
+    });
+    return Array.from(totals.values()).sort((a, b) => b.total - a.total);
+};
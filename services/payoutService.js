@@ -0,0 +1,328 @@
+// backend/services/payoutService.js
+// Batch consignor payouts: payout runs (create_payout_run() and friends) and the bank
+// files sent for them, a NACHA ACH credit file (PPD) and a generic CSV. One transfer per
+// consignor for the sum of the run's periods.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { getStoreSettings, DEFAULT_STORE_ID } = require('./settingsService');
+
+exports.PAYOUT_RUN_STATUSES = ['draft', 'finalized', 'cancelled'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const RUN_ITEM_SELECT = `
+    id, consignor_id, commission_tracking_id, amount, status, commission_payment_id,
+    consignors (full_name, email, bank_account_name, bank_routing_number, bank_account_number, bank_account_type),
+    commission_tracking (period_start, period_end, total_commission, paid_amount, status)
+`;
+
+const mapRunError = (error, action) => {
+    if (error.code === 'P0002') return createHttpError(404, error.message, { error: error.message });
+    if (error.code === '55000' || error.code === '23505') return createHttpError(409, error.message, { error: error.message });
+    return createHttpError(500, `Error ${action}`, { error: error.message });
+};
+
+/**
+ * ABA routing number check digit: 3·d1 + 7·d2 + d3 + 3·d4 + ... must be a multiple of 10.
+ */
+exports.isValidRoutingNumber = (routingNumber) => {
+    if (!/^\d{9}$/.test(String(routingNumber || ''))) return false;
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = String(routingNumber).split('').reduce((total, digit, index) => total + Number(digit) * weights[index], 0);
+    return sum % 10 === 0;
+};
+
+/**
+ * Problems with a consignor's bank details (the fields that are given). Empty when valid.
+ */
+exports.validateBankDetails = ({ bank_routing_number, bank_account_number, bank_account_type }) => {
+    const problems = [];
+    if (bank_routing_number !== undefined && bank_routing_number !== null && !exports.isValidRoutingNumber(bank_routing_number)) {
+        problems.push('bank_routing_number must be a valid 9-digit ABA routing number.');
+    }
+    if (bank_account_number !== undefined && bank_account_number !== null && !/^[0-9A-Za-z-]{1,17}$/.test(String(bank_account_number))) {
+        problems.push('bank_account_number must be 1 to 17 letters, digits or dashes.');
+    }
+    if (bank_account_type !== undefined && bank_account_type !== null && !['checking', 'savings'].includes(bank_account_type)) {
+        problems.push('bank_account_type must be checking or savings.');
+    }
+    return problems;
+};
+
+/**
+ * Drafts a payout run for every period ending on or before cutoffDate that is past its
+ * hold today (see create_payout_run()). Throws 404 when nothing can be paid.
+ */
+exports.createPayoutRun = async ({ cutoffDate, minimumAmount = 0, paymentDate, paymentMethod = 'ach', createdBy }) => {
+    const { data, error } = await supabase.rpc('create_payout_run', {
+        p_cutoff_date: cutoffDate,
+        p_minimum_amount: minimumAmount,
+        p_payment_date: paymentDate || new Date().toISOString().split('T')[0],
+        p_payment_method: paymentMethod,
+        p_created_by: createdBy || null,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - createPayoutRun (cut-off ${cutoffDate}):`, error);
+        throw mapRunError(error, 'creating payout run');
+    }
+
+    return data;
+};
+
+exports.finalizePayoutRun = async (runId, finalizedBy) => {
+    const { data, error } = await supabase.rpc('finalize_payout_run', { p_run_id: runId, p_finalized_by: finalizedBy || null });
+
+    if (error) {
+        console.error(`Supabase Error - finalizePayoutRun (${runId}):`, error);
+        throw mapRunError(error, 'finalizing payout run');
+    }
+
+    return data;
+};
+
+exports.cancelPayoutRun = async (runId, { cancelledBy, reason } = {}) => {
+    const { data, error } = await supabase.rpc('cancel_payout_run', {
+        p_run_id: runId,
+        p_cancelled_by: cancelledBy || null,
+        p_reason: reason || null,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - cancelPayoutRun (${runId}):`, error);
+        throw mapRunError(error, 'cancelling payout run');
+    }
+
+    return data;
+};
+
+// Last four characters only, e.g. ****6789 (null stays null).
+exports.maskBankNumber = (value) => (value ? `****${String(value).slice(-4)}` : null);
+
+/**
+ * A consignor row as the consignor endpoints return it: bank routing and account numbers
+ * masked. Full numbers only leave the server in a payout run's bank file.
+ */
+exports.maskBankDetails = (consignor) => consignor && ({
+    ...consignor,
+    bank_routing_number: exports.maskBankNumber(consignor.bank_routing_number),
+    bank_account_number: exports.maskBankNumber(consignor.bank_account_number),
+});
+
+/**
+ * A run with its transfers: { run, transfers, totals }. transfers has one entry per
+ * consignor: { consignor_id, name, email, bank (account masked unless `withAccountNumbers`),
+ * amount, periods: [{ commission_tracking_id, period_start, period_end, amount, status }] }.
+ * Cancelled items are left out. Throws 404 for an unknown run.
+ */
+exports.getPayoutRunSummary = async (runId, { withAccountNumbers = false } = {}) => {
+    const { data: run, error } = await supabase.from('payout_runs').select('*').eq('id', runId).maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - getPayoutRunSummary (${runId}):`, error);
+        throw createHttpError(500, 'Error fetching payout run', { error: error.message });
+    }
+    if (!run) {
+        throw createHttpError(404, `Payout run ${runId} not found.`);
+    }
+
+    const { data: items, error: itemsError } = await supabase
+        .from('payout_run_items')
+        .select(RUN_ITEM_SELECT)
+        .eq('run_id', runId)
+        .neq('status', 'cancelled')
+        .order('consignor_id');
+
+    if (itemsError) {
+        console.error(`Supabase Error - getPayoutRunSummary items (${runId}):`, itemsError);
+        throw createHttpError(500, 'Error fetching payout run items', { error: itemsError.message });
+    }
+
+    const transfers = new Map();
+    items.forEach(item => {
+        const consignor = item.consignors || {};
+        if (!transfers.has(item.consignor_id)) {
+            const accountNumber = consignor.bank_account_number || '';
+            transfers.set(item.consignor_id, {
+                consignor_id: item.consignor_id,
+                name: consignor.bank_account_name || consignor.full_name || `Consignor ${item.consignor_id}`,
+                email: consignor.email || null,
+                bank: {
+                    routing_number: consignor.bank_routing_number || null,
+                    account_number: withAccountNumbers ? accountNumber : exports.maskBankNumber(accountNumber),
+                    account_type: consignor.bank_account_type || 'checking',
+                },
+                amount: 0,
+                periods: [],
+            });
+        }
+        const transfer = transfers.get(item.consignor_id);
+        transfer.amount = roundCurrency(transfer.amount + parseFloat(item.amount));
+        transfer.periods.push({
+            commission_tracking_id: item.commission_tracking_id,
+            period_start: item.commission_tracking?.period_start,
+            period_end: item.commission_tracking?.period_end,
+            amount: parseFloat(item.amount),
+            status: item.status,
+        });
+    });
+
+    const list = [...transfers.values()];
+    return {
+        run,
+        transfers: list,
+        totals: {
+            consignors: list.length,
+            periods: items.length,
+            amount: roundCurrency(list.reduce((total, transfer) => total + transfer.amount, 0)),
+            skipped_consignors: run.skipped_consignor_ids?.length || 0,
+        },
+    };
+};
+
+// --- Bank files ---
+
+const alpha = (value, length) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9 .,&'/-]/g, ' ').slice(0, length).padEnd(length, ' ');
+const numeric = (value, length) => String(value ?? '').replace(/\D/g, '').slice(-length).padStart(length, '0');
+const cents = (amount, length) => numeric(Math.round(amount * 100), length);
+const yymmdd = (date) => date.replace(/-/g, '').slice(2, 8);
+
+/**
+ * NACHA ACH file (one PPD credit batch) for a run summary, as a string of 94-character
+ * records. `settings` are the store's ach_* settings. Throws 400 when they are missing.
+ */
+exports.buildNachaFile = ({ run, transfers }, settings, now = new Date()) => {
+    const missing = ['ach_immediate_destination', 'ach_immediate_origin', 'ach_company_name', 'ach_company_id', 'ach_originating_dfi']
+        .filter(field => !settings?.[field]);
+    if (missing.length) {
+        throw createHttpError(400, `Store settings are missing ACH details: ${missing.join(', ')}.`);
+    }
+
+    const odfi = numeric(settings.ach_originating_dfi, 8);
+    const effectiveDate = yymmdd(run.payment_date);
+    const batchNumber = numeric(1, 7);
+    const records = [];
+
+    // 1 - File header
+    records.push([
+        '1', '01',
+        ` ${numeric(settings.ach_immediate_destination, 9)}`,
+        alpha(settings.ach_immediate_origin, 10).replace(/^(\S{9}) $/, ' $1'),
+        yymmdd(now.toISOString().split('T')[0]),
+        now.toISOString().slice(11, 16).replace(':', ''),
+        'A', '094', '10', '1',
+        alpha(settings.ach_immediate_destination_name, 23),
+        alpha(settings.store_name, 23),
+        alpha(run.id.slice(0, 8), 8),
+    ].join(''));
+
+    // 5 - Batch header: credits only (220), PPD
+    records.push([
+        '5', '220',
+        alpha(settings.ach_company_name, 16),
+        alpha(`PAYOUT ${run.cutoff_date}`, 20),
+        alpha(settings.ach_company_id, 10),
+        'PPD',
+        alpha('CONSIGNMNT', 10),
+        alpha(yymmdd(run.cutoff_date), 6),
+        effectiveDate,
+        '   ', '1',
+        odfi,
+        batchNumber,
+    ].join(''));
+
+    // 6 - One credit entry per consignor
+    let entryHash = 0;
+    let totalCredit = 0;
+    transfers.forEach((transfer, index) => {
+        const routing = numeric(transfer.bank.routing_number, 9);
+        entryHash += Number(routing.slice(0, 8));
+        totalCredit += Math.round(transfer.amount * 100);
+        records.push([
+            '6',
+            transfer.bank.account_type === 'savings' ? '32' : '22',
+            routing,
+            String(transfer.bank.account_number).slice(0, 17).padEnd(17, ' '),
+            cents(transfer.amount, 10),
+            alpha(transfer.consignor_id, 15),
+            alpha(transfer.name, 22),
+            '  ', '0',
+            `${odfi}${numeric(index + 1, 7)}`,
+        ].join(''));
+    });
+
+    const hash = numeric(entryHash, 10);
+    // 8 - Batch control
+    records.push([
+        '8', '220',
+        numeric(transfers.length, 6),
+        hash,
+        numeric(0, 12),
+        numeric(totalCredit, 12),
+        alpha(settings.ach_company_id, 10),
+        ' '.repeat(19), ' '.repeat(6),
+        odfi,
+        batchNumber,
+    ].join(''));
+
+    // 9 - File control; the file is padded with 9s to whole blocks of 10 records.
+    const blockCount = Math.ceil((records.length + 1) / 10);
+    records.push([
+        '9',
+        numeric(1, 6),
+        numeric(blockCount, 6),
+        numeric(transfers.length, 8),
+        hash,
+        numeric(0, 12),
+        numeric(totalCredit, 12),
+        ' '.repeat(39),
+    ].join(''));
+    while (records.length % 10 !== 0) records.push('9'.repeat(94));
+
+    return `${records.join('\n')}\n`;
+};
+
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generic bank transfer CSV for a run summary: one row per consignor.
+ */
+exports.buildPayoutCsv = ({ run, transfers }) => {
+    const header = ['payee_name', 'routing_number', 'account_number', 'account_type', 'amount', 'currency', 'payment_date', 'reference', 'consignor_id', 'email'];
+    const rows = transfers.map(transfer => [
+        transfer.name,
+        transfer.bank.routing_number,
+        transfer.bank.account_number,
+        transfer.bank.account_type,
+        transfer.amount.toFixed(2),
+        'USD',
+        run.payment_date,
+        `PAYOUT-${run.id.slice(0, 8)}`,
+        transfer.consignor_id,
+        transfer.email,
+    ]);
+    return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\n')}\n`;
+};
+
+/**
+ * The bank file of a run: { content, filename, contentType } for format 'nacha' or 'csv'.
+ * Cancelled runs have no file (409).
+ */
+exports.getPayoutFile = async (runId, format, storeId = DEFAULT_STORE_ID) => {
+    const summary = await exports.getPayoutRunSummary(runId, { withAccountNumbers: true });
+    if (summary.run.status === 'cancelled') {
+        throw createHttpError(409, `Payout run ${runId} is cancelled.`);
+    }
+
+    const stamp = summary.run.payment_date;
+    if (format === 'csv') {
+        return { content: exports.buildPayoutCsv(summary), filename: `payout_${stamp}_${runId.slice(0, 8)}.csv`, contentType: 'text/csv' };
+    }
+
+    const settings = await getStoreSettings(storeId);
+    return { content: exports.buildNachaFile(summary, settings), filename: `payout_${stamp}_${runId.slice(0, 8)}.ach`, contentType: 'text/plain' };
+};
@@ -0,0 +1,192 @@
+// backend/services/pricingService.js
+// Price rules for consigned products: progressive markdowns from the agreement's
+// discount schedule and the minimum price a line may be sold for.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { getCommissionRule, loadCategoryCommissionRates } = require('./commissionService');
+const { getAgreementTermsInForce } = require('./agreementService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Date the product went on the floor; markdown days are counted from here.
+const getListingDate = (product) => new Date(product.listed_at || product.created_at);
+
+/**
+ * Returns the discount percent of the agreement's progressive schedule in effect on `onDate`:
+ * the highest step whose days_after_listing has been reached, or 0.
+ */
+exports.getProgressiveDiscountPercent = (schedule, listingDate, onDate = new Date()) => {
+    const daysListed = Math.floor((new Date(onDate) - new Date(listingDate)) / MS_PER_DAY);
+    return (schedule || [])
+        .filter(step => daysListed >= step.days_after_listing)
+        .reduce((percent, step) => Math.max(percent, parseFloat(step.discount_percent) || 0), 0);
+};
+
+/**
+ * Current price of a product under its agreement's progressive discount schedule.
+ * Returns { original_price, current_price, discount_percent, next_markdown_date, next_discount_percent },
+ * where next_markdown_date is null once the last step of the schedule has been reached.
+ */
+exports.getCurrentPrice = (product, agreement, onDate = new Date()) => {
+    const originalPrice = parseFloat(product.expected_price) || 0;
+    const listingDate = getListingDate(product);
+    const schedule = agreement?.progressive_discounts || [];
+    const discountPercent = exports.getProgressiveDiscountPercent(schedule, listingDate, onDate);
+
+    const daysListed = Math.floor((new Date(onDate) - listingDate) / MS_PER_DAY);
+    const nextStep = schedule
+        .filter(step => step.days_after_listing > daysListed && parseFloat(step.discount_percent) > discountPercent)
+        .sort((a, b) => a.days_after_listing - b.days_after_listing)[0];
+
+    return {
+        original_price: originalPrice,
+        current_price: roundCurrency(originalPrice * (1 - discountPercent / 100)),
+        discount_percent: discountPercent,
+        next_markdown_date: nextStep
+            ? new Date(listingDate.getTime() + nextStep.days_after_listing * MS_PER_DAY).toISOString().split('T')[0]
+            : null,
+        next_discount_percent: nextStep ? parseFloat(nextStep.discount_percent) : null,
+    };
+};
+
+/**
+ * The lowest unit price a product may be sold for on `onDate`: the higher of the
+ * consignor's minimum_price and the expected_price after the agreement's current
+ * progressive discount.
+ */
+exports.getPriceFloor = (product, agreement, onDate = new Date()) => {
+    const minimumPrice = parseFloat(product.minimum_price) || 0;
+    const { current_price: scheduleFloor, discount_percent: discountPercent } =
+        exports.getCurrentPrice(product, agreement, onDate);
+
+    return {
+        minimumPrice,
+        scheduleFloor,
+        discountPercent,
+        floor: Math.max(minimumPrice, scheduleFloor),
+    };
+};
+
+// Loads the products of a sale with their agreements, discount schedules and agreement versions, keyed by product id.
+exports.loadProductsForPricing = async (productIds) => {
+    const { data, error } = await supabase
+        .from('products')
+        .select(`
+            id, name, category, consignor_id, store_owned, expected_price, minimum_price, created_at, listed_at,
+            agreements (
+                id, status, start_date, end_date, commission_rate, minimum_store_fee,
+                commission_tiers (min_price, commission_rate),
+                progressive_discounts (days_after_listing, discount_percent),
+                agreement_versions (id, version_number, effective_from, terms)
+            )
+        `)
+        .in('id', [...new Set(productIds)]);
+
+    if (error) {
+        console.error("Supabase Error - loadProductsForPricing:", error);
+        throw createHttpError(500, 'Error loading products for pricing', { error: error.message });
+    }
+
+    return new Map(data.map(product => [product.id, product]));
+};
+
+/**
+ * Prices the lines of a sale. A line without a unit_price is charged the product's
+ * current (marked-down) price. Every line's effective price (unit_price after the
+ * header discount_percent) is then checked against its product's floor. Lines below
+ * the floor need an override ({ override_approved_by, override_reason } on the line);
+ * otherwise a 400 is thrown listing the underpriced lines.
+ * Consigned products must have an agreement in force on the sale date (see agreementService);
+ * lines without one are refused with a 400 unless overridden ({ agreement_override_by,
+ * agreement_override_reason } on the line), in which case only a category default rate applies.
+ * Markdowns and the commission rule come from the agreement version in force on the sale
+ * date, which is stored on the line (agreement_version_id); see commissionService.getCommissionRule.
+ * Resolves to the pricing columns to store per line (including unit_price, commission_rate,
+ * minimum_store_fee and commission_basis; store-owned products carry no consignor or rate),
+ * in the same order as `lineItems`.
+ */
+exports.priceSaleLines = async (lineItems, discountPercent, saleDate) => {
+    const products = await exports.loadProductsForPricing(lineItems.map(item => parseInt(item.product_id)));
+    const categoryRates = await loadCategoryCommissionRates([...products.values()].map(product => product.category));
+    const discountFactor = 1 - (parseFloat(discountPercent) || 0) / 100;
+
+    const rejected = [];
+    const withoutAgreement = [];
+    const pricing = lineItems.map(item => {
+        const productId = parseInt(item.product_id);
+        const product = products.get(productId);
+        if (!product) {
+            throw createHttpError(404, `Product ${productId} not found.`);
+        }
+
+        const { agreementRow, version, agreement } = getAgreementTermsInForce(product.agreements, saleDate);
+        const hasAgreementOverride = Boolean(item.agreement_override_by && item.agreement_override_reason && String(item.agreement_override_reason).trim());
+        const missingAgreement = !product.store_owned && !agreementRow;
+        if (missingAgreement && !hasAgreementOverride) {
+            withoutAgreement.push({ product_id: productId, product_name: product.name });
+        }
+
+        const hasUnitPrice = item.unit_price !== undefined && item.unit_price !== null && item.unit_price !== '';
+        const unitPrice = hasUnitPrice
+            ? parseFloat(item.unit_price)
+            : exports.getCurrentPrice(product, agreement, saleDate).current_price;
+        if (isNaN(unitPrice) || unitPrice < 0) {
+            throw createHttpError(400, `Invalid unit_price for product ${productId}.`);
+        }
+
+        const effectiveUnitPrice = roundCurrency(unitPrice * discountFactor);
+        const { floor, minimumPrice, scheduleFloor } = exports.getPriceFloor(product, agreement, saleDate);
+        const belowMinimum = effectiveUnitPrice < floor;
+        const hasOverride = Boolean(item.override_approved_by && item.override_reason && String(item.override_reason).trim());
+
+        if (belowMinimum && !hasOverride) {
+            rejected.push({
+                product_id: productId,
+                product_name: product.name,
+                effective_unit_price: effectiveUnitPrice,
+                price_floor: floor,
+                minimum_price: minimumPrice,
+                schedule_floor: scheduleFloor,
+            });
+        }
+
+        // Products bought out by the store (see buyoutService) have nobody to pay commission to.
+        const rule = product.store_owned
+            ? { commission_rate: 0, minimum_store_fee: 0, commission_basis: null }
+            : getCommissionRule(agreement, product, unitPrice, categoryRates);
+
+        return {
+            product_id: productId,
+            consignor_id: product.store_owned ? null : product.consignor_id,
+            agreement_id: product.store_owned ? null : agreement?.id ?? null,
+            agreement_version_id: product.store_owned ? null : version?.id ?? null,
+            ...rule,
+            quantity: parseInt(item.quantity),
+            unit_price: unitPrice,
+            effective_unit_price: effectiveUnitPrice,
+            price_floor: floor,
+            below_minimum: belowMinimum,
+            override_approved_by: belowMinimum ? String(item.override_approved_by) : null,
+            override_reason: belowMinimum ? String(item.override_reason).trim() : null,
+            agreement_override_by: missingAgreement && hasAgreementOverride ? String(item.agreement_override_by) : null,
+            agreement_override_reason: missingAgreement && hasAgreementOverride ? String(item.agreement_override_reason).trim() : null,
+        };
+    });
+
+    if (withoutAgreement.length > 0) {
+        throw createHttpError(400,
+            'One or more products have no agreement in force on the sale date. Provide agreement_override_by and agreement_override_reason on those lines to sell them anyway.',
+            { lines: withoutAgreement });
+    }
+
+    if (rejected.length > 0) {
+        throw createHttpError(400,
+            'One or more lines are priced below the allowed minimum. Provide override_approved_by and override_reason on those lines to sell below minimum.',
+            { lines: rejected });
+    }
+
+    return pricing;
+};
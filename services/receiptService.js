@@ -0,0 +1,334 @@
+// backend/services/receiptService.js
+// Sale receipt layouts (letter and 58/80mm thermal rolls), store branding from
+// store_settings and the scannable invoice code printed on every receipt.
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const createHttpError = require('../utils/httpError');
+const { getStoreSettings, DEFAULT_STORE_ID } = require('./settingsService');
+
+const MM_TO_PT = 72 / 25.4;
+
+// width: null means a standard page size; thermal rolls have a fixed width and
+// a height sized to the content (see createReceiptDocument).
+exports.RECEIPT_TEMPLATES = {
+    letter: { name: 'letter', size: 'LETTER', width: null, margin: 50, compact: false, titleSize: 28, textSize: 12, smallSize: 10 },
+    '80mm': { name: '80mm', width: 80 * MM_TO_PT, margin: 10, compact: true, titleSize: 14, textSize: 9, smallSize: 7.5 },
+    '58mm': { name: '58mm', width: 58 * MM_TO_PT, margin: 6, compact: true, titleSize: 12, textSize: 8, smallSize: 6.5 },
+};
+
+exports.RECEIPT_CODE_TYPES = ['qr', 'code128', 'none'];
+
+const LOGO_TIMEOUT_MS = 3000;
+
+/**
+ * Store settings used to brand a receipt. A receipt is still printed with the default
+ * store header when the store has no settings row, so this resolves to null instead of throwing.
+ */
+exports.getReceiptSettings = async (storeId) => {
+    try {
+        return await getStoreSettings(storeId || DEFAULT_STORE_ID);
+    } catch (err) {
+        console.error(`[${new Date().toISOString()}] No receipt settings for store ${storeId}, using defaults:`, err.message);
+        return null;
+    }
+};
+
+/**
+ * Picks the receipt template: the one asked for in the request, otherwise the
+ * store's receipt_template, otherwise letter. Throws a 400 for an unknown template.
+ */
+exports.resolveReceiptTemplate = (requested, settings) => {
+    const name = requested || settings?.receipt_template || 'letter';
+    const template = exports.RECEIPT_TEMPLATES[name];
+    if (!template) {
+        throw createHttpError(400, `Unknown receipt template '${name}'. Allowed: ${Object.keys(exports.RECEIPT_TEMPLATES).join(', ')}.`);
+    }
+    return template;
+};
+
+// Code printed next to each line so the consignor's item can be identified on the
+// receipt: C<consignor>-<product>, or P<product> for store-owned stock.
+exports.getConsignorItemCode = (item) => {
+    const product = String(item.product_id).padStart(5, '0');
+    return item.consignor_id ? `C${String(item.consignor_id).padStart(4, '0')}-${product}` : `P${product}`;
+};
+
+/**
+ * Renders the invoice number as a PNG (QR code or Code 128 barcode) for returns to be
+ * scanned back in. Resolves to null when there is nothing to encode or codeType is 'none'.
+ */
+exports.renderInvoiceCode = async (invoiceNumber, codeType = 'code128') => {
+    if (!invoiceNumber || codeType === 'none') return null;
+    if (codeType === 'qr') {
+        return bwipjs.toBuffer({ bcid: 'qrcode', text: invoiceNumber, scale: 3 });
+    }
+    return bwipjs.toBuffer({ bcid: 'code128', text: invoiceNumber, scale: 2, height: 10, includetext: true, textxalign: 'center' });
+};
+
+/**
+ * Loads the store logo from a data: URL or an http(s) URL. A logo that cannot be
+ * loaded is left off the receipt rather than failing it, so resolves to null on error.
+ */
+exports.loadLogo = async (logoUrl) => {
+    if (!logoUrl) return null;
+    try {
+        const dataUrl = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(logoUrl);
+        if (dataUrl) return Buffer.from(dataUrl[2], 'base64');
+
+        const response = await fetch(logoUrl, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return Buffer.from(await response.arrayBuffer());
+    } catch (err) {
+        console.error(`[${new Date().toISOString()}] Could not load store logo from ${logoUrl.slice(0, 80)}:`, err.message);
+        return null;
+    }
+};
+
+// Tallest roll receipt we lay out; the real page is cut down to the content height.
+const THERMAL_MAX_HEIGHT = 14400;
+
+/**
+ * Creates the PDF document for a template and draws the receipt with `render(doc)`;
+ * page-sized templates may leave `render` out and draw on the document afterwards.
+ * Thermal receipts are one continuous page, so they are laid out once on a long page
+ * to measure the content and then drawn again on a page of exactly that height.
+ * The returned document still has to be piped and ended by the caller.
+ */
+exports.createReceiptDocument = (template, render) => {
+    if (!template.width) {
+        const doc = new PDFDocument({ size: template.size, margin: template.margin });
+        if (render) render(doc);
+        return doc;
+    }
+
+    const measure = new PDFDocument({ size: [template.width, THERMAL_MAX_HEIGHT], margin: template.margin });
+    render(measure);
+    const height = Math.ceil(Math.min(measure.y + template.margin, THERMAL_MAX_HEIGHT));
+    measure.end();
+
+    const doc = new PDFDocument({ size: [template.width, height], margin: template.margin });
+    render(doc);
+    return doc;
+};
+
+// Smallest invoice code printed on a page-sized receipt; QR codes and barcodes below
+// this width do not scan reliably.
+const MIN_CODE_WIDTH = 110;
+
+const contentWidth = (doc, template) => doc.page.width - template.margin * 2;
+
+// Horizontal separator across the printable width.
+exports.drawRule = (doc, template) => {
+    doc.moveDown(template.compact ? 0.3 : 0.5);
+    doc.strokeColor('#aaaaaa').lineWidth(template.compact ? 0.5 : 1)
+       .moveTo(template.margin, doc.y).lineTo(doc.page.width - template.margin, doc.y).stroke();
+    doc.moveDown(template.compact ? 0.3 : 0.8);
+};
+
+// One row with a label on the left and an amount on the right.
+exports.drawAmountRow = (doc, template, label, amount, { bold = false, size } = {}) => {
+    const width = contentWidth(doc, template);
+    const rowY = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size || template.textSize);
+    doc.text(label, template.margin, rowY, { width: width * 0.65 });
+    const labelBottom = doc.y;
+    doc.text(amount, template.margin + width * 0.65, rowY, { width: width * 0.35, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+    doc.x = template.margin;
+};
+
+/**
+ * Title, logo and the store's name/address/contact lines from store_settings.
+ */
+exports.drawStoreHeader = (doc, template, settings, title, logo) => {
+    const width = contentWidth(doc, template);
+
+    if (logo) {
+        const logoWidth = template.compact ? Math.min(width * 0.6, 120) : 150;
+        try {
+            doc.image(logo, template.margin + (width - logoWidth) / 2, doc.y, { fit: [logoWidth, 60], align: 'center' });
+            doc.y += 65;
+        } catch (err) {
+            console.error(`[${new Date().toISOString()}] Store logo is not a usable PNG/JPEG image:`, err.message);
+        }
+    }
+
+    doc.fontSize(template.titleSize)
+       .font('Helvetica-Bold')
+       .text(title, template.margin, doc.y, { width, align: 'center' })
+       .moveDown(template.compact ? 0.3 : 0.8);
+
+    const contact = [
+        settings?.store_phone ? `Phone: ${settings.store_phone}` : null,
+        settings?.store_email ? `Email: ${settings.store_email}` : null,
+    ].filter(Boolean);
+
+    doc.fontSize(template.textSize).font('Helvetica-Bold')
+       .text(settings?.store_name || 'Consignment Owner Store', { width, align: 'center' });
+    doc.font('Helvetica');
+    if (settings?.store_address) doc.text(settings.store_address, { width, align: 'center' });
+    if (contact.length) doc.text(contact.join(template.compact ? '\n' : ' | '), { width, align: 'center' });
+
+    exports.drawRule(doc, template);
+};
+
+/**
+ * Return policy, footer text and the scannable invoice code at the end of a receipt.
+ */
+exports.drawReceiptFooter = (doc, template, settings, codeImage, defaultFooter) => {
+    const width = contentWidth(doc, template);
+    doc.x = template.margin;
+
+    if (settings?.return_policy) {
+        doc.font('Helvetica-Bold').fontSize(template.smallSize).text('Return Policy', { width });
+        doc.font('Helvetica').text(settings.return_policy, { width }).moveDown(0.5);
+    }
+
+    const footer = settings?.receipt_footer || defaultFooter;
+    doc.font('Helvetica-Oblique').fontSize(template.smallSize);
+    const footerHeight = doc.heightOfString(footer, { width, align: 'center' });
+
+    if (codeImage) {
+        const aspect = settings?.receipt_code_type === 'qr' ? 1 : 1 / 3;
+        let codeWidth = template.compact ? width * 0.8 : 200;
+        if (!template.compact) {
+            // Shrink the code into the space left above the footer text, down to a size that
+            // still scans, so a short sale fits on one page; only a code smaller than that
+            // moves to a new page.
+            const spaceLeft = doc.page.height - template.margin - doc.y - footerHeight - 5;
+            codeWidth = Math.min(codeWidth, Math.max(MIN_CODE_WIDTH, spaceLeft / aspect));
+        }
+        const codeHeight = codeWidth * aspect;
+        if (doc.y + codeHeight + 5 + footerHeight > doc.page.height - template.margin) doc.addPage();
+        doc.image(codeImage, template.margin + (width - codeWidth) / 2, doc.y, { fit: [codeWidth, codeHeight], align: 'center' });
+        doc.y += codeHeight + 5;
+    }
+
+    doc.font('Helvetica-Oblique').fontSize(template.smallSize)
+       .text(footer, template.margin, doc.y, { width, align: 'center' });
+};
+
+/**
+ * Writes a whole sale receipt (sale_header with sale_items, sale_payments and the
+ * product/consignor joins) onto `doc` using the template's layout.
+ */
+exports.renderSaleReceipt = (doc, sale, settings, template, { logo, codeImage } = {}) => {
+    const width = contentWidth(doc, template);
+    const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+    exports.drawStoreHeader(doc, template, settings, 'SALES RECEIPT', logo);
+
+    if (sale.status === 'voided') {
+        doc.fontSize(template.compact ? template.textSize + 2 : 16)
+           .font('Helvetica-Bold')
+           .fillColor('#cc0000')
+           .text(`VOIDED${sale.void_reason ? ` - ${sale.void_reason}` : ''}`, { width, align: 'center' })
+           .fillColor('black')
+           .moveDown(0.5);
+    }
+
+    // Sale Header Details
+    const detail = (label, value) => {
+        doc.fontSize(template.textSize)
+           .font('Helvetica-Bold')
+           .text(label, { continued: true, width })
+           .font('Helvetica')
+           .text(` ${value}`, { width });
+    };
+    const saleDate = new Date(sale.sale_date);
+    detail('Invoice Number:', sale.invoice_number || 'N/A');
+    detail('Sale Date:', `${saleDate.toLocaleDateString()} ${saleDate.toLocaleTimeString()}`);
+    if (!template.compact) detail('Sale ID:', sale.id);
+    detail('Customer:', sale.customer_name || 'N/A');
+    if (sale.contact_type && sale.contact_info && !template.compact) {
+        detail(`Customer ${sale.contact_type}:`, sale.contact_info);
+    }
+
+    exports.drawRule(doc, template);
+
+    // Line Items
+    const items = sale.sale_items || [];
+    if (template.compact) {
+        // Thermal: item name on its own row, then "code  qty x price ... total".
+        items.forEach(item => {
+            const itemProductName = item.products?.name || `Product ID: ${item.product_id}`;
+            doc.font('Helvetica-Bold').fontSize(template.textSize).text(itemProductName, template.margin, doc.y, { width });
+            exports.drawAmountRow(doc, template,
+                `${exports.getConsignorItemCode(item)}  ${item.quantity} x ${money(item.unit_price)}`,
+                money(item.line_total));
+            doc.moveDown(0.2);
+        });
+    } else {
+        const col1X = 50;  // Qty
+        const col2X = 90;  // Code
+        const col3X = 175; // Item Name
+        const col4X = 370; // Unit Price
+        const col5X = 460; // Total
+
+        const itemTableTop = doc.y;
+        doc.font('Helvetica-Bold')
+           .fontSize(template.textSize)
+           .text('Qty', col1X, itemTableTop, { width: 40 })
+           .text('Code', col2X, itemTableTop, { width: 85 })
+           .text('Item', col3X, itemTableTop, { width: 195 })
+           .text('Unit Price', col4X, itemTableTop, { width: 80, align: 'right' })
+           .text('Total', col5X, itemTableTop, { width: 90, align: 'right' });
+
+        exports.drawRule(doc, template);
+
+        doc.font('Helvetica').fontSize(template.textSize - 1);
+        items.forEach(item => {
+            const itemProductName = item.products?.name || `Product ID: ${item.product_id}`;
+            const rowY = doc.y;
+            doc.text(item.quantity.toString(), col1X, rowY, { width: 40 });
+            doc.text(exports.getConsignorItemCode(item), col2X, rowY, { width: 85 });
+            doc.text(itemProductName, col3X, rowY, { width: 195 });
+            const nameBottom = doc.y;
+            doc.text(money(item.unit_price), col4X, rowY, { width: 80, align: 'right' });
+            doc.text(money(item.line_total), col5X, rowY, { width: 90, align: 'right' });
+            doc.y = Math.max(nameBottom, doc.y);
+            doc.moveDown(0.5);
+        });
+    }
+
+    exports.drawRule(doc, template);
+
+    // Financial Summary
+    exports.drawAmountRow(doc, template, 'Subtotal:', money(sale.subtotal));
+    if (sale.discount_amount && sale.discount_amount > 0) {
+        exports.drawAmountRow(doc, template, `Discount (${sale.discount_percent}%):`, `-${money(sale.discount_amount)}`);
+    }
+    exports.drawAmountRow(doc, template, 'Tax Amount:', money(sale.tax_amount));
+    if (!template.compact || sale.transaction_fee > 0) {
+        exports.drawAmountRow(doc, template, 'Transaction Fee:', money(sale.transaction_fee));
+    }
+    doc.moveDown(0.3);
+    exports.drawAmountRow(doc, template, 'GRAND TOTAL:', money(sale.total_amount),
+        { bold: true, size: template.compact ? template.textSize + 2 : 16 });
+
+    exports.drawRule(doc, template);
+
+    // Payments
+    const payments = sale.sale_payments || [];
+    if (payments.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(template.textSize).text('Payments:', template.margin, doc.y, { width }).moveDown(0.2);
+        payments.forEach(payment => {
+            const details = [
+                payment.card_last_four ? `**** ${payment.card_last_four}` : null,
+                payment.reference ? `Ref ${payment.reference}` : null
+            ].filter(Boolean).join(', ');
+            exports.drawAmountRow(doc, template, `${payment.payment_method}${details ? ` (${details})` : ''}`, money(payment.amount));
+        });
+    } else {
+        doc.font('Helvetica').fontSize(template.textSize).text(`Payment Method: ${sale.payment_method}`, template.margin, doc.y, { width });
+    }
+    doc.moveDown(0.5);
+
+    if (sale.notes) {
+        doc.font('Helvetica-Bold').fontSize(template.textSize).text('Notes:', { width }).moveDown(0.2);
+        doc.font('Helvetica').text(sale.notes, { width }).moveDown(0.5);
+    }
+
+    exports.drawReceiptFooter(doc, template, settings, codeImage, 'Thank you for your purchase!');
+};
@@ -0,0 +1,148 @@
+// backend/services/saleService.js
+// Writes a sale (header, line items, stock and commission bookkeeping).
+// Used by POST /api/sales and by exchanges in the returns workflow.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { buildSaleCommissions, loadPayoutSchedules } = require('./commissionService');
+const { priceSaleLines } = require('./pricingService');
+const { calculateSaleTotals, assertClientTotalsMatch, allocateHeaderAmounts } = require('./saleTotalsService');
+const { buildSalePayments, buildExchangePayments } = require('./paymentService');
+const { DEFAULT_STORE_ID, getStoreSettings } = require('./settingsService');
+
+/**
+ * Prices a sale and builds the arguments of the create_sale() database function without
+ * writing anything. `saleHeaderData` and `lineItems` use the same shape as the
+ * POST /api/sales body and are expected to be validated by the caller.
+ *
+ * With `exchangeCredit` (the refund of the items returned in an exchange) the sale is
+ * tendered as exchange_credit up to that amount, and saleHeaderData's payments or
+ * payment_method must pay the rest; see paymentService.buildExchangePayments.
+ *
+ * Resolves to { header, lines, payments, totals }; throws an HTTP error (see utils/httpError)
+ * when the sale is invalid.
+ */
+exports.prepareSale = async (saleHeaderData, lineItems, { exchangeCredit } = {}) => {
+    // 1. Price the lines. Lines without a unit_price default to the product's current marked-down
+    //    price, and every line must sell at or above its floor (minimum_price / current markdown)
+    //    unless a manager overrode it. Consignor and commission rule come from the product's agreement.
+    const linePricing = await priceSaleLines(lineItems, saleHeaderData.discount_percent, saleHeaderData.sale_date);
+
+    // 2. Recompute the header figures; anything the client sent must agree with them.
+    const totals = calculateSaleTotals(linePricing, saleHeaderData);
+    assertClientTotalsMatch(saleHeaderData, lineItems, totals, linePricing);
+
+    // 3. Tenders must add up to the computed total.
+    const { payments, payment_method } = exchangeCredit === undefined
+        ? buildSalePayments(saleHeaderData, totals.total_amount)
+        : buildExchangePayments(saleHeaderData, totals.total_amount, exchangeCredit);
+
+    const headerInsertData = {
+        sale_date: saleHeaderData.sale_date,
+        customer_name: saleHeaderData.customer_name,
+        contact_type: saleHeaderData.contact_type || null,
+        contact_info: saleHeaderData.contact_info || null,
+        payment_method, // single method, or 'split' for several tenders
+        discount_percent: totals.discount_percent,
+        tax_amount: totals.tax_amount,
+        transaction_fee: totals.transaction_fee,
+        subtotal: totals.subtotal,
+        // invoice_number is issued by the database from the store's pattern and counter
+        store_id: saleHeaderData.store_id || DEFAULT_STORE_ID,
+        notes: saleHeaderData.notes || null,
+    };
+
+    // 4. Line items, each with the commission period it is booked into: the period of the
+    //    consignor's payout schedule (weekly, biweekly or monthly; the agreement's when set)
+    //    that contains the sale date.
+    //    The header discount and transaction fee are prorated over the lines, and each line is
+    //    split into consignor_share (capped so the store keeps its minimum fee per unit) and
+    //    store_share; who bears the discount and the fee is the store's proration policy.
+    const settings = await getStoreSettings(headerInsertData.store_id);
+    const allocations = allocateHeaderAmounts(linePricing, totals);
+    const commissions = buildSaleCommissions(linePricing, saleHeaderData.sale_date, {
+        allocations,
+        policy: { discount: settings.discount_proration_policy, fee: settings.fee_proration_policy },
+        schedules: await loadPayoutSchedules(linePricing),
+    });
+
+    const lines = linePricing.map((pricing, index) => ({
+        item: {
+            ...pricing, // product, consignor, agreement, rate, prices, floor and any below-minimum override
+            ...commissions[index].shares, // allocations, net_amount, consignor_share, store_share
+            commission: commissions[index].commission, // The consignor share - the source for commission tracking!
+        },
+        // Lines without a consignor have nobody to pay, so nothing is booked for them.
+        commission: commissions[index].booking,
+    }));
+
+    return { header: headerInsertData, lines, payments, totals };
+};
+
+/**
+ * Records a sale. `saleHeaderData` and `lineItems` use the same shape as the
+ * POST /api/sales body and are expected to be validated by the caller.
+ *
+ * Everything is written by the create_sale() database function in a single
+ * transaction: header, lines, tenders (sale_payments), stock decrement,
+ * commission_tracking totals and commission_items. If any part fails nothing is stored.
+ *
+ * Resolves to { saleId, invoiceNumber, totals }; throws an HTTP error (see utils/httpError)
+ * when the sale could not be recorded.
+ */
+exports.recordSale = async (saleHeaderData, lineItems) => {
+    const { header, lines, payments, totals } = await exports.prepareSale(saleHeaderData, lineItems);
+
+    const { data: sale, error } = await supabase
+        .rpc('create_sale', { p_header: header, p_lines: lines, p_payments: payments });
+
+    if (error) {
+        console.error("Supabase Error - recordSale (create_sale):", error);
+        if (error.details) console.error("Supabase Error Details:", error.details);
+        if (error.hint) console.error("Supabase Error Hint:", error.hint);
+        if (error.code === '23514') { // insufficient stock
+            throw createHttpError(409, 'Insufficient stock for one or more line items. Sale was not recorded.', { error: error.message });
+        }
+        if (error.code === '55000') { // commission period already paid
+            throw createHttpError(409, `Sale could not be booked: ${error.message}`, { error: error.message });
+        }
+        if (error.code === 'P0002') { // unknown product or store
+            throw createHttpError(404, error.message, { error: error.message });
+        }
+        if (error.code === '23505' && error.message.includes('invoice_number')) {
+            throw createHttpError(409, 'Invoice number already exists. Check the store\'s invoice_pattern.', { error: error.message });
+        }
+        throw createHttpError(500, 'Error recording sale. Nothing was saved.', { error: error.message });
+    }
+
+    console.log(`[${new Date().toISOString()}] Sale created successfully with ID: ${sale.id}, Invoice: ${sale.invoice_number}`);
+    return { saleId: sale.id, invoiceNumber: sale.invoice_number, totals };
+};
+
+/**
+ * Updates the header fields of a sale (sale_header columns, already validated) in one
+ * transaction (update_sale_header()). A new sale_date moves the commission into the period
+ * of the new date, each line by its payout schedule; where the old or the new period is
+ * closed or paid, the move is booked as adjustments in the consignor's next open period.
+ * Resolves to the sale header.
+ */
+exports.editSaleHeader = async (saleId, fields, changedBy) => {
+    const { data: sale, error } = await supabase.rpc('update_sale_header', {
+        p_sale_id: saleId,
+        p_fields: fields,
+        p_changed_by: changedBy || null,
+    });
+
+    if (error) {
+        console.error(`Supabase Error - editSaleHeader for sale ${saleId}:`, error);
+        if (error.code === 'P0002') {
+            throw createHttpError(404, `Sale with ID ${saleId} not found.`, { error: error.message });
+        }
+        if (error.code === '55000') {
+            throw createHttpError(409, error.message, { error: error.message });
+        }
+        throw createHttpError(500, 'Error updating sale header', { error: error.message });
+    }
+
+    return sale;
+};
@@ -0,0 +1,102 @@
+// backend/services/saleTotalsService.js
+// Authoritative sale figures. The POS may send its own subtotal/total/commission
+// rates, but what gets stored is always recomputed here from the priced lines.
+
+const createHttpError = require('../utils/httpError');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Amounts within half a cent are treated as equal (client-side float rounding).
+const TOLERANCE = 0.005;
+
+const parseAmount = (value) => parseFloat(value || 0) || 0;
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Computes the header figures of a sale from its priced lines
+ * ([{ unit_price, quantity }]) and the header inputs.
+ * Total = subtotal - discount + tax + transaction fee.
+ * Throws a 400 when discount_percent is outside 0-100 or tax_amount / transaction_fee is
+ * negative (or not a number), so a sale total can never go negative.
+ */
+exports.calculateSaleTotals = (pricedLines, { discount_percent, tax_amount, transaction_fee }) => {
+    const problems = [];
+    if (!isBlank(discount_percent) && !(parseFloat(discount_percent) >= 0 && parseFloat(discount_percent) <= 100)) {
+        problems.push('discount_percent must be a number between 0 and 100.');
+    }
+    if (!isBlank(tax_amount) && !(parseFloat(tax_amount) >= 0)) {
+        problems.push('tax_amount must be a number >= 0.');
+    }
+    if (!isBlank(transaction_fee) && !(parseFloat(transaction_fee) >= 0)) {
+        problems.push('transaction_fee must be a number >= 0.');
+    }
+    if (problems.length > 0) {
+        throw createHttpError(400, 'Invalid sale figures. Nothing was recorded.', { errors: problems });
+    }
+
+    const subtotal = roundCurrency(pricedLines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0));
+    const discountPercent = parseAmount(discount_percent);
+    const discountAmount = roundCurrency(subtotal * discountPercent / 100);
+    const taxAmount = roundCurrency(parseAmount(tax_amount));
+    const transactionFee = roundCurrency(parseAmount(transaction_fee));
+
+    return {
+        subtotal,
+        discount_percent: discountPercent,
+        discount_amount: discountAmount,
+        tax_amount: taxAmount,
+        transaction_fee: transactionFee,
+        total_amount: roundCurrency(subtotal - discountAmount + taxAmount + transactionFee),
+    };
+};
+
+/**
+ * Spreads the header discount_amount and transaction_fee of `totals` over the priced lines
+ * in proportion to each line's gross (unit_price * quantity). The last line takes the
+ * rounding remainder so the allocations add up to the header amounts exactly.
+ * Returns [{ discount_allocation, fee_allocation }] in line order.
+ */
+exports.allocateHeaderAmounts = (pricedLines, { subtotal, discount_amount, transaction_fee }) => {
+    const allocated = { discount: 0, fee: 0 };
+    return pricedLines.map((line, index) => {
+        const isLast = index === pricedLines.length - 1;
+        const share = subtotal > 0 ? (line.unit_price * line.quantity) / subtotal : 1 / pricedLines.length;
+        const discount = isLast ? roundCurrency(discount_amount - allocated.discount) : roundCurrency(discount_amount * share);
+        const fee = isLast ? roundCurrency(transaction_fee - allocated.fee) : roundCurrency(transaction_fee * share);
+        allocated.discount += discount;
+        allocated.fee += fee;
+        return { discount_allocation: discount, fee_allocation: fee };
+    });
+};
+
+/**
+ * Compares the figures a client sent (header subtotal/discount_amount/total_amount and
+ * each line's commission_rate) against the computed ones. Values the client left out
+ * are not checked. Throws a 400 listing every mismatch together with the expected figures.
+ */
+exports.assertClientTotalsMatch = (saleHeaderData, lineItems, totals, pricedLines) => {
+    const mismatches = [];
+
+    ['subtotal', 'discount_amount', 'total_amount'].forEach(field => {
+        const sent = saleHeaderData[field];
+        if (sent === undefined || sent === null || sent === '') return;
+        if (isNaN(parseFloat(sent)) || Math.abs(parseFloat(sent) - totals[field]) > TOLERANCE) {
+            mismatches.push({ field, sent, expected: totals[field] });
+        }
+    });
+
+    lineItems.forEach((item, index) => {
+        const sent = item.commission_rate;
+        if (sent === undefined || sent === null || sent === '') return;
+        const expected = pricedLines[index].commission_rate;
+        if (isNaN(parseFloat(sent)) || Math.abs(parseFloat(sent) - expected) > 0.00005) {
+            mismatches.push({ field: 'commission_rate', line: index, product_id: parseInt(item.product_id), sent, expected });
+        }
+    });
+
+    if (mismatches.length > 0) {
+        throw createHttpError(400,
+            'Sale figures sent by the client do not match the server calculation. Nothing was recorded.',
+            { mismatches, expected: totals });
+    }
+};
@@ -0,0 +1,59 @@
+// backend/services/settingsService.js
+// Per-store settings (store_settings table): invoice numbering and receipt branding, shared by
+// the sale path and the settings API.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+
+// Store used when a request does not name one (single-store installs).
+exports.DEFAULT_STORE_ID = process.env.STORE_ID || 'main';
+
+exports.INVOICE_PATTERN_TOKENS = ['{prefix}', '{store}', '{year}', '{counter}'];
+
+exports.getStoreSettings = async (storeId = exports.DEFAULT_STORE_ID) => {
+    const { data, error } = await supabase
+        .from('store_settings')
+        .select('*')
+        .eq('store_id', storeId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - getStoreSettings for store ${storeId}:`, error);
+        throw createHttpError(500, 'Error fetching store settings', { error: error.message });
+    }
+    if (!data) {
+        throw createHttpError(404, `Store ${storeId} not found.`);
+    }
+
+    return data;
+};
+
+/**
+ * Validates invoice numbering settings before they are saved. The pattern must contain
+ * {counter}, and a yearly reset needs {year} in the pattern, otherwise numbers from
+ * different years would collide. Returns a list of problems (empty when valid).
+ */
+exports.validateInvoiceSettings = ({ invoice_pattern, invoice_counter_padding, invoice_reset_yearly }) => {
+    const problems = [];
+    if (invoice_pattern !== undefined) {
+        if (typeof invoice_pattern !== 'string' || !invoice_pattern.includes('{counter}')) {
+            problems.push('invoice_pattern must contain {counter}.');
+        } else {
+            const unknownTokens = (invoice_pattern.match(/\{[^}]*\}/g) || [])
+                .filter(token => !exports.INVOICE_PATTERN_TOKENS.includes(token));
+            if (unknownTokens.length) {
+                problems.push(`invoice_pattern has unknown tokens: ${unknownTokens.join(', ')}. Allowed: ${exports.INVOICE_PATTERN_TOKENS.join(', ')}.`);
+            }
+            if (invoice_reset_yearly !== false && !invoice_pattern.includes('{year}')) {
+                problems.push('invoice_pattern must contain {year} when invoice_reset_yearly is enabled.');
+            }
+        }
+    }
+    if (invoice_counter_padding !== undefined) {
+        const padding = parseInt(invoice_counter_padding);
+        if (isNaN(padding) || padding < 1 || padding > 12) {
+            problems.push('invoice_counter_padding must be between 1 and 12.');
+        }
+    }
+    return problems;
+};
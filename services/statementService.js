@@ -0,0 +1,282 @@
+// backend/services/statementService.js
+// Consignor payout statements: one PDF per commission_tracking period listing the items
+// sold (with the store's and the consignor's share), deductions such as returns, the
+// payments recorded and the balance carried forward. Also bundles a period's statements
+// into a zip.
+
+const archiver = require('archiver');
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const {
+    RECEIPT_TEMPLATES, getReceiptSettings, createReceiptDocument, drawStoreHeader, drawRule, drawAmountRow, loadLogo
+} = require('./receiptService');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(Number(value || 0)).toFixed(2)}`;
+const percent = (rate) => `${(parseFloat(rate || 0) * 100).toFixed(2).replace(/\.00$/, '')}%`;
+
+const TRACKING_SELECT = `
+    id, consignor_id, period_start, period_end, total_sales, total_commission, status, paid_amount,
+    consignors (id, full_name, email, address)
+`;
+
+const ITEM_SELECT = `
+    id, sale_item_id, product_id, sale_amount, commission_rate, commission_amount, reversal_of, store_buyout_id,
+    products (name),
+    sale_items (quantity, sale_header (sale_date, invoice_number)),
+    store_buyouts (quantity, created_at)
+`;
+
+/**
+ * Everything a statement shows for one commission_tracking row:
+ * { tracking, consignor, lines, deductions, payments, totals }. Lines are the items sold
+ * (and store buyouts); deductions are the negative rows (returns / voids booked into this
+ * period). totals: { sales, store_share, consignor_share, deductions, commission,
+ * payments, earlier_balance, balance_carried_forward }.
+ * Throws 404 when the period does not exist.
+ */
+exports.loadStatement = async (trackingId) => {
+    const { data: tracking, error } = await supabase
+        .from('commission_tracking')
+        .select(TRACKING_SELECT)
+        .eq('id', trackingId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`Supabase Error - loadStatement (tracking ${trackingId}):`, error);
+        throw createHttpError(500, 'Error fetching commission period', { error: error.message });
+    }
+    if (!tracking) {
+        throw createHttpError(404, `Commission period ${trackingId} not found.`);
+    }
+
+    const [itemsResult, paymentsResult, earlierResult] = await Promise.all([
+        supabase.from('commission_items').select(ITEM_SELECT).eq('commission_tracking_id', trackingId),
+        supabase.from('commission_payments').select('*').eq('commission_tracking_id', trackingId).order('payment_date'),
+        // Unpaid balances of the consignor's earlier periods
+        supabase.from('commission_tracking')
+            .select('total_commission, paid_amount')
+            .eq('consignor_id', tracking.consignor_id)
+            .lt('period_end', tracking.period_start)
+            .neq('status', 'paid'),
+    ]);
+
+    const failed = [itemsResult, paymentsResult, earlierResult].find(result => result.error);
+    if (failed) {
+        console.error(`Supabase Error - loadStatement (details for tracking ${trackingId}):`, failed.error);
+        throw createHttpError(500, 'Error fetching commission statement details', { error: failed.error.message });
+    }
+
+    const rows = itemsResult.data.map(item => {
+        const saleAmount = parseFloat(item.sale_amount) || 0;
+        const consignorShare = parseFloat(item.commission_amount) || 0;
+        return {
+            date: item.sale_items?.sale_header?.sale_date || item.store_buyouts?.created_at || null,
+            description: item.store_buyout_id
+                ? `${item.products?.name || `Product ${item.product_id}`} (store buyout)`
+                : item.products?.name || `Product ${item.product_id}`,
+            invoice_number: item.sale_items?.sale_header?.invoice_number || null,
+            quantity: item.sale_items?.quantity ?? item.store_buyouts?.quantity ?? null,
+            sale_amount: saleAmount,
+            commission_rate: parseFloat(item.commission_rate) || 0,
+            store_share: roundCurrency(saleAmount - consignorShare),
+            consignor_share: consignorShare,
+            is_deduction: Boolean(item.reversal_of) || consignorShare < 0,
+        };
+    }).sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+
+    const lines = rows.filter(row => !row.is_deduction);
+    const deductions = rows.filter(row => row.is_deduction);
+    const payments = paymentsResult.data;
+
+    const sum = (list, field) => roundCurrency(list.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0));
+    const consignorShare = sum(lines, 'consignor_share');
+    const deductionTotal = sum(deductions, 'consignor_share');
+    const paymentTotal = sum(payments, 'amount');
+    const earlierBalance = roundCurrency(earlierResult.data
+        .reduce((total, row) => total + (parseFloat(row.total_commission) || 0) - (parseFloat(row.paid_amount) || 0), 0));
+    const commission = parseFloat(tracking.total_commission) || 0;
+
+    return {
+        tracking,
+        consignor: tracking.consignors || { id: tracking.consignor_id },
+        lines,
+        deductions,
+        payments,
+        totals: {
+            sales: sum(lines, 'sale_amount'),
+            store_share: sum(lines, 'store_share'),
+            consignor_share: consignorShare,
+            deductions: deductionTotal,
+            commission,
+            payments: paymentTotal,
+            earlier_balance: earlierBalance,
+            balance_carried_forward: roundCurrency(earlierBalance + commission - paymentTotal),
+        },
+    };
+};
+
+/**
+ * Writes a statement (as loaded by loadStatement) onto a letter-size `doc`.
+ */
+exports.renderStatement = (doc, statement, settings, { logo } = {}) => {
+    const template = RECEIPT_TEMPLATES.letter;
+    const { tracking, consignor, lines, deductions, payments, totals } = statement;
+    const left = template.margin;
+
+    drawStoreHeader(doc, template, settings, 'CONSIGNOR STATEMENT', logo);
+
+    doc.fontSize(12).font('Helvetica-Bold').text('Consignor:', { continued: true }).font('Helvetica').text(` ${consignor.full_name || `Consignor ${tracking.consignor_id}`}`);
+    if (consignor.address) doc.text(consignor.address);
+    doc.font('Helvetica-Bold').text('Period:', { continued: true }).font('Helvetica').text(` ${tracking.period_start} to ${tracking.period_end}`);
+    doc.font('Helvetica-Bold').text('Status:', { continued: true }).font('Helvetica').text(` ${tracking.status}`);
+    doc.font('Helvetica-Bold').text('Statement date:', { continued: true }).font('Helvetica').text(` ${new Date().toLocaleDateString()}`);
+
+    // Date | Item | Sale price | Rate | Store share | Your share
+    const columns = [
+        { label: 'Date', x: left, width: 65 },
+        { label: 'Item', x: left + 65, width: 165 },
+        { label: 'Sale price', x: left + 230, width: 70, align: 'right' },
+        { label: 'Rate', x: left + 300, width: 50, align: 'right' },
+        { label: 'Store share', x: left + 350, width: 75, align: 'right' },
+        { label: 'Your share', x: left + 425, width: 87, align: 'right' },
+    ];
+    const drawTable = (title, rows) => {
+        drawRule(doc, template);
+        doc.font('Helvetica-Bold').fontSize(12).text(title, left, doc.y);
+        doc.moveDown(0.4);
+        const headerY = doc.y;
+        doc.fontSize(10);
+        columns.forEach(column => doc.text(column.label, column.x, headerY, { width: column.width, align: column.align || 'left' }));
+        doc.moveDown(0.3);
+        doc.font('Helvetica');
+        if (rows.length === 0) {
+            doc.text('None.', left, doc.y);
+            return;
+        }
+        rows.forEach(row => {
+            if (doc.y > doc.page.height - 100) doc.addPage();
+            const rowY = doc.y;
+            const item = `${row.description}${row.quantity > 1 ? ` (x${row.quantity})` : ''}${row.invoice_number ? ` #${row.invoice_number}` : ''}`;
+            const values = [
+                row.date ? new Date(row.date).toLocaleDateString() : '',
+                item,
+                money(row.sale_amount),
+                percent(row.commission_rate),
+                money(row.store_share),
+                money(row.consignor_share),
+            ];
+            let bottom = rowY;
+            columns.forEach((column, index) => {
+                doc.text(values[index], column.x, rowY, { width: column.width, align: column.align || 'left' });
+                bottom = Math.max(bottom, doc.y);
+            });
+            doc.y = bottom;
+            doc.moveDown(0.2);
+        });
+    };
+
+    drawTable('Items Sold', lines);
+    if (deductions.length > 0) drawTable('Deductions (returns and voids)', deductions);
+
+    drawRule(doc, template);
+    doc.font('Helvetica-Bold').fontSize(12).text('Payments', left, doc.y);
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(10);
+    if (payments.length === 0) {
+        doc.text('No payments recorded for this period.', left, doc.y);
+    }
+    payments.forEach(payment => {
+        const reference = [payment.payment_method, payment.transaction_reference].filter(Boolean).join(' - ');
+        drawAmountRow(doc, template, `${new Date(payment.payment_date).toLocaleDateString()}  ${reference}`, money(payment.amount));
+    });
+
+    drawRule(doc, template);
+    drawAmountRow(doc, template, 'Total sales:', money(totals.sales));
+    drawAmountRow(doc, template, 'Store share:', money(totals.store_share));
+    drawAmountRow(doc, template, 'Your share of sales:', money(totals.consignor_share));
+    if (totals.deductions !== 0) drawAmountRow(doc, template, 'Deductions:', money(totals.deductions));
+    drawAmountRow(doc, template, 'Commission this period:', money(totals.commission), { bold: true });
+    if (totals.earlier_balance !== 0) drawAmountRow(doc, template, 'Unpaid balance from earlier periods:', money(totals.earlier_balance));
+    drawAmountRow(doc, template, 'Payments:', money(-totals.payments));
+    doc.moveDown(0.3);
+    drawAmountRow(doc, template, 'BALANCE CARRIED FORWARD:', money(totals.balance_carried_forward), { bold: true, size: 14 });
+};
+
+const renderStatementToBuffer = (statement, settings, options) => new Promise((resolve, reject) => {
+    const doc = createReceiptDocument(RECEIPT_TEMPLATES.letter);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    exports.renderStatement(doc, statement, settings, options);
+    doc.end();
+});
+
+// Appends a file to a zip and resolves once archiver has written it out of its queue
+// ('entry'), so the caller can render the next file without the previous one still held.
+const appendToArchive = (archive, buffer, name) => new Promise((resolve, reject) => {
+    const onEntry = () => {
+        archive.off('error', onError);
+        resolve();
+    };
+    const onError = (err) => {
+        archive.off('entry', onEntry);
+        reject(err);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(buffer, { name });
+});
+
+// File name of a statement inside downloads and zips.
+const statementFilename = (statement) =>
+    `statement_${statement.tracking.consignor_id}_${statement.tracking.period_start}_${statement.tracking.period_end}.pdf`;
+
+/**
+ * Statement PDF of one commission period. Resolves to { buffer, filename }.
+ */
+exports.getStatementPdf = async (trackingId) => {
+    const statement = await exports.loadStatement(trackingId);
+    const settings = await getReceiptSettings();
+    const logo = await loadLogo(settings?.logo_url);
+    return { buffer: await renderStatementToBuffer(statement, settings, { logo }), filename: statementFilename(statement) };
+};
+
+/**
+ * Streams a zip of the statements of every commission period ending within
+ * periodStart..periodEnd (one per consignor for monthly schedules, one per week or
+ * fortnight for the others) to `output` (e.g. the HTTP response). Throws 404 before anything
+ * is written when there are none.
+ */
+exports.streamStatementsZip = async (periodStart, periodEnd, output) => {
+    const { data: periods, error } = await supabase
+        .from('commission_tracking')
+        .select('id')
+        .gte('period_end', periodStart)
+        .lte('period_end', periodEnd)
+        .order('consignor_id')
+        .order('period_start');
+
+    if (error) {
+        console.error(`Supabase Error - streamStatementsZip (${periodStart} to ${periodEnd}):`, error);
+        throw createHttpError(500, 'Error fetching commission periods', { error: error.message });
+    }
+    if (periods.length === 0) {
+        throw createHttpError(404, `No commission periods for ${periodStart} to ${periodEnd}.`);
+    }
+
+    const settings = await getReceiptSettings();
+    const logo = await loadLogo(settings?.logo_url);
+
+    const archive = archiver('zip');
+    archive.pipe(output);
+    // Statements are rendered one at a time, each once the previous one is in the zip,
+    // to keep memory flat for large periods.
+    for (const period of periods) {
+        const statement = await exports.loadStatement(period.id);
+        await appendToArchive(archive, await renderStatementToBuffer(statement, settings, { logo }), statementFilename(statement));
+    }
+    await archive.finalize();
+    return periods.length;
+};
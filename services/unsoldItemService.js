@@ -0,0 +1,225 @@
+// backend/services/unsoldItemService.js
+// Unsold-item policy engine. Finds products whose consignment period has lapsed and,
+// per their agreement's unsold_item_policy, puts them on a return-to-consignor pick
+// list or a donation batch. Return batches not collected within the agreement's
+// return_fallback_days fall back to donation. Run by jobs/unsoldItemJob.js and
+// POST /api/unsold-items/run.
+
+const supabase = require('../config/supabaseClient');
+const createHttpError = require('../utils/httpError');
+const { notifyConsignor } = require('./notificationService');
+const { getGoverningAgreement } = require('./agreementService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Used when an agreement does not set them.
+const DEFAULT_CONSIGNMENT_PERIOD_DAYS = 90;
+const DEFAULT_RETURN_FALLBACK_DAYS = 14;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+/**
+ * Last day of a product's consignment: listing date (listed_at, else created_at)
+ * plus the agreement's consignment_period_days, or the agreement's end_date if that
+ * comes first.
+ */
+exports.getConsignmentEndDate = (product, agreement) => {
+    const periodEnd = addDays(product.listed_at || product.created_at,
+        parseInt(agreement?.consignment_period_days) || DEFAULT_CONSIGNMENT_PERIOD_DAYS);
+    const agreementEnd = agreement?.end_date ? new Date(agreement.end_date) : null;
+    return agreementEnd && agreementEnd < periodEnd ? agreementEnd : periodEnd;
+};
+
+/**
+ * In-stock products whose consignment period ended on or before `asOf`, with the
+ * agreement that decides what happens to them (the one in force on `asOf`, else the
+ * one that last applied): [{ product, agreement, consignment_end_date }].
+ */
+exports.findLapsedProducts = async (asOf = new Date()) => {
+    const { data, error } = await supabase
+        .from('products')
+        .select(`
+            id, name, consignor_id, quantity, status, listed_at, created_at,
+            consignors (full_name, email),
+            product_locations (floor, aisle, rack_shelf, bin_number),
+            agreements (
+                id, status, start_date, end_date, unsold_item_policy, return_fallback_days, consignment_period_days,
+                charity_donations (charity_choice)
+            )
+        `)
+        .eq('status', 'in_stock')
+        .eq('store_owned', false) // bought-out stock belongs to the store; no consignment period applies
+        .gt('quantity', 0);
+
+    if (error) {
+        console.error("Supabase Error - findLapsedProducts:", error);
+        throw createHttpError(500, 'Error fetching products for the unsold-item policy', { error: error.message });
+    }
+
+    return data
+        .map(product => {
+            const agreement = getGoverningAgreement(product.agreements, asOf);
+            return { product, agreement, consignment_end_date: exports.getConsignmentEndDate(product, agreement) };
+        })
+        .filter(({ consignment_end_date }) => consignment_end_date <= new Date(asOf))
+        .map(entry => ({ ...entry, consignment_end_date: toDateString(entry.consignment_end_date) }));
+};
+
+/**
+ * Groups lapsed products into batches:
+ * - 'return': one pick list per consignor and fallback window, due back within
+ *   return_fallback_days of `asOf`;
+ * - 'donate': the charity's open donation batch, which is shared by all consignors
+ *   (planned per consignor so a product sold meanwhile only holds back that consignor's items).
+ * Products without an agreement or with another policy are returned in `skipped`.
+ */
+exports.planUnsoldItemBatches = (lapsed, asOf = new Date()) => {
+    const batches = new Map();
+    const skipped = [];
+
+    lapsed.forEach(({ product, agreement, consignment_end_date }) => {
+        const policy = agreement?.unsold_item_policy;
+        const item = {
+            product_id: product.id,
+            agreement_id: agreement?.id ?? null,
+            name: product.name,
+            quantity: product.quantity,
+            consignment_end_date,
+            location: product.product_locations?.[0] || product.product_locations || null
+        };
+
+        let key;
+        let batch;
+        if (policy === 'return') {
+            const fallbackDays = parseInt(agreement.return_fallback_days) || DEFAULT_RETURN_FALLBACK_DAYS;
+            key = `return:${product.consignor_id}:${fallbackDays}`;
+            batch = {
+                batch_type: 'return',
+                consignor_id: product.consignor_id,
+                charity_choice: null,
+                due_date: toDateString(addDays(asOf, fallbackDays))
+            };
+        } else if (policy === 'donate') {
+            const charityChoice = agreement.charity_donations?.[0]?.charity_choice || null;
+            key = `donation:${charityChoice}:${product.consignor_id}`;
+            batch = {
+                batch_type: 'donation',
+                consignor_id: product.consignor_id,
+                charity_choice: charityChoice,
+                due_date: null
+            };
+        } else {
+            skipped.push({ product_id: product.id, name: product.name, reason: agreement ? `No action for unsold_item_policy '${policy}'.` : 'Product has no agreement.' });
+            return;
+        }
+
+        if (!batches.has(key)) batches.set(key, { ...batch, items: [] });
+        batches.get(key).items.push(item);
+    });
+
+    return { batches: Array.from(batches.values()), skipped };
+};
+
+const describeItems = (items) => items.map(item => `- ${item.name || `Product ${item.product_id}`} (qty ${item.quantity})`).join('\n');
+
+const notifyBatchCreated = (batch, plan) => {
+    if (!plan.consignor_id) return null;
+    if (batch.batch_type === 'return') {
+        return notifyConsignor(plan.consignor_id, {
+            subject: 'Your consigned items are ready for pick-up',
+            message: `The consignment period has ended for the items below and they are ready to be collected:\n\n${describeItems(plan.items)}\n\n` +
+                `Please collect them by ${batch.due_date}. Items not collected by then will be donated as set out in your agreement.`,
+            related: { type: 'unsold_item_batch', id: batch.id }
+        });
+    }
+    return notifyConsignor(plan.consignor_id, {
+        subject: 'Your unsold consigned items will be donated',
+        message: `The consignment period has ended for the items below. As agreed, they will be donated` +
+            `${batch.charity_choice ? ` to ${batch.charity_choice}` : ''}:\n\n${describeItems(plan.items)}`,
+        related: { type: 'unsold_item_batch', id: batch.id }
+    });
+};
+
+/**
+ * Moves overdue return batches (due_date before `asOf`) to donation and notifies the consignors.
+ * Resolves to [{ return_batch_id, donation_batch_ids }] plus any batch that failed.
+ */
+exports.fallBackOverdueReturns = async (asOf = new Date()) => {
+    const { data: overdue, error } = await supabase
+        .from('unsold_item_batches')
+        .select('id, consignor_id, due_date')
+        .eq('batch_type', 'return')
+        .eq('status', 'open')
+        .lt('due_date', toDateString(asOf));
+
+    if (error) {
+        console.error("Supabase Error - fallBackOverdueReturns:", error);
+        throw createHttpError(500, 'Error fetching overdue return batches', { error: error.message });
+    }
+
+    const fellBack = [];
+    const failed = [];
+    for (const batch of overdue) {
+        const { data: donationBatches, error: fallbackError } = await supabase
+            .rpc('fallback_return_batch', { p_batch_id: batch.id });
+
+        if (fallbackError) {
+            console.error(`Supabase Error - fallback_return_batch for batch ${batch.id}:`, fallbackError);
+            failed.push({ batch_id: batch.id, error: fallbackError.message });
+            continue;
+        }
+
+        fellBack.push({ return_batch_id: batch.id, donation_batch_ids: (donationBatches || []).map(b => b.id) });
+        if (batch.consignor_id && donationBatches?.length) {
+            await notifyConsignor(batch.consignor_id, {
+                subject: 'Uncollected items moved to donation',
+                message: `The items waiting for you to collect were not picked up by ${batch.due_date}. ` +
+                    'As set out in your agreement, they will now be donated.',
+                related: { type: 'unsold_item_batch', id: batch.id }
+            });
+        }
+    }
+
+    return { fellBack, failed };
+};
+
+/**
+ * Runs the unsold-item policy as of `asOf`: overdue returns fall back to donation
+ * first, then newly lapsed products are put on return / donation batches and the
+ * consignors are notified. With `dryRun` nothing is written and only the plan is returned.
+ */
+exports.runUnsoldItemPolicies = async ({ asOf = new Date(), dryRun = false } = {}) => {
+    const lapsed = await exports.findLapsedProducts(asOf);
+    const { batches, skipped } = exports.planUnsoldItemBatches(lapsed, asOf);
+
+    if (dryRun) {
+        return { as_of: toDateString(asOf), dry_run: true, planned: batches, skipped };
+    }
+
+    const { fellBack, failed } = await exports.fallBackOverdueReturns(asOf);
+
+    const created = [];
+    for (const plan of batches) {
+        const { items, ...batchFields } = plan;
+        const { data: batch, error } = await supabase.rpc('create_unsold_item_batch', {
+            p_batch: batchFields,
+            p_items: items.map(item => ({ product_id: item.product_id, agreement_id: item.agreement_id }))
+        });
+
+        if (error) {
+            // 55000: a product was sold or moved since it was found; the next run picks up the rest.
+            console.error(`Supabase Error - create_unsold_item_batch (${plan.batch_type}, consignor ${plan.consignor_id}):`, error);
+            failed.push({ batch_type: plan.batch_type, consignor_id: plan.consignor_id, error: error.message });
+            continue;
+        }
+
+        await notifyBatchCreated(batch, plan);
+        created.push({ ...batch, items });
+    }
+
+    console.log(`[${new Date().toISOString()}] Unsold-item policy run as of ${toDateString(asOf)}: ` +
+        `${created.length} batch(es) created, ${fellBack.length} return batch(es) moved to donation, ${failed.length} failed.`);
+
+    return { as_of: toDateString(asOf), dry_run: false, created, fell_back: fellBack, skipped, failed };
+};
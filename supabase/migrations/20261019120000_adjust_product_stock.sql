@@ -0,0 +1,44 @@
+-- Atomic stock adjustment used by the sale path.
+-- A negative p_delta reserves stock (sale), a positive one puts it back (void/return).
+-- The conditional UPDATE takes a row lock, so concurrent sales of the same
+-- product are serialised and can never drive quantity below zero.
+
+create or replace function adjust_product_stock(p_product_id bigint, p_delta integer)
+returns products
+language plpgsql
+as $$
+declare
+    v_product products;
+    v_available integer;
+begin
+    update products
+       set quantity   = quantity + p_delta,
+           status     = case
+                            when quantity + p_delta = 0 then 'sold'
+                            when p_delta > 0 and status = 'sold' then 'in_stock'
+                            else status
+                        end,
+           updated_at = now()
+     where id = p_product_id
+       and quantity + p_delta >= 0
+    returning * into v_product;
+
+    if not found then
+        select quantity into v_available from products where id = p_product_id;
+        if v_available is null then
+            raise exception 'Product % not found', p_product_id using errcode = 'P0002';
+        end if;
+        raise exception 'Insufficient stock for product % (requested %, available %)',
+            p_product_id, -p_delta, v_available
+            using errcode = '23514';
+    end if;
+
+    -- Keep the shelf count in step with the product quantity.
+    update product_locations
+       set quantity   = greatest(quantity + p_delta, 0),
+           updated_at = now()
+     where product_id = p_product_id;
+
+    return v_product;
+end;
+$$;
@@ -0,0 +1,183 @@
+-- Voiding a sale keeps it for audit and reverses its effects:
+--   * sale_header is flagged 'voided' with who/when/why,
+--   * each commission_items row gets a negating row (reversal_of -> original),
+--   * the affected commission_tracking totals are reduced,
+--   * the products are restocked.
+-- Reversals against an already-paid period are refused unless the caller
+-- passes a carry-forward period for that consignor, in which case the
+-- negative amounts are booked there instead.
+
+alter table sale_header
+    add column if not exists status      text not null default 'completed',
+    add column if not exists voided_at   timestamptz,
+    add column if not exists voided_by   text,
+    add column if not exists void_reason text;
+
+alter table commission_items
+    add column if not exists reversal_of uuid references commission_items(id);
+
+-- The old read-modify-write booking could create several tracking rows for the same
+-- consignor and period. Merge them into the oldest one first: totals and paid amounts
+-- are summed and their commission_items and commission_payments repointed to it.
+create temporary table commission_tracking_merge as
+select id, keep_id
+  from (select id,
+               first_value(id) over (partition by consignor_id, period_start, period_end
+                                     order by created_at, id) as keep_id
+          from commission_tracking) ranked
+ where id <> keep_id;
+
+update commission_tracking k
+   set total_sales      = coalesce(k.total_sales, 0) + d.total_sales,
+       total_commission = coalesce(k.total_commission, 0) + d.total_commission,
+       paid_amount      = coalesce(k.paid_amount, 0) + d.paid_amount,
+       -- paid only when every merged row was paid
+       status           = case when k.status = 'paid' and not d.all_paid then 'pending' else k.status end,
+       updated_at       = now()
+  from (select m.keep_id,
+               sum(coalesce(t.total_sales, 0))      as total_sales,
+               sum(coalesce(t.total_commission, 0)) as total_commission,
+               sum(coalesce(t.paid_amount, 0))      as paid_amount,
+               bool_and(t.status = 'paid')          as all_paid
+          from commission_tracking_merge m
+          join commission_tracking t on t.id = m.id
+         group by m.keep_id) d
+ where k.id = d.keep_id;
+
+update commission_items ci
+   set commission_tracking_id = m.keep_id
+  from commission_tracking_merge m
+ where ci.commission_tracking_id = m.id;
+
+-- A merged period can carry the payments of several old rows.
+alter table commission_payments
+    drop constraint if exists commission_payments_commission_tracking_id_key;
+
+update commission_payments cp
+   set commission_tracking_id = m.keep_id
+  from commission_tracking_merge m
+ where cp.commission_tracking_id = m.id;
+
+delete from commission_tracking where id in (select id from commission_tracking_merge);
+
+drop table commission_tracking_merge;
+
+-- One tracking row per consignor and period, so bookings can upsert into it.
+alter table commission_tracking
+    add constraint commission_tracking_consignor_period_key
+    unique (consignor_id, period_start, period_end);
+
+-- Adds (or, with negative amounts, subtracts) sale and commission totals to a
+-- consignor's period, creating the period if needed. The increment happens in
+-- a single statement, so concurrent bookings cannot lose an update.
+create or replace function book_commission(
+    p_consignor_id      bigint,
+    p_period_start      date,
+    p_period_end        date,
+    p_sale_amount       numeric,
+    p_commission_amount numeric
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking_id uuid;
+begin
+    insert into commission_tracking as ct
+           (consignor_id, period_start, period_end, total_sales, total_commission, status, paid_amount)
+    values (p_consignor_id, p_period_start, p_period_end, p_sale_amount, p_commission_amount, 'pending', 0)
+    on conflict (consignor_id, period_start, period_end) do update
+       set total_sales      = ct.total_sales + excluded.total_sales,
+           total_commission = ct.total_commission + excluded.total_commission,
+           updated_at       = now()
+     where ct.status <> 'paid'
+    returning ct.id into v_tracking_id;
+
+    if v_tracking_id is null then
+        raise exception 'Commission period % to % for consignor % is already paid',
+            p_period_start, p_period_end, p_consignor_id
+            using errcode = '55000';
+    end if;
+
+    return v_tracking_id;
+end;
+$$;
+
+-- p_carry_forward_periods: { "<consignor_id>": { "period_start": "YYYY-MM-DD", "period_end": "YYYY-MM-DD" } }
+create or replace function void_sale(
+    p_sale_id               uuid,
+    p_reason                text,
+    p_voided_by             text default null,
+    p_carry_forward_periods jsonb default null
+)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale      sale_header;
+    v_item      record;
+    v_target_id uuid;
+    v_period    jsonb;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+    if v_sale.status = 'voided' then
+        raise exception 'Sale % is already voided', p_sale_id using errcode = '55000';
+    end if;
+
+    for v_item in
+        select ci.*, ct.consignor_id, ct.status as period_status
+          from commission_items ci
+          join commission_tracking ct on ct.id = ci.commission_tracking_id
+          join sale_items si on si.id = ci.sale_item_id
+         where si.sale_id = p_sale_id
+           and ci.reversal_of is null
+           for update of ct
+    loop
+        if v_item.period_status = 'paid' then
+            v_period := p_carry_forward_periods -> v_item.consignor_id::text;
+            if v_period is null then
+                raise exception 'Commission period % for consignor % is already paid',
+                    v_item.commission_tracking_id, v_item.consignor_id
+                    using errcode = '55000';
+            end if;
+            v_target_id := book_commission(
+                v_item.consignor_id,
+                (v_period ->> 'period_start')::date,
+                (v_period ->> 'period_end')::date,
+                -v_item.sale_amount,
+                -v_item.commission_amount
+            );
+        else
+            update commission_tracking
+               set total_sales      = total_sales - v_item.sale_amount,
+                   total_commission = total_commission - v_item.commission_amount,
+                   updated_at       = now()
+             where id = v_item.commission_tracking_id;
+            v_target_id := v_item.commission_tracking_id;
+        end if;
+
+        insert into commission_items
+               (commission_tracking_id, sale_item_id, product_id, sale_amount,
+                commission_rate, commission_amount, reversal_of)
+        values (v_target_id, v_item.sale_item_id, v_item.product_id, -v_item.sale_amount,
+                v_item.commission_rate, -v_item.commission_amount, v_item.id);
+    end loop;
+
+    perform adjust_product_stock(si.product_id, si.quantity)
+       from sale_items si
+      where si.sale_id = p_sale_id;
+
+    update sale_header
+       set status      = 'voided',
+           voided_at   = now(),
+           voided_by   = p_voided_by,
+           void_reason = p_reason
+     where id = p_sale_id
+    returning * into v_sale;
+
+    return v_sale;
+end;
+$$;
@@ -0,0 +1,239 @@
+-- Partial returns on individual sale lines.
+-- A return records how many units of each sale_items row came back, the
+-- refund, restocks the product and reverses only the returned share of that
+-- line's commission. An exchange is a regular sale linked via exchange_sale_id.
+
+create table if not exists sale_returns (
+    id               uuid primary key default gen_random_uuid(),
+    sale_id          uuid not null references sale_header(id),
+    return_date      timestamptz not null default now(),
+    refund_amount    numeric(12, 2) not null default 0,
+    refund_method    text not null,
+    reason           text,
+    processed_by     text,
+    exchange_sale_id uuid references sale_header(id),
+    created_at       timestamptz not null default now()
+);
+
+create table if not exists sale_return_items (
+    id            uuid primary key default gen_random_uuid(),
+    return_id     uuid not null references sale_returns(id) on delete cascade,
+    sale_item_id  uuid not null references sale_items(id),
+    product_id    bigint not null references products(id),
+    quantity      integer not null check (quantity > 0),
+    refund_amount numeric(12, 2) not null default 0,
+    restocked     boolean not null default true
+);
+
+create index if not exists sale_returns_sale_id_idx on sale_returns (sale_id);
+create index if not exists sale_return_items_return_id_idx on sale_return_items (return_id);
+
+alter table sale_items
+    add column if not exists returned_quantity integer not null default 0;
+
+alter table commission_items
+    add column if not exists sale_return_item_id uuid references sale_return_items(id);
+
+-- Reverses p_ratio (0..1] of a commission_items row: subtracts it from the
+-- row's period, or books it into the consignor's carry-forward period when the
+-- original period is already paid, and records a negating commission_items row.
+create or replace function reverse_commission_item(
+    p_commission_item_id    uuid,
+    p_ratio                 numeric,
+    p_carry_forward_periods jsonb default null,
+    p_sale_return_item_id   uuid default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_item              record;
+    v_period            jsonb;
+    v_target_id         uuid;
+    v_sale_amount       numeric;
+    v_commission_amount numeric;
+    v_reversal_id       uuid;
+begin
+    select ci.*, ct.consignor_id, ct.status as period_status
+      into v_item
+      from commission_items ci
+      join commission_tracking ct on ct.id = ci.commission_tracking_id
+     where ci.id = p_commission_item_id
+       for update of ct;
+
+    v_sale_amount       := round(v_item.sale_amount * p_ratio, 2);
+    v_commission_amount := round(v_item.commission_amount * p_ratio, 2);
+
+    if v_item.period_status = 'paid' then
+        v_period := p_carry_forward_periods -> v_item.consignor_id::text;
+        if v_period is null then
+            raise exception 'Commission period % for consignor % is already paid',
+                v_item.commission_tracking_id, v_item.consignor_id
+                using errcode = '55000';
+        end if;
+        v_target_id := book_commission(
+            v_item.consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            -v_sale_amount,
+            -v_commission_amount
+        );
+    else
+        update commission_tracking
+           set total_sales      = total_sales - v_sale_amount,
+               total_commission = total_commission - v_commission_amount,
+               updated_at       = now()
+         where id = v_item.commission_tracking_id;
+        v_target_id := v_item.commission_tracking_id;
+    end if;
+
+    insert into commission_items
+           (commission_tracking_id, sale_item_id, product_id, sale_amount,
+            commission_rate, commission_amount, reversal_of, sale_return_item_id)
+    values (v_target_id, v_item.sale_item_id, v_item.product_id, -v_sale_amount,
+            v_item.commission_rate, -v_commission_amount, v_item.id, p_sale_return_item_id)
+    returning id into v_reversal_id;
+
+    return v_reversal_id;
+end;
+$$;
+
+-- p_items: [{ "sale_item_id": uuid, "quantity": int, "refund_amount": numeric, "restock": bool }]
+create or replace function process_sale_return(
+    p_sale_id               uuid,
+    p_items                 jsonb,
+    p_refund_method         text,
+    p_reason                text default null,
+    p_processed_by          text default null,
+    p_carry_forward_periods jsonb default null
+)
+returns sale_returns
+language plpgsql
+as $$
+declare
+    v_sale           sale_header;
+    v_return         sale_returns;
+    v_line           record;
+    v_sale_item      sale_items;
+    v_return_item_id uuid;
+    v_commission_id  uuid;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+    if v_sale.status = 'voided' then
+        raise exception 'Sale % is voided and cannot take returns', p_sale_id using errcode = '55000';
+    end if;
+
+    insert into sale_returns (sale_id, refund_method, reason, processed_by)
+    values (p_sale_id, p_refund_method, p_reason, p_processed_by)
+    returning * into v_return;
+
+    for v_line in
+        select * from jsonb_to_recordset(p_items)
+            as x(sale_item_id uuid, quantity integer, refund_amount numeric, restock boolean)
+    loop
+        select * into v_sale_item
+          from sale_items
+         where id = v_line.sale_item_id and sale_id = p_sale_id
+           for update;
+        if not found then
+            raise exception 'Line % does not belong to sale %', v_line.sale_item_id, p_sale_id
+                using errcode = 'P0002';
+        end if;
+        if v_line.quantity is null or v_line.quantity <= 0
+           or v_line.quantity > v_sale_item.quantity - v_sale_item.returned_quantity then
+            raise exception 'Cannot return % unit(s) of line % (% still returnable)',
+                v_line.quantity, v_line.sale_item_id, v_sale_item.quantity - v_sale_item.returned_quantity
+                using errcode = '23514';
+        end if;
+
+        update sale_items
+           set returned_quantity = returned_quantity + v_line.quantity
+         where id = v_sale_item.id;
+
+        insert into sale_return_items (return_id, sale_item_id, product_id, quantity, refund_amount, restocked)
+        values (v_return.id, v_sale_item.id, v_sale_item.product_id, v_line.quantity,
+                coalesce(v_line.refund_amount, 0), coalesce(v_line.restock, true))
+        returning id into v_return_item_id;
+
+        for v_commission_id in
+            select id from commission_items
+             where sale_item_id = v_sale_item.id and reversal_of is null
+        loop
+            perform reverse_commission_item(
+                v_commission_id,
+                v_line.quantity::numeric / v_sale_item.quantity,
+                p_carry_forward_periods,
+                v_return_item_id
+            );
+        end loop;
+
+        if coalesce(v_line.restock, true) then
+            perform adjust_product_stock(v_sale_item.product_id, v_line.quantity);
+        end if;
+    end loop;
+
+    update sale_returns
+       set refund_amount = (select coalesce(sum(refund_amount), 0) from sale_return_items where return_id = v_return.id)
+     where id = v_return.id
+    returning * into v_return;
+
+    return v_return;
+end;
+$$;
+
+-- Voiding now only reverses (and restocks) what has not already been returned.
+create or replace function void_sale(
+    p_sale_id               uuid,
+    p_reason                text,
+    p_voided_by             text default null,
+    p_carry_forward_periods jsonb default null
+)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale          sale_header;
+    v_line          record;
+    v_commission_id uuid;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+    if v_sale.status = 'voided' then
+        raise exception 'Sale % is already voided', p_sale_id using errcode = '55000';
+    end if;
+
+    for v_line in
+        select * from sale_items
+         where sale_id = p_sale_id and quantity > returned_quantity
+           for update
+    loop
+        for v_commission_id in
+            select id from commission_items
+             where sale_item_id = v_line.id and reversal_of is null
+        loop
+            perform reverse_commission_item(
+                v_commission_id,
+                (v_line.quantity - v_line.returned_quantity)::numeric / v_line.quantity,
+                p_carry_forward_periods
+            );
+        end loop;
+
+        perform adjust_product_stock(v_line.product_id, v_line.quantity - v_line.returned_quantity);
+    end loop;
+
+    update sale_header
+       set status      = 'voided',
+           voided_at   = now(),
+           voided_by   = p_voided_by,
+           void_reason = p_reason
+     where id = p_sale_id
+    returning * into v_sale;
+
+    return v_sale;
+end;
+$$;
@@ -0,0 +1,81 @@
+-- All-or-nothing sale creation.
+-- create_sale() writes the header, every line, the stock decrement and the
+-- commission bookkeeping in one transaction: any failure (insufficient stock,
+-- a paid commission period, a constraint violation) rolls the whole sale back.
+-- Commission totals are accumulated through book_commission(), which increments
+-- in a single statement, so concurrent sales for a consignor never lose an update.
+
+-- Inserts one row built from a jsonb object (keys = column names) and returns
+-- the stored row, including defaults and generated columns, as jsonb.
+create or replace function insert_jsonb_row(p_table regclass, p_row jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_columns text;
+    v_row     jsonb;
+begin
+    select string_agg(quote_ident(key), ', ') into v_columns
+      from jsonb_object_keys(p_row) as key;
+
+    execute format(
+        'insert into %1$s as t (%2$s) select %2$s from jsonb_populate_record(null::%1$s, $1) returning to_jsonb(t)',
+        p_table, v_columns
+    ) into v_row using p_row;
+
+    return v_row;
+end;
+$$;
+
+-- p_header: sale_header columns.
+-- p_lines:  [{ "item": { sale_items columns, without sale_id },
+--              "commission": { "period_start", "period_end", "commission_rate" } | null }]
+-- The commission amount booked is the line's `commission` column; the sale
+-- amount is its (generated) line_total.
+create or replace function create_sale(p_header jsonb, p_lines jsonb)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale        sale_header;
+    v_line        jsonb;
+    v_item        jsonb;
+    v_commission  jsonb;
+    v_tracking_id uuid;
+begin
+    if p_lines is null or jsonb_array_length(p_lines) = 0 then
+        raise exception 'A sale needs at least one line item' using errcode = '22023';
+    end if;
+
+    v_sale := jsonb_populate_record(null::sale_header, insert_jsonb_row('sale_header', p_header));
+
+    for v_line in select * from jsonb_array_elements(p_lines)
+    loop
+        v_item := insert_jsonb_row('sale_items', (v_line -> 'item') || jsonb_build_object('sale_id', v_sale.id));
+
+        perform adjust_product_stock((v_item ->> 'product_id')::bigint, -(v_item ->> 'quantity')::integer);
+
+        v_commission := v_line -> 'commission';
+        if v_commission is not null and jsonb_typeof(v_commission) = 'object' then
+            v_tracking_id := book_commission(
+                (v_item ->> 'consignor_id')::bigint,
+                (v_commission ->> 'period_start')::date,
+                (v_commission ->> 'period_end')::date,
+                (v_item ->> 'line_total')::numeric,
+                (v_item ->> 'commission')::numeric
+            );
+
+            insert into commission_items
+                   (commission_tracking_id, sale_item_id, product_id, sale_amount, commission_rate, commission_amount)
+            values (v_tracking_id,
+                    (v_item ->> 'id')::uuid,
+                    (v_item ->> 'product_id')::bigint,
+                    (v_item ->> 'line_total')::numeric,
+                    (v_commission ->> 'commission_rate')::numeric,
+                    (v_item ->> 'commission')::numeric);
+        end if;
+    end loop;
+
+    return v_sale;
+end;
+$$;
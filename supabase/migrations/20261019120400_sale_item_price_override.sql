@@ -0,0 +1,12 @@
+-- Minimum price enforcement on sale lines.
+-- Every line stores the floor it was checked against; lines sold below it are
+-- only accepted with a manager override, recorded here for the below-minimum report.
+
+alter table sale_items
+    add column if not exists effective_unit_price numeric(12, 2),
+    add column if not exists price_floor          numeric(12, 2),
+    add column if not exists below_minimum        boolean not null default false,
+    add column if not exists override_approved_by text,
+    add column if not exists override_reason      text;
+
+create index if not exists sale_items_below_minimum_idx on sale_items (below_minimum) where below_minimum;
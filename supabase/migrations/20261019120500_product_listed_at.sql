@@ -0,0 +1,10 @@
+-- Listing date used to count progressive markdown days.
+-- Set when a product is first placed on the shelf; existing products fall back to their creation date.
+
+alter table products
+    add column if not exists listed_at timestamptz;
+
+update products
+   set listed_at = created_at
+ where listed_at is null
+   and status in ('in_stock', 'sold');
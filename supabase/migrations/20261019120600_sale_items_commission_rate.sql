@@ -0,0 +1,5 @@
+-- The commission rate applied to a line is derived server-side from the
+-- product's agreement and stored with the line (read by the commission reports).
+
+alter table sale_items
+    add column if not exists commission_rate numeric(6, 4) not null default 0;
@@ -0,0 +1,78 @@
+-- Split-tender payments: a sale can be paid with several tenders
+-- (cash, card, store credit, ...). sale_header.payment_method keeps the single
+-- method, or 'split' when more than one tender was used.
+
+create table if not exists sale_payments (
+    id             uuid primary key default gen_random_uuid(),
+    sale_id        uuid not null references sale_header(id) on delete cascade,
+    payment_method text not null,
+    amount         numeric(12, 2) not null check (amount > 0),
+    reference      text,
+    card_last_four text check (card_last_four ~ '^[0-9]{4}$'),
+    created_at     timestamptz not null default now()
+);
+
+create index if not exists sale_payments_sale_id_idx on sale_payments (sale_id);
+
+-- create_sale() now also stores the tenders, in the same transaction.
+drop function if exists create_sale(jsonb, jsonb);
+
+-- p_header:   sale_header columns.
+-- p_lines:    [{ "item": { sale_items columns, without sale_id },
+--               "commission": { "period_start", "period_end", "commission_rate" } | null }]
+-- p_payments: [{ sale_payments columns, without sale_id }]
+-- The commission amount booked is the line's `commission` column; the sale
+-- amount is its (generated) line_total.
+create or replace function create_sale(p_header jsonb, p_lines jsonb, p_payments jsonb default '[]'::jsonb)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale        sale_header;
+    v_line        jsonb;
+    v_item        jsonb;
+    v_commission  jsonb;
+    v_payment     jsonb;
+    v_tracking_id uuid;
+begin
+    if p_lines is null or jsonb_array_length(p_lines) = 0 then
+        raise exception 'A sale needs at least one line item' using errcode = '22023';
+    end if;
+
+    v_sale := jsonb_populate_record(null::sale_header, insert_jsonb_row('sale_header', p_header));
+
+    for v_line in select * from jsonb_array_elements(p_lines)
+    loop
+        v_item := insert_jsonb_row('sale_items', (v_line -> 'item') || jsonb_build_object('sale_id', v_sale.id));
+
+        perform adjust_product_stock((v_item ->> 'product_id')::bigint, -(v_item ->> 'quantity')::integer);
+
+        v_commission := v_line -> 'commission';
+        if v_commission is not null and jsonb_typeof(v_commission) = 'object' then
+            v_tracking_id := book_commission(
+                (v_item ->> 'consignor_id')::bigint,
+                (v_commission ->> 'period_start')::date,
+                (v_commission ->> 'period_end')::date,
+                (v_item ->> 'line_total')::numeric,
+                (v_item ->> 'commission')::numeric
+            );
+
+            insert into commission_items
+                   (commission_tracking_id, sale_item_id, product_id, sale_amount, commission_rate, commission_amount)
+            values (v_tracking_id,
+                    (v_item ->> 'id')::uuid,
+                    (v_item ->> 'product_id')::bigint,
+                    (v_item ->> 'line_total')::numeric,
+                    (v_commission ->> 'commission_rate')::numeric,
+                    (v_item ->> 'commission')::numeric);
+        end if;
+    end loop;
+
+    for v_payment in select * from jsonb_array_elements(coalesce(p_payments, '[]'::jsonb))
+    loop
+        perform insert_jsonb_row('sale_payments', v_payment || jsonb_build_object('sale_id', v_sale.id));
+    end loop;
+
+    return v_sale;
+end;
+$$;
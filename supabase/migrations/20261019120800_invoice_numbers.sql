@@ -0,0 +1,97 @@
+-- Backend-issued invoice numbers.
+-- Each store has its own pattern and counter. The counter lives in an ordinary
+-- table row that is incremented inside the inserting transaction, so:
+--   * concurrent sales queue on the row lock and never get the same number,
+--   * a sale that rolls back also rolls back its increment, leaving no gap.
+-- Voided sales keep their number.
+
+create table if not exists store_settings (
+    store_id                text primary key,
+    store_name              text,
+    invoice_prefix          text not null default 'INV',
+    -- Tokens: {prefix}, {store}, {year}, {counter}
+    invoice_pattern         text not null default '{prefix}-{year}-{counter}',
+    invoice_counter_padding integer not null default 6 check (invoice_counter_padding between 1 and 12),
+    invoice_reset_yearly    boolean not null default true,
+    created_at              timestamptz not null default now(),
+    updated_at              timestamptz not null default now(),
+    constraint store_settings_pattern_has_counter check (invoice_pattern like '%{counter}%')
+);
+
+insert into store_settings (store_id, store_name)
+values ('main', 'Consignment Owner Store')
+on conflict (store_id) do nothing;
+
+create table if not exists invoice_sequences (
+    store_id      text not null references store_settings(store_id),
+    sequence_year integer not null, -- 0 when the counter never resets
+    last_value    bigint not null default 0,
+    primary key (store_id, sequence_year)
+);
+
+alter table sale_header
+    add column if not exists store_id text not null default 'main' references store_settings(store_id);
+
+create or replace function next_invoice_number(p_store_id text, p_sale_date timestamptz)
+returns text
+language plpgsql
+as $$
+declare
+    v_settings store_settings;
+    v_year     integer := extract(year from coalesce(p_sale_date, now()))::integer;
+    v_counter  bigint;
+begin
+    select * into v_settings from store_settings where store_id = p_store_id;
+    if not found then
+        raise exception 'Unknown store %', p_store_id using errcode = 'P0002';
+    end if;
+
+    insert into invoice_sequences as s (store_id, sequence_year, last_value)
+    values (p_store_id, case when v_settings.invoice_reset_yearly then v_year else 0 end, 1)
+    on conflict (store_id, sequence_year) do update
+       set last_value = s.last_value + 1
+    returning s.last_value into v_counter;
+
+    return replace(replace(replace(replace(v_settings.invoice_pattern,
+        '{prefix}',  v_settings.invoice_prefix),
+        '{store}',   p_store_id),
+        '{year}',    v_year::text),
+        '{counter}', lpad(v_counter::text, v_settings.invoice_counter_padding, '0'));
+end;
+$$;
+
+create or replace function assign_invoice_number()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.invoice_number := next_invoice_number(new.store_id, new.sale_date::timestamptz);
+    return new;
+end;
+$$;
+
+drop trigger if exists sale_header_assign_invoice_number on sale_header;
+create trigger sale_header_assign_invoice_number
+    before insert on sale_header
+    for each row
+    when (new.invoice_number is null)
+    execute function assign_invoice_number();
+
+-- Numbers are issued once and never edited.
+create or replace function prevent_invoice_number_change()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.invoice_number is distinct from old.invoice_number then
+        raise exception 'Invoice numbers cannot be changed (sale %)', old.id using errcode = '55000';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists sale_header_lock_invoice_number on sale_header;
+create trigger sale_header_lock_invoice_number
+    before update of invoice_number on sale_header
+    for each row
+    execute function prevent_invoice_number_change();
@@ -0,0 +1,22 @@
+-- Receipt branding and layout per store.
+-- receipt_template is the default layout (letter, 80mm or 58mm thermal); a receipt
+-- request may still ask for another one. receipt_code_type is the scannable code
+-- printed with the invoice number so returns can be looked up at the register.
+
+alter table store_settings
+    add column if not exists store_address text,
+    add column if not exists store_phone text,
+    add column if not exists store_email text,
+    add column if not exists logo_url text,
+    add column if not exists receipt_footer text not null default 'Thank you for your purchase!',
+    add column if not exists return_policy text,
+    add column if not exists receipt_template text not null default 'letter',
+    add column if not exists receipt_code_type text not null default 'code128';
+
+alter table store_settings
+    drop constraint if exists store_settings_receipt_template_check,
+    add constraint store_settings_receipt_template_check
+        check (receipt_template in ('letter', '80mm', '58mm')),
+    drop constraint if exists store_settings_receipt_code_type_check,
+    add constraint store_settings_receipt_code_type_check
+        check (receipt_code_type in ('qr', 'code128', 'none'));
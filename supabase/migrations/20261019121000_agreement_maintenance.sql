@@ -0,0 +1,109 @@
+-- Agreement maintenance for PUT / DELETE /api/agreements/:id.
+-- The agreement row and its child rows (progressive_discounts, charity_donations)
+-- are changed in one transaction so a failed update never leaves a half-synced schedule.
+
+-- Updates the row with the given id from a jsonb object (keys = column names;
+-- columns not present are left alone) and returns the stored row as jsonb.
+-- p_id is compared as an untyped literal, so it works for any id column type.
+create or replace function update_jsonb_row(p_table regclass, p_id text, p_fields jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_columns text;
+    v_row     jsonb;
+begin
+    select string_agg(quote_ident(key), ', ') into v_columns
+      from jsonb_object_keys(p_fields) as key;
+
+    if v_columns is null then
+        execute format('select to_jsonb(t) from %1$s as t where id = %2$L', p_table, p_id) into v_row;
+    else
+        execute format(
+            'update %1$s as t set (%2$s) = (select %2$s from jsonb_populate_record(null::%1$s, $1)) where id = %3$L returning to_jsonb(t)',
+            p_table, v_columns, p_id
+        ) into v_row using p_fields;
+    end if;
+
+    return v_row;
+end;
+$$;
+
+-- p_fields:                agreements columns to change.
+-- p_progressive_discounts: the complete new schedule [{ "days_after_listing", "discount_percent" }],
+--                          or null to keep the current one.
+-- p_sync_charity:          when true the agreement's charity_donations row is replaced by
+--                          p_charity_choice (removed when it is null).
+create or replace function update_agreement(
+    p_agreement_id bigint,
+    p_fields jsonb,
+    p_progressive_discounts jsonb default null,
+    p_sync_charity boolean default false,
+    p_charity_choice text default null
+)
+returns jsonb
+language plpgsql
+as $$
+begin
+    perform 1 from agreements where id = p_agreement_id for update;
+    if not found then
+        raise exception 'Agreement % not found', p_agreement_id using errcode = 'P0002';
+    end if;
+
+    perform update_jsonb_row('agreements', p_agreement_id::text, coalesce(p_fields, '{}'::jsonb));
+
+    if p_progressive_discounts is not null then
+        delete from progressive_discounts where agreement_id = p_agreement_id;
+
+        insert into progressive_discounts (agreement_id, days_after_listing, discount_percent)
+        select p_agreement_id,
+               (step ->> 'days_after_listing')::integer,
+               (step ->> 'discount_percent')::numeric
+          from jsonb_array_elements(p_progressive_discounts) as step;
+    end if;
+
+    if p_sync_charity then
+        delete from charity_donations where agreement_id = p_agreement_id;
+
+        if p_charity_choice is not null then
+            insert into charity_donations (agreement_id, charity_choice)
+            values (p_agreement_id, p_charity_choice);
+        end if;
+    end if;
+
+    return (select to_jsonb(a) from agreements a where a.id = p_agreement_id);
+end;
+$$;
+
+-- Deletes an agreement with its discount schedule and charity choice. Refused (55000)
+-- once the product has been sold under it: sale lines that reference the agreement,
+-- or older lines of the same product recorded without an agreement_id.
+create or replace function delete_agreement(p_agreement_id bigint)
+returns agreements
+language plpgsql
+as $$
+declare
+    v_agreement agreements;
+begin
+    select * into v_agreement from agreements where id = p_agreement_id for update;
+    if not found then
+        raise exception 'Agreement % not found', p_agreement_id using errcode = 'P0002';
+    end if;
+
+    if exists (
+        select 1
+          from sale_items
+         where agreement_id = p_agreement_id
+            or (agreement_id is null and product_id = v_agreement.product_id)
+    ) then
+        raise exception 'Agreement % has sales recorded against product %', p_agreement_id, v_agreement.product_id
+            using errcode = '55000';
+    end if;
+
+    delete from progressive_discounts where agreement_id = p_agreement_id;
+    delete from charity_donations where agreement_id = p_agreement_id;
+    delete from agreements where id = p_agreement_id;
+
+    return v_agreement;
+end;
+$$;
@@ -0,0 +1,235 @@
+-- Unsold-item policy: what happens to products whose consignment period has lapsed.
+-- Lapsed products of a 'return' agreement go on a return-to-consignor batch (the pick
+-- list); 'donate' agreements go on a donation batch for the agreement's charity.
+-- A return batch that is not collected by its due_date (return_fallback_days) falls
+-- back to donation.
+--
+-- Product status flow:
+--   in_stock -> awaiting_return   -> returned_to_consignor
+--                                 -> awaiting_donation (fallback) -> donated
+--   in_stock -> awaiting_donation -> donated
+
+alter table agreements
+    add column if not exists consignment_period_days integer not null default 90
+        check (consignment_period_days > 0);
+
+create table if not exists unsold_item_batches (
+    id                     uuid primary key default gen_random_uuid(),
+    batch_type             text not null check (batch_type in ('return', 'donation')),
+    consignor_id           bigint references consignors(id),
+    charity_choice         text,
+    status                 text not null default 'open' check (status in ('open', 'completed', 'expired')),
+    due_date               date,
+    fallback_from_batch_id uuid references unsold_item_batches(id),
+    created_at             timestamptz not null default now(),
+    completed_at           timestamptz,
+    completed_by           text,
+    notes                  text
+);
+
+create table if not exists unsold_item_batch_items (
+    id           uuid primary key default gen_random_uuid(),
+    batch_id     uuid not null references unsold_item_batches(id) on delete cascade,
+    product_id   bigint not null references products(id),
+    agreement_id bigint,
+    quantity     integer not null check (quantity > 0),
+    status       text not null default 'pending'
+                 check (status in ('pending', 'collected', 'donated', 'moved_to_donation')),
+    completed_at timestamptz
+);
+
+create index if not exists unsold_item_batches_status_idx on unsold_item_batches (batch_type, status);
+create index if not exists unsold_item_batch_items_batch_id_idx on unsold_item_batch_items (batch_id);
+-- A product is on at most one open pick list / donation batch at a time.
+create unique index if not exists unsold_item_batch_items_pending_product_key
+    on unsold_item_batch_items (product_id) where status = 'pending';
+
+-- Outbox of messages to consignors. Rows are written with status 'pending' and
+-- picked up by whatever delivers mail/SMS for the store.
+create table if not exists consignor_notifications (
+    id           uuid primary key default gen_random_uuid(),
+    consignor_id bigint not null references consignors(id),
+    channel      text not null default 'email',
+    recipient    text,
+    subject      text not null,
+    message      text not null,
+    related_type text,
+    related_id   text,
+    status       text not null default 'pending' check (status in ('pending', 'sent', 'failed')),
+    created_at   timestamptz not null default now(),
+    sent_at      timestamptz
+);
+
+create index if not exists consignor_notifications_consignor_idx on consignor_notifications (consignor_id, created_at desc);
+
+-- p_batch: unsold_item_batches columns (batch_type, consignor_id, charity_choice, due_date, ...).
+-- p_items: [{ "product_id", "agreement_id" }]
+-- Every product must still be in stock; it is moved to awaiting_return /
+-- awaiting_donation and its whole quantity goes on the batch. Raises 55000 when a
+-- product was sold or moved in the meantime, so the batch is not created.
+create or replace function create_unsold_item_batch(p_batch jsonb, p_items jsonb)
+returns unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch    unsold_item_batches;
+    v_item     jsonb;
+    v_quantity integer;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        raise exception 'A batch needs at least one product' using errcode = '22023';
+    end if;
+
+    v_batch := jsonb_populate_record(null::unsold_item_batches, insert_jsonb_row('unsold_item_batches', p_batch));
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+        update products
+           set status = case when v_batch.batch_type = 'return' then 'awaiting_return' else 'awaiting_donation' end,
+               updated_at = now()
+         where id = (v_item ->> 'product_id')::bigint
+           and status = 'in_stock'
+           and quantity > 0
+        returning quantity into v_quantity;
+
+        if not found then
+            raise exception 'Product % is no longer in stock', v_item ->> 'product_id' using errcode = '55000';
+        end if;
+
+        insert into unsold_item_batch_items (batch_id, product_id, agreement_id, quantity)
+        values (v_batch.id, (v_item ->> 'product_id')::bigint, (v_item ->> 'agreement_id')::bigint, v_quantity);
+    end loop;
+
+    return v_batch;
+end;
+$$;
+
+-- The charity an agreement donates to (its first charity_donations row), or null.
+create or replace function agreement_charity(p_agreement_id bigint)
+returns text
+language sql
+stable
+as $$
+    select charity_choice
+      from charity_donations
+     where agreement_id = p_agreement_id
+     order by id
+     limit 1;
+$$;
+
+-- Moves the uncollected items of an overdue return batch to donation batches, one per
+-- charity on the items' agreements (charity_choice is null when the agreement has none).
+-- The return batch is marked expired. Returns the donation batches created.
+create or replace function fallback_return_batch(p_batch_id uuid)
+returns setof unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch    unsold_item_batches;
+    v_donation unsold_item_batches;
+    v_charity  record;
+begin
+    select * into v_batch from unsold_item_batches where id = p_batch_id for update;
+    if not found then
+        raise exception 'Batch % not found', p_batch_id using errcode = 'P0002';
+    end if;
+    if v_batch.batch_type <> 'return' or v_batch.status <> 'open' then
+        raise exception 'Batch % is not an open return batch', p_batch_id using errcode = '55000';
+    end if;
+
+    for v_charity in
+        select distinct agreement_charity(i.agreement_id) as charity_choice
+          from unsold_item_batch_items i
+         where i.batch_id = p_batch_id
+           and i.status = 'pending'
+    loop
+        insert into unsold_item_batches (batch_type, consignor_id, charity_choice, fallback_from_batch_id, notes)
+        values ('donation', v_batch.consignor_id, v_charity.charity_choice, p_batch_id,
+                'Not collected by ' || v_batch.due_date || '; moved from return batch ' || p_batch_id)
+        returning * into v_donation;
+
+        with moved as (
+            update unsold_item_batch_items i
+               set status = 'moved_to_donation',
+                   completed_at = now()
+             where i.batch_id = p_batch_id
+               and i.status = 'pending'
+               and agreement_charity(i.agreement_id) is not distinct from v_charity.charity_choice
+            returning i.product_id, i.agreement_id, i.quantity
+        )
+        insert into unsold_item_batch_items (batch_id, product_id, agreement_id, quantity)
+        select v_donation.id, product_id, agreement_id, quantity from moved;
+
+        update products p
+           set status = 'awaiting_donation',
+               updated_at = now()
+          from unsold_item_batch_items i
+         where i.batch_id = v_donation.id
+           and p.id = i.product_id;
+
+        return next v_donation;
+    end loop;
+
+    update unsold_item_batches set status = 'expired' where id = p_batch_id;
+end;
+$$;
+
+-- Marks items of an open batch as collected by the consignor (return) or handed over
+-- to the charity (donation): p_product_ids limits it to those products, null means all
+-- pending items. The products leave the store (quantity 0). The batch completes when
+-- no pending items remain; uncollected return items stay on it until the fallback.
+create or replace function complete_unsold_item_batch(
+    p_batch_id uuid,
+    p_product_ids jsonb default null,
+    p_completed_by text default null
+)
+returns unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch unsold_item_batches;
+begin
+    select * into v_batch from unsold_item_batches where id = p_batch_id for update;
+    if not found then
+        raise exception 'Batch % not found', p_batch_id using errcode = 'P0002';
+    end if;
+    if v_batch.status <> 'open' then
+        raise exception 'Batch % is already %', p_batch_id, v_batch.status using errcode = '55000';
+    end if;
+
+    with done as (
+        update unsold_item_batch_items
+           set status = case when v_batch.batch_type = 'return' then 'collected' else 'donated' end,
+               completed_at = now()
+         where batch_id = p_batch_id
+           and status = 'pending'
+           and (p_product_ids is null
+                or product_id in (select (value #>> '{}')::bigint from jsonb_array_elements(p_product_ids)))
+        returning product_id
+    ), moved as (
+        update products p
+           set status = case when v_batch.batch_type = 'return' then 'returned_to_consignor' else 'donated' end,
+               quantity = 0,
+               updated_at = now()
+          from done
+         where p.id = done.product_id
+        returning p.id
+    )
+    update product_locations l
+       set quantity = 0,
+           updated_at = now()
+      from moved
+     where l.product_id = moved.id;
+
+    if not exists (select 1 from unsold_item_batch_items where batch_id = p_batch_id and status = 'pending') then
+        update unsold_item_batches
+           set status = 'completed',
+               completed_at = now(),
+               completed_by = p_completed_by
+         where id = p_batch_id
+        returning * into v_batch;
+    end if;
+
+    return v_batch;
+end;
+$$;
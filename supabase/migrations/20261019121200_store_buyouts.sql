@@ -0,0 +1,78 @@
+-- Store buyout: under an agreement with store_purchase_option the store may buy an
+-- unsold product outright for store_purchase_percentage of its expected_price.
+-- The product becomes store-owned (products.store_owned), so later sales of it book
+-- no consignor commission; the payout is booked into the consignor's commission
+-- period like a sale, with a commission_items row pointing at the buyout.
+
+alter table products
+    add column if not exists store_owned boolean not null default false,
+    add column if not exists bought_out_at timestamptz;
+
+create table if not exists store_buyouts (
+    id                        uuid primary key default gen_random_uuid(),
+    product_id                bigint not null references products(id),
+    agreement_id              bigint,
+    consignor_id              bigint not null references consignors(id),
+    quantity                  integer not null check (quantity > 0),
+    expected_price            numeric(12, 2) not null,
+    store_purchase_percentage numeric(5, 2) not null,
+    payout_amount             numeric(12, 2) not null check (payout_amount >= 0),
+    commission_tracking_id    uuid references commission_tracking(id),
+    bought_out_by             text,
+    notes                     text,
+    created_at                timestamptz not null default now()
+);
+
+create index if not exists store_buyouts_consignor_id_idx on store_buyouts (consignor_id);
+
+-- Buyout payouts are commission lines without a sale line.
+alter table commission_items
+    alter column sale_item_id drop not null,
+    add column if not exists store_buyout_id uuid references store_buyouts(id);
+
+-- p_buyout: store_buyouts columns (product_id, agreement_id, quantity, expected_price,
+--           store_purchase_percentage, payout_amount, bought_out_by, notes).
+-- The product must still be an in-stock consigned product with the quantity the payout
+-- was calculated for; otherwise 55000 and nothing is written.
+create or replace function store_buyout(p_buyout jsonb, p_period_start date, p_period_end date)
+returns store_buyouts
+language plpgsql
+as $$
+declare
+    v_product     products;
+    v_buyout      store_buyouts;
+    v_tracking_id uuid;
+begin
+    select * into v_product from products where id = (p_buyout ->> 'product_id')::bigint for update;
+    if not found then
+        raise exception 'Product % not found', p_buyout ->> 'product_id' using errcode = 'P0002';
+    end if;
+    if v_product.store_owned then
+        raise exception 'Product % is already owned by the store', v_product.id using errcode = '55000';
+    end if;
+    if v_product.status <> 'in_stock' or v_product.quantity <> (p_buyout ->> 'quantity')::integer then
+        raise exception 'Product % is no longer available for buyout (status %, quantity %)',
+            v_product.id, v_product.status, v_product.quantity using errcode = '55000';
+    end if;
+
+    update products
+       set store_owned = true,
+           bought_out_at = now(),
+           updated_at = now()
+     where id = v_product.id;
+
+    v_tracking_id := book_commission(
+        v_product.consignor_id, p_period_start, p_period_end,
+        (p_buyout ->> 'payout_amount')::numeric, (p_buyout ->> 'payout_amount')::numeric
+    );
+
+    v_buyout := jsonb_populate_record(null::store_buyouts, insert_jsonb_row('store_buyouts',
+        p_buyout || jsonb_build_object('consignor_id', v_product.consignor_id, 'commission_tracking_id', v_tracking_id)));
+
+    insert into commission_items
+           (commission_tracking_id, product_id, sale_amount, commission_rate, commission_amount, store_buyout_id)
+    values (v_tracking_id, v_product.id, v_buyout.payout_amount, 1, v_buyout.payout_amount, v_buyout.id);
+
+    return v_buyout;
+end;
+$$;
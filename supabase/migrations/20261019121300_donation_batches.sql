@@ -0,0 +1,232 @@
+-- Charity donation batches and values.
+-- Donation batches are now shared per charity: items of every consignor whose agreement
+-- names the same charity_choice collect on that charity's open batch until it is handed
+-- over. Each donated item records its fair-market value and donation date, which feed
+-- the consignor's donation acknowledgment.
+
+alter table unsold_item_batch_items
+    add column if not exists consignor_id bigint references consignors(id),
+    add column if not exists fair_market_value numeric(12, 2) check (fair_market_value >= 0);
+
+update unsold_item_batch_items i
+   set consignor_id = p.consignor_id
+  from products p
+ where p.id = i.product_id
+   and i.consignor_id is null;
+
+alter table unsold_item_batches
+    add column if not exists donated_on date;
+
+create index if not exists unsold_item_batch_items_consignor_idx on unsold_item_batch_items (consignor_id, status);
+
+-- Merge the open per-consignor donation batches into one batch per charity; the
+-- consignor is now recorded on each item.
+with keep as (
+    select distinct on (coalesce(charity_choice, '')) id, charity_choice
+      from unsold_item_batches
+     where batch_type = 'donation' and status = 'open'
+     order by coalesce(charity_choice, ''), created_at
+)
+update unsold_item_batch_items i
+   set batch_id = keep.id
+  from unsold_item_batches b, keep
+ where i.batch_id = b.id
+   and b.batch_type = 'donation' and b.status = 'open'
+   and coalesce(b.charity_choice, '') = coalesce(keep.charity_choice, '')
+   and b.id <> keep.id;
+
+delete from unsold_item_batches b
+ where b.batch_type = 'donation' and b.status = 'open'
+   and not exists (select 1 from unsold_item_batch_items i where i.batch_id = b.id);
+
+update unsold_item_batches set consignor_id = null where batch_type = 'donation';
+
+-- One open donation batch per charity (null = no charity named on the agreement).
+create unique index if not exists unsold_item_batches_open_donation_key
+    on unsold_item_batches (coalesce(charity_choice, ''))
+    where batch_type = 'donation' and status = 'open';
+
+-- The open donation batch for a charity, created when there is none.
+create or replace function open_donation_batch(p_charity_choice text)
+returns unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch unsold_item_batches;
+begin
+    insert into unsold_item_batches (batch_type, charity_choice)
+    values ('donation', p_charity_choice)
+    on conflict ((coalesce(charity_choice, ''))) where batch_type = 'donation' and status = 'open'
+    do nothing;
+
+    select * into v_batch
+      from unsold_item_batches
+     where batch_type = 'donation'
+       and status = 'open'
+       and charity_choice is not distinct from p_charity_choice
+       for update;
+
+    return v_batch;
+end;
+$$;
+
+-- p_batch: unsold_item_batches columns. Donation batches go onto the charity's open batch.
+-- p_items: [{ "product_id", "agreement_id" }]
+create or replace function create_unsold_item_batch(p_batch jsonb, p_items jsonb)
+returns unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch    unsold_item_batches;
+    v_item     jsonb;
+    v_product  products;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        raise exception 'A batch needs at least one product' using errcode = '22023';
+    end if;
+
+    if p_batch ->> 'batch_type' = 'donation' then
+        v_batch := open_donation_batch(p_batch ->> 'charity_choice');
+    else
+        v_batch := jsonb_populate_record(null::unsold_item_batches, insert_jsonb_row('unsold_item_batches', p_batch));
+    end if;
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+        update products
+           set status = case when v_batch.batch_type = 'return' then 'awaiting_return' else 'awaiting_donation' end,
+               updated_at = now()
+         where id = (v_item ->> 'product_id')::bigint
+           and status = 'in_stock'
+           and quantity > 0
+        returning * into v_product;
+
+        if not found then
+            raise exception 'Product % is no longer in stock', v_item ->> 'product_id' using errcode = '55000';
+        end if;
+
+        insert into unsold_item_batch_items (batch_id, product_id, agreement_id, consignor_id, quantity)
+        values (v_batch.id, v_product.id, (v_item ->> 'agreement_id')::bigint, v_product.consignor_id, v_product.quantity);
+    end loop;
+
+    return v_batch;
+end;
+$$;
+
+-- Moves the uncollected items of an overdue return batch onto the open donation batch of
+-- each item's charity. The return batch is marked expired. Returns the donation batches used.
+create or replace function fallback_return_batch(p_batch_id uuid)
+returns setof unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch    unsold_item_batches;
+    v_donation unsold_item_batches;
+    v_charity  record;
+begin
+    select * into v_batch from unsold_item_batches where id = p_batch_id for update;
+    if not found then
+        raise exception 'Batch % not found', p_batch_id using errcode = 'P0002';
+    end if;
+    if v_batch.batch_type <> 'return' or v_batch.status <> 'open' then
+        raise exception 'Batch % is not an open return batch', p_batch_id using errcode = '55000';
+    end if;
+
+    for v_charity in
+        select distinct agreement_charity(i.agreement_id) as charity_choice
+          from unsold_item_batch_items i
+         where i.batch_id = p_batch_id
+           and i.status = 'pending'
+    loop
+        v_donation := open_donation_batch(v_charity.charity_choice);
+
+        with moved as (
+            update unsold_item_batch_items i
+               set status = 'moved_to_donation',
+                   completed_at = now()
+             where i.batch_id = p_batch_id
+               and i.status = 'pending'
+               and agreement_charity(i.agreement_id) is not distinct from v_charity.charity_choice
+            returning i.product_id, i.agreement_id, i.consignor_id, i.quantity
+        ), queued as (
+            insert into unsold_item_batch_items (batch_id, product_id, agreement_id, consignor_id, quantity)
+            select v_donation.id, product_id, agreement_id, consignor_id, quantity from moved
+            returning product_id
+        )
+        update products p
+           set status = 'awaiting_donation',
+               updated_at = now()
+          from queued
+         where p.id = queued.product_id;
+
+        return next v_donation;
+    end loop;
+
+    update unsold_item_batches set status = 'expired' where id = p_batch_id;
+end;
+$$;
+
+-- Completion now also records, for donations, each item's fair-market value
+-- (p_fair_market_values: { "<product_id>": value }) and the date of the hand-over.
+drop function if exists complete_unsold_item_batch(uuid, jsonb, text);
+
+create or replace function complete_unsold_item_batch(
+    p_batch_id uuid,
+    p_product_ids jsonb default null,
+    p_completed_by text default null,
+    p_fair_market_values jsonb default null,
+    p_completed_on date default null
+)
+returns unsold_item_batches
+language plpgsql
+as $$
+declare
+    v_batch        unsold_item_batches;
+    v_completed_at timestamptz := coalesce(p_completed_on::timestamptz, now());
+begin
+    select * into v_batch from unsold_item_batches where id = p_batch_id for update;
+    if not found then
+        raise exception 'Batch % not found', p_batch_id using errcode = 'P0002';
+    end if;
+    if v_batch.status <> 'open' then
+        raise exception 'Batch % is already %', p_batch_id, v_batch.status using errcode = '55000';
+    end if;
+
+    with done as (
+        update unsold_item_batch_items
+           set status = case when v_batch.batch_type = 'return' then 'collected' else 'donated' end,
+               fair_market_value = coalesce((p_fair_market_values ->> product_id::text)::numeric, fair_market_value),
+               completed_at = v_completed_at
+         where batch_id = p_batch_id
+           and status = 'pending'
+           and (p_product_ids is null
+                or product_id in (select (value #>> '{}')::bigint from jsonb_array_elements(p_product_ids)))
+        returning product_id
+    ), moved as (
+        update products p
+           set status = case when v_batch.batch_type = 'return' then 'returned_to_consignor' else 'donated' end,
+               quantity = 0,
+               updated_at = now()
+          from done
+         where p.id = done.product_id
+        returning p.id
+    )
+    update product_locations l
+       set quantity = 0,
+           updated_at = now()
+      from moved
+     where l.product_id = moved.id;
+
+    if not exists (select 1 from unsold_item_batch_items where batch_id = p_batch_id and status = 'pending') then
+        update unsold_item_batches
+           set status = 'completed',
+               completed_at = v_completed_at,
+               completed_by = p_completed_by,
+               donated_on = case when batch_type = 'donation' then v_completed_at::date end
+         where id = p_batch_id
+        returning * into v_batch;
+    end if;
+
+    return v_batch;
+end;
+$$;
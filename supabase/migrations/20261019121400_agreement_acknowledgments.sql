@@ -0,0 +1,24 @@
+-- Consignor acknowledgment of a consignment agreement contract.
+-- Each acknowledgment records who acknowledged, when, from which IP / user agent and
+-- the captured signature, plus the signed contract PDF stored in the
+-- agreement-contracts storage bucket (with its SHA-256 so the copy can be verified).
+
+create table if not exists agreement_acknowledgments (
+    id               uuid primary key default gen_random_uuid(),
+    agreement_id     bigint not null references agreements(id) on delete cascade,
+    acknowledged_by  text not null,
+    acknowledged_at  timestamptz not null default now(),
+    ip_address       text,
+    user_agent       text,
+    signature_path   text,
+    contract_path    text not null,
+    contract_sha256  text not null,
+    created_at       timestamptz not null default now()
+);
+
+create index if not exists agreement_acknowledgments_agreement_idx
+    on agreement_acknowledgments (agreement_id, acknowledged_at desc);
+
+insert into storage.buckets (id, name, public)
+values ('agreement-contracts', 'agreement-contracts', false)
+on conflict (id) do nothing;
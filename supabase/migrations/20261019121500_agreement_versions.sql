@@ -0,0 +1,185 @@
+-- Versioned agreement terms.
+-- Every amendment of an agreement's terms stores a snapshot of the complete terms as a
+-- new agreement_versions row, effective from a given date, with the reason and author.
+-- The agreements row (and its progressive_discounts / charity_donations) keeps holding
+-- the latest terms; sale_items.agreement_version_id records the version that was in
+-- force when the line was sold, so past sales keep the terms they were sold under.
+
+create table if not exists agreement_versions (
+    id              uuid primary key default gen_random_uuid(),
+    agreement_id    bigint not null references agreements(id) on delete cascade,
+    version_number  integer not null,
+    effective_from  timestamptz not null default now(),
+    terms           jsonb not null,
+    reason          text not null,
+    amended_by      text,
+    created_at      timestamptz not null default now(),
+    unique (agreement_id, version_number)
+);
+
+create index if not exists agreement_versions_effective_idx
+    on agreement_versions (agreement_id, effective_from desc);
+
+alter table agreements
+    add column if not exists current_version integer;
+
+alter table sale_items
+    add column if not exists agreement_version_id uuid references agreement_versions(id);
+
+-- The terms of an agreement as they stand now. Acknowledgment fields are not terms.
+create or replace function agreement_terms(p_agreement_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+    select jsonb_build_object(
+               'commission_rate', a.commission_rate,
+               'unsold_item_policy', a.unsold_item_policy,
+               'return_fallback_days', a.return_fallback_days,
+               'consignment_period_days', a.consignment_period_days,
+               'store_purchase_option', a.store_purchase_option,
+               'store_purchase_percentage', a.store_purchase_percentage,
+               'charity_choice', agreement_charity(a.id),
+               'progressive_discounts', coalesce((
+                   select jsonb_agg(jsonb_build_object(
+                              'days_after_listing', d.days_after_listing,
+                              'discount_percent', d.discount_percent
+                          ) order by d.days_after_listing)
+                     from progressive_discounts d
+                    where d.agreement_id = a.id
+               ), '[]'::jsonb)
+           )
+      from agreements a
+     where a.id = p_agreement_id;
+$$;
+
+-- Snapshots the agreement's current terms as its next version. Returns the latest
+-- version unchanged when the terms are the same as that version's.
+-- p_effective_from defaults to now() and may not precede the latest version's (22023).
+create or replace function record_agreement_version(
+    p_agreement_id bigint,
+    p_reason text,
+    p_amended_by text default null,
+    p_effective_from timestamptz default null
+)
+returns agreement_versions
+language plpgsql
+as $$
+declare
+    v_terms   jsonb;
+    v_latest  agreement_versions;
+    v_version agreement_versions;
+begin
+    perform 1 from agreements where id = p_agreement_id for update;
+    if not found then
+        raise exception 'Agreement % not found', p_agreement_id using errcode = 'P0002';
+    end if;
+
+    v_terms := agreement_terms(p_agreement_id);
+
+    select * into v_latest
+      from agreement_versions
+     where agreement_id = p_agreement_id
+     order by version_number desc
+     limit 1;
+
+    if v_latest.id is not null and v_latest.terms = v_terms then
+        return v_latest;
+    end if;
+
+    if v_latest.id is not null and coalesce(p_effective_from, now()) < v_latest.effective_from then
+        raise exception 'Amendment of agreement % cannot take effect before version % (effective %)',
+            p_agreement_id, v_latest.version_number, v_latest.effective_from
+            using errcode = '22023';
+    end if;
+
+    insert into agreement_versions (agreement_id, version_number, effective_from, terms, reason, amended_by)
+    values (p_agreement_id, coalesce(v_latest.version_number, 0) + 1, coalesce(p_effective_from, now()),
+            v_terms, p_reason, p_amended_by)
+    returning * into v_version;
+
+    update agreements set current_version = v_version.version_number where id = p_agreement_id;
+
+    return v_version;
+end;
+$$;
+
+-- update_agreement now records the amendment as a new version in the same transaction.
+drop function if exists update_agreement(bigint, jsonb, jsonb, boolean, text);
+
+create or replace function update_agreement(
+    p_agreement_id bigint,
+    p_fields jsonb,
+    p_progressive_discounts jsonb default null,
+    p_sync_charity boolean default false,
+    p_charity_choice text default null,
+    p_reason text default null,
+    p_amended_by text default null,
+    p_effective_from timestamptz default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_terms jsonb;
+begin
+    perform 1 from agreements where id = p_agreement_id for update;
+    if not found then
+        raise exception 'Agreement % not found', p_agreement_id using errcode = 'P0002';
+    end if;
+
+    v_terms := agreement_terms(p_agreement_id);
+
+    perform update_jsonb_row('agreements', p_agreement_id::text, coalesce(p_fields, '{}'::jsonb));
+
+    if p_progressive_discounts is not null then
+        delete from progressive_discounts where agreement_id = p_agreement_id;
+
+        insert into progressive_discounts (agreement_id, days_after_listing, discount_percent)
+        select p_agreement_id,
+               (step ->> 'days_after_listing')::integer,
+               (step ->> 'discount_percent')::numeric
+          from jsonb_array_elements(p_progressive_discounts) as step;
+    end if;
+
+    if p_sync_charity then
+        delete from charity_donations where agreement_id = p_agreement_id;
+
+        if p_charity_choice is not null then
+            insert into charity_donations (agreement_id, charity_choice)
+            values (p_agreement_id, p_charity_choice);
+        end if;
+    end if;
+
+    if agreement_terms(p_agreement_id) <> v_terms then
+        if p_reason is null or btrim(p_reason) = '' then
+            raise exception 'An amendment of agreement % needs a reason', p_agreement_id using errcode = '22023';
+        end if;
+        perform record_agreement_version(p_agreement_id, p_reason, p_amended_by, p_effective_from);
+    end if;
+
+    return (select to_jsonb(a) from agreements a where a.id = p_agreement_id);
+end;
+$$;
+
+-- Existing agreements start their history with their current terms; lines already sold
+-- under them are linked to that version.
+do $$
+declare
+    v_agreement_id bigint;
+begin
+    for v_agreement_id in
+        select a.id from agreements a
+         where not exists (select 1 from agreement_versions v where v.agreement_id = a.id)
+    loop
+        perform record_agreement_version(v_agreement_id, 'Terms in force when version history began', null, null);
+    end loop;
+end;
+$$;
+
+update sale_items si
+   set agreement_version_id = v.id
+  from agreement_versions v
+ where v.agreement_id = si.agreement_id
+   and v.version_number = 1
+   and si.agreement_version_id is null;
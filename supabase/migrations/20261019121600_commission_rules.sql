@@ -0,0 +1,145 @@
+-- Commission rules beyond a single rate per agreement.
+-- A line's consignor rate is the first of:
+--   1. the agreement's commission_tiers band for the unit price (highest min_price reached),
+--   2. the agreement's commission_rate,
+--   3. the store default for the product's category (category_commission_rates),
+--   4. 0.
+-- The store keeps at least minimum_store_fee per unit sold (agreement value, else the
+-- category's), so the consignor's share of a unit never exceeds price - fee.
+
+create table if not exists commission_tiers (
+    id               uuid primary key default gen_random_uuid(),
+    agreement_id     bigint not null references agreements(id) on delete cascade,
+    min_price        numeric(10, 2) not null default 0 check (min_price >= 0),
+    commission_rate  numeric not null check (commission_rate between 0 and 1),
+    unique (agreement_id, min_price)
+);
+
+create table if not exists category_commission_rates (
+    category           text primary key,
+    commission_rate    numeric check (commission_rate between 0 and 1),
+    minimum_store_fee  numeric(10, 2) not null default 0 check (minimum_store_fee >= 0),
+    updated_at         timestamptz not null default now()
+);
+
+-- Without a rate of its own an agreement uses its tiers or the category default.
+alter table agreements
+    alter column commission_rate drop not null,
+    add column if not exists minimum_store_fee numeric(10, 2) check (minimum_store_fee >= 0);
+
+-- How each line's commission was worked out.
+alter table sale_items
+    add column if not exists minimum_store_fee numeric(10, 2) not null default 0,
+    add column if not exists commission_basis text
+        check (commission_basis in ('tier', 'agreement', 'category', 'none'));
+
+-- Agreement terms now include the tiers and the minimum store fee.
+create or replace function agreement_terms(p_agreement_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+    select jsonb_build_object(
+               'commission_rate', a.commission_rate,
+               'commission_tiers', coalesce((
+                   select jsonb_agg(jsonb_build_object(
+                              'min_price', t.min_price,
+                              'commission_rate', t.commission_rate
+                          ) order by t.min_price)
+                     from commission_tiers t
+                    where t.agreement_id = a.id
+               ), '[]'::jsonb),
+               'minimum_store_fee', a.minimum_store_fee,
+               'unsold_item_policy', a.unsold_item_policy,
+               'return_fallback_days', a.return_fallback_days,
+               'consignment_period_days', a.consignment_period_days,
+               'store_purchase_option', a.store_purchase_option,
+               'store_purchase_percentage', a.store_purchase_percentage,
+               'charity_choice', agreement_charity(a.id),
+               'progressive_discounts', coalesce((
+                   select jsonb_agg(jsonb_build_object(
+                              'days_after_listing', d.days_after_listing,
+                              'discount_percent', d.discount_percent
+                          ) order by d.days_after_listing)
+                     from progressive_discounts d
+                    where d.agreement_id = a.id
+               ), '[]'::jsonb)
+           )
+      from agreements a
+     where a.id = p_agreement_id;
+$$;
+
+-- Existing versions had neither, so they get the values that applied to them.
+update agreement_versions
+   set terms = terms || jsonb_build_object('commission_tiers', '[]'::jsonb, 'minimum_store_fee', null)
+ where not terms ? 'commission_tiers';
+
+-- p_commission_tiers: the complete new set of bands [{ "min_price", "commission_rate" }],
+-- or null to keep the current one. Other parameters as before.
+drop function if exists update_agreement(bigint, jsonb, jsonb, boolean, text, text, text, timestamptz);
+
+create or replace function update_agreement(
+    p_agreement_id bigint,
+    p_fields jsonb,
+    p_progressive_discounts jsonb default null,
+    p_sync_charity boolean default false,
+    p_charity_choice text default null,
+    p_reason text default null,
+    p_amended_by text default null,
+    p_effective_from timestamptz default null,
+    p_commission_tiers jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_terms jsonb;
+begin
+    perform 1 from agreements where id = p_agreement_id for update;
+    if not found then
+        raise exception 'Agreement % not found', p_agreement_id using errcode = 'P0002';
+    end if;
+
+    v_terms := agreement_terms(p_agreement_id);
+
+    perform update_jsonb_row('agreements', p_agreement_id::text, coalesce(p_fields, '{}'::jsonb));
+
+    if p_progressive_discounts is not null then
+        delete from progressive_discounts where agreement_id = p_agreement_id;
+
+        insert into progressive_discounts (agreement_id, days_after_listing, discount_percent)
+        select p_agreement_id,
+               (step ->> 'days_after_listing')::integer,
+               (step ->> 'discount_percent')::numeric
+          from jsonb_array_elements(p_progressive_discounts) as step;
+    end if;
+
+    if p_commission_tiers is not null then
+        delete from commission_tiers where agreement_id = p_agreement_id;
+
+        insert into commission_tiers (agreement_id, min_price, commission_rate)
+        select p_agreement_id,
+               (tier ->> 'min_price')::numeric,
+               (tier ->> 'commission_rate')::numeric
+          from jsonb_array_elements(p_commission_tiers) as tier;
+    end if;
+
+    if p_sync_charity then
+        delete from charity_donations where agreement_id = p_agreement_id;
+
+        if p_charity_choice is not null then
+            insert into charity_donations (agreement_id, charity_choice)
+            values (p_agreement_id, p_charity_choice);
+        end if;
+    end if;
+
+    if agreement_terms(p_agreement_id) <> v_terms then
+        if p_reason is null or btrim(p_reason) = '' then
+            raise exception 'An amendment of agreement % needs a reason', p_agreement_id using errcode = '22023';
+        end if;
+        perform record_agreement_version(p_agreement_id, p_reason, p_amended_by, p_effective_from);
+    end if;
+
+    return (select to_jsonb(a) from agreements a where a.id = p_agreement_id);
+end;
+$$;
@@ -0,0 +1,65 @@
+-- Agreement lifetime: start / end dates and a status, so "the agreement in force for a
+-- product on a date" can be resolved (services/agreementService.js). A missing start or
+-- end date leaves that side open, which keeps existing agreements in force.
+-- Sale lines for products without an agreement in force are refused unless a manager
+-- overrides; the override is recorded on the line.
+
+alter table agreements
+    add column if not exists start_date date,
+    add column if not exists end_date date,
+    add column if not exists status text not null default 'active',
+    add column if not exists terminated_at timestamptz;
+
+alter table agreements
+    drop constraint if exists agreements_status_check,
+    add constraint agreements_status_check check (status in ('active', 'terminated')),
+    drop constraint if exists agreements_dates_check,
+    add constraint agreements_dates_check check (end_date is null or start_date is null or end_date >= start_date);
+
+create index if not exists agreements_product_status_idx on agreements (product_id, status);
+
+alter table sale_items
+    add column if not exists agreement_override_by text,
+    add column if not exists agreement_override_reason text;
+
+-- The agreement's dates are part of its terms (amending them records a version).
+create or replace function agreement_terms(p_agreement_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+    select jsonb_build_object(
+               'start_date', a.start_date,
+               'end_date', a.end_date,
+               'commission_rate', a.commission_rate,
+               'commission_tiers', coalesce((
+                   select jsonb_agg(jsonb_build_object(
+                              'min_price', t.min_price,
+                              'commission_rate', t.commission_rate
+                          ) order by t.min_price)
+                     from commission_tiers t
+                    where t.agreement_id = a.id
+               ), '[]'::jsonb),
+               'minimum_store_fee', a.minimum_store_fee,
+               'unsold_item_policy', a.unsold_item_policy,
+               'return_fallback_days', a.return_fallback_days,
+               'consignment_period_days', a.consignment_period_days,
+               'store_purchase_option', a.store_purchase_option,
+               'store_purchase_percentage', a.store_purchase_percentage,
+               'charity_choice', agreement_charity(a.id),
+               'progressive_discounts', coalesce((
+                   select jsonb_agg(jsonb_build_object(
+                              'days_after_listing', d.days_after_listing,
+                              'discount_percent', d.discount_percent
+                          ) order by d.days_after_listing)
+                     from progressive_discounts d
+                    where d.agreement_id = a.id
+               ), '[]'::jsonb)
+           )
+      from agreements a
+     where a.id = p_agreement_id;
+$$;
+
+update agreement_versions
+   set terms = terms || jsonb_build_object('start_date', null, 'end_date', null)
+ where not terms ? 'start_date';
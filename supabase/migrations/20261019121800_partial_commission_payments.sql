@@ -0,0 +1,152 @@
+-- Partial / installment payments of a commission period.
+-- A period may take several commission_payments; commission_tracking.paid_amount is their
+-- running total and the period is 'partially_paid' until the balance reaches zero, then
+-- 'paid'. record_commission_payment() takes the period's row lock, so concurrent payments
+-- are serialised and can never pay out more than the balance.
+
+alter table commission_payments
+    drop constraint if exists commission_payments_commission_tracking_id_key;
+
+alter table commission_tracking
+    drop constraint if exists commission_tracking_status_check;
+
+alter table commission_tracking
+    add constraint commission_tracking_status_check
+        check (status in ('pending', 'calculated', 'partially_paid', 'paid')) not valid;
+
+update commission_tracking set paid_amount = 0 where paid_amount is null;
+
+-- p_payment: commission_payments columns (amount, payment_date, payment_method, ...).
+-- Raises P0002 for an unknown period, 55000 when it is already paid, 22023 for an amount
+-- that is not positive and 23514 when the amount exceeds the remaining balance.
+-- Returns { "payment": <commission_payments row>, "tracking": <commission_tracking row> }.
+create or replace function record_commission_payment(p_tracking_id uuid, p_payment jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_amount   numeric;
+    v_balance  numeric;
+    v_payment  jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+    if not found then
+        raise exception 'Commission period % not found', p_tracking_id using errcode = 'P0002';
+    end if;
+    if v_tracking.status not in ('pending', 'calculated', 'partially_paid') then
+        raise exception 'Commission period % is already paid', p_tracking_id using errcode = '55000';
+    end if;
+
+    v_amount := round((p_payment ->> 'amount')::numeric, 2);
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Payment amount must be greater than zero' using errcode = '22023';
+    end if;
+
+    v_balance := round(v_tracking.total_commission - coalesce(v_tracking.paid_amount, 0), 2);
+    if v_amount > v_balance then
+        raise exception 'Payment of % exceeds the remaining balance of % for commission period %',
+            v_amount, v_balance, p_tracking_id
+            using errcode = '23514';
+    end if;
+
+    v_payment := insert_jsonb_row('commission_payments',
+        p_payment || jsonb_build_object('commission_tracking_id', p_tracking_id, 'amount', v_amount));
+
+    update commission_tracking
+       set paid_amount = coalesce(paid_amount, 0) + v_amount,
+           status      = case when v_amount >= v_balance then 'paid' else 'partially_paid' end,
+           updated_at  = now()
+     where id = p_tracking_id
+    returning * into v_tracking;
+
+    return jsonb_build_object('payment', v_payment, 'tracking', to_jsonb(v_tracking));
+end;
+$$;
+
+-- Books the reversal of a commission_items row (p_sale_amount / p_commission_amount are the
+-- positive amounts being taken back). It comes off the item's own period while that
+-- period can absorb it: not paid, and not below what has already been paid out of it.
+-- Otherwise it goes to the consignor's carry-forward period (55000 when none is given).
+-- Returns the period the reversal was booked into.
+create or replace function book_commission_reversal(
+    p_tracking_id           uuid,
+    p_sale_amount           numeric,
+    p_commission_amount     numeric,
+    p_carry_forward_periods jsonb default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_period   jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+
+    if v_tracking.status = 'paid'
+       or v_tracking.total_commission - p_commission_amount < coalesce(v_tracking.paid_amount, 0) then
+        v_period := p_carry_forward_periods -> v_tracking.consignor_id::text;
+        if v_period is null then
+            raise exception 'Commission period % for consignor % is already paid',
+                p_tracking_id, v_tracking.consignor_id
+                using errcode = '55000';
+        end if;
+        return book_commission(
+            v_tracking.consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            -p_sale_amount,
+            -p_commission_amount
+        );
+    end if;
+
+    update commission_tracking
+       set total_sales      = total_sales - p_sale_amount,
+           total_commission = total_commission - p_commission_amount,
+           -- a partially paid period whose balance is now covered is settled
+           status           = case when status = 'partially_paid'
+                                    and total_commission - p_commission_amount <= coalesce(paid_amount, 0)
+                                   then 'paid' else status end,
+           updated_at       = now()
+     where id = p_tracking_id;
+
+    return p_tracking_id;
+end;
+$$;
+
+-- Reversals (returns, and voids through void_sale) now go through book_commission_reversal().
+create or replace function reverse_commission_item(
+    p_commission_item_id    uuid,
+    p_ratio                 numeric,
+    p_carry_forward_periods jsonb default null,
+    p_sale_return_item_id   uuid default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_item              commission_items;
+    v_target_id         uuid;
+    v_sale_amount       numeric;
+    v_commission_amount numeric;
+    v_reversal_id       uuid;
+begin
+    select * into v_item from commission_items where id = p_commission_item_id;
+
+    v_sale_amount       := round(v_item.sale_amount * p_ratio, 2);
+    v_commission_amount := round(v_item.commission_amount * p_ratio, 2);
+
+    v_target_id := book_commission_reversal(
+        v_item.commission_tracking_id, v_sale_amount, v_commission_amount, p_carry_forward_periods);
+
+    insert into commission_items
+           (commission_tracking_id, sale_item_id, product_id, sale_amount,
+            commission_rate, commission_amount, reversal_of, sale_return_item_id)
+    values (v_target_id, v_item.sale_item_id, v_item.product_id, -v_sale_amount,
+            v_item.commission_rate, -v_commission_amount, v_item.id, p_sale_return_item_id)
+    returning id into v_reversal_id;
+
+    return v_reversal_id;
+end;
+$$;
@@ -0,0 +1,60 @@
+-- Commission report generation (GET/POST /api/commissions/report) reconciles a
+-- consignor's period against the sales on record instead of returning whatever was
+-- stored the first time. Sales are normally booked by create_sale(); any sale line of
+-- the consignor dated within the period that has no commission_items row at all (not in
+-- this period, not carried elsewhere) is booked into the period here.
+
+-- Returns { "tracking_id": uuid | null, "booked": <lines booked now>, "unbooked": <lines
+-- left out because the period is already paid> }. tracking_id is null when the period
+-- does not exist and there is nothing to book.
+create or replace function reconcile_commission_period(
+    p_consignor_id bigint,
+    p_period_start date,
+    p_period_end   date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_item     record;
+    v_booked   integer := 0;
+    v_unbooked integer := 0;
+begin
+    select * into v_tracking
+      from commission_tracking
+     where consignor_id = p_consignor_id
+       and period_start = p_period_start
+       and period_end = p_period_end
+       for update;
+
+    for v_item in
+        select si.id, si.product_id, si.line_total, si.commission, si.commission_rate
+          from sale_items si
+          join sale_header sh on sh.id = si.sale_id
+         where si.consignor_id = p_consignor_id
+           and sh.sale_date::date between p_period_start and p_period_end
+           and coalesce(sh.status, 'completed') <> 'voided'
+           and not exists (select 1 from commission_items ci where ci.sale_item_id = si.id)
+         order by sh.sale_date, si.id
+    loop
+        if v_tracking.status = 'paid' then
+            v_unbooked := v_unbooked + 1;
+            continue;
+        end if;
+
+        v_tracking.id := book_commission(
+            p_consignor_id, p_period_start, p_period_end,
+            coalesce(v_item.line_total, 0), coalesce(v_item.commission, 0));
+
+        insert into commission_items
+               (commission_tracking_id, sale_item_id, product_id, sale_amount, commission_rate, commission_amount)
+        values (v_tracking.id, v_item.id, v_item.product_id,
+                coalesce(v_item.line_total, 0), coalesce(v_item.commission_rate, 0), coalesce(v_item.commission, 0));
+
+        v_booked := v_booked + 1;
+    end loop;
+
+    return jsonb_build_object('tracking_id', v_tracking.id, 'booked', v_booked, 'unbooked', v_unbooked);
+end;
+$$;
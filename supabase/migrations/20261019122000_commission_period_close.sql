@@ -0,0 +1,528 @@
+-- Closing commission periods. A period is locked once it is closed (one consignor's
+-- period, or a month for every consignor through commission_period_closes) or paid.
+-- Nothing is booked into a locked period any more: a later change that belongs to it
+-- (late sale, void, return, sale date change, price correction) becomes an adjustment
+-- line in the consignor's next open period, with adjusts_period_* pointing at the
+-- period it corrects and reversal_of at the original line where there is one.
+-- Reversals therefore no longer need a carry-forward period from the caller; the
+-- p_carry_forward_periods parameters are kept for existing callers but not consulted.
+
+alter table commission_tracking
+    add column if not exists closed_at timestamptz,
+    add column if not exists closed_by text;
+
+-- Month-end closes for every consignor, so periods created afterwards are born locked.
+create table if not exists commission_period_closes (
+    id            uuid primary key default gen_random_uuid(),
+    period_start  date not null,
+    period_end    date not null,
+    closed_at     timestamptz not null default now(),
+    closed_by     text,
+    unique (period_start, period_end)
+);
+
+alter table commission_items
+    add column if not exists adjustment_type text
+        check (adjustment_type in ('late_sale', 'void', 'return', 'sale_date_change', 'price_correction')),
+    add column if not exists adjusts_period_id uuid references commission_tracking(id),
+    add column if not exists adjusts_period_start date,
+    add column if not exists adjusts_period_end date,
+    add column if not exists adjustment_reason text,
+    add column if not exists adjusted_by text,
+    add column if not exists created_at timestamptz not null default now();
+
+create index if not exists commission_items_adjustment_type_idx
+    on commission_items (adjustment_type) where adjustment_type is not null;
+
+create or replace function commission_period_locked(p_consignor_id bigint, p_period_start date, p_period_end date)
+returns boolean
+language sql
+stable
+as $$
+    select exists (
+               select 1 from commission_tracking
+                where consignor_id = p_consignor_id
+                  and period_start = p_period_start
+                  and period_end = p_period_end
+                  and (closed_at is not null or status = 'paid'))
+        or exists (
+               select 1 from commission_period_closes
+                where period_start <= p_period_end
+                  and period_end >= p_period_start);
+$$;
+
+-- The consignor's first open commission period (calendar month) after p_after:
+-- { "period_start", "period_end" }.
+create or replace function next_open_commission_period(p_consignor_id bigint, p_after date)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+    v_start date := date_trunc('month', p_after + 1)::date;
+    v_end   date;
+begin
+    loop
+        v_end := (v_start + interval '1 month' - interval '1 day')::date;
+        exit when not commission_period_locked(p_consignor_id, v_start, v_end);
+        v_start := v_end + 1;
+    end loop;
+    return jsonb_build_object('period_start', v_start, 'period_end', v_end);
+end;
+$$;
+
+-- Closed periods take no bookings either.
+create or replace function book_commission(
+    p_consignor_id      bigint,
+    p_period_start      date,
+    p_period_end        date,
+    p_sale_amount       numeric,
+    p_commission_amount numeric
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking_id uuid;
+begin
+    insert into commission_tracking as ct
+           (consignor_id, period_start, period_end, total_sales, total_commission, status, paid_amount)
+    values (p_consignor_id, p_period_start, p_period_end, p_sale_amount, p_commission_amount, 'pending', 0)
+    on conflict (consignor_id, period_start, period_end) do update
+       set total_sales      = ct.total_sales + excluded.total_sales,
+           total_commission = ct.total_commission + excluded.total_commission,
+           updated_at       = now()
+     where ct.status <> 'paid' and ct.closed_at is null
+    returning ct.id into v_tracking_id;
+
+    if v_tracking_id is null then
+        raise exception 'Commission period % to % for consignor % is closed or already paid',
+            p_period_start, p_period_end, p_consignor_id
+            using errcode = '55000';
+    end if;
+
+    return v_tracking_id;
+end;
+$$;
+
+-- Books one commission_items row (p_item: its columns, without commission_tracking_id)
+-- for the consignor's p_period_start..p_period_end. When that period is locked the line
+-- goes to the next open period as an adjustment of type p_adjustment_type ('late_sale'
+-- by default). A p_adjustment_type also marks a line booked into an open period as an
+-- adjustment of it (sale date changes, price corrections). Returns the stored row.
+create or replace function book_commission_item(
+    p_consignor_id    bigint,
+    p_period_start    date,
+    p_period_end      date,
+    p_item            jsonb,
+    p_adjustment_type text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_period jsonb := jsonb_build_object('period_start', p_period_start, 'period_end', p_period_end);
+    v_item   jsonb := p_item;
+begin
+    -- Serialise with closing and payments of the period
+    perform 1 from commission_tracking
+     where consignor_id = p_consignor_id and period_start = p_period_start and period_end = p_period_end
+       for update;
+
+    if commission_period_locked(p_consignor_id, p_period_start, p_period_end) then
+        v_period := next_open_commission_period(p_consignor_id, p_period_end);
+        p_adjustment_type := coalesce(p_adjustment_type, 'late_sale');
+    end if;
+
+    if p_adjustment_type is not null then
+        v_item := v_item || jsonb_build_object(
+            'adjustment_type', p_adjustment_type,
+            'adjusts_period_id', (select id from commission_tracking
+                                   where consignor_id = p_consignor_id
+                                     and period_start = p_period_start
+                                     and period_end = p_period_end),
+            'adjusts_period_start', p_period_start,
+            'adjusts_period_end', p_period_end);
+    end if;
+
+    return insert_jsonb_row('commission_items', v_item || jsonb_build_object(
+        'commission_tracking_id', book_commission(
+            p_consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            coalesce((p_item ->> 'sale_amount')::numeric, 0),
+            coalesce((p_item ->> 'commission_amount')::numeric, 0))));
+end;
+$$;
+
+-- A reversal comes off the item's own period while that period can absorb it: not
+-- closed, not paid and not below what has already been paid out of it. Otherwise it
+-- goes to the consignor's next open period. Returns the period it was booked into.
+create or replace function book_commission_reversal(
+    p_tracking_id           uuid,
+    p_sale_amount           numeric,
+    p_commission_amount     numeric,
+    p_carry_forward_periods jsonb default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_period   jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+
+    if commission_period_locked(v_tracking.consignor_id, v_tracking.period_start, v_tracking.period_end)
+       or v_tracking.total_commission - p_commission_amount < coalesce(v_tracking.paid_amount, 0) then
+        v_period := next_open_commission_period(v_tracking.consignor_id, v_tracking.period_end);
+        return book_commission(
+            v_tracking.consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            -p_sale_amount,
+            -p_commission_amount
+        );
+    end if;
+
+    update commission_tracking
+       set total_sales      = total_sales - p_sale_amount,
+           total_commission = total_commission - p_commission_amount,
+           -- a partially paid period whose balance is now covered is settled
+           status           = case when status = 'partially_paid'
+                                    and total_commission - p_commission_amount <= coalesce(paid_amount, 0)
+                                   then 'paid' else status end,
+           updated_at       = now()
+     where id = p_tracking_id;
+
+    return p_tracking_id;
+end;
+$$;
+
+-- p_adjustment_type: why the line is reversed when it is not a return or a void.
+-- A line already reversed as a whole (void, sale date change) is not reversed again;
+-- null is returned for it.
+drop function if exists reverse_commission_item(uuid, numeric, jsonb, uuid);
+
+create or replace function reverse_commission_item(
+    p_commission_item_id    uuid,
+    p_ratio                 numeric,
+    p_carry_forward_periods jsonb default null,
+    p_sale_return_item_id   uuid default null,
+    p_adjustment_type       text default null,
+    p_adjustment_reason     text default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_item              commission_items;
+    v_tracking          commission_tracking;
+    v_target_id         uuid;
+    v_sale_amount       numeric;
+    v_commission_amount numeric;
+    v_reversal_id       uuid;
+begin
+    select * into v_item from commission_items where id = p_commission_item_id;
+
+    if exists (select 1 from commission_items
+                where reversal_of = p_commission_item_id and sale_return_item_id is null) then
+        return null;
+    end if;
+
+    select * into v_tracking from commission_tracking where id = v_item.commission_tracking_id;
+
+    v_sale_amount       := round(v_item.sale_amount * p_ratio, 2);
+    v_commission_amount := round(v_item.commission_amount * p_ratio, 2);
+
+    v_target_id := book_commission_reversal(
+        v_item.commission_tracking_id, v_sale_amount, v_commission_amount, p_carry_forward_periods);
+
+    if p_adjustment_type is null and v_target_id <> v_item.commission_tracking_id then
+        p_adjustment_type := case when p_sale_return_item_id is not null then 'return' else 'void' end;
+    end if;
+
+    insert into commission_items
+           (commission_tracking_id, sale_item_id, product_id, sale_amount,
+            commission_rate, commission_amount, reversal_of, sale_return_item_id,
+            adjustment_type, adjusts_period_id, adjusts_period_start, adjusts_period_end, adjustment_reason)
+    values (v_target_id, v_item.sale_item_id, v_item.product_id, -v_sale_amount,
+            v_item.commission_rate, -v_commission_amount, v_item.id, p_sale_return_item_id,
+            p_adjustment_type,
+            case when p_adjustment_type is not null then v_tracking.id end,
+            case when p_adjustment_type is not null then v_tracking.period_start end,
+            case when p_adjustment_type is not null then v_tracking.period_end end,
+            p_adjustment_reason)
+    returning id into v_reversal_id;
+
+    return v_reversal_id;
+end;
+$$;
+
+-- Late sales (dated into a locked period) are booked as adjustments.
+create or replace function create_sale(p_header jsonb, p_lines jsonb, p_payments jsonb default '[]'::jsonb)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale        sale_header;
+    v_line        jsonb;
+    v_item        jsonb;
+    v_commission  jsonb;
+    v_payment     jsonb;
+begin
+    if p_lines is null or jsonb_array_length(p_lines) = 0 then
+        raise exception 'A sale needs at least one line item' using errcode = '22023';
+    end if;
+
+    v_sale := jsonb_populate_record(null::sale_header, insert_jsonb_row('sale_header', p_header));
+
+    for v_line in select * from jsonb_array_elements(p_lines)
+    loop
+        v_item := insert_jsonb_row('sale_items', (v_line -> 'item') || jsonb_build_object('sale_id', v_sale.id));
+
+        perform adjust_product_stock((v_item ->> 'product_id')::bigint, -(v_item ->> 'quantity')::integer);
+
+        v_commission := v_line -> 'commission';
+        if v_commission is not null and jsonb_typeof(v_commission) = 'object' then
+            perform book_commission_item(
+                (v_item ->> 'consignor_id')::bigint,
+                (v_commission ->> 'period_start')::date,
+                (v_commission ->> 'period_end')::date,
+                jsonb_build_object(
+                    'sale_item_id', v_item ->> 'id',
+                    'product_id', v_item ->> 'product_id',
+                    'sale_amount', v_item ->> 'line_total',
+                    'commission_rate', v_commission ->> 'commission_rate',
+                    'commission_amount', v_item ->> 'commission')
+            );
+        end if;
+    end loop;
+
+    for v_payment in select * from jsonb_array_elements(coalesce(p_payments, '[]'::jsonb))
+    loop
+        perform insert_jsonb_row('sale_payments', v_payment || jsonb_build_object('sale_id', v_sale.id));
+    end loop;
+
+    return v_sale;
+end;
+$$;
+
+-- Buyouts book like sales (into the next open period when the current one is closed).
+create or replace function store_buyout(p_buyout jsonb, p_period_start date, p_period_end date)
+returns store_buyouts
+language plpgsql
+as $$
+declare
+    v_product products;
+    v_buyout  store_buyouts;
+    v_item    jsonb;
+begin
+    select * into v_product from products where id = (p_buyout ->> 'product_id')::bigint for update;
+    if not found then
+        raise exception 'Product % not found', p_buyout ->> 'product_id' using errcode = 'P0002';
+    end if;
+    if v_product.store_owned then
+        raise exception 'Product % is already owned by the store', v_product.id using errcode = '55000';
+    end if;
+    if v_product.status <> 'in_stock' or v_product.quantity <> (p_buyout ->> 'quantity')::integer then
+        raise exception 'Product % is no longer available for buyout (status %, quantity %)',
+            v_product.id, v_product.status, v_product.quantity using errcode = '55000';
+    end if;
+
+    update products
+       set store_owned = true,
+           bought_out_at = now(),
+           updated_at = now()
+     where id = v_product.id;
+
+    v_buyout := jsonb_populate_record(null::store_buyouts, insert_jsonb_row('store_buyouts',
+        p_buyout || jsonb_build_object('consignor_id', v_product.consignor_id)));
+
+    v_item := book_commission_item(v_product.consignor_id, p_period_start, p_period_end, jsonb_build_object(
+        'product_id', v_product.id,
+        'sale_amount', v_buyout.payout_amount,
+        'commission_rate', 1,
+        'commission_amount', v_buyout.payout_amount,
+        'store_buyout_id', v_buyout.id));
+
+    update store_buyouts
+       set commission_tracking_id = (v_item ->> 'commission_tracking_id')::uuid
+     where id = v_buyout.id
+    returning * into v_buyout;
+
+    return v_buyout;
+end;
+$$;
+
+-- Moves the commission of a sale to the period of its new date: each line's commission
+-- is reversed out of its period (an adjustment in the next open one when that period is
+-- locked) and booked into p_period_start..p_period_end (likewise). Voided sales only
+-- get the new date.
+create or replace function change_sale_date(
+    p_sale_id      uuid,
+    p_sale_date    timestamptz,
+    p_period_start date,
+    p_period_end   date,
+    p_changed_by   text default null
+)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale   sale_header;
+    v_item   record;
+    v_reason text;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+
+    v_reason := format('Sale date changed from %s to %s', v_sale.sale_date::date, p_sale_date::date);
+
+    if coalesce(v_sale.status, 'completed') <> 'voided' then
+        for v_item in
+            select ci.*, si.consignor_id
+              from commission_items ci
+              join sale_items si on si.id = ci.sale_item_id
+              join commission_tracking ct on ct.id = ci.commission_tracking_id
+             where si.sale_id = p_sale_id
+               and ci.reversal_of is null
+               and coalesce(ci.adjusts_period_start, ct.period_start) <> p_period_start
+               and not exists (select 1 from commission_items r
+                                where r.reversal_of = ci.id and r.sale_return_item_id is null)
+        loop
+            perform reverse_commission_item(v_item.id, 1, null, null, 'sale_date_change', v_reason);
+
+            perform book_commission_item(
+                v_item.consignor_id, p_period_start, p_period_end,
+                jsonb_build_object(
+                    'sale_item_id', v_item.sale_item_id,
+                    'product_id', v_item.product_id,
+                    'sale_amount', v_item.sale_amount,
+                    'commission_rate', v_item.commission_rate,
+                    'commission_amount', v_item.commission_amount,
+                    'adjustment_reason', v_reason,
+                    'adjusted_by', p_changed_by),
+                'sale_date_change');
+        end loop;
+    end if;
+
+    update sale_header set sale_date = p_sale_date where id = p_sale_id
+    returning * into v_sale;
+
+    return v_sale;
+end;
+$$;
+
+-- A price correction on a sale line: the differences in sale amount and commission are
+-- booked against the period of the sale (the next open one when it is locked).
+create or replace function book_commission_correction(
+    p_sale_item_id      uuid,
+    p_period_start      date,
+    p_period_end        date,
+    p_sale_amount       numeric,
+    p_commission_amount numeric,
+    p_reason            text,
+    p_adjusted_by       text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_line sale_items;
+begin
+    select * into v_line from sale_items where id = p_sale_item_id;
+    if not found then
+        raise exception 'Sale line % not found', p_sale_item_id using errcode = 'P0002';
+    end if;
+    if v_line.consignor_id is null then
+        raise exception 'Sale line % has no consignor to adjust', p_sale_item_id using errcode = '22023';
+    end if;
+
+    return book_commission_item(v_line.consignor_id, p_period_start, p_period_end, jsonb_build_object(
+        'sale_item_id', v_line.id,
+        'product_id', v_line.product_id,
+        'sale_amount', p_sale_amount,
+        'commission_rate', v_line.commission_rate,
+        'commission_amount', p_commission_amount,
+        'adjustment_reason', p_reason,
+        'adjusted_by', p_adjusted_by), 'price_correction');
+end;
+$$;
+
+-- Closes every consignor's p_period_start..p_period_end, including periods created later.
+-- Returns the number of existing periods closed.
+create or replace function close_commission_periods(p_period_start date, p_period_end date, p_closed_by text default null)
+returns integer
+language plpgsql
+as $$
+declare
+    v_closed integer;
+begin
+    insert into commission_period_closes (period_start, period_end, closed_by)
+    values (p_period_start, p_period_end, p_closed_by)
+    on conflict (period_start, period_end) do nothing;
+
+    update commission_tracking
+       set closed_at = now(), closed_by = p_closed_by, updated_at = now()
+     where period_start = p_period_start
+       and period_end = p_period_end
+       and closed_at is null;
+    get diagnostics v_closed = row_count;
+
+    return v_closed;
+end;
+$$;
+
+-- Report reconciliation books missing lines of a locked period as late sales.
+-- Returns { "tracking_id", "booked": <lines booked into the period>, "adjusted": <lines
+-- booked into the next open period because this one is locked> }.
+create or replace function reconcile_commission_period(
+    p_consignor_id bigint,
+    p_period_start date,
+    p_period_end   date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_item     record;
+    v_row      jsonb;
+    v_booked   integer := 0;
+    v_adjusted integer := 0;
+begin
+    for v_item in
+        select si.id, si.product_id, si.line_total, si.commission, si.commission_rate
+          from sale_items si
+          join sale_header sh on sh.id = si.sale_id
+         where si.consignor_id = p_consignor_id
+           and sh.sale_date::date between p_period_start and p_period_end
+           and coalesce(sh.status, 'completed') <> 'voided'
+           and not exists (select 1 from commission_items ci where ci.sale_item_id = si.id)
+         order by sh.sale_date, si.id
+    loop
+        v_row := book_commission_item(p_consignor_id, p_period_start, p_period_end, jsonb_build_object(
+            'sale_item_id', v_item.id,
+            'product_id', v_item.product_id,
+            'sale_amount', coalesce(v_item.line_total, 0),
+            'commission_rate', coalesce(v_item.commission_rate, 0),
+            'commission_amount', coalesce(v_item.commission, 0)));
+
+        if v_row ->> 'adjustment_type' is null then
+            v_booked := v_booked + 1;
+        else
+            v_adjusted := v_adjusted + 1;
+        end if;
+    end loop;
+
+    return jsonb_build_object(
+        'tracking_id', (select id from commission_tracking
+                         where consignor_id = p_consignor_id
+                           and period_start = p_period_start
+                           and period_end = p_period_end),
+        'booked', v_booked,
+        'adjusted', v_adjusted);
+end;
+$$;
@@ -0,0 +1,260 @@
+-- Batch consignor payouts. A payout run picks every payable commission period ending
+-- on or before a cut-off date, one transfer per consignor (optionally only consignors
+-- owed at least minimum_amount), and is exported as a bank file (services/payoutService.js).
+-- While the run is a draft its periods are reserved for it; finalizing records all the
+-- commission_payments in one transaction, cancelling releases the periods.
+
+-- Where transfers go. Consignors without bank details are left out of payout runs.
+alter table consignors
+    add column if not exists bank_account_name text,
+    add column if not exists bank_routing_number text check (bank_routing_number ~ '^[0-9]{9}$'),
+    add column if not exists bank_account_number text check (bank_account_number ~ '^[0-9A-Za-z-]{1,17}$'),
+    add column if not exists bank_account_type text check (bank_account_type in ('checking', 'savings'));
+
+-- Originator details for NACHA files, per store.
+alter table store_settings
+    add column if not exists ach_immediate_destination text,      -- routing number of the store's bank
+    add column if not exists ach_immediate_destination_name text,
+    add column if not exists ach_immediate_origin text,           -- usually the company id
+    add column if not exists ach_company_name text,
+    add column if not exists ach_company_id text,
+    add column if not exists ach_originating_dfi text;            -- first 8 digits of the store bank's routing number
+
+create table if not exists payout_runs (
+    id                      uuid primary key default gen_random_uuid(),
+    cutoff_date             date not null,
+    minimum_amount          numeric(12, 2) not null default 0 check (minimum_amount >= 0),
+    payment_date            date not null default current_date,
+    payment_method          text not null default 'ach',
+    status                  text not null default 'draft' check (status in ('draft', 'finalized', 'cancelled')),
+    consignor_count         integer not null default 0,
+    period_count            integer not null default 0,
+    total_amount            numeric(12, 2) not null default 0,
+    skipped_consignor_ids   bigint[] not null default '{}',   -- owed money but no bank details
+    created_by              text,
+    created_at              timestamptz not null default now(),
+    finalized_at            timestamptz,
+    finalized_by            text,
+    cancelled_at            timestamptz,
+    cancelled_by            text,
+    cancel_reason           text
+);
+
+create table if not exists payout_run_items (
+    id                      uuid primary key default gen_random_uuid(),
+    run_id                  uuid not null references payout_runs(id) on delete cascade,
+    consignor_id            bigint not null references consignors(id),
+    commission_tracking_id  uuid not null references commission_tracking(id),
+    amount                  numeric(12, 2) not null check (amount > 0),
+    status                  text not null default 'pending' check (status in ('pending', 'paid', 'cancelled')),
+    commission_payment_id   uuid references commission_payments(id),
+    unique (run_id, commission_tracking_id)
+);
+
+-- A period is in at most one draft run at a time.
+create unique index if not exists payout_run_items_pending_tracking_key
+    on payout_run_items (commission_tracking_id) where status = 'pending';
+
+create index if not exists payout_run_items_run_idx on payout_run_items (run_id);
+
+alter table commission_payments
+    add column if not exists payout_run_id uuid references payout_runs(id);
+
+-- Periods reserved by a draft run only take that run's payment.
+create or replace function record_commission_payment(p_tracking_id uuid, p_payment jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_amount   numeric;
+    v_balance  numeric;
+    v_payment  jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+    if not found then
+        raise exception 'Commission period % not found', p_tracking_id using errcode = 'P0002';
+    end if;
+    if v_tracking.status not in ('pending', 'calculated', 'partially_paid') then
+        raise exception 'Commission period % is already paid', p_tracking_id using errcode = '55000';
+    end if;
+    if exists (select 1 from payout_run_items
+                where commission_tracking_id = p_tracking_id
+                  and status = 'pending'
+                  and run_id is distinct from (p_payment ->> 'payout_run_id')::uuid) then
+        raise exception 'Commission period % is reserved by a draft payout run', p_tracking_id using errcode = '55000';
+    end if;
+
+    v_amount := round((p_payment ->> 'amount')::numeric, 2);
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Payment amount must be greater than zero' using errcode = '22023';
+    end if;
+
+    v_balance := round(v_tracking.total_commission - coalesce(v_tracking.paid_amount, 0), 2);
+    if v_amount > v_balance then
+        raise exception 'Payment of % exceeds the remaining balance of % for commission period %',
+            v_amount, v_balance, p_tracking_id
+            using errcode = '23514';
+    end if;
+
+    v_payment := insert_jsonb_row('commission_payments',
+        p_payment || jsonb_build_object('commission_tracking_id', p_tracking_id, 'amount', v_amount));
+
+    update commission_tracking
+       set paid_amount = coalesce(paid_amount, 0) + v_amount,
+           status      = case when v_amount >= v_balance then 'paid' else 'partially_paid' end,
+           updated_at  = now()
+     where id = p_tracking_id
+    returning * into v_tracking;
+
+    return jsonb_build_object('payment', v_payment, 'tracking', to_jsonb(v_tracking));
+end;
+$$;
+
+-- What a run would pay: the remaining balance of every payable period ending on or before
+-- p_cutoff_date and not reserved by a draft run, for consignors whose total reaches
+-- p_minimum_amount (the others wait for a later run).
+create or replace function payout_candidates(p_cutoff_date date, p_minimum_amount numeric default 0)
+returns table (commission_tracking_id uuid, consignor_id bigint, amount numeric, has_bank_details boolean)
+language sql
+stable
+as $$
+    with due as (
+        select ct.id as commission_tracking_id,
+               ct.consignor_id,
+               round(ct.total_commission - coalesce(ct.paid_amount, 0), 2) as amount,
+               (c.bank_routing_number is not null and c.bank_account_number is not null) as has_bank_details
+          from commission_tracking ct
+          join consignors c on c.id = ct.consignor_id
+         where ct.status in ('pending', 'calculated', 'partially_paid')
+           and ct.period_end <= p_cutoff_date
+           and ct.total_commission - coalesce(ct.paid_amount, 0) > 0
+           and not exists (select 1 from payout_run_items i
+                            where i.commission_tracking_id = ct.id and i.status = 'pending')
+    )
+    select *
+      from due
+     where due.consignor_id in (select d.consignor_id from due d
+                                 group by d.consignor_id
+                                having sum(d.amount) >= coalesce(p_minimum_amount, 0));
+$$;
+
+-- Drafts a run over payout_candidates(); consignors without bank details are recorded in
+-- skipped_consignor_ids. Raises P0002 when nothing can be paid.
+create or replace function create_payout_run(
+    p_cutoff_date    date,
+    p_minimum_amount numeric default 0,
+    p_payment_date   date default current_date,
+    p_payment_method text default 'ach',
+    p_created_by     text default null
+)
+returns payout_runs
+language plpgsql
+as $$
+declare
+    v_run payout_runs;
+begin
+    -- Hold the periods so payments and other runs wait for this one.
+    perform 1 from commission_tracking ct
+     where ct.status in ('pending', 'calculated', 'partially_paid')
+       and ct.period_end <= p_cutoff_date
+       for update;
+
+    if not exists (select 1 from payout_candidates(p_cutoff_date, p_minimum_amount) where has_bank_details) then
+        raise exception 'No commission periods to pay up to %', p_cutoff_date using errcode = 'P0002';
+    end if;
+
+    insert into payout_runs (cutoff_date, minimum_amount, payment_date, payment_method, created_by,
+                             consignor_count, period_count, total_amount, skipped_consignor_ids)
+    select p_cutoff_date, coalesce(p_minimum_amount, 0), coalesce(p_payment_date, current_date),
+           coalesce(p_payment_method, 'ach'), p_created_by,
+           count(distinct consignor_id) filter (where has_bank_details),
+           count(*) filter (where has_bank_details),
+           coalesce(sum(amount) filter (where has_bank_details), 0),
+           coalesce(array_agg(distinct consignor_id) filter (where not has_bank_details), '{}')
+      from payout_candidates(p_cutoff_date, p_minimum_amount)
+    returning * into v_run;
+
+    insert into payout_run_items (run_id, consignor_id, commission_tracking_id, amount)
+    select v_run.id, consignor_id, commission_tracking_id, amount
+      from payout_candidates(p_cutoff_date, p_minimum_amount)
+     where has_bank_details;
+
+    return v_run;
+end;
+$$;
+
+-- Records the run's payments. Every reserved period must still owe at least its item
+-- amount (the bank file was built from those amounts); otherwise 55000 and nothing is paid.
+create or replace function finalize_payout_run(p_run_id uuid, p_finalized_by text default null)
+returns payout_runs
+language plpgsql
+as $$
+declare
+    v_run    payout_runs;
+    v_item   payout_run_items;
+    v_result jsonb;
+begin
+    select * into v_run from payout_runs where id = p_run_id for update;
+    if not found then
+        raise exception 'Payout run % not found', p_run_id using errcode = 'P0002';
+    end if;
+    if v_run.status <> 'draft' then
+        raise exception 'Payout run % is %', p_run_id, v_run.status using errcode = '55000';
+    end if;
+
+    for v_item in select * from payout_run_items where run_id = p_run_id and status = 'pending' order by consignor_id
+    loop
+        if (select round(total_commission - coalesce(paid_amount, 0), 2)
+              from commission_tracking where id = v_item.commission_tracking_id for update) < v_item.amount then
+            raise exception 'Commission period % no longer owes % - cancel the run and create a new one',
+                v_item.commission_tracking_id, v_item.amount
+                using errcode = '55000';
+        end if;
+
+        v_result := record_commission_payment(v_item.commission_tracking_id, jsonb_build_object(
+            'payout_run_id', p_run_id,
+            'amount', v_item.amount,
+            'payment_date', v_run.payment_date,
+            'payment_method', v_run.payment_method,
+            'transaction_reference', 'PAYOUT-' || left(p_run_id::text, 8)));
+
+        update payout_run_items
+           set status = 'paid', commission_payment_id = (v_result -> 'payment' ->> 'id')::uuid
+         where id = v_item.id;
+    end loop;
+
+    update payout_runs
+       set status = 'finalized', finalized_at = now(), finalized_by = p_finalized_by
+     where id = p_run_id
+    returning * into v_run;
+
+    return v_run;
+end;
+$$;
+
+create or replace function cancel_payout_run(p_run_id uuid, p_cancelled_by text default null, p_reason text default null)
+returns payout_runs
+language plpgsql
+as $$
+declare
+    v_run payout_runs;
+begin
+    select * into v_run from payout_runs where id = p_run_id for update;
+    if not found then
+        raise exception 'Payout run % not found', p_run_id using errcode = 'P0002';
+    end if;
+    if v_run.status <> 'draft' then
+        raise exception 'Payout run % is % and can no longer be cancelled', p_run_id, v_run.status using errcode = '55000';
+    end if;
+
+    update payout_run_items set status = 'cancelled' where run_id = p_run_id and status = 'pending';
+
+    update payout_runs
+       set status = 'cancelled', cancelled_at = now(), cancelled_by = p_cancelled_by, cancel_reason = p_reason
+     where id = p_run_id
+    returning * into v_run;
+
+    return v_run;
+end;
+$$;
@@ -0,0 +1,128 @@
+-- Explicit split of every sale line between consignor and store.
+--   net_amount      = line_total - the line's share of the header discount
+--   consignor_share = what the consignor is paid for the line (booked as commission)
+--   store_share     = net_amount - consignor_share
+-- The header discount and transaction fee are prorated across lines by line_total
+-- (discount_allocation / fee_allocation). Who bears them is a store setting:
+-- 'store' (store share only; the consignor is paid on the undiscounted price), 'shared'
+-- (taken off before the split, at the commission rate) or 'consignor' (consignor share only).
+-- sale_items.commission keeps holding the consignor share for existing readers.
+
+alter table sale_items
+    add column if not exists discount_allocation numeric(12, 2) not null default 0,
+    add column if not exists fee_allocation numeric(12, 2) not null default 0,
+    add column if not exists net_amount numeric(12, 2),
+    add column if not exists consignor_share numeric(12, 2),
+    add column if not exists store_share numeric(12, 2);
+
+-- Lines sold so far: the store absorbed discounts and fees.
+update sale_items
+   set net_amount      = line_total,
+       consignor_share = coalesce(commission, 0),
+       store_share     = line_total - coalesce(commission, 0)
+ where net_amount is null;
+
+alter table store_settings
+    add column if not exists discount_proration_policy text not null default 'store'
+        check (discount_proration_policy in ('store', 'shared', 'consignor')),
+    add column if not exists fee_proration_policy text not null default 'store'
+        check (fee_proration_policy in ('store', 'shared', 'consignor'));
+
+-- Commission is booked on the net amount and the consignor share.
+create or replace function create_sale(p_header jsonb, p_lines jsonb, p_payments jsonb default '[]'::jsonb)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale        sale_header;
+    v_line        jsonb;
+    v_item        jsonb;
+    v_commission  jsonb;
+    v_payment     jsonb;
+begin
+    if p_lines is null or jsonb_array_length(p_lines) = 0 then
+        raise exception 'A sale needs at least one line item' using errcode = '22023';
+    end if;
+
+    v_sale := jsonb_populate_record(null::sale_header, insert_jsonb_row('sale_header', p_header));
+
+    for v_line in select * from jsonb_array_elements(p_lines)
+    loop
+        v_item := insert_jsonb_row('sale_items', (v_line -> 'item') || jsonb_build_object('sale_id', v_sale.id));
+
+        perform adjust_product_stock((v_item ->> 'product_id')::bigint, -(v_item ->> 'quantity')::integer);
+
+        v_commission := v_line -> 'commission';
+        if v_commission is not null and jsonb_typeof(v_commission) = 'object' then
+            perform book_commission_item(
+                (v_item ->> 'consignor_id')::bigint,
+                (v_commission ->> 'period_start')::date,
+                (v_commission ->> 'period_end')::date,
+                jsonb_build_object(
+                    'sale_item_id', v_item ->> 'id',
+                    'product_id', v_item ->> 'product_id',
+                    'sale_amount', coalesce(v_item ->> 'net_amount', v_item ->> 'line_total'),
+                    'commission_rate', v_commission ->> 'commission_rate',
+                    'commission_amount', coalesce(v_item ->> 'consignor_share', v_item ->> 'commission'))
+            );
+        end if;
+    end loop;
+
+    for v_payment in select * from jsonb_array_elements(coalesce(p_payments, '[]'::jsonb))
+    loop
+        perform insert_jsonb_row('sale_payments', v_payment || jsonb_build_object('sale_id', v_sale.id));
+    end loop;
+
+    return v_sale;
+end;
+$$;
+
+-- Reconciliation books missing lines on the same amounts.
+create or replace function reconcile_commission_period(
+    p_consignor_id bigint,
+    p_period_start date,
+    p_period_end   date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_item     record;
+    v_row      jsonb;
+    v_booked   integer := 0;
+    v_adjusted integer := 0;
+begin
+    for v_item in
+        select si.id, si.product_id, coalesce(si.net_amount, si.line_total) as sale_amount,
+               coalesce(si.consignor_share, si.commission) as consignor_share, si.commission_rate
+          from sale_items si
+          join sale_header sh on sh.id = si.sale_id
+         where si.consignor_id = p_consignor_id
+           and sh.sale_date::date between p_period_start and p_period_end
+           and coalesce(sh.status, 'completed') <> 'voided'
+           and not exists (select 1 from commission_items ci where ci.sale_item_id = si.id)
+         order by sh.sale_date, si.id
+    loop
+        v_row := book_commission_item(p_consignor_id, p_period_start, p_period_end, jsonb_build_object(
+            'sale_item_id', v_item.id,
+            'product_id', v_item.product_id,
+            'sale_amount', coalesce(v_item.sale_amount, 0),
+            'commission_rate', coalesce(v_item.commission_rate, 0),
+            'commission_amount', coalesce(v_item.consignor_share, 0)));
+
+        if v_row ->> 'adjustment_type' is null then
+            v_booked := v_booked + 1;
+        else
+            v_adjusted := v_adjusted + 1;
+        end if;
+    end loop;
+
+    return jsonb_build_object(
+        'tracking_id', (select id from commission_tracking
+                         where consignor_id = p_consignor_id
+                           and period_start = p_period_start
+                           and period_end = p_period_end),
+        'booked', v_booked,
+        'adjusted', v_adjusted);
+end;
+$$;
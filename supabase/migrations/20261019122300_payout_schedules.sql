@@ -0,0 +1,524 @@
+-- Payout schedules and hold periods. A consignor is paid weekly, biweekly or monthly
+-- (payout_schedule); an agreement may override its consignor's schedule. A sale line is
+-- booked into the commission period of its schedule that contains the sale date:
+--   weekly    Monday to Sunday
+--   biweekly  two-week blocks counted from Monday 2024-01-01
+--   monthly   calendar month
+-- payout_hold_days (agreement, else consignor) keeps a period from being paid until that
+-- many days after its end, so every sale in it is past the return window:
+-- commission_tracking.payable_on = period_end + the longest hold of the lines booked into it.
+-- "30 days after sale" is any schedule with a 30 day hold.
+
+alter table consignors
+    add column if not exists payout_schedule text not null default 'monthly'
+        check (payout_schedule in ('weekly', 'biweekly', 'monthly')),
+    add column if not exists payout_hold_days integer not null default 0
+        check (payout_hold_days >= 0);
+
+alter table agreements
+    add column if not exists payout_schedule text
+        check (payout_schedule in ('weekly', 'biweekly', 'monthly')),
+    add column if not exists payout_hold_days integer
+        check (payout_hold_days >= 0);
+
+alter table commission_tracking
+    add column if not exists payable_on date;
+
+update commission_tracking set payable_on = period_end where payable_on is null;
+
+create index if not exists commission_tracking_payable_on_idx on commission_tracking (payable_on);
+
+-- The period of p_schedule containing p_date: { "period_start", "period_end" }.
+-- Mirrors commissionService.getCommissionPeriod.
+create or replace function commission_period_bounds(p_schedule text, p_date date)
+returns jsonb
+language sql
+immutable
+as $$
+    select case coalesce(p_schedule, 'monthly')
+        when 'weekly' then jsonb_build_object(
+            'period_start', date_trunc('week', p_date)::date,
+            'period_end', date_trunc('week', p_date)::date + 6)
+        when 'biweekly' then jsonb_build_object(
+            'period_start', date '2024-01-01' + 14 * floor((p_date - date '2024-01-01') / 14.0)::integer,
+            'period_end', date '2024-01-01' + 14 * floor((p_date - date '2024-01-01') / 14.0)::integer + 13)
+        else jsonb_build_object(
+            'period_start', date_trunc('month', p_date)::date,
+            'period_end', (date_trunc('month', p_date) + interval '1 month' - interval '1 day')::date)
+    end;
+$$;
+
+-- The schedule a period was cut for. Weekly periods last 7 days, biweekly 14 and
+-- monthly 28 to 31, so the length tells them apart.
+create or replace function commission_period_schedule(p_period_start date, p_period_end date)
+returns text
+language sql
+immutable
+as $$
+    select case p_period_end - p_period_start + 1
+        when 7 then 'weekly'
+        when 14 then 'biweekly'
+        else 'monthly'
+    end;
+$$;
+
+-- Schedule and hold of a consignor's sales under an agreement (null: the consignor's own):
+-- { "payout_schedule", "payout_hold_days" }.
+create or replace function consignor_payout_terms(p_consignor_id bigint, p_agreement_id bigint default null)
+returns jsonb
+language sql
+stable
+as $$
+    select jsonb_build_object(
+        'payout_schedule', coalesce(a.payout_schedule, c.payout_schedule, 'monthly'),
+        'payout_hold_days', coalesce(a.payout_hold_days, c.payout_hold_days, 0))
+      from (select 1) as one
+      left join consignors c on c.id = p_consignor_id
+      left join agreements a on a.id = p_agreement_id;
+$$;
+
+-- A range closed for every consignor (commission_period_closes) locks the periods lying
+-- entirely inside it. A week running into the next month stays open, so its sales in the
+-- new month are booked normally rather than as late sales.
+create or replace function commission_period_locked(p_consignor_id bigint, p_period_start date, p_period_end date)
+returns boolean
+language sql
+stable
+as $$
+    select exists (
+               select 1 from commission_tracking
+                where consignor_id = p_consignor_id
+                  and period_start = p_period_start
+                  and period_end = p_period_end
+                  and (closed_at is not null or status = 'paid'))
+        or exists (
+               select 1 from commission_period_closes
+                where period_start <= p_period_start
+                  and period_end >= p_period_end);
+$$;
+
+-- The consignor's first open period of p_schedule after p_after.
+drop function if exists next_open_commission_period(bigint, date);
+
+create or replace function next_open_commission_period(p_consignor_id bigint, p_after date, p_schedule text default 'monthly')
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+    v_period jsonb := commission_period_bounds(p_schedule, p_after + 1);
+begin
+    while commission_period_locked(p_consignor_id, (v_period ->> 'period_start')::date, (v_period ->> 'period_end')::date)
+    loop
+        v_period := commission_period_bounds(p_schedule, (v_period ->> 'period_end')::date + 1);
+    end loop;
+    return v_period;
+end;
+$$;
+
+-- New periods start out payable after the consignor's own hold.
+create or replace function book_commission(
+    p_consignor_id      bigint,
+    p_period_start      date,
+    p_period_end        date,
+    p_sale_amount       numeric,
+    p_commission_amount numeric
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking_id uuid;
+begin
+    insert into commission_tracking as ct
+           (consignor_id, period_start, period_end, total_sales, total_commission, status, paid_amount, payable_on)
+    values (p_consignor_id, p_period_start, p_period_end, p_sale_amount, p_commission_amount, 'pending', 0,
+            p_period_end + (consignor_payout_terms(p_consignor_id) ->> 'payout_hold_days')::integer)
+    on conflict (consignor_id, period_start, period_end) do update
+       set total_sales      = ct.total_sales + excluded.total_sales,
+           total_commission = ct.total_commission + excluded.total_commission,
+           updated_at       = now()
+     where ct.status <> 'paid' and ct.closed_at is null
+    returning ct.id into v_tracking_id;
+
+    if v_tracking_id is null then
+        raise exception 'Commission period % to % for consignor % is closed or already paid',
+            p_period_start, p_period_end, p_consignor_id
+            using errcode = '55000';
+    end if;
+
+    return v_tracking_id;
+end;
+$$;
+
+-- The next open period follows the schedule of the locked one, and the period a sale
+-- line lands in is held for at least the line's agreement hold.
+create or replace function book_commission_item(
+    p_consignor_id    bigint,
+    p_period_start    date,
+    p_period_end      date,
+    p_item            jsonb,
+    p_adjustment_type text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_period jsonb := jsonb_build_object('period_start', p_period_start, 'period_end', p_period_end);
+    v_item   jsonb := p_item;
+    v_row    jsonb;
+    v_hold   integer;
+begin
+    -- Serialise with closing and payments of the period
+    perform 1 from commission_tracking
+     where consignor_id = p_consignor_id and period_start = p_period_start and period_end = p_period_end
+       for update;
+
+    if commission_period_locked(p_consignor_id, p_period_start, p_period_end) then
+        v_period := next_open_commission_period(p_consignor_id, p_period_end,
+                                                commission_period_schedule(p_period_start, p_period_end));
+        p_adjustment_type := coalesce(p_adjustment_type, 'late_sale');
+    end if;
+
+    if p_adjustment_type is not null then
+        v_item := v_item || jsonb_build_object(
+            'adjustment_type', p_adjustment_type,
+            'adjusts_period_id', (select id from commission_tracking
+                                   where consignor_id = p_consignor_id
+                                     and period_start = p_period_start
+                                     and period_end = p_period_end),
+            'adjusts_period_start', p_period_start,
+            'adjusts_period_end', p_period_end);
+    end if;
+
+    v_row := insert_jsonb_row('commission_items', v_item || jsonb_build_object(
+        'commission_tracking_id', book_commission(
+            p_consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            coalesce((p_item ->> 'sale_amount')::numeric, 0),
+            coalesce((p_item ->> 'commission_amount')::numeric, 0))));
+
+    v_hold := (consignor_payout_terms(p_consignor_id,
+                   (select agreement_id from sale_items where id = (p_item ->> 'sale_item_id')::uuid))
+               ->> 'payout_hold_days')::integer;
+
+    update commission_tracking
+       set payable_on = greatest(payable_on, period_end + v_hold)
+     where id = (v_row ->> 'commission_tracking_id')::uuid
+       and payable_on < period_end + v_hold;
+
+    return v_row;
+end;
+$$;
+
+create or replace function book_commission_reversal(
+    p_tracking_id           uuid,
+    p_sale_amount           numeric,
+    p_commission_amount     numeric,
+    p_carry_forward_periods jsonb default null
+)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_period   jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+
+    if commission_period_locked(v_tracking.consignor_id, v_tracking.period_start, v_tracking.period_end)
+       or v_tracking.total_commission - p_commission_amount < coalesce(v_tracking.paid_amount, 0) then
+        v_period := next_open_commission_period(v_tracking.consignor_id, v_tracking.period_end,
+                                                commission_period_schedule(v_tracking.period_start, v_tracking.period_end));
+        return book_commission(
+            v_tracking.consignor_id,
+            (v_period ->> 'period_start')::date,
+            (v_period ->> 'period_end')::date,
+            -p_sale_amount,
+            -p_commission_amount
+        );
+    end if;
+
+    update commission_tracking
+       set total_sales      = total_sales - p_sale_amount,
+           total_commission = total_commission - p_commission_amount,
+           -- a partially paid period whose balance is now covered is settled
+           status           = case when status = 'partially_paid'
+                                    and total_commission - p_commission_amount <= coalesce(paid_amount, 0)
+                                   then 'paid' else status end,
+           updated_at       = now()
+     where id = p_tracking_id;
+
+    return p_tracking_id;
+end;
+$$;
+
+-- Lines of one sale can follow different schedules, so each line's new period is worked
+-- out here from its consignor and agreement instead of being passed in.
+drop function if exists change_sale_date(uuid, timestamptz, date, date, text);
+
+create or replace function change_sale_date(
+    p_sale_id    uuid,
+    p_sale_date  timestamptz,
+    p_changed_by text default null
+)
+returns sale_header
+language plpgsql
+as $$
+declare
+    v_sale   sale_header;
+    v_item   record;
+    v_reason text;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+
+    v_reason := format('Sale date changed from %s to %s', v_sale.sale_date::date, p_sale_date::date);
+
+    if coalesce(v_sale.status, 'completed') <> 'voided' then
+        for v_item in
+            select ci.*, si.consignor_id, p.period
+              from commission_items ci
+              join sale_items si on si.id = ci.sale_item_id
+              join commission_tracking ct on ct.id = ci.commission_tracking_id
+              cross join lateral (
+                  select commission_period_bounds(
+                             consignor_payout_terms(si.consignor_id, si.agreement_id) ->> 'payout_schedule',
+                             p_sale_date::date) as period) p
+             where si.sale_id = p_sale_id
+               and ci.reversal_of is null
+               and coalesce(ci.adjusts_period_start, ct.period_start) <> (p.period ->> 'period_start')::date
+               and not exists (select 1 from commission_items r
+                                where r.reversal_of = ci.id and r.sale_return_item_id is null)
+        loop
+            perform reverse_commission_item(v_item.id, 1, null, null, 'sale_date_change', v_reason);
+
+            perform book_commission_item(
+                v_item.consignor_id,
+                (v_item.period ->> 'period_start')::date,
+                (v_item.period ->> 'period_end')::date,
+                jsonb_build_object(
+                    'sale_item_id', v_item.sale_item_id,
+                    'product_id', v_item.product_id,
+                    'sale_amount', v_item.sale_amount,
+                    'commission_rate', v_item.commission_rate,
+                    'commission_amount', v_item.commission_amount,
+                    'adjustment_reason', v_reason,
+                    'adjusted_by', p_changed_by),
+                'sale_date_change');
+        end loop;
+    end if;
+
+    update sale_header set sale_date = p_sale_date where id = p_sale_id
+    returning * into v_sale;
+
+    return v_sale;
+end;
+$$;
+
+-- Closing a date range closes every existing period lying entirely inside it, whatever its
+-- schedule (commission_period_locked() treats such periods created later as closed too).
+create or replace function close_commission_periods(p_period_start date, p_period_end date, p_closed_by text default null)
+returns integer
+language plpgsql
+as $$
+declare
+    v_closed integer;
+begin
+    insert into commission_period_closes (period_start, period_end, closed_by)
+    values (p_period_start, p_period_end, p_closed_by)
+    on conflict (period_start, period_end) do nothing;
+
+    update commission_tracking
+       set closed_at = now(), closed_by = p_closed_by, updated_at = now()
+     where period_start >= p_period_start
+       and period_end <= p_period_end
+       and closed_at is null;
+    get diagnostics v_closed = row_count;
+
+    return v_closed;
+end;
+$$;
+
+-- Reconciliation only books the lines whose own schedule puts them in the period.
+create or replace function reconcile_commission_period(
+    p_consignor_id bigint,
+    p_period_start date,
+    p_period_end   date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_item     record;
+    v_row      jsonb;
+    v_booked   integer := 0;
+    v_adjusted integer := 0;
+begin
+    for v_item in
+        select si.id, si.product_id, coalesce(si.net_amount, si.line_total) as sale_amount,
+               coalesce(si.consignor_share, si.commission) as consignor_share, si.commission_rate
+          from sale_items si
+          join sale_header sh on sh.id = si.sale_id
+         where si.consignor_id = p_consignor_id
+           and sh.sale_date::date between p_period_start and p_period_end
+           and coalesce(sh.status, 'completed') <> 'voided'
+           and commission_period_bounds(
+                   consignor_payout_terms(si.consignor_id, si.agreement_id) ->> 'payout_schedule',
+                   sh.sale_date::date) ->> 'period_start' = p_period_start::text
+           and not exists (select 1 from commission_items ci where ci.sale_item_id = si.id)
+         order by sh.sale_date, si.id
+    loop
+        v_row := book_commission_item(p_consignor_id, p_period_start, p_period_end, jsonb_build_object(
+            'sale_item_id', v_item.id,
+            'product_id', v_item.product_id,
+            'sale_amount', coalesce(v_item.sale_amount, 0),
+            'commission_rate', coalesce(v_item.commission_rate, 0),
+            'commission_amount', coalesce(v_item.consignor_share, 0)));
+
+        if v_row ->> 'adjustment_type' is null then
+            v_booked := v_booked + 1;
+        else
+            v_adjusted := v_adjusted + 1;
+        end if;
+    end loop;
+
+    return jsonb_build_object(
+        'tracking_id', (select id from commission_tracking
+                         where consignor_id = p_consignor_id
+                           and period_start = p_period_start
+                           and period_end = p_period_end),
+        'booked', v_booked,
+        'adjusted', v_adjusted);
+end;
+$$;
+
+-- Periods on hold (payable_on still ahead of today) take no payment, whatever
+-- payment_date the caller records.
+create or replace function record_commission_payment(p_tracking_id uuid, p_payment jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_tracking commission_tracking;
+    v_amount   numeric;
+    v_balance  numeric;
+    v_payment  jsonb;
+begin
+    select * into v_tracking from commission_tracking where id = p_tracking_id for update;
+    if not found then
+        raise exception 'Commission period % not found', p_tracking_id using errcode = 'P0002';
+    end if;
+    if v_tracking.status not in ('pending', 'calculated', 'partially_paid') then
+        raise exception 'Commission period % is already paid', p_tracking_id using errcode = '55000';
+    end if;
+    if v_tracking.payable_on > current_date then
+        raise exception 'Commission period % is on hold until %', p_tracking_id, v_tracking.payable_on
+            using errcode = '55000';
+    end if;
+    if exists (select 1 from payout_run_items
+                where commission_tracking_id = p_tracking_id
+                  and status = 'pending'
+                  and run_id is distinct from (p_payment ->> 'payout_run_id')::uuid) then
+        raise exception 'Commission period % is reserved by a draft payout run', p_tracking_id using errcode = '55000';
+    end if;
+
+    v_amount := round((p_payment ->> 'amount')::numeric, 2);
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Payment amount must be greater than zero' using errcode = '22023';
+    end if;
+
+    v_balance := round(v_tracking.total_commission - coalesce(v_tracking.paid_amount, 0), 2);
+    if v_amount > v_balance then
+        raise exception 'Payment of % exceeds the remaining balance of % for commission period %',
+            v_amount, v_balance, p_tracking_id
+            using errcode = '23514';
+    end if;
+
+    v_payment := insert_jsonb_row('commission_payments',
+        p_payment || jsonb_build_object('commission_tracking_id', p_tracking_id, 'amount', v_amount));
+
+    update commission_tracking
+       set paid_amount = coalesce(paid_amount, 0) + v_amount,
+           status      = case when v_amount >= v_balance then 'paid' else 'partially_paid' end,
+           updated_at  = now()
+     where id = p_tracking_id
+    returning * into v_tracking;
+
+    return jsonb_build_object('payment', v_payment, 'tracking', to_jsonb(v_tracking));
+end;
+$$;
+
+-- Payout runs take the periods ended by the cut-off date and already payable today.
+create or replace function payout_candidates(p_cutoff_date date, p_minimum_amount numeric default 0)
+returns table (commission_tracking_id uuid, consignor_id bigint, amount numeric, has_bank_details boolean)
+language sql
+stable
+as $$
+    with due as (
+        select ct.id as commission_tracking_id,
+               ct.consignor_id,
+               round(ct.total_commission - coalesce(ct.paid_amount, 0), 2) as amount,
+               (c.bank_routing_number is not null and c.bank_account_number is not null) as has_bank_details
+          from commission_tracking ct
+          join consignors c on c.id = ct.consignor_id
+         where ct.status in ('pending', 'calculated', 'partially_paid')
+           and ct.period_end <= p_cutoff_date
+           and coalesce(ct.payable_on, ct.period_end) <= current_date
+           and ct.total_commission - coalesce(ct.paid_amount, 0) > 0
+           and not exists (select 1 from payout_run_items i
+                            where i.commission_tracking_id = ct.id and i.status = 'pending')
+    )
+    select *
+      from due
+     where due.consignor_id in (select d.consignor_id from due d
+                                 group by d.consignor_id
+                                having sum(d.amount) >= coalesce(p_minimum_amount, 0));
+$$;
+
+create or replace function create_payout_run(
+    p_cutoff_date    date,
+    p_minimum_amount numeric default 0,
+    p_payment_date   date default current_date,
+    p_payment_method text default 'ach',
+    p_created_by     text default null
+)
+returns payout_runs
+language plpgsql
+as $$
+declare
+    v_run payout_runs;
+begin
+    -- Hold the periods so payments and other runs wait for this one.
+    perform 1 from commission_tracking ct
+     where ct.status in ('pending', 'calculated', 'partially_paid')
+       and ct.period_end <= p_cutoff_date
+       and coalesce(ct.payable_on, ct.period_end) <= current_date
+       for update;
+
+    if not exists (select 1 from payout_candidates(p_cutoff_date, p_minimum_amount) where has_bank_details) then
+        raise exception 'No commission periods to pay up to %', p_cutoff_date using errcode = 'P0002';
+    end if;
+
+    insert into payout_runs (cutoff_date, minimum_amount, payment_date, payment_method, created_by,
+                             consignor_count, period_count, total_amount, skipped_consignor_ids)
+    select p_cutoff_date, coalesce(p_minimum_amount, 0), coalesce(p_payment_date, current_date),
+           coalesce(p_payment_method, 'ach'), p_created_by,
+           count(distinct consignor_id) filter (where has_bank_details),
+           count(*) filter (where has_bank_details),
+           coalesce(sum(amount) filter (where has_bank_details), 0),
+           coalesce(array_agg(distinct consignor_id) filter (where not has_bank_details), '{}')
+      from payout_candidates(p_cutoff_date, p_minimum_amount)
+    returning * into v_run;
+
+    insert into payout_run_items (run_id, consignor_id, commission_tracking_id, amount)
+    select v_run.id, consignor_id, commission_tracking_id, amount
+      from payout_candidates(p_cutoff_date, p_minimum_amount)
+     where has_bank_details;
+
+    return v_run;
+end;
+$$;
@@ -0,0 +1,24 @@
+-- Editing a sale header (PUT /api/sales/:id) in one transaction: a new sale_date moves the
+-- sale's commission through change_sale_date() and the other columns are written with it,
+-- so a failure leaves the sale as it was. The money columns (subtotal, discount, tax,
+-- transaction fee, payment method) are not editable; the API refuses them.
+
+-- p_fields: sale_header columns to change. Raises P0002 for an unknown sale.
+create or replace function update_sale_header(p_sale_id uuid, p_fields jsonb, p_changed_by text default null)
+returns sale_header
+language plpgsql
+as $$
+begin
+    perform 1 from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+
+    if p_fields ? 'sale_date' then
+        perform change_sale_date(p_sale_id, (p_fields ->> 'sale_date')::timestamptz, p_changed_by);
+    end if;
+
+    return jsonb_populate_record(null::sale_header,
+        update_jsonb_row('sale_header', p_sale_id::text, p_fields - 'sale_date'));
+end;
+$$;
@@ -0,0 +1,119 @@
+-- Returns and exchanges in one transaction.
+-- process_sale_return() now
+--   * refuses to refund a line more than was paid for it (net_amount) minus its
+--     earlier refunds, checked after the sale_items row is locked so concurrent
+--     returns of the same line cannot together refund more than was paid,
+--   * optionally records the replacement sale of an exchange (through create_sale())
+--     and links it to the return. The return, the replacement sale and the link
+--     commit or roll back together.
+
+drop function if exists process_sale_return(uuid, jsonb, text, text, text, jsonb);
+
+-- p_items:    [{ "sale_item_id": uuid, "quantity": int, "refund_amount": numeric, "restock": bool }]
+-- p_exchange: { "header": jsonb, "lines": jsonb, "payments": jsonb } as passed to create_sale(), or null
+create or replace function process_sale_return(
+    p_sale_id               uuid,
+    p_items                 jsonb,
+    p_refund_method         text,
+    p_reason                text default null,
+    p_processed_by          text default null,
+    p_carry_forward_periods jsonb default null,
+    p_exchange              jsonb default null
+)
+returns sale_returns
+language plpgsql
+as $$
+declare
+    v_sale           sale_header;
+    v_return         sale_returns;
+    v_line           record;
+    v_sale_item      sale_items;
+    v_paid           numeric;
+    v_refunded       numeric;
+    v_return_item_id uuid;
+    v_commission_id  uuid;
+    v_exchange_sale  sale_header;
+begin
+    select * into v_sale from sale_header where id = p_sale_id for update;
+    if not found then
+        raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+    end if;
+    if v_sale.status = 'voided' then
+        raise exception 'Sale % is voided and cannot take returns', p_sale_id using errcode = '55000';
+    end if;
+
+    insert into sale_returns (sale_id, refund_method, reason, processed_by)
+    values (p_sale_id, p_refund_method, p_reason, p_processed_by)
+    returning * into v_return;
+
+    for v_line in
+        select * from jsonb_to_recordset(p_items)
+            as x(sale_item_id uuid, quantity integer, refund_amount numeric, restock boolean)
+    loop
+        select * into v_sale_item
+          from sale_items
+         where id = v_line.sale_item_id and sale_id = p_sale_id
+           for update;
+        if not found then
+            raise exception 'Line % does not belong to sale %', v_line.sale_item_id, p_sale_id
+                using errcode = 'P0002';
+        end if;
+        if v_line.quantity is null or v_line.quantity <= 0
+           or v_line.quantity > v_sale_item.quantity - v_sale_item.returned_quantity then
+            raise exception 'Cannot return % unit(s) of line % (% still returnable)',
+                v_line.quantity, v_line.sale_item_id, v_sale_item.quantity - v_sale_item.returned_quantity
+                using errcode = '23514';
+        end if;
+
+        v_paid := coalesce(v_sale_item.net_amount,
+                           round(v_sale_item.line_total * (1 - coalesce(v_sale.discount_percent, 0) / 100), 2));
+        select coalesce(sum(refund_amount), 0) into v_refunded
+          from sale_return_items
+         where sale_item_id = v_sale_item.id;
+        if coalesce(v_line.refund_amount, 0) < 0
+           or round(coalesce(v_line.refund_amount, 0), 2) > v_paid - v_refunded then
+            raise exception 'Refund % for line % exceeds what is left to refund (%)',
+                v_line.refund_amount, v_line.sale_item_id, greatest(v_paid - v_refunded, 0)
+                using errcode = '23514';
+        end if;
+
+        update sale_items
+           set returned_quantity = returned_quantity + v_line.quantity
+         where id = v_sale_item.id;
+
+        insert into sale_return_items (return_id, sale_item_id, product_id, quantity, refund_amount, restocked)
+        values (v_return.id, v_sale_item.id, v_sale_item.product_id, v_line.quantity,
+                coalesce(v_line.refund_amount, 0), coalesce(v_line.restock, true))
+        returning id into v_return_item_id;
+
+        for v_commission_id in
+            select id from commission_items
+             where sale_item_id = v_sale_item.id and reversal_of is null
+        loop
+            perform reverse_commission_item(
+                v_commission_id,
+                v_line.quantity::numeric / v_sale_item.quantity,
+                p_carry_forward_periods,
+                v_return_item_id
+            );
+        end loop;
+
+        if coalesce(v_line.restock, true) then
+            perform adjust_product_stock(v_sale_item.product_id, v_line.quantity);
+        end if;
+    end loop;
+
+    if p_exchange is not null then
+        v_exchange_sale := create_sale(p_exchange -> 'header', p_exchange -> 'lines',
+                                       coalesce(p_exchange -> 'payments', '[]'::jsonb));
+    end if;
+
+    update sale_returns
+       set refund_amount    = (select coalesce(sum(refund_amount), 0) from sale_return_items where return_id = v_return.id),
+           exchange_sale_id = v_exchange_sale.id
+     where id = v_return.id
+    returning * into v_return;
+
+    return v_return;
+end;
+$$;
@@ -0,0 +1,56 @@
+-- Products on an unsold-item batch are off the sales floor.
+-- A product waiting to be returned or donated (awaiting_return / awaiting_donation) keeps
+-- its quantity until the batch is completed, so the sale path must not take stock from it:
+-- otherwise it could be sold and then also be recorded as handed back or donated.
+-- Likewise a void or return must not put a returned or donated product back in stock;
+-- the unit is not the store's to sell any more, so its stock is left untouched.
+
+create or replace function adjust_product_stock(p_product_id bigint, p_delta integer)
+returns products
+language plpgsql
+as $$
+declare
+    v_product products;
+    v_available integer;
+begin
+    select * into v_product from products where id = p_product_id for update;
+    if not found then
+        raise exception 'Product % not found', p_product_id using errcode = 'P0002';
+    end if;
+
+    if p_delta < 0 and v_product.status in ('awaiting_return', 'awaiting_donation', 'returned_to_consignor', 'donated') then
+        raise exception 'Product % cannot be sold: it is % on an unsold-item batch', p_product_id, v_product.status
+            using errcode = '55000';
+    end if;
+    if p_delta > 0 and v_product.status in ('returned_to_consignor', 'donated') then
+        return v_product;
+    end if;
+
+    update products
+       set quantity   = quantity + p_delta,
+           status     = case
+                            when quantity + p_delta = 0 then 'sold'
+                            when p_delta > 0 and status = 'sold' then 'in_stock'
+                            else status
+                        end,
+           updated_at = now()
+     where id = p_product_id
+       and quantity + p_delta >= 0
+    returning * into v_product;
+
+    if not found then
+        select quantity into v_available from products where id = p_product_id;
+        raise exception 'Insufficient stock for product % (requested %, available %)',
+            p_product_id, -p_delta, v_available
+            using errcode = '23514';
+    end if;
+
+    -- Keep the shelf count in step with the product quantity.
+    update product_locations
+       set quantity   = greatest(quantity + p_delta, 0),
+           updated_at = now()
+     where product_id = p_product_id;
+
+    return v_product;
+end;
+$$;
@@ -0,0 +1,46 @@
+-- All-or-nothing agreement creation.
+-- create_agreement() writes the agreement with every column, its commission tiers,
+-- progressive discounts and charity choice, and records version 1, in one transaction:
+-- a failure at any step leaves no half-built agreement behind.
+
+-- p_fields:                agreements columns (product_id, consignor_id, dates, rates, policies, ...)
+-- p_progressive_discounts: [{ "days_after_listing", "discount_percent" }]
+-- p_commission_tiers:      [{ "min_price", "commission_rate" }]
+-- p_charity_choice:        the charity for a 'donate' agreement, or null
+create or replace function create_agreement(
+    p_fields jsonb,
+    p_progressive_discounts jsonb default '[]'::jsonb,
+    p_commission_tiers jsonb default '[]'::jsonb,
+    p_charity_choice text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_agreement_id bigint;
+begin
+    v_agreement_id := (insert_jsonb_row('agreements', p_fields) ->> 'id')::bigint;
+
+    insert into progressive_discounts (agreement_id, days_after_listing, discount_percent)
+    select v_agreement_id,
+           (step ->> 'days_after_listing')::integer,
+           (step ->> 'discount_percent')::numeric
+      from jsonb_array_elements(coalesce(p_progressive_discounts, '[]'::jsonb)) as step;
+
+    insert into commission_tiers (agreement_id, min_price, commission_rate)
+    select v_agreement_id,
+           (tier ->> 'min_price')::numeric,
+           (tier ->> 'commission_rate')::numeric
+      from jsonb_array_elements(coalesce(p_commission_tiers, '[]'::jsonb)) as tier;
+
+    if p_charity_choice is not null then
+        insert into charity_donations (agreement_id, charity_choice)
+        values (v_agreement_id, p_charity_choice);
+    end if;
+
+    -- Version 1: the terms as agreed. Later amendments add versions (see update_agreement).
+    perform record_agreement_version(v_agreement_id, 'Original agreement', null, null);
+
+    return (select to_jsonb(a) from agreements a where a.id = v_agreement_id);
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Only one active agreement may be in force for a product on any date.
+-- The API checks for an overlapping agreement before it writes, but two requests at the
+-- same time could both pass that check. This trigger repeats the check on every write
+-- that makes an agreement active or moves its dates, after locking the product row, so
+-- writes for the same product are serialised and the second one sees the first.
+-- Existing overlaps (agreements from before start / end dates) are left as they are;
+-- an exclusion constraint would reject them.
+
+create or replace function check_agreement_overlap()
+returns trigger
+language plpgsql
+as $$
+declare
+    v_other_id bigint;
+begin
+    perform 1 from products where id = new.product_id for update;
+
+    select a.id into v_other_id
+      from agreements a
+     where a.product_id = new.product_id
+       and a.status = 'active'
+       and a.id <> new.id
+       and daterange(a.start_date, a.end_date, '[]') && daterange(new.start_date, new.end_date, '[]')
+     limit 1;
+
+    if v_other_id is not null then
+        raise exception 'Product % already has agreement % in force for these dates', new.product_id, v_other_id
+            using errcode = '23P01';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists agreements_check_overlap on agreements;
+create trigger agreements_check_overlap
+    before insert or update of product_id, start_date, end_date, status on agreements
+    for each row
+    when (new.status = 'active')
+    execute function check_agreement_overlap();
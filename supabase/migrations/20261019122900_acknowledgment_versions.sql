@@ -0,0 +1,18 @@
+-- An acknowledgment covers the terms the consignor signed: the agreement version current
+-- at the time. After an amendment the stored signed contract no longer shows the terms in
+-- force, so it is only served while its version is still the agreement's current one.
+
+alter table agreement_acknowledgments
+    add column if not exists agreement_version_id uuid references agreement_versions(id);
+
+-- Existing acknowledgments: the latest version recorded by then, else the first version
+-- (acknowledgments from before version history began signed the terms it started with).
+update agreement_acknowledgments k
+   set agreement_version_id = coalesce(
+           (select v.id from agreement_versions v
+             where v.agreement_id = k.agreement_id and v.created_at <= k.acknowledged_at
+             order by v.version_number desc limit 1),
+           (select v.id from agreement_versions v
+             where v.agreement_id = k.agreement_id
+             order by v.version_number limit 1))
+ where k.agreement_version_id is null;
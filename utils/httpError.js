@@ -0,0 +1,14 @@
+// backend/utils/httpError.js
+// Builds an Error that carries an HTTP status code. Services throw these so
+// controllers (and middlewares/errorHandler.js) can answer with the right status.
+
+const createHttpError = (statusCode, message, details) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    if (details !== undefined) {
+        err.details = details;
+    }
+    return err;
+};
+
+module.exports = createHttpError;